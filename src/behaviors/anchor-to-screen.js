@@ -1,60 +1,121 @@
+const core = require('engine/core');
+const Behavior = require('engine/Behavior');
+
 /**
- * Anchor object to screen left/right/top/bottom,
- * by percentage or pixel.
- *
- * Note: Set both `right` and `left` will stretch the width of target.
+ * Convert a percentage string to number.
+ * @param {String} pctStr Percentage string like "50%"
+ * @return {Number} Number value(0.5 for "50%")
+ * @private
  */
-
-import engine from 'engine/core';
-import Behavior from 'engine/behavior';
-
 function pct2Num(pctStr) {
-  if (pctStr.length === 0) return 0;
-  if (pctStr[pctStr.length - 1] !== '%') return 0;
+  if (pctStr.length === 0) {return 0;}
+  if (pctStr[pctStr.length - 1] !== '%') {return 0;}
 
   return parseFloat(pctStr.slice(0, -1)) * 0.01;
 }
 
-export default class AnchorToScreen extends Behavior {
-  static TYPE = 'AnchorToScreen';
+/**
+ * Anchor the entity(its `gfx`) to screen left/right/top/bottom,
+ * by pixel(number) or percentage(string like "10%").
+ *
+ * Note: Set both `right` and `left` will stretch the width of the `gfx`.
+ *
+ * @class AnchorToScreen
+ * @extends {Behavior}
+ */
+class AnchorToScreen extends Behavior {
+  /**
+   * @constructor
+   */
+  constructor() {
+    super();
+
+    /**
+     * Distance to the left edge.
+     * @type {Number|String}
+     */
+    this.left = undefined;
+    /**
+     * Distance to the right edge.
+     * @type {Number|String}
+     */
+    this.right = undefined;
+    /**
+     * Distance to the top edge.
+     * @type {Number|String}
+     */
+    this.top = undefined;
+    /**
+     * Distance to the bottom edge.
+     * @type {Number|String}
+     */
+    this.bottom = undefined;
 
-  static DEFAULT_SETTINGS = {
-    left: undefined,
-    right: undefined,
-    top: undefined,
-    bottom: undefined,
-  };
+    /**
+     * @type {Number}
+     * @private
+     */
+    this.leftPct = undefined;
+    /**
+     * @type {Number}
+     * @private
+     */
+    this.rightPct = undefined;
+    /**
+     * @type {Number}
+     * @private
+     */
+    this.topPct = undefined;
+    /**
+     * @type {Number}
+     * @private
+     */
+    this.bottomPct = undefined;
+  }
 
-  awake() {
+  /**
+   * @memberof AnchorToScreen#
+   */
+  ready() {
     this.calc('left');
     this.calc('right');
     this.calc('top');
     this.calc('bottom');
   }
+  /**
+   * @memberof AnchorToScreen#
+   */
   update() {
     this.applyAnchor();
   }
+
+  /**
+   * Move(and stretch) the entity to match the anchors.
+   * @memberof AnchorToScreen#
+   */
   applyAnchor() {
-    const bounds = this.actor.sprite.getLocalBounds();
+    const gfx = this.entity.gfx;
+    if (!gfx) {
+      return;
+    }
+
+    const pos = this.entity.position;
+    const bounds = gfx.getLocalBounds();
 
     let left, right, top, bottom, width, height;
 
     // x-axis
     if (this.left !== undefined) {
-      // this.actor.position.x = this.left + bounds.x;
       left = this.left;
     }
     else if (this.leftPct !== undefined) {
-      // this.actor.position.x = engine.width * this.leftPct - bounds.x;
-      left = engine.width * this.leftPct;
+      left = core.width * this.leftPct;
     }
     if (this.right !== undefined) {
-      // this.actor.position.x = engine.width - this.right - (bounds.x + bounds.width);
-      right = engine.width - this.right;
+      right = core.width - this.right;
     }
     else if (this.rightPct !== undefined) {
-      // this.actor.position.x = engine.width * (1 - this.rightPct) - (bounds.x + bounds.width);
-      right = engine.width * (1 - this.rightPct);
+      right = core.width * (1 - this.rightPct);
     }
     // Stretch if both left and right is set
     if (left !== undefined && right !== undefined) {
@@ -62,31 +123,27 @@ export default class AnchorToScreen extends Behavior {
     }
 
     if (width !== undefined) {
-      this.actor.sprite.width = width;
+      gfx.width = width;
     }
     if (left !== undefined) {
-      this.actor.position.x = left - bounds.x;
+      pos.x = left - bounds.x;
     }
     else if (right !== undefined) {
-      this.actor.position.x = right - (bounds.x + bounds.width);
+      pos.x = right - (bounds.x + bounds.width);
     }
 
     // y-axis
     if (this.top !== undefined) {
-      // this.actor.position.y = this.top + bounds.y;
       top = this.top;
     }
     else if (this.topPct !== undefined) {
-      // this.actor.position.y = engine.height * this.topPct - bounds.y;
-      top = engine.height * this.topPct;
+      top = core.height * this.topPct;
     }
     if (this.bottom !== undefined) {
-      // this.actor.position.y = engine.height - this.bottom - (bounds.y + bounds.height);
-      bottom = engine.height - this.bottom;
+      bottom = core.height - this.bottom;
     }
     else if (this.bottomPct !== undefined) {
-      // this.actor.position.y = engine.height * (1 - this.bottomPct) - (bounds.y + bounds.height);
-      bottom = engine.height * (1 - this.bottomPct);
+      bottom = core.height * (1 - this.bottomPct);
     }
     // Stretch if both top and bottom is set
     if (top !== undefined && bottom !== undefined) {
@@ -94,16 +151,22 @@ export default class AnchorToScreen extends Behavior {
     }
 
     if (height !== undefined) {
-      this.actor.sprite.height = height;
+      gfx.height = height;
     }
     if (top !== undefined) {
-      this.actor.position.y = top - bounds.y;
+      pos.y = top - bounds.y;
     }
     else if (bottom !== undefined) {
-      this.actor.position.y = bottom - (bounds.y + bounds.height);
+      pos.y = bottom - (bounds.y + bounds.height);
     }
   }
 
+  /**
+   * Convert percentage setting of an edge.
+   * @memberof AnchorToScreen#
+   * @param {String} dir Name of the edge
+   * @private
+   */
   calc(dir) {
     if (typeof(this[dir]) === 'string') {
       this[`${dir}Pct`] = pct2Num(this[dir]);
@@ -113,3 +176,5 @@ export default class AnchorToScreen extends Behavior {
 }
 
 Behavior.register('AnchorToScreen', AnchorToScreen);
+
+module.exports = AnchorToScreen;
@@ -1,99 +1,206 @@
+const Behavior = require('engine/Behavior');
+const Vector = require('engine/Vector');
+const { clamp } = require('engine/utils/math');
+
 /**
- * Make the target behavive like the ship of
- * classic Asteroid game.
+ * Make the entity behave like the ship of classic Asteroids game.
+ * Requires the entity to have a `coll`, rotation is applied to the entity.
+ *
+ * @class AsteroidsMove
+ * @extends {Behavior}
  */
-
-import keyboard from 'engine/keyboard';
-import Behavior from 'engine/behavior';
-import Vector from 'engine/vector';
-import { clamp } from 'engine/utils';
-
-export default class AsteroidsMove extends Behavior {
-  static TYPE = 'AsteroidsMove';
-
-  static DEFAULT_SETTINGS = {
-    /* Whether use keyboard to control */
-    useKeyboard: true,
-    /* Hold to push forward, when `useKeyboard` is true */
-    forwardKey: 'UP',
-    /* Hold to push backward, when `useKeyboard` is true */
-    backwardKey: 'DOWN',
-    /* Hold to turn left, when `useKeyboard` is true */
-    leftKey: 'LEFT',
-    /* Hold to turn right, when `useKeyboard` is true */
-    rightKey: 'RIGHT',
-
-    /* The force to move forward */
-    forwardForce: 10,
-    /* The force to move backward */
-    backwardForce: 8,
-
-    /* The force to turn */
-    torque: 1,
-
-    /* Same as Body.velocityLimit */
-    maxVelocity: Vector.create(400),
-    /* Max turn speed */
-    maxTurnSpeed: 3,
-
-    /* Damping of velocity */
-    damping: 0.2,
-    /* Damping of angular velocity(turn) */
-    angularDamping: 0.2,
-  }
-
+class AsteroidsMove extends Behavior {
+  /**
+   * @constructor
+   */
   constructor() {
     super();
 
+    /**
+     * Whether controlled by actions of `SystemInput`.
+     * @type {Boolean}
+     * @default true
+     */
+    this.useInput = true;
+    /**
+     * Hold to push forward, when `useInput` is true.
+     * @type {String}
+     * @default 'up'
+     */
+    this.forwardAction = 'up';
+    /**
+     * Hold to push backward, when `useInput` is true.
+     * @type {String}
+     * @default 'down'
+     */
+    this.backwardAction = 'down';
+    /**
+     * Hold to turn left, when `useInput` is true.
+     * @type {String}
+     * @default 'left'
+     */
+    this.leftAction = 'left';
+    /**
+     * Hold to turn right, when `useInput` is true.
+     * @type {String}
+     * @default 'right'
+     */
+    this.rightAction = 'right';
+
+    /**
+     * The force to move forward.
+     * @type {Number}
+     * @default 10
+     */
+    this.forwardForce = 10;
+    /**
+     * The force to move backward.
+     * @type {Number}
+     * @default 8
+     */
+    this.backwardForce = 8;
+
+    /**
+     * The force to turn.
+     * @type {Number}
+     * @default 1
+     */
+    this.torque = 1;
+
+    /**
+     * Same as `Collider.velocityLimit`.
+     * @type {Vector}
+     * @default (400, 400)
+     */
+    this.maxVelocity = Vector.create(400, 400);
+    /**
+     * Max turn speed(radian per second).
+     * @type {Number}
+     * @default 3
+     */
+    this.maxTurnSpeed = 3;
+
+    /**
+     * Damping of velocity.
+     * @type {Number}
+     * @default 0.2
+     */
+    this.damping = 0.2;
+    /**
+     * Damping of angular velocity(turn).
+     * @type {Number}
+     * @default 0.2
+     */
+    this.angularDamping = 0.2;
+
+    /**
+     * Current rotation.
+     * @type {Number}
+     */
+    this.rotation = 0;
+    /**
+     * Facing direction.
+     * @type {Vector}
+     */
     this.dir = Vector.create(1, 0);
+    /**
+     * Current turn speed.
+     * @type {Number}
+     */
     this.turnSpeed = 0;
+
+    /**
+     * @type {Number}
+     * @private
+     */
     this.turning = 0;
   }
-  awake() {
-    this.actor.body.damping = this.damping;
+
+  /**
+   * @memberof AsteroidsMove#
+   */
+  ready() {
+    if (!this.entity.coll) {
+      console.log('[WARNING]: AsteroidsMove behavior requires the entity to have a collider!');
+      return;
+    }
+
+    this.entity.coll.damping = this.damping;
+    this.entity.coll.velocityLimit.copy(this.maxVelocity);
+    this.rotation = this.entity.rotation;
   }
-  update(_, dt) {
-    if (this.useKeyboard) {
-      this.actor.body.force.set(0);
+  /**
+   * @memberof AsteroidsMove#
+   * @param {Number} dt     Delta time in millisecond
+   * @param {Number} dtSec  Delta time in second
+   */
+  fixedUpdate(dt, dtSec) {
+    const coll = this.entity.coll;
+    if (!coll) {
+      return;
+    }
+
+    const input = this.entity.game.sysInput;
+    if (this.useInput && input) {
+      coll.force.set(0, 0);
       this.turning = 0;
-      if (keyboard.down(this.forwardKey)) this.pushForward();
-      if (keyboard.down(this.backwardKey)) this.pushBackward();
-      if (keyboard.down(this.leftKey)) this.turning -= 1;
-      if (keyboard.down(this.rightKey)) this.turning += 1;
+      if (input.state(this.forwardAction)) {this.pushForward();}
+      if (input.state(this.backwardAction)) {this.pushBackward();}
+      if (input.state(this.leftAction)) {this.turning -= 1;}
+      if (input.state(this.rightAction)) {this.turning += 1;}
     }
 
     // Update turning
     if (this.turning !== 0) {
-      this.turnSpeed = clamp(this.turnSpeed + this.turning * this.torque * dt, -this.maxTurnSpeed, this.maxTurnSpeed);
+      this.turnSpeed = clamp(this.turnSpeed + this.turning * this.torque * dtSec, -this.maxTurnSpeed, this.maxTurnSpeed);
     }
     if (this.angularDamping !== 0) {
-      this.turnSpeed *= Math.pow(1 - this.angularDamping, dt);
+      this.turnSpeed *= Math.pow(1 - this.angularDamping, dtSec);
+    }
+    this.rotation += this.turnSpeed * dtSec;
+    this.dir.set(1, 0).rotate(this.rotation);
+
+    // Gfx of entities in hierarchies follow at `updateTransform`
+    this.entity.rotation = this.rotation;
+    if (this.entity.gfx) {
+      this.entity.gfx.rotation = this.rotation;
     }
-    this.actor.rotation += this.turnSpeed * dt;
-    this.dir.set(1, 0).rotate(this.actor.rotation);
   }
 
-  // Actions
-  // Move forward
+  /**
+   * Push forward.
+   * @memberof AsteroidsMove#
+   */
   pushForward() {
-    this.actor.body.force
+    this.entity.coll.force
       .copy(this.dir)
-      .multiply(this.forwardForce)
+      .multiply(this.forwardForce);
   }
-  // Move backward
+  /**
+   * Push backward.
+   * @memberof AsteroidsMove#
+   */
   pushBackward() {
-    this.actor.body.force
+    this.entity.coll.force
       .copy(this.dir)
-      .multiply(-this.backwardForce)
+      .multiply(-this.backwardForce);
   }
-  // Turn left
+  /**
+   * Turn left.
+   * @memberof AsteroidsMove#
+   */
   turnLeft() {
     this.turning = -1;
   }
-  // Turn right
+  /**
+   * Turn right.
+   * @memberof AsteroidsMove#
+   */
   turnRight() {
     this.turning = 1;
   }
 }
 
 Behavior.register('AsteroidsMove', AsteroidsMove);
+
+module.exports = AsteroidsMove;
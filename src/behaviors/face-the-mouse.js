@@ -1,23 +1,57 @@
+const Behavior = require('engine/Behavior');
+const Vector = require('engine/Vector');
+const pointer = require('engine/input/pointer');
+
 /**
- * Let the actor always face to the mouse
+ * Let the entity always face to the mouse or the primary touch,
+ * `rotation` of the entity and its `gfx` are set.
+ *
+ * @class FaceTheMouse
+ * @extends {Behavior}
  */
-
-import renderer from 'engine/renderer';
-import Behavior from 'engine/behavior';
-
-export default class FaceTheMouse extends Behavior {
-  static TYPE = 'FaceTheMouse';
-
+class FaceTheMouse extends Behavior {
+  /**
+   * @constructor
+   */
   constructor() {
     super();
-    this.mousePos = renderer.instance.plugins.interaction.mouse.global;
-    this.posCache = this.mousePos.clone();
+
+    /**
+     * @type {Vector}
+     * @private
+     */
+    this.posCache = Vector.create();
   }
-  update(_, dt) {
-    this.actor.rotation = this.posCache.copy(this.mousePos)
-      .subtract(this.actor.position)
+
+  /**
+   * @memberof FaceTheMouse#
+   */
+  update() {
+    const gfx = this.entity.gfx;
+    if (!gfx) {
+      return;
+    }
+
+    // Pointer position is in game coordinate, while entity may
+    // be inside a layer that is moved by camera
+    if (gfx.parent) {
+      gfx.parent.toLocal(pointer.position, undefined, this.posCache);
+    }
+    else {
+      this.posCache.copy(pointer.position);
+    }
+
+    const ent = this.entity;
+    const angle = this.posCache
+      .subtract(ent.worldPosition)
       .angle();
+
+    // Rotation of the entity is relative to its parent
+    ent.rotation = ent.parent ? angle - ent.parent.worldRotation : angle;
+    gfx.rotation = angle;
   }
 }
 
 Behavior.register('FaceTheMouse', FaceTheMouse);
+
+module.exports = FaceTheMouse;
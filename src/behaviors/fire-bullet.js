@@ -1,78 +1,134 @@
+const Behavior = require('engine/Behavior');
+
 /**
- * Fire bullets to a specific direction
+ * Fire bullets to a specific direction.
+ *
+ * Bullets are spawned with `direction` setting(merged with
+ * `bulletSettings`), and their `emitter` is set to the entity
+ * right after spawned.
+ *
+ * @class FireBullet
+ * @extends {Behavior}
+ *
+ * @emits fire
+ * @emits ammo
  */
+class FireBullet extends Behavior {
+  /**
+   * @constructor
+   */
+  constructor() {
+    super();
 
-import keyboard from 'engine/keyboard';
-import Behavior from 'engine/behavior';
-import Vector from 'engine/vector';
-
-export default class FireBullet extends Behavior {
-  static TYPE = 'FireBullet';
-
-  static DEFAULT_SETTINGS = {
-    /* "Relative" to target rotation or "Absolute" value */
-    directionMode: 'Relative',
-
-    /* Max ammo to  */
-    maxAmmo: 5,
+    /**
+     * `Relative` to rotation of the entity(its `gfx`) or `Absolute` value.
+     * @type {String}
+     * @default 'Relative'
+     */
+    this.directionMode = 'Relative';
 
-    /* Time between fires */
-    cooldown: 200,
+    /**
+     * Max ammo.
+     * @type {Number}
+     * @default 5
+     */
+    this.maxAmmo = 5;
 
-    /* Bullet class that accept `emitter` and `direction` */
-    bulletActor: null,
-    /* Which layer to add this bullet to */
-    bulletLayer: 'stage',
-  };
+    /**
+     * Time(in ms) between fires.
+     * @type {Number}
+     * @default 200
+     */
+    this.cooldown = 200;
 
-  constructor() {
-    super();
+    /**
+     * Bullet entity class or registered type name.
+     * @type {Function|String}
+     */
+    this.bullet = null;
+    /**
+     * Which layer to add bullets to.
+     * @type {String}
+     */
+    this.bulletLayer = null;
+    /**
+     * Extra settings for bullets.
+     * @type {Object}
+     */
+    this.bulletSettings = null;
 
-    this.cdTimer = 0;
+    /**
+     * Ammo left.
+     * @type {Number}
+     */
     this.ammo = 0;
 
-    this.bulletConfig = {
-      emitter: null,
-      direction: 0,
-    };
+    /**
+     * @type {Number}
+     * @private
+     */
+    this.cdTimer = 0;
   }
-  awake() {
+
+  /**
+   * @memberof FireBullet#
+   */
+  ready() {
     this.cdTimer = 0;
     this.ammo = this.maxAmmo;
   }
-
-  // Private
-  update(dt) {
+  /**
+   * @memberof FireBullet#
+   * @param {Number} dt Delta time in millisecond
+   */
+  fixedUpdate(dt) {
     if (this.cdTimer > 0) {
       this.cdTimer -= dt;
     }
   }
 
-  // Actions
-  fire(position, direction) {
-    if (this.cdTimer > 0) return;
+  /**
+   * Fire a bullet, nothing happens when cooling down or out of ammo.
+   * @memberof FireBullet#
+   * @param {Vector} [position]     Where to spawn the bullet, default is position of the entity
+   * @param {Number} [direction=0]  Direction of the bullet
+   * @return {Entity} Bullet entity, `undefined` if not fired
+   */
+  fire(position = this.entity.position, direction = 0) {
+    if (this.cdTimer > 0 || this.ammo <= 0 || !this.bullet || !this.entity.game) {
+      return undefined;
+    }
 
-    this.bulletConfig.emitter = this.actor;
-    this.bulletConfig.direction = (this.directionMode === 'Relative') ? (this.actor.rotation + direction) : direction;
+    const rotation = this.entity.gfx ? this.entity.gfx.rotation : 0;
+    const settings = Object.assign({}, this.bulletSettings, {
+      direction: (this.directionMode === 'Relative') ? (rotation + direction) : direction,
+    });
 
-    if (this.bulletActor && this.actor && this.actor.scene) {
-      if (this.ammo > 0) {
-        this.ammo -= 1;
-        this.actor.emit('ammo', this.ammo);
-        this.cdTimer = this.cooldown;
-        this.actor.scene.spawnActor(this.bulletActor, position.x, position.y, this.bulletLayer, this.bulletConfig);
-      }
+    const bullet = this.entity.game.spawnEntity(this.bullet, position.x, position.y, this.bulletLayer, settings);
+    if (!bullet) {
+      return undefined;
     }
+    bullet.emitter = this.entity;
+
+    this.ammo -= 1;
+    this.cdTimer = this.cooldown;
+
+    this.emit('ammo', this.ammo);
+    this.emit('fire', bullet);
+
+    return bullet;
   }
+  /**
+   * Reload ammo.
+   * @memberof FireBullet#
+   * @param {Number} [amount] Ammo to reload, default is `maxAmmo`
+   */
   reload(amount) {
-    if (!amount) {
-      this.ammo = this.maxAmmo;
-    }
-    else {
-      this.ammo = amount;
-    }
-    this.actor.emit('ammo', this.ammo);
+    this.ammo = amount ? amount : this.maxAmmo;
+    this.emit('ammo', this.ammo);
   }
 }
 
 Behavior.register('FireBullet', FireBullet);
+
+module.exports = FireBullet;
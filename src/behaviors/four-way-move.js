@@ -1,83 +1,142 @@
+const Behavior = require('engine/Behavior');
+const Vector = require('engine/Vector');
+
 /**
- * Make the Actor able to move horizontally or vertically.
+ * Make the entity able to move horizontally or vertically.
+ * Collider's velocity is used if the entity has a `coll`,
+ * otherwise the position is directly changed.
+ *
+ * @class FourWayMove
+ * @extends {Behavior}
  */
-
-import keyboard from 'engine/keyboard';
-import Behavior from 'engine/behavior';
-import Vector from 'engine/vector';
-
-export default class FourWayMove extends Behavior {
-  static TYPE = 'FourWayMove';
-
-  static DEFAULT_SETTINGS = {
-    /* Move speed */
-    speed: 200,
-
-    /* Whether use keyboard to control */
-    useKeyboard: true,
-    /* Hold to move left, when `useKeyboard` is true */
-    leftKey: 'LEFT',
-    /* Hold to move right, when `useKeyboard` is true */
-    rightKey: 'RIGHT',
-    /* Hold to move up, when `useKeyboard` is true */
-    upKey: 'UP',
-    /* Hold to move down, when `useKeyboard` is true */
-    downKey: 'DOWN',
-  };
-
+class FourWayMove extends Behavior {
+  /**
+   * @constructor
+   */
   constructor() {
     super();
 
+    /**
+     * Move speed(pixel per second).
+     * @type {Number}
+     * @default 200
+     */
+    this.speed = 200;
+
+    /**
+     * Whether controlled by actions of `SystemInput`.
+     * @type {Boolean}
+     * @default true
+     */
+    this.useInput = true;
+    /**
+     * Hold to move left, when `useInput` is true.
+     * @type {String}
+     * @default 'left'
+     */
+    this.leftAction = 'left';
+    /**
+     * Hold to move right, when `useInput` is true.
+     * @type {String}
+     * @default 'right'
+     */
+    this.rightAction = 'right';
+    /**
+     * Hold to move up, when `useInput` is true.
+     * @type {String}
+     * @default 'up'
+     */
+    this.upAction = 'up';
+    /**
+     * Hold to move down, when `useInput` is true.
+     * @type {String}
+     * @default 'down'
+     */
+    this.downAction = 'down';
+
+    /**
+     * Current moving direction.
+     * @type {Vector}
+     */
     this.dir = Vector.create();
-    this.left = false;
-    this.right = false;
-    this.up = false;
-    this.down = false;
   }
-  update(_, dt) {
-    if (this.useKeyboard) {
-      this.dir.set(0);
-      if (keyboard.down(this.leftKey)) this.dir.x -= 1;
-      if (keyboard.down(this.rightKey)) this.dir.x += 1;
-      if (keyboard.down(this.upKey)) this.dir.y -= 1;
-      if (keyboard.down(this.downKey)) this.dir.y += 1;
+
+  /**
+   * @memberof FourWayMove#
+   * @param {Number} dt     Delta time in millisecond
+   * @param {Number} dtSec  Delta time in second
+   */
+  fixedUpdate(dt, dtSec) {
+    const input = this.entity.game.sysInput;
+    if (this.useInput && input) {
+      this.dir.set(0, 0);
+      if (input.state(this.leftAction)) {this.dir.x -= 1;}
+      if (input.state(this.rightAction)) {this.dir.x += 1;}
+      if (input.state(this.upAction)) {this.dir.y -= 1;}
+      if (input.state(this.downAction)) {this.dir.y += 1;}
     }
 
     this.dir.normalize();
 
-    this.actor.position.x += this.dir.x * this.speed * dt;
-    this.actor.position.y += this.dir.y * this.speed * dt;
+    if (this.entity.coll) {
+      this.entity.coll.velocity.copy(this.dir).multiply(this.speed);
+    }
+    else {
+      this.entity.position.add(this.dir.x * this.speed * dtSec, this.dir.y * this.speed * dtSec);
+    }
   }
 
-  // Actors
-  // Move left
+  /**
+   * Start to move left.
+   * @memberof FourWayMove#
+   */
   moveLeft() {
     this.dir.x = -1;
   }
-  // Move right
+  /**
+   * Start to move right.
+   * @memberof FourWayMove#
+   */
   moveRight() {
     this.dir.x = 1;
   }
-  // Move up
+  /**
+   * Start to move up.
+   * @memberof FourWayMove#
+   */
   moveUp() {
     this.dir.y = -1;
   }
-  // Move down
+  /**
+   * Start to move down.
+   * @memberof FourWayMove#
+   */
   moveDown() {
     this.dir.y = 1;
   }
-  // Stop horizontal movement
+  /**
+   * Stop horizontal movement.
+   * @memberof FourWayMove#
+   */
   stopX() {
     this.dir.x = 0;
   }
-  // Stop vertical movement
+  /**
+   * Stop vertical movement.
+   * @memberof FourWayMove#
+   */
   stopY() {
     this.dir.y = 0;
   }
-  // Stop
+  /**
+   * Stop moving.
+   * @memberof FourWayMove#
+   */
   stop() {
-    this.dir.set(0);
+    this.dir.set(0, 0);
   }
 }
 
 Behavior.register('FourWayMove', FourWayMove);
+
+module.exports = FourWayMove;
@@ -1,66 +1,132 @@
+const Behavior = require('engine/Behavior');
+const { clamp } = require('engine/utils/math');
+
 /**
- * Health management
+ * Health management.
+ *
+ * @class Health
+ * @extends {Behavior}
  *
- * @event heal
- * @event receiveDamage
- * @event kill
- * @event health Health is changed
+ * @emits heal
+ * @emits receiveDamage
+ * @emits kill
+ * @emits health Health is changed
  */
+class Health extends Behavior {
+  /**
+   * @constructor
+   */
+  constructor() {
+    super();
 
-import Behavior from 'engine/behavior';
-import { clamp } from 'engine/utils';
-
-export default class Health extends Behavior {
-  static TYPE = 'Health';
+    /**
+     * Max health value.
+     * @type {Number}
+     * @default 3
+     */
+    this.maxHealth = 3;
+    /**
+     * Invincible time(in ms) after received damages.
+     * @type {Number}
+     * @default 0
+     */
+    this.damageInvincibleTime = 0;
+    /**
+     * Invincible time(in ms) after healed.
+     * @type {Number}
+     * @default 0
+     */
+    this.healInvincibleTime = 0;
 
-  static DEFAULT_SETTINGS = {
-    /* Max health value */
-    maxHealth: 3,
-    damageInvincibleTime: 0,
-    healInvincibleTime: 0,
-  };
+    /**
+     * @type {Number}
+     * @private
+     */
+    this._health = 0;
+    /**
+     * @type {Number}
+     * @private
+     */
+    this.invincibleTimer = 0;
+  }
 
+  /**
+   * Current health value.
+   * @memberof Health#
+   * @type {Number}
+   */
   get health() {
     return this._health;
   }
+  /**
+   * Set health value, `health` event is emitted.
+   * @memberof Health#
+   * @param {Number} v New health value
+   */
   set health(v) {
     this._health = v;
-    this.actor.emit('health', v);
+    this.emit('health', v);
   }
 
+  /**
+   * Whether it is invincible now.
+   * @memberof Health#
+   * @type {Boolean}
+   * @readonly
+   */
   get invincible() {
     return this.invincibleTimer > 0;
   }
 
-  awake() {
-    // Init variables
+  /**
+   * @memberof Health#
+   */
+  ready() {
     this.health = this.maxHealth;
     this.invincibleTimer = 0;
   }
-  update(dt) {
+  /**
+   * @memberof Health#
+   * @param {Number} dt Delta time in millisecond
+   */
+  fixedUpdate(dt) {
     if (this.invincibleTimer > 0) {
       this.invincibleTimer -= dt;
     }
   }
 
-  // Actions
-  // Recover some health
+  /**
+   * Recover some health.
+   * @memberof Health#
+   * @param {Number} v Value to recover
+   */
   heal(v) {
     this.health = clamp(this.health + v, 1, this.maxHealth);
-    this.actor.emit('heal', v);
+    this.invincibleTimer = Math.max(this.invincibleTimer, this.healInvincibleTime);
+    this.emit('heal', v);
   }
-  // Reset health to maxHealth
+  /**
+   * Reset health to `maxHealth`.
+   * @memberof Health#
+   */
   fullHeal() {
     this.health = this.maxHealth;
-    this.actor.emit('heal');
+    this.invincibleTimer = Math.max(this.invincibleTimer, this.healInvincibleTime);
+    this.emit('heal');
   }
-  // Received damages
+  /**
+   * Receive damages, nothing happens when invincible.
+   * @memberof Health#
+   * @param {Number} dmg Damage value
+   */
   receiveDamage(dmg) {
-    if (this.invincibleTimer > 0) return;
+    if (this.invincibleTimer > 0) {
+      return;
+    }
 
     this.health = clamp(this.health - dmg, 0, this.maxHealth);
 
-    this.actor.emit('receiveDamage', dmg);
+    this.emit('receiveDamage', dmg);
 
     if (this.health === 0) {
       this.kill();
@@ -69,10 +135,15 @@ export default class Health extends Behavior {
 
     this.invincibleTimer = this.damageInvincibleTime;
   }
-  // Health is 0
+  /**
+   * Health is 0.
+   * @memberof Health#
+   */
   kill() {
-    this.actor.emit('kill');
+    this.emit('kill');
   }
 }
 
 Behavior.register('Health', Health);
+
+module.exports = Health;
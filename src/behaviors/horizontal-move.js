@@ -1,84 +1,156 @@
+const Behavior = require('engine/Behavior');
+
 /**
- * Make the target object able to move horizontally.
+ * Make the entity able to move horizontally.
+ * Collider's velocity is used if the entity has a `coll`,
+ * otherwise the position is directly changed.
+ *
+ * @class HorizontalMove
+ * @extends {Behavior}
+ *
+ * @emits reachStart
+ * @emits reachEnd
  */
+class HorizontalMove extends Behavior {
+  /**
+   * @constructor
+   */
+  constructor() {
+    super();
 
-import keyboard from 'engine/keyboard';
-import Behavior from 'engine/behavior';
-
-export default class HorizontalMove extends Behavior {
-  static TYPE = 'HorizontalMove';
-
-  static DEFAULT_SETTINGS = {
-    /* Move speed */
-    speed: 200,
-
-    /* Range of the movement, limit to a range or keep it undefined to avoid */
-    range: undefined,
     /**
-     * Percentage of start x location in the range if exist
-     * when range is defined
+     * Move speed(pixel per second).
+     * @type {Number}
+     * @default 200
      */
-    startPct: 0,
+    this.speed = 200;
 
-    /* Whether use keyboard to control */
-    useKeyboard: true,
-    /* Hold to move left, when `useKeyboard` is true */
-    leftKey: 'LEFT',
-    /* Hold to move right, when `useKeyboard` is true */
-    rightKey: 'RIGHT',
-  };
+    /**
+     * Range of the movement, keep it undefined for no limit.
+     * @type {Number}
+     */
+    this.range = undefined;
+    /**
+     * Percentage of start x location in the range,
+     * when range is defined.
+     * @type {Number}
+     * @default 0
+     */
+    this.startPct = 0;
 
-  constructor() {
-    super();
+    /**
+     * Whether controlled by actions of `SystemInput`.
+     * @type {Boolean}
+     * @default true
+     */
+    this.useInput = true;
+    /**
+     * Hold to move left, when `useInput` is true.
+     * @type {String}
+     * @default 'left'
+     */
+    this.leftAction = 'left';
+    /**
+     * Hold to move right, when `useInput` is true.
+     * @type {String}
+     * @default 'right'
+     */
+    this.rightAction = 'right';
 
+    /**
+     * Current moving direction(-1, 0 or 1).
+     * @type {Number}
+     */
     this.dir = 0;
+
+    /**
+     * @type {Number}
+     * @private
+     */
     this.left = 0;
+    /**
+     * @type {Number}
+     * @private
+     */
     this.right = 0;
+    /**
+     * @type {Boolean}
+     * @private
+     */
     this.hasRange = false;
   }
-  awake() {
+
+  /**
+   * @memberof HorizontalMove#
+   */
+  ready() {
     this.hasRange = Number.isFinite(this.range);
     if (this.hasRange) {
-      this.left = this.actor.position.x - this.range * this.startPct;
+      this.left = this.entity.position.x - this.range * this.startPct;
       this.right = this.left + this.range;
     }
   }
-  update(_, dt) {
-    if (this.useKeyboard) {
+  /**
+   * @memberof HorizontalMove#
+   * @param {Number} dt     Delta time in millisecond
+   * @param {Number} dtSec  Delta time in second
+   */
+  fixedUpdate(dt, dtSec) {
+    const input = this.entity.game.sysInput;
+    if (this.useInput && input) {
       this.dir = 0;
-      if (keyboard.down(this.leftKey)) this.dir -= 1;
-      if (keyboard.down(this.rightKey)) this.dir += 1;
+      if (input.state(this.leftAction)) {this.dir -= 1;}
+      if (input.state(this.rightAction)) {this.dir += 1;}
     }
 
-    this.actor.position.x += this.dir * this.speed * dt;
+    const pos = this.entity.position;
+    if (this.entity.coll) {
+      this.entity.coll.velocity.x = this.dir * this.speed;
+    }
+    else {
+      pos.x += this.dir * this.speed * dtSec;
+    }
 
     if (this.dir !== 0 && this.hasRange) {
-      if (this.actor.position.x > this.right) {
-        this.actor.position.x = this.right;
-        this.dir = 0;
-        this.actor.emit('reachEnd');
+      if (pos.x > this.right) {
+        pos.x = this.right;
+        this.stop();
+        this.emit('reachEnd');
       }
-      else if (this.actor.position.x < this.left) {
-        this.actor.position.x = this.left;
-        this.dir = 0;
-        this.actor.emit('reachStart');
+      else if (pos.x < this.left) {
+        pos.x = this.left;
+        this.stop();
+        this.emit('reachStart');
       }
     }
   }
 
-  // Actions
-  // Start to move left
+  /**
+   * Start to move left.
+   * @memberof HorizontalMove#
+   */
   moveLeft() {
     this.dir = -1;
   }
-  // Start to move right
+  /**
+   * Start to move right.
+   * @memberof HorizontalMove#
+   */
   moveRight() {
     this.dir = 1;
   }
-  // Stop
+  /**
+   * Stop moving.
+   * @memberof HorizontalMove#
+   */
   stop() {
     this.dir = 0;
+    if (this.entity.coll) {
+      this.entity.coll.velocity.x = 0;
+    }
   }
 }
 
 Behavior.register('HorizontalMove', HorizontalMove);
+
+module.exports = HorizontalMove;
@@ -1,35 +1,71 @@
+const Behavior = require('engine/Behavior');
+const Vector = require('engine/Vector');
+
 /**
- * Let the actor always move around a point
+ * Let the entity always move around a point.
+ *
+ * @class RotateAroundPoint
+ * @extends {Behavior}
  */
-
-import Behavior from 'engine/behavior';
-import Vector from 'engine/vector';
-
-export default class RotateAroundPoint extends Behavior {
-  static TYPE = 'RotateAroundPoint';
-
-  static DEFAULT_SETTINGS = {
-    center: Vector.create(),
-    ccw: false,
-    speed: Math.PI,
-  };
-
+class RotateAroundPoint extends Behavior {
+  /**
+   * @constructor
+   */
   constructor() {
     super();
 
+    /**
+     * Center point to move around.
+     * @type {Vector}
+     */
     this.center = Vector.create();
+    /**
+     * Whether move counter-clockwise.
+     * @type {Boolean}
+     * @default false
+     */
+    this.ccw = false;
+    /**
+     * Rotate speed(radian per second).
+     * @type {Number}
+     * @default Math.PI
+     */
+    this.speed = Math.PI;
+
+    /**
+     * Current angle around the center.
+     * @type {Number}
+     */
     this.rotation = 0;
+
+    /**
+     * @type {Number}
+     * @private
+     */
+    this.radius = 0;
   }
-  awake() {
-    this.radius = this.actor.position.distance(this.center);
+
+  /**
+   * @memberof RotateAroundPoint#
+   */
+  ready() {
+    this.radius = this.entity.position.distance(this.center);
+    this.rotation = this.center.angle(this.entity.position);
   }
-  update(_, dt) {
-    this.rotation += (dt * this.speed);
+  /**
+   * @memberof RotateAroundPoint#
+   * @param {Number} dt     Delta time in millisecond
+   * @param {Number} dtSec  Delta time in second
+   */
+  fixedUpdate(dt, dtSec) {
+    this.rotation += dtSec * this.speed * (this.ccw ? -1 : 1);
 
-    this.actor.position.set(this.radius, 0)
+    this.entity.position.set(this.radius, 0)
       .rotate(this.rotation)
       .add(this.center);
   }
 }
 
 Behavior.register('RotateAroundPoint', RotateAroundPoint);
+
+module.exports = RotateAroundPoint;
@@ -1,134 +1,238 @@
-/**
- * Steering.
- */
-
-import Behavior from 'engine/behavior';
-import Vector from 'engine/vector';
-import rnd from 'engine/rnd';
-import { clamp } from 'engine/utils';
+const Behavior = require('engine/Behavior');
+const Vector = require('engine/Vector');
+const rnd = require('engine/rnd');
 
 const VELOCITY_ESP = 0.001;
 const VELOCITY_ESP_SQ = VELOCITY_ESP * VELOCITY_ESP;
 
-export default class Steering extends Behavior {
-  static TYPE = 'Steering';
-
-  static DEFAULT_SETTINGS = {
-    maxSpeed: 100,
-
-    // Flee
-    panicDistance: 100,
-
-    // Wander
-    wanderJitter: 100,
-    wanderRadius: 100,
-    wanderDistance: 10,
-  };
-
-  awake() {
-    // Init variables
-    this.force = Vector.create();
+/**
+ * Steering behaviors, which calculate forces to apply to the
+ * `coll` of the entity. Agents(pursuer, evader...) are also
+ * entities that have `coll`.
+ *
+ * @example
+ * const steering = ent.getBehavior('Steering');
+ * ent.coll.force.copy(steering.seek(target.position));
+ *
+ * @class Steering
+ * @extends {Behavior}
+ */
+class Steering extends Behavior {
+  /**
+   * @constructor
+   */
+  constructor() {
+    super();
+
+    /**
+     * Max speed.
+     * @type {Number}
+     * @default 100
+     */
+    this.maxSpeed = 100;
+
+    /**
+     * Distance to start fleeing.
+     * @type {Number}
+     * @default 100
+     */
+    this.panicDistance = 100;
+
+    /**
+     * Wander jitter.
+     * @type {Number}
+     * @default 100
+     */
+    this.wanderJitter = 100;
+    /**
+     * Wander radius.
+     * @type {Number}
+     * @default 100
+     */
+    this.wanderRadius = 100;
+    /**
+     * Wander distance.
+     * @type {Number}
+     * @default 10
+     */
+    this.wanderDistance = 10;
+
+    /**
+     * Heading direction.
+     * @type {Vector}
+     */
+    this.heading = Vector.create(1, 0);
+    /**
+     * Side direction(perpendicular to the heading).
+     * @type {Vector}
+     */
+    this.side = Vector.create(0, 1);
+
+    /**
+     * @type {Vector}
+     * @private
+     */
     this.wanderTarget = Vector.create();
+    /**
+     * @type {Number}
+     * @private
+     */
+    this.panicDistanceSq = 0;
+  }
 
-    this.heading = Vector.create(1, 0);
-    this.side = this.heading.clone().perp();
+  /**
+   * @memberof Steering#
+   */
+  ready() {
+    if (!this.entity.coll) {
+      console.log('[WARNING]: Steering behavior requires the entity to have a collider!');
+    }
 
     this.panicDistanceSq = this.panicDistance * this.panicDistance;
   }
+  /**
+   * @memberof Steering#
+   */
+  fixedUpdate() {
+    if (!this.entity.coll) {
+      return;
+    }
+    const velocity = this.entity.coll.velocity;
 
-  update(_, dt) {
     // Update heading and side
-    if (this.actor.body.velocity.squaredLength() > VELOCITY_ESP_SQ) {
-      this.heading.copy(this.actor.body.velocity).normalize();
+    if (velocity.squaredLength() > VELOCITY_ESP_SQ) {
+      this.heading.copy(velocity).normalize();
       this.side.copy(this.heading).perp();
     }
   }
 
-  // Actions
+  /**
+   * Force to move towards a target.
+   * @memberof Steering#
+   * @param {Vector} targetPos Target position
+   * @return {Vector} Force
+   */
   seek(targetPos) {
-    let desiredVel = targetPos.clone()
-      .subtract(this.actor.position)
+    const desiredVel = targetPos.clone()
+      .subtract(this.entity.position)
       .normalize()
       .multiply(this.maxSpeed);
 
-    return desiredVel.subtract(this.actor.body.velocity);
+    return desiredVel.subtract(this.entity.coll.velocity);
   }
+  /**
+   * Force to move away from a target.
+   * @memberof Steering#
+   * @param {Vector} targetPos Target position
+   * @return {Vector} Force
+   */
   flee(targetPos) {
     // Do nothing when distance is large enough
-    if (this.actor.position.squaredDistance(targetPos) > this.panicDistanceSq) {
+    if (this.entity.position.squaredDistance(targetPos) > this.panicDistanceSq) {
       return Vector.create();
     }
 
-    let desiredVel = this.actor.position.clone()
+    const desiredVel = this.entity.position.clone()
       .subtract(targetPos)
       .normalize()
       .multiply(this.maxSpeed);
 
-    return desiredVel.subtract(this.actor.body.velocity);
+    return desiredVel.subtract(this.entity.coll.velocity);
   }
+  /**
+   * Force to move towards a target and slow down when getting close.
+   * @memberof Steering#
+   * @param {Vector} targetPos    Target position
+   * @param {Number} deceleration Deceleration factor
+   * @return {Vector} Force
+   */
   arrive(targetPos, deceleration) {
-    let toTarget = targetPos.clone().subtract(this.actor.position);
-    let dist = toTarget.length();
+    const toTarget = targetPos.clone().subtract(this.entity.position);
+    const dist = toTarget.length();
 
     // Distance is larger than minimal distance
     if (dist > 4) {
       let speed = dist / (deceleration * 0.3);
       speed = Math.min(speed, this.maxSpeed);
 
-      let desiredVel = toTarget.multiply(speed).divide(dist);
+      const desiredVel = toTarget.multiply(speed).divide(dist);
 
-      return desiredVel.subtract(this.actor.body.velocity);
+      return desiredVel.subtract(this.entity.coll.velocity);
     }
     else {
-      return toTarget.set(0);
+      return toTarget.set(0, 0);
     }
   }
+  /**
+   * Force to chase an evader.
+   * @memberof Steering#
+   * @param {Entity} evader Entity to chase
+   * @return {Vector} Force
+   */
   pursuit(evader) {
-    let toEvader = evader.position.clone().subtract(this.actor.position);
+    const toEvader = evader.position.clone().subtract(this.entity.position);
 
-    let selfHeading = this.actor.body.velocity.clone().normalize();
-    let evaderHeading = evader.body.velocity.clone().normalize();
+    const selfHeading = this.entity.coll.velocity.clone().normalize();
+    const evaderHeading = evader.coll.velocity.clone().normalize();
 
-    let relativeHeading = selfHeading
-      .dot(evaderHeading);
+    const relativeHeading = selfHeading.dot(evaderHeading);
 
-    if (toEvader.dot(selfHeading) > 0 && relativeHeading < -0.95) { // cos(18 deg) = 0.95
+    // cos(18 deg) = 0.95
+    if (toEvader.dot(selfHeading) > 0 && relativeHeading < -0.95) {
       return this.seek(evader.position);
     }
 
-    let lookAheadTime = toEvader.length() / (this.maxSpeed + evader.body.velocity.length());
+    const lookAheadTime = toEvader.length() / (this.maxSpeed + evader.coll.velocity.length());
 
-    return this.seek(evader.body.velocity.clone().multiply(lookAheadTime)
+    return this.seek(evader.coll.velocity.clone().multiply(lookAheadTime)
       .add(evader.position));
   }
+  /**
+   * Force to escape from a pursuer.
+   * @memberof Steering#
+   * @param {Entity} pursuer Entity to escape from
+   * @return {Vector} Force
+   */
   evade(pursuer) {
-    let toPursuer = pursuer.position.clone().subtract(this.actor.position);
+    const toPursuer = pursuer.position.clone().subtract(this.entity.position);
 
-    let lookAheadTime = toPursuer.length() / (this.maxSpeed + pursuer.body.velocity.length());
+    const lookAheadTime = toPursuer.length() / (this.maxSpeed + pursuer.coll.velocity.length());
 
-    return this.flee(pursuer.body.velocity.clone().multiply(lookAheadTime).add(pursuer.position))
+    return this.flee(pursuer.coll.velocity.clone().multiply(lookAheadTime).add(pursuer.position));
   }
+  /**
+   * Force to wander around randomly.
+   * @memberof Steering#
+   * @return {Vector} Force
+   */
   wander() {
     this.wanderTarget
-      .add(rnd.realInRange(-this.wanderJitter, this.wanderJitter))
+      .add(rnd.realInRange(-this.wanderJitter, this.wanderJitter), rnd.realInRange(-this.wanderJitter, this.wanderJitter))
       .normalize()
       .multiply(this.wanderRadius);
 
-    let targetLocal = this.wanderTarget.clone().add(this.wanderDistance, 0);
-    let targetWorld = pointToWorldSpace(targetLocal, this.heading, this.side, this.actor.position);
+    const targetWorld = this.wanderTarget.clone()
+      .add(this.heading.x * this.wanderDistance, this.heading.y * this.wanderDistance)
+      .add(this.entity.position);
 
-    return targetWorld.subtract(this.actor.position);
+    return targetWorld.subtract(this.entity.position);
   }
-
+  /**
+   * Force to move to the middle of two agents.
+   * @memberof Steering#
+   * @param {Entity} agentA First agent
+   * @param {Entity} agentB Second agent
+   * @return {Vector} Force
+   */
   interpose(agentA, agentB) {
-    let midPoint = agentA.position.clone().add(agentB.position)
+    const midPoint = agentA.position.clone().add(agentB.position)
       .divide(2);
 
-    let timeToReachMidPoint = this.actor.position.distance(midPoint) / this.maxSpeed;
+    const timeToReachMidPoint = this.entity.position.distance(midPoint) / this.maxSpeed;
 
-    let aPos = agentA.body.velocity.clone().multiply(timeToReachMidPoint)
+    const aPos = agentA.coll.velocity.clone().multiply(timeToReachMidPoint)
       .add(agentA.position);
-    let bPos = agentB.body.velocity.clone().multiply(timeToReachMidPoint)
+    const bPos = agentB.coll.velocity.clone().multiply(timeToReachMidPoint)
       .add(agentB.position);
 
     midPoint.copy(aPos).add(bPos).divide(2);
@@ -140,8 +244,6 @@ export default class Steering extends Behavior {
   }
 }
 
-function pointToWorldSpace(point, heading, side, localPosition) {
-  return point.add(localPosition);
-}
-
 Behavior.register('Steering', Steering);
+
+module.exports = Steering;
@@ -1,88 +1,156 @@
+const Behavior = require('engine/Behavior');
+
 /**
- * Make the target object able to move vertically.
+ * Make the entity able to move vertically.
+ * Collider's velocity is used if the entity has a `coll`,
+ * otherwise the position is directly changed.
+ *
+ * @class VerticalMove
+ * @extends {Behavior}
  *
- * @protocol {
- *   position: Vector
- * }
+ * @emits reachStart
+ * @emits reachEnd
  */
+class VerticalMove extends Behavior {
+  /**
+   * @constructor
+   */
+  constructor() {
+    super();
 
-import keyboard from 'engine/keyboard';
-import Behavior from 'engine/behavior';
-
-export default class VerticalMove extends Behavior {
-  static TYPE = 'VerticalMove';
-
-  static DEFAULT_SETTINGS = {
-    /* Move speed */
-    speed: 200,
-
-    /* Range of the movement, limit to a range or keep it undefined to avoid */
-    range: undefined,
     /**
-     * Percentage of start y location in the range if exist
-     * when range is defined
+     * Move speed(pixel per second).
+     * @type {Number}
+     * @default 200
      */
-    startPct: 0,
+    this.speed = 200;
 
-    /* Whether use keyboard to control */
-    useKeyboard: true,
-    /* Hold to move up, when `useKeyboard` is true */
-    upKey: 'UP',
-    /* Hold to move down, when `useKeyboard` is true */
-    downKey: 'DOWN',
-  };
+    /**
+     * Range of the movement, keep it undefined for no limit.
+     * @type {Number}
+     */
+    this.range = undefined;
+    /**
+     * Percentage of start y location in the range,
+     * when range is defined.
+     * @type {Number}
+     * @default 0
+     */
+    this.startPct = 0;
 
-  constructor() {
-    super();
+    /**
+     * Whether controlled by actions of `SystemInput`.
+     * @type {Boolean}
+     * @default true
+     */
+    this.useInput = true;
+    /**
+     * Hold to move up, when `useInput` is true.
+     * @type {String}
+     * @default 'up'
+     */
+    this.upAction = 'up';
+    /**
+     * Hold to move down, when `useInput` is true.
+     * @type {String}
+     * @default 'down'
+     */
+    this.downAction = 'down';
 
+    /**
+     * Current moving direction(-1, 0 or 1).
+     * @type {Number}
+     */
     this.dir = 0;
+
+    /**
+     * @type {Number}
+     * @private
+     */
     this.top = 0;
+    /**
+     * @type {Number}
+     * @private
+     */
     this.bottom = 0;
+    /**
+     * @type {Boolean}
+     * @private
+     */
     this.hasRange = false;
   }
-  awake() {
+
+  /**
+   * @memberof VerticalMove#
+   */
+  ready() {
     this.hasRange = Number.isFinite(this.range);
     if (this.hasRange) {
-      this.top = this.actor.position.y - this.range * this.startPct;
+      this.top = this.entity.position.y - this.range * this.startPct;
       this.bottom = this.top + this.range;
     }
   }
-  update(_, dt) {
-    if (this.useKeyboard) {
+  /**
+   * @memberof VerticalMove#
+   * @param {Number} dt     Delta time in millisecond
+   * @param {Number} dtSec  Delta time in second
+   */
+  fixedUpdate(dt, dtSec) {
+    const input = this.entity.game.sysInput;
+    if (this.useInput && input) {
       this.dir = 0;
-      if (keyboard.down(this.upKey)) this.dir -= 1;
-      if (keyboard.down(this.downKey)) this.dir += 1;
+      if (input.state(this.upAction)) {this.dir -= 1;}
+      if (input.state(this.downAction)) {this.dir += 1;}
     }
 
-    this.actor.position.y += this.dir * this.speed * dt;
+    const pos = this.entity.position;
+    if (this.entity.coll) {
+      this.entity.coll.velocity.y = this.dir * this.speed;
+    }
+    else {
+      pos.y += this.dir * this.speed * dtSec;
+    }
 
     if (this.dir !== 0 && this.hasRange) {
-      if (this.actor.position.y > this.bottom) {
-        this.actor.position.y = this.bottom;
-        this.dir = 0;
-        this.actor.emit('reachEnd');
+      if (pos.y > this.bottom) {
+        pos.y = this.bottom;
+        this.stop();
+        this.emit('reachEnd');
       }
-      else if (this.actor.position.y < this.top) {
-        this.actor.position.y = this.top;
-        this.dir = 0;
-        this.actor.emit('reachStart');
+      else if (pos.y < this.top) {
+        pos.y = this.top;
+        this.stop();
+        this.emit('reachStart');
       }
     }
   }
 
-  // Actions
-  // Start to move up
+  /**
+   * Start to move up.
+   * @memberof VerticalMove#
+   */
   moveUp() {
     this.dir = -1;
   }
-  // Start to move down
+  /**
+   * Start to move down.
+   * @memberof VerticalMove#
+   */
   moveDown() {
     this.dir = 1;
   }
-  // Stop
+  /**
+   * Stop moving.
+   * @memberof VerticalMove#
+   */
   stop() {
     this.dir = 0;
+    if (this.entity.coll) {
+      this.entity.coll.velocity.y = 0;
+    }
   }
 }
 
 Behavior.register('VerticalMove', VerticalMove);
+
+module.exports = VerticalMove;
@@ -1,75 +1,110 @@
+const core = require('engine/core');
+const Behavior = require('engine/Behavior');
+
 /**
- * Wrap around the screen, works with or without camera.
+ * Wrap the entity around the screen, works with or without camera.
+ *
+ * @class WrapAroundScreen
+ * @extends {Behavior}
  */
-
-import engine from 'engine/core';
-import Behavior from 'engine/behavior';
-
-export default class WrapAroundScreen extends Behavior {
-  static TYPE = 'WrapAroundScreen';
-
-  static DEFAULT_SETTINGS = {
-    vertical: true,
-    horizontal: true,
-  };
-
+class WrapAroundScreen extends Behavior {
+  /**
+   * @constructor
+   */
   constructor() {
     super();
 
+    /**
+     * Whether wrap vertically.
+     * @type {Boolean}
+     * @default true
+     */
+    this.vertical = true;
+    /**
+     * Whether wrap horizontally.
+     * @type {Boolean}
+     * @default true
+     */
+    this.horizontal = true;
+
+    /**
+     * Camera whose bounds is used instead of the screen.
+     * @type {Camera}
+     */
+    this.camera = null;
+
+    /**
+     * @type {Number}
+     * @private
+     */
     this.left = 0;
+    /**
+     * @type {Number}
+     * @private
+     */
     this.right = 0;
+    /**
+     * @type {Number}
+     * @private
+     */
     this.top = 0;
+    /**
+     * @type {Number}
+     * @private
+     */
     this.bottom = 0;
-    this.width = 0;
-    this.height = 0;
-
-    this.targetLeft = 0;
-    this.targetRight = 0;
-    this.targetTop = 0;
-    this.targetBottom = 0;
-
-    this.targetBounds;
   }
-  update(_, dt) {
+
+  /**
+   * @memberof WrapAroundScreen#
+   */
+  fixedUpdate() {
     // Update bounds
-    if (this.actor.scene.camera) {
-      this.left = this.actor.scene.camera.left;
-      this.right = this.actor.scene.camera.right;
-      this.up = this.actor.scene.camera.up;
-      this.bottom = this.actor.scene.camera.bottom;
+    if (this.camera) {
+      this.left = this.camera.left;
+      this.right = this.camera.right;
+      this.top = this.camera.top;
+      this.bottom = this.camera.bottom;
     }
     else {
       this.left = 0;
-      this.right = engine.width;
-      this.up = 0;
-      this.bottom = engine.height;
+      this.right = core.width;
+      this.top = 0;
+      this.bottom = core.height;
     }
-    this.width = this.right - this.left;
-    this.height = this.bottom - this.up;
+    const width = this.right - this.left;
+    const height = this.bottom - this.top;
 
-    this.targetBounds = this.actor.sprite.getLocalBounds();
-    this.targetLeft = this.targetBounds.x + this.actor.position.x;
-    this.targetRight = this.targetBounds.x + this.targetBounds.width + this.actor.position.x;
-    this.targetTop = this.targetBounds.y + this.actor.position.y;
-    this.targetBottom = this.targetBounds.y + this.targetBounds.height + this.actor.position.y;
+    // Bounds of the entity, a point if it has no gfx
+    const pos = this.entity.position;
+    let targetLeft = pos.x, targetRight = pos.x, targetTop = pos.y, targetBottom = pos.y;
+    if (this.entity.gfx) {
+      const bounds = this.entity.gfx.getLocalBounds();
+      targetLeft += bounds.x;
+      targetRight += bounds.x + bounds.width;
+      targetTop += bounds.y;
+      targetBottom += bounds.y + bounds.height;
+    }
 
     if (this.horizontal) {
-      if (this.targetRight < this.left) {
-        this.actor.position.x += this.width;
+      if (targetRight < this.left) {
+        pos.x += width;
       }
-      else if (this.targetLeft > this.right) {
-        this.actor.position.x -= this.width;
+      else if (targetLeft > this.right) {
+        pos.x -= width;
       }
     }
     if (this.vertical) {
-      if (this.targetBottom < this.up) {
-        this.actor.position.y += this.height;
+      if (targetBottom < this.top) {
+        pos.y += height;
       }
-      else if (this.targetTop > this.bottom) {
-        this.actor.position.y -= this.height;
+      else if (targetTop > this.bottom) {
+        pos.y -= height;
       }
     }
   }
 }
 
 Behavior.register('WrapAroundScreen', WrapAroundScreen);
+
+module.exports = WrapAroundScreen;
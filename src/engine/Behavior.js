@@ -0,0 +1,169 @@
+const EventEmitter = require('engine/EventEmitter');
+const Vector = require('engine/Vector');
+const snapshot = require('engine/snapshot');
+
+/**
+ * Behavior is a reusable component that can be attached to
+ * any `Entity`, by its `behaviors` setting or `addBehavior`.
+ * Callbacks of a behavior are invoked by the owner game. `update`
+ * and `fixedUpdate` run right after the ones of its entity, while
+ * `ready` runs before the entity's, so the entity can use its
+ * behaviors in `ready`.
+ *
+ * @example <caption>Define a behavior</caption>
+ * const Behavior = require('engine/Behavior');
+ *
+ * class Blink extends Behavior {
+ *   constructor() {
+ *     super();
+ *     this.interval = 200;
+ *     this.timer = 0;
+ *   }
+ *   fixedUpdate(dt) {
+ *     this.timer += dt;
+ *     if (this.timer > this.interval) {
+ *       this.timer = 0;
+ *       this.entity.gfx.visible = !this.entity.gfx.visible;
+ *     }
+ *   }
+ * }
+ * Behavior.register('Blink', Blink);
+ *
+ * @example <caption>Attach behaviors to an entity</caption>
+ * game.spawnEntity(Player, 100, 100, 'actors', {
+ *   behaviors: [
+ *     { type: 'Blink', interval: 100 },
+ *     'Health',
+ *   ],
+ * });
+ *
+ * @class Behavior
+ * @extends {EventEmitter}
+ */
+class Behavior extends EventEmitter {
+  /**
+   * @constructor
+   */
+  constructor() {
+    super();
+
+    /**
+     * Entity this behavior is attached to.
+     * @type {Entity}
+     * @readonly
+     */
+    this.entity = null;
+
+    /**
+     * Whether this behavior is updated, set to `false` to
+     * temporarily disable it.
+     * @type {Boolean}
+     * @default true
+     */
+    this.isActive = true;
+  }
+
+  /**
+   * Setup this behavior with settings. `Vector` properties are copied
+   * and others are directly assigned.
+   * @memberof Behavior#
+   * @param {Object} settings Settings
+   * @return {Behavior} Self for chaining
+   */
+  setup(settings) {
+    for (let k in settings) {
+      if (k === 'type') {
+        continue;
+      }
+
+      if (this[k] instanceof Vector) {
+        this[k].copy(settings[k]);
+      }
+      else {
+        this[k] = settings[k];
+      }
+    }
+
+    return this;
+  }
+
+  /**
+   * Find another behavior of the same entity.
+   * @memberof Behavior#
+   * @param {String|Function} type Type name or class of the behavior
+   * @return {Behavior} Behavior instance, `undefined` if not found
+   */
+  getBehavior(type) {
+    return this.entity ? this.entity.getBehavior(type) : undefined;
+  }
+
+  /**
+   * Save state of this behavior, fields that can be saved as JSON
+   * are saved by default.
+   * @memberof Behavior#
+   * @return {Object} Saved state
+   */
+  serialize() {
+    return snapshot.saveFields(this, ['entity']);
+  }
+  /**
+   * Restore state saved by `serialize`.
+   * @memberof Behavior#
+   * @param {Object} data Saved state
+   */
+  deserialize(data) {
+    snapshot.loadFields(this, data);
+  }
+
+  /**
+   * Will be called after the entity is added to a game, or after
+   * this behavior is added to an entity already in a game.
+   * @method ready
+   * @memberof Behavior#
+   */
+  ready() {}
+  /**
+   * Update method to be called each frame.
+   * @method update
+   * @memberof Behavior#
+   * @param {Number} dt     Delta time in millisecond
+   * @param {Number} dtSec  Delta time in second
+   */
+  update(dt, dtSec) {} /* eslint no-unused-vars:0 */
+  /**
+   * Update method to be called each fixed step.
+   * @method fixedUpdate
+   * @memberof Behavior#
+   * @param {Number} dt     Delta time in millisecond
+   * @param {Number} dtSec  Delta time in second
+   */
+  fixedUpdate(dt, dtSec) {} /* eslint no-unused-vars:0 */
+  /**
+   * Will be called when the entity is removed from its game,
+   * or this behavior is removed from the entity.
+   * @method remove
+   * @memberof Behavior#
+   */
+  remove() {}
+}
+
+/**
+ * Behavior class map.
+ * @type {Object}
+ */
+Behavior.types = {};
+/**
+ * Register a behavior class, so that it can be created by type name.
+ * @param {String} type     Type name
+ * @param {Function} ctor   Behavior class
+ */
+Behavior.register = function(type, ctor) {
+  if (!Behavior.types[type]) {
+    Behavior.types[type] = ctor;
+  }
+  else {
+    console.log('[WARNING]: "' + type + '" behavior is already registered!');
+  }
+};
+
+module.exports = Behavior;
@@ -1,11 +1,84 @@
 const Vector = require('engine/Vector');
+const Behavior = require('engine/Behavior');
 const { merge } = require('engine/utils/object');
+const { removeItems } = require('engine/utils/array');
+const snapshot = require('engine/snapshot');
+
+/**
+ * Keys `serialize` does not save by default.
+ * @type {Array<String>}
+ * @private
+ */
+const SKIP_KEYS = [
+  'id', 'game', 'CTOR', 'isRemoved', 'layer', 'prefab',
+  'parent', 'children', 'worldPosition', 'worldRotation', 'worldScale',
+  'gfx', 'coll', 'behaviors', 'skipInterpolation',
+];
+
+/**
+ * Get registered type name of a behavior.
+ * @param  {Behavior} behavior Behavior instance
+ * @return {String|undefined} Type name
+ * @private
+ */
+function behaviorType(behavior) {
+  for (let k in Behavior.types) {
+    if (Behavior.types[k] === behavior.constructor) {
+      return k;
+    }
+  }
+  return undefined;
+}
+
+/**
+ * Point both components to the world position of an entity.
+ * @param {Entity} ent Entity instance
+ * @private
+ */
+function bindComponents(ent) {
+  if (ent.gfx) {
+    ent.gfx.position = ent.worldPosition;
+  }
+  if (ent.coll) {
+    ent.coll.position = ent.worldPosition;
+  }
+}
+
+/**
+ * Skip interpolation of an entity and its descendants.
+ * @param {Entity} ent Entity instance
+ * @private
+ */
+function skipInterpolation(ent) {
+  ent.skipInterpolation = true;
+  for (let i = 0; i < ent.children.length; i++) {
+    skipInterpolation(ent.children[i]);
+  }
+}
 
 /**
  * Base object that may contain a graphic element(as `gfx`)
  * and a collider instance(as `coll`).
  *
- * The `gfx` and `coll` share the same postion.
+ * The `gfx` and `coll` share the same postion, which is the world
+ * position of the entity.
+ *
+ * Entities can be attached to others as children, `position`,
+ * `rotation` and `scale` of a child are relative to its parent.
+ * Children are removed and paused with their parent. Note that
+ * `rotation` and `scale` of gfx are driven by the entity once it
+ * is in a hierarchy(has parent or children), set `rotation` of the
+ * entity instead. Colliders of children move in the world, results
+ * are written back to their local `position` by `SystemPhysics`.
+ *
+ * @example <caption>Attach a turret to a tank</caption>
+ * const tank = game.spawnEntity(Tank, 100, 100, 'actors');
+ * const turret = game.spawnEntity(Turret, 0, 0, 'actors');
+ * tank.addChild(turret);
+ * turret.position.set(0, -8);
+ *
+ * // The turret moves and rotates with the tank
+ * tank.rotation = Math.PI * 0.5;
  *
  * @class Entity
  */
@@ -30,11 +103,11 @@ class Entity {
     this.name = null;
 
     /**
-     * Real tag field
-     * @type {string}
-     * @private
+     * Tags of this Entity, can be passed in as `tags` setting.
+     * Use `addTag` and `removeTag` to change it after spawned.
+     * @type {Array<string>}
      */
-    this._tag = null;
+    this.tags = [];
 
     /**
      * Whether this actor is removed from game.
@@ -80,6 +153,117 @@ class Entity {
      * @memberof Entity#
      */
     this.position = new Vector(x, y);
+    /**
+     * Rotation of this entity, relative to its parent.
+     * @memberof Entity#
+     * @type {Number}
+     */
+    this.rotation = 0;
+    /**
+     * Scale of this entity, relative to its parent.
+     * @memberof Entity#
+     * @type {Vector}
+     */
+    this.scale = new Vector(1, 1);
+
+    /**
+     * Position in the world, which is the same object as `position`
+     * unless this entity has a parent.
+     * @memberof Entity#
+     * @type {Vector}
+     * @readonly
+     */
+    this.worldPosition = this.position;
+    /**
+     * Rotation in the world.
+     * @memberof Entity#
+     * @type {Number}
+     * @readonly
+     */
+    this.worldRotation = 0;
+    /**
+     * Scale in the world, which is the same object as `scale`
+     * unless this entity has a parent.
+     * @memberof Entity#
+     * @type {Vector}
+     * @readonly
+     */
+    this.worldScale = this.scale;
+
+    /**
+     * Whether gfx should be drawn right at current position and
+     * rotation(not interpolated) until next fixed step, which is
+     * set by `teleport`.
+     * @memberof Entity#
+     * @type {Boolean}
+     */
+    this.skipInterpolation = false;
+
+    /**
+     * Parent entity.
+     * @memberof Entity#
+     * @type {Entity}
+     * @readonly
+     */
+    this.parent = null;
+    /**
+     * Child entities.
+     * @memberof Entity#
+     * @type {Array<Entity>}
+     * @readonly
+     */
+    this.children = [];
+
+    /**
+     * Whether this entity is paused, use `pause` and `resume`
+     * to change it. Children of a paused entity are paused too.
+     * @memberof Entity#
+     * @type {Boolean}
+     * @readonly
+     */
+    this.isPaused = false;
+
+    /**
+     * Behaviors attached to this entity, they can also be
+     * passed in as `behaviors` setting(list of type names,
+     * settings with `type` field or instances).
+     * @memberof Entity#
+     * @type {Array<Behavior>}
+     */
+    this.behaviors = [];
+
+    /**
+     * Whether this entity is saved by `Game#serialize`, set to `false`
+     * for ones created by others(i.e. in `ready`).
+     * @memberof Entity#
+     * @type {Boolean}
+     * @default true
+     */
+    this.canSerialize = true;
+    /**
+     * Whether state of this entity is sent to clients by a
+     * `SystemNet` acting as server.
+     * @memberof Entity#
+     * @type {Boolean}
+     * @default false
+     */
+    this.canReplicate = false;
+    /**
+     * ID of the net peer that controls this entity, input of
+     * the peer can be read from `SystemNet#input`.
+     * @memberof Entity#
+     * @type {Number}
+     * @default null
+     */
+    this.owner = null;
+
+    /**
+     * Name of the prefab this entity is spawned from.
+     * @memberof Entity#
+     * @type {String}
+     * @default null
+     */
+    this.prefab = null;
 
     /**
      * Reference to the game this actor is added to.
@@ -99,21 +283,252 @@ class Entity {
   }
 
   /**
-   * Get tag of this Entity
+   * Get the first tag of this Entity, setting it replaces all the tags
    * @type {string}
    */
-  get tag() { return this._tag; }
+  get tag() { return (this.tags.length > 0) ? this.tags[0] : null; }
   set tag(t) {
-    if (this.game) {
+    if (this.game && !this.isRemoved) {
       this.game.changeEntityTag(this, t);
     }
     else {
-      this._tag = t;
+      this.tags.length = 0;
+      if (t) {
+        this.tags.push(t);
+      }
     }
   }
 
   /**
-   * Poolable entity initialization (called immediately after picking from the pool)
+   * Add a tag to this entity.
+   * @memberof Entity#
+   * @param {String} tag Tag to add
+   * @return {Entity} Self for chaining
+   */
+  addTag(tag) {
+    if (this.game && !this.isRemoved) {
+      this.game.addEntityTag(this, tag);
+    }
+    else if (this.tags.indexOf(tag) < 0) {
+      this.tags.push(tag);
+    }
+    return this;
+  }
+  /**
+   * Remove a tag from this entity.
+   * @memberof Entity#
+   * @param {String} tag Tag to remove
+   * @return {Entity} Self for chaining
+   */
+  removeTag(tag) {
+    if (this.game && !this.isRemoved) {
+      this.game.removeEntityTag(this, tag);
+    }
+    else {
+      const idx = this.tags.indexOf(tag);
+      if (idx >= 0) {
+        removeItems(this.tags, idx, 1);
+      }
+    }
+    return this;
+  }
+  /**
+   * Whether this entity has a tag.
+   * @memberof Entity#
+   * @param {String} tag Tag to check
+   * @return {Boolean} Whether it has the tag
+   */
+  hasTag(tag) {
+    return this.tags.indexOf(tag) >= 0;
+  }
+
+  /**
+   * Whether this entity or any of its ancestors is paused.
+   * @memberof Entity#
+   * @type {Boolean}
+   */
+  get isPausedInTree() {
+    let ent = this;
+    while (ent) {
+      if (ent.isPaused) {
+        return true;
+      }
+      ent = ent.parent;
+    }
+    return false;
+  }
+
+  /**
+   * Attach an entity as child.
+   * @memberof Entity#
+   * @param {Entity} child              Entity to attach
+   * @param {Boolean} [keepWorld=false] Keep world transform of the child instead of
+   *                                    treating its current transform as relative one
+   * @return {Entity} Self for chaining
+   */
+  addChild(child, keepWorld = false) {
+    // Loop detection
+    let ent = this;
+    while (ent) {
+      if (ent === child) {
+        console.log('[WARNING]: Cannot add an entity as child of itself or its descendant!');
+        return this;
+      }
+      ent = ent.parent;
+    }
+
+    if (child.parent) {
+      child.parent.removeChild(child);
+    }
+
+    if (keepWorld) {
+      this.updateTransform();
+      this.toLocal(child.position, child.position);
+      child.rotation -= this.worldRotation;
+      child.scale.divide(this.worldScale.x, this.worldScale.y);
+    }
+
+    child.parent = this;
+    this.children.push(child);
+
+    // World transform is no longer the same as local one
+    child.worldPosition = child.position.clone();
+    child.worldScale = child.scale.clone();
+    bindComponents(child);
+
+    this.updateTransform();
+
+    return this;
+  }
+  /**
+   * Detach a child, which keeps its world transform.
+   * @memberof Entity#
+   * @param {Entity} child Entity to detach
+   * @return {Entity} Self for chaining
+   */
+  removeChild(child) {
+    const idx = this.children.indexOf(child);
+    if (idx < 0) {
+      return this;
+    }
+
+    child.updateTransform();
+
+    removeItems(this.children, idx, 1);
+    child.parent = null;
+
+    child.position.copy(child.worldPosition);
+    child.rotation = child.worldRotation;
+    child.scale.copy(child.worldScale);
+
+    child.worldPosition = child.position;
+    child.worldScale = child.scale;
+    bindComponents(child);
+
+    return this;
+  }
+  /**
+   * Update world transform of this entity and its descendants.
+   * It is called by game each update, call it to get the latest
+   * world transform after changing local ones.
+   * @memberof Entity#
+   * @return {Entity} Self for chaining
+   */
+  updateTransform() {
+    const p = this.parent;
+    if (p) {
+      const x = this.position.x * p.worldScale.x;
+      const y = this.position.y * p.worldScale.y;
+      const sin = Math.sin(p.worldRotation), cos = Math.cos(p.worldRotation);
+      this.worldPosition.set(p.worldPosition.x + x * cos - y * sin, p.worldPosition.y + x * sin + y * cos);
+      this.worldRotation = p.worldRotation + this.rotation;
+      this.worldScale.set(p.worldScale.x * this.scale.x, p.worldScale.y * this.scale.y);
+    }
+    else {
+      this.worldRotation = this.rotation;
+    }
+
+    if (this.gfx && (p || this.children.length > 0)) {
+      this.gfx.rotation = this.worldRotation;
+      this.gfx.scale.copy(this.worldScale);
+    }
+
+    for (let i = 0; i < this.children.length; i++) {
+      this.children[i].updateTransform();
+    }
+
+    return this;
+  }
+  /**
+   * Move to a position at once, gfx of this entity and its
+   * descendants will not be interpolated from where they were.
+   * @memberof Entity#
+   * @param {Number} x X coordinate, relative to the parent
+   * @param {Number} y Y coordinate, relative to the parent
+   * @return {Entity} Self for chaining
+   */
+  teleport(x, y) {
+    this.position.set(x, y);
+    this.updateTransform();
+    skipInterpolation(this);
+
+    return this;
+  }
+
+  /**
+   * Convert a point from local space of this entity to the world.
+   * @memberof Entity#
+   * @param {Vector} point  Point in local space
+   * @param {Vector} [out]  Vector to save result to, a new one is created if not provided
+   * @return {Vector} Point in the world
+   */
+  toWorld(point, out) {
+    out = out || new Vector();
+
+    const x = point.x * this.worldScale.x, y = point.y * this.worldScale.y;
+    const sin = Math.sin(this.worldRotation), cos = Math.cos(this.worldRotation);
+
+    return out.set(this.worldPosition.x + x * cos - y * sin, this.worldPosition.y + x * sin + y * cos);
+  }
+  /**
+   * Convert a point from the world to local space of this entity.
+   * @memberof Entity#
+   * @param {Vector} point  Point in the world
+   * @param {Vector} [out]  Vector to save result to, a new one is created if not provided
+   * @return {Vector} Point in local space
+   */
+  toLocal(point, out) {
+    out = out || new Vector();
+
+    const x = point.x - this.worldPosition.x, y = point.y - this.worldPosition.y;
+    const sin = Math.sin(-this.worldRotation), cos = Math.cos(-this.worldRotation);
+
+    return out.set((x * cos - y * sin) / this.worldScale.x, (x * sin + y * cos) / this.worldScale.y);
+  }
+
+  /**
+   * Pause this entity and its descendants, they and their
+   * behaviors will not be updated until resumed.
+   * @memberof Entity#
+   * @return {Entity} Self for chaining
+   */
+  pause() {
+    this.isPaused = true;
+    return this;
+  }
+  /**
+   * Resume this entity from pause.
+   * @memberof Entity#
+   * @return {Entity} Self for chaining
+   */
+  resume() {
+    this.isPaused = false;
+    return this;
+  }
+
+  /**
+   * Poolable entity initialization (called immediately after picking from the pool),
+   * behaviors and tags are cleared and added again from settings(or `ready`).
    * @memberof Entity#
    * @param {Number} x        X coordinate
    * @param {Number} y        Y coordinate
@@ -122,6 +537,20 @@ class Entity {
    * @return {Entity} Entity instance
    */
   init(x, y, layer, settings) {
+    // Hierarchy is left as is when removed with its parent
+    this.parent = null;
+    this.children.length = 0;
+    this.worldPosition = this.position;
+    this.worldScale = this.scale;
+    bindComponents(this);
+
+    // Or they pile up each time this entity is reused
+    for (let i = 0; i < this.behaviors.length; i++) {
+      this.behaviors[i].entity = null;
+    }
+    this.behaviors.length = 0;
+    this.tags.length = 0;
+
     this.position.set(x, y);
     this.layer = layer;
 
@@ -143,9 +572,180 @@ class Entity {
    * @return {Entity} Self for chaining
    */
   setup(settings) {
-    merge(this, settings);
+    if (settings && settings.behaviors) {
+      const behaviors = settings.behaviors;
+      merge(this, Object.assign({}, settings, { behaviors: undefined }));
+
+      for (let i = 0; i < behaviors.length; i++) {
+        this.addBehavior(behaviors[i]);
+      }
+    }
+    else {
+      merge(this, settings);
+    }
+    return this;
+  }
+
+  /**
+   * Attach a behavior to this entity.
+   * @memberof Entity#
+   * @param {Behavior|String|Object} behavior Behavior instance, type name or settings(with `type` field)
+   * @param {Object} [settings]               Settings of the behavior
+   * @return {Behavior} Behavior instance, `undefined` if type not found
+   */
+  addBehavior(behavior, settings) {
+    let inst = behavior;
+    if (!(behavior instanceof Behavior)) {
+      const type = (typeof(behavior) === 'string') ? behavior : behavior.type;
+      const ctor = Behavior.types[type];
+      if (!ctor) {
+        console.log(`[WARNING]: Behavior type "${type}" does not exist!`);
+        return undefined;
+      }
+
+      inst = new ctor();
+      if (typeof(behavior) !== 'string') {
+        inst.setup(behavior);
+      }
+    }
+    if (settings) {
+      inst.setup(settings);
+    }
+
+    inst.entity = this;
+    this.behaviors.push(inst);
+
+    // Already in the game
+    if (this.game && !this.isRemoved) {
+      inst.ready();
+    }
+
+    return inst;
+  }
+  /**
+   * Detach a behavior from this entity.
+   * @memberof Entity#
+   * @param {Behavior|String|Function} behavior Behavior instance, type name or class
+   * @return {Entity} Self for chaining
+   */
+  removeBehavior(behavior) {
+    const inst = (behavior instanceof Behavior) ? behavior : this.getBehavior(behavior);
+    const idx = this.behaviors.indexOf(inst);
+    if (idx >= 0) {
+      removeItems(this.behaviors, idx, 1);
+      if (this.game && !this.isRemoved) {
+        inst.remove();
+      }
+      inst.entity = null;
+    }
+
     return this;
   }
+  /**
+   * Find the first behavior of a type.
+   * @memberof Entity#
+   * @param {String|Function} type Type name or class of the behavior
+   * @return {Behavior} Behavior instance, `undefined` if not found
+   */
+  getBehavior(type) {
+    const ctor = (typeof(type) === 'string') ? Behavior.types[type] : type;
+    if (!ctor) {
+      return undefined;
+    }
+
+    for (let i = 0; i < this.behaviors.length; i++) {
+      if (this.behaviors[i] instanceof ctor) {
+        return this.behaviors[i];
+      }
+    }
+    return undefined;
+  }
+  /**
+   * Find all the behaviors of a type.
+   * @memberof Entity#
+   * @param {String|Function} type Type name or class of the behaviors
+   * @return {Array<Behavior>} Behavior instances
+   */
+  getBehaviors(type) {
+    const ctor = (typeof(type) === 'string') ? Behavior.types[type] : type;
+    if (!ctor) {
+      return [];
+    }
+
+    return this.behaviors.filter((b) => b instanceof ctor);
+  }
+
+  /**
+   * Save state of this entity. Fields that can be saved as JSON,
+   * velocity and force of `coll` and states of behaviors are saved by
+   * default, override it(and `deserialize`) to save more.
+   * @memberof Entity#
+   * @return {Object} Saved state
+   */
+  serialize() {
+    const data = snapshot.saveFields(this, SKIP_KEYS);
+
+    if (this.coll) {
+      data.coll = {
+        velocity: { x: this.coll.velocity.x, y: this.coll.velocity.y },
+        force: { x: this.coll.force.x, y: this.coll.force.y },
+      };
+    }
+
+    data.behaviors = [];
+    for (let i = 0; i < this.behaviors.length; i++) {
+      data.behaviors.push({
+        type: behaviorType(this.behaviors[i]),
+        data: this.behaviors[i].serialize(),
+      });
+    }
+
+    return data;
+  }
+  /**
+   * Restore state saved by `serialize`, called after this entity is
+   * spawned by `Game#restore`. Missing behaviors are created.
+   * @memberof Entity#
+   * @param {Object} data Saved state
+   */
+  deserialize(data) {
+    snapshot.loadFields(this, Object.assign({}, data, { tags: undefined, coll: undefined, behaviors: undefined }));
+
+    // Tag lists of the game should also be updated
+    if (data.tags) {
+      this.tag = null;
+      for (let i = 0; i < data.tags.length; i++) {
+        this.addTag(data.tags[i]);
+      }
+    }
+
+    if (this.coll && data.coll) {
+      this.coll.velocity.copy(data.coll.velocity);
+      this.coll.force.copy(data.coll.force);
+    }
+
+    if (data.behaviors) {
+      let i, b, saved;
+      for (i = 0; i < data.behaviors.length; i++) {
+        saved = data.behaviors[i];
+        b = this.behaviors[i];
+        if (!b || behaviorType(b) !== saved.type) {
+          b = this.addBehavior(saved.type);
+          if (!b) {
+            continue;
+          }
+
+          // Keep the saved order
+          removeItems(this.behaviors, this.behaviors.length - 1, 1);
+          this.behaviors.splice(i, 0, b);
+        }
+        b.deserialize(saved.data);
+      }
+      for (i = this.behaviors.length - 1; i >= data.behaviors.length; i--) {
+        this.removeBehavior(this.behaviors[i]);
+      }
+    }
+  }
 
   /**
    * Will be called after this Entity is added to a game.
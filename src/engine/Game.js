@@ -2,6 +2,28 @@ const core = require('engine/core');
 const EventEmitter = require('engine/EventEmitter');
 const { removeItems } = require('engine/utils/array');
 const Entity = require('engine/Entity');
+const Query = require('engine/Query');
+const prefab = require('engine/prefab');
+const snapshot = require('engine/snapshot');
+const rnd = require('engine/rnd');
+
+/**
+ * Get registered type name of an entity class.
+ * @param  {Function} ctor Entity class
+ * @return {String|undefined} Type name
+ * @private
+ */
+function entityType(ctor) {
+  if (ctor === Entity) {
+    return 'Entity';
+  }
+  for (let k in Entity.types) {
+    if (Entity.types[k] === ctor) {
+      return k;
+    }
+  }
+  return undefined;
+}
 
 /**
  * Game is the main hub for a game. A game made with LesserPanda
@@ -48,10 +70,45 @@ class Game extends EventEmitter {
      */
     this.namedEntities = {};
     /**
-     * Holding all the tagged entities(has `tag` been set).
+     * Holding all the tagged entities(tag -> list of entities).
      * @type {Object}
      */
     this.taggedEntities = {};
+    /**
+     * Queries created by `query`.
+     * @type {Array<Query>}
+     */
+    this.queries = [];
+
+    /**
+     * Whether this game is pushed on top of other games,
+     * set by `core.pushGame`.
+     * @type {Boolean}
+     * @readonly
+     */
+    this.isOverlay = false;
+    /**
+     * Whether games below this overlay keep updating,
+     * set by `core.pushGame`.
+     * @type {Boolean}
+     * @readonly
+     */
+    this.updateBelow = false;
+
+    /**
+     * How far(0 ~ 1) the time goes from the last fixed step to
+     * the next one, used to interpolate states for rendering.
+     * @type {Number}
+     * @readonly
+     */
+    this.alpha = 0;
+
+    /**
+     * Snapshot to apply at the start of next fixed step, see `restore`.
+     * @type {Object}
+     * @private
+     */
+    this.pendingSnapshot = null;
 
     /**
      * Caches update informations
@@ -124,6 +181,9 @@ class Game extends EventEmitter {
       updateInfo.lastCount = updateInfo.count;
     }
 
+    // Time left in the accumulator for interpolation
+    this.alpha = (updateInfo.step > 0) ? Math.min(updateInfo.deltaTime / updateInfo.step, 1) : 0;
+
     // Idle update
     this.update(updateInfo.realDelta, updateInfo.realDelta * 0.001);
   }
@@ -151,13 +211,26 @@ class Game extends EventEmitter {
    * @param {Number} deltaSec Delta time in second
    */
   update(delta, deltaSec) {
-    let i, sys, ent;
+    let i, j, sys, ent, b;
+
+    // Entities may have moved
+    for (i = 0; i < this.queries.length; i++) {
+      this.queries[i].isDirty = true;
+    }
 
     // Update entities
     for (i = 0; i < this.entities.length; i++) {
       ent = this.entities[i];
-      if (!ent.isRemoved && ent.canEverTick) {
-        ent.update(delta, deltaSec);
+      if (!ent.isRemoved && !ent.isPausedInTree) {
+        if (ent.canEverTick) {
+          ent.update(delta, deltaSec);
+        }
+        for (j = 0; j < ent.behaviors.length; j++) {
+          b = ent.behaviors[j];
+          if (!ent.isRemoved && b.isActive) {
+            b.update(delta, deltaSec);
+          }
+        }
       }
 
       if (ent.isRemoved) {
@@ -168,6 +241,9 @@ class Game extends EventEmitter {
       }
     }
 
+    // Children follow their parents
+    this.updateTransforms();
+
     // Update systems
     for (i = 0; i < this.systemOrder.length; i++) {
       sys = this.systemOrder[i];
@@ -185,13 +261,33 @@ class Game extends EventEmitter {
    * @param {Number} deltaSec Delta time in second
    */
   fixedUpdate(delta, deltaSec) {
-    let i, sys, ent;
+    let i, j, sys, ent, b;
+
+    // Restore out of the loops, which may have requested it
+    if (this.pendingSnapshot) {
+      const data = this.pendingSnapshot;
+      this.pendingSnapshot = null;
+      this.applySnapshot(data);
+    }
+
+    // Entities may have moved
+    for (i = 0; i < this.queries.length; i++) {
+      this.queries[i].isDirty = true;
+    }
 
     // Update entities
     for (i = 0; i < this.entities.length; i++) {
       ent = this.entities[i];
-      if (!ent.isRemoved && ent.canFixedTick) {
-        ent.fixedUpdate(delta, deltaSec);
+      if (!ent.isRemoved && !ent.isPausedInTree) {
+        if (ent.canFixedTick) {
+          ent.fixedUpdate(delta, deltaSec);
+        }
+        for (j = 0; j < ent.behaviors.length; j++) {
+          b = ent.behaviors[j];
+          if (!ent.isRemoved && b.isActive) {
+            b.fixedUpdate(delta, deltaSec);
+          }
+        }
       }
 
       if (ent.isRemoved) {
@@ -202,6 +298,9 @@ class Game extends EventEmitter {
       }
     }
 
+    // Children follow their parents
+    this.updateTransforms();
+
     // Update systems
     for (i = 0; i < this.systemOrder.length; i++) {
       sys = this.systemOrder[i];
@@ -211,6 +310,20 @@ class Game extends EventEmitter {
     this.emit('fixedUpdate', delta, deltaSec);
   }
 
+  /**
+   * Render is called every single frame instead of `update`,
+   * while this game is covered by an overlay and not updating.
+   * @method render
+   * @memberof Game#
+   */
+  render() {
+    let i, sys;
+    for (i = 0; i < this.systemOrder.length; i++) {
+      sys = this.systemOrder[i];
+      this.systems[sys] && this.systems[sys].render();
+    }
+  }
+
   /**
    * Freeze is called when this scene is deactivated(switched to another one)
    * @method freeze
@@ -248,6 +361,7 @@ class Game extends EventEmitter {
     this.systemOrder.push(sys.name);
     this[`sys${sys.name}`] = sys;
     sys.game = this;
+    sys.onAdd();
 
     return this;
   }
@@ -285,19 +399,30 @@ class Game extends EventEmitter {
    * Spawn an `Entity` into game world.
    * @method spawnEntity
    * @memberof Game#
-   * @param  {Class} type       Entity class
-   * @param  {Number} x         X coordinate
-   * @param  {Number} y         Y coordinate
-   * @param  {String} layer     Name of the layer to added to
-   * @param  {Object} settings  Instance settings
-   * @return {Entity}           Entity instance
+   * @param  {Class|String} type  Entity class, registered type name or prefab name
+   * @param  {Number} x           X coordinate
+   * @param  {Number} y           Y coordinate
+   * @param  {String} layer       Name of the layer to added to
+   * @param  {Object} settings    Instance settings
+   * @return {Entity}             Entity instance
    */
   spawnEntity(type, x, y, layer, settings) {
-    let ctor = type;
+    let ctor = type, pre;
     if (typeof(type) === 'string') {
-      ctor = Entity.types[type];
+      // Prefabs take priority over types of the same name
+      pre = prefab.get(type);
+      if (pre) {
+        ctor = Entity.types[pre.type] || ((pre.type === 'Entity') ? Entity : undefined);
+        settings = Object.assign({}, pre.settings, settings, {
+          behaviors: pre.behaviors.concat((settings && settings.behaviors) || []),
+        });
+      }
+      else {
+        ctor = Entity.types[type];
+      }
+
       if (!ctor) {
-        console.log(`[WARNING]: Entity type "${type}" does not exist!`);
+        console.log(`[WARNING]: Entity type "${pre ? pre.type : type}" does not exist!`);
         return undefined;
       }
     }
@@ -305,14 +430,19 @@ class Game extends EventEmitter {
     // Create entity instance
     let ent;
     if (ctor.canBePooled) {
-      ent = ctor.create(x, y, settings);
+      ent = ctor.create(x, y, layer, settings);
     }
     else {
       ent = new ctor(x, y, settings);
-      ent.CTOR = ctor;
+    }
+    ent.CTOR = ctor;
+    ent.prefab = pre ? type : null;
+    if (pre) {
+      prefab.build(ent, pre);
     }
     ent.layer = layer;
     ent.game = this;
+    ent.isRemoved = false;
 
     // Add to list
     this.entities.push(ent);
@@ -322,21 +452,28 @@ class Game extends EventEmitter {
       this.namedEntities[ent.name] = ent;
     }
 
-    // Add to tag list
-    if (ent._tag) {
-      if (!this.taggedEntities.hasOwnProperty(ent._tag)) {
-        this.taggedEntities[ent._tag] = [];
-      }
-      this.taggedEntities[ent._tag].push(ent);
+    // Add to tag lists
+    let i, sys;
+    for (i = 0; i < ent.tags.length; i++) {
+      this.addToTagList(ent, ent.tags[i]);
+    }
+
+    // Update queries
+    for (i = 0; i < this.queries.length; i++) {
+      this.queries[i].check(ent);
     }
 
     // Notify systems
-    let i, sys;
     for (i = 0; i < this.systemOrder.length; i++) {
       sys = this.systemOrder[i];
       this.systems[sys] && this.systems[sys].onEntitySpawn(ent);
     }
 
+    // Behaviors are ready before the entity
+    for (i = 0; i < ent.behaviors.length; i++) {
+      ent.behaviors[i].ready();
+    }
+
     // Entity is ready to rock :D
     ent.ready();
 
@@ -348,61 +485,171 @@ class Game extends EventEmitter {
    * @param  {Entity} ent Entity instance
    */
   removeEntity(ent) {
+    if (ent.isRemoved) {
+      return;
+    }
+
     // Mark as removed
     ent.isRemoved = true;
 
+    // Detach from the parent unless it is removed too
+    if (ent.parent && !ent.parent.isRemoved) {
+      ent.parent.removeChild(ent);
+    }
+
     // Remove from name list
     if (ent.name) {
       delete this.namedEntities[ent.name];
     }
 
-    // Remove from tag list
-    if (ent._tag && this.taggedEntities.hasOwnProperty(ent._tag)) {
-      let idx = this.taggedEntities[ent._tag].indexOf(ent);
+    // Remove from tag lists
+    let i, sys;
+    for (i = 0; i < ent.tags.length; i++) {
+      this.removeFromTagList(ent, ent.tags[i]);
+    }
+
+    // Notify behaviors
+    for (i = 0; i < ent.behaviors.length; i++) {
+      ent.behaviors[i].remove();
+    }
 
-      if (idx !== -1) {
-        removeItems(this.taggedEntities[ent._tag], idx, 1);
-      }
+    // Update queries
+    for (i = 0; i < this.queries.length; i++) {
+      this.queries[i].check(ent);
     }
 
     // Notify systems
-    let i, sys;
     for (i = 0; i < this.systemOrder.length; i++) {
       sys = this.systemOrder[i];
       this.systems[sys] && this.systems[sys].onEntityRemove(ent);
     }
+
+    // Children are removed with their parent
+    for (i = 0; i < ent.children.length; i++) {
+      this.removeEntity(ent.children[i]);
+    }
   }
   /**
-   * Change tag of an entity instance
+   * Update world transforms of entities in hierarchies.
+   * @memberof Game#
+   * @private
+   */
+  updateTransforms() {
+    let i, ent;
+    for (i = 0; i < this.entities.length; i++) {
+      ent = this.entities[i];
+      if (!ent.parent && ent.children.length > 0) {
+        ent.updateTransform();
+      }
+    }
+  }
+  /**
+   * Replace all the tags of an entity instance with one tag.
    * @memberof Game#
    * @param  {Entity} ent Entity instance
-   * @param {String} tag  Tag to change to
+   * @param {String} tag  Tag to change to, `null` to remove all tags
    */
   changeEntityTag(ent, tag) {
-    // Remove from tag list
-    if (ent._tag && this.taggedEntities.hasOwnProperty(tag)) {
-      let idx = this.taggedEntities[tag].indexOf(ent);
-
-      if (idx !== -1) {
-        removeItems(this.taggedEntities[tag], idx, 1);
+    const tags = ent.tags.slice();
+    for (let i = 0; i < tags.length; i++) {
+      if (tags[i] !== tag) {
+        this.removeEntityTag(ent, tags[i]);
       }
     }
 
-    // Add to new tag group
-    if (!this.taggedEntities.hasOwnProperty(tag)) {
-      this.taggedEntities[tag] = [];
+    if (tag) {
+      this.addEntityTag(ent, tag);
+    }
+  }
+  /**
+   * Add a tag to an entity instance.
+   * @memberof Game#
+   * @param  {Entity} ent Entity instance
+   * @param {String} tag  Tag to add
+   */
+  addEntityTag(ent, tag) {
+    if (ent.tags.indexOf(tag) >= 0) {
+      return;
     }
-    this.taggedEntities[tag].push(ent);
 
-    // Notify systems
-    let i, sys;
-    for (i = 0; i < this.systemOrder.length; i++) {
-      sys = this.systemOrder[i];
-      this.systems[sys] && this.systems[sys].onEntityTagChange(ent, tag);
+    ent.tags.push(tag);
+    this.addToTagList(ent, tag);
+
+    this.onEntityTagChange(ent, tag);
+  }
+  /**
+   * Remove a tag from an entity instance.
+   * @memberof Game#
+   * @param  {Entity} ent Entity instance
+   * @param {String} tag  Tag to remove
+   */
+  removeEntityTag(ent, tag) {
+    const idx = ent.tags.indexOf(tag);
+    if (idx < 0) {
+      return;
     }
 
-    // Change entity tag value
-    ent._tag = tag;
+    removeItems(ent.tags, idx, 1);
+    this.removeFromTagList(ent, tag);
+
+    this.onEntityTagChange(ent, tag);
+  }
+  /**
+   * Re-check an entity against queries, call it after
+   * `gfx` or `coll` of a spawned entity is changed.
+   * @memberof Game#
+   * @param  {Entity} ent Entity instance
+   */
+  refreshEntity(ent) {
+    for (let i = 0; i < this.queries.length; i++) {
+      this.queries[i].check(ent);
+    }
+  }
+  /**
+   * Get a live set of entities matching the conditions. Queries
+   * of the same conditions are shared.
+   *
+   * @example
+   * const enemies = this.query({ tags: ['enemy'], hasColl: true });
+   * enemies.on('remove', () => {
+   *   if (enemies.entities.length === 0) {
+   *     this.emit('clear');
+   *   }
+   * });
+   *
+   * @memberof Game#
+   * @param  {Object} params Conditions(`tags`, `hasGfx`, `hasColl` and `within`), see `Query`
+   * @return {Query} Query instance
+   */
+  query(params) {
+    let i, q;
+    for (i = 0; i < this.queries.length; i++) {
+      if (this.queries[i].equals(params)) {
+        return this.queries[i];
+      }
+    }
+
+    q = new Query(this, params);
+    for (i = 0; i < this.entities.length; i++) {
+      q.check(this.entities[i]);
+    }
+    this.queries.push(q);
+
+    return q;
+  }
+  /**
+   * Find an entity by its ID.
+   * @memberof Game#
+   * @param  {Number} id ID of the entity
+   * @return {Entity} Entity with the ID
+   */
+  getEntityById(id) {
+    for (let i = 0; i < this.entities.length; i++) {
+      if (this.entities[i].id === id && !this.entities[i].isRemoved) {
+        return this.entities[i];
+      }
+    }
+    return undefined;
   }
   /**
    * Find an entity with specific name.
@@ -426,6 +673,224 @@ class Game extends EventEmitter {
     return null;
   }
 
+  /**
+   * Save state of this game, including entities(spawned from
+   * prefabs or registered types, see `Entity#serialize`), systems
+   * (`SystemTimer` and `SystemAnime` are supported) and `rnd`.
+   * The result can be saved as JSON.
+   *
+   * @example <caption>Save anywhere</caption>
+   * const { persistent } = require('engine/storage');
+   *
+   * persistent.addString('save', '');
+   * persistent.set('save', JSON.stringify(this.serialize())).save();
+   *
+   * // Later
+   * this.restore(JSON.parse(persistent.get('save')));
+   *
+   * @memberof Game#
+   * @return {Object} Snapshot
+   */
+  serialize() {
+    const data = {
+      version: snapshot.VERSION,
+      rnd: rnd.state(),
+      nextId: Entity.nextId,
+      entities: [],
+      systems: {},
+    };
+
+    let i, ent, sys, saved;
+    for (i = 0; i < this.entities.length; i++) {
+      ent = this.entities[i];
+      if (ent.isRemoved || !ent.canSerialize) {
+        continue;
+      }
+
+      saved = this.saveEntity(ent);
+      if (saved) {
+        data.entities.push(saved);
+      }
+    }
+
+    for (i = 0; i < this.systemOrder.length; i++) {
+      sys = this.systems[this.systemOrder[i]];
+      saved = sys && sys.serialize();
+      if (saved !== undefined) {
+        data.systems[sys.name] = saved;
+      }
+    }
+
+    return data;
+  }
+  /**
+   * Restore state saved by `serialize`. All the current entities
+   * are removed, then saved ones are spawned(with the same IDs),
+   * attached to their parents and deserialized.
+   *
+   * The snapshot is applied at the start of next fixed step instead
+   * of right now, so it is safe to call from callbacks of entities,
+   * behaviors and timers. Only the last one is applied if called
+   * more than once before that.
+   * @memberof Game#
+   * @param {Object} data Snapshot
+   */
+  restore(data) {
+    if (data.version !== snapshot.VERSION) {
+      console.log(`[WARNING]: Snapshot version ${data.version} is not supported!`);
+      return;
+    }
+
+    this.pendingSnapshot = data;
+  }
+  /**
+   * Apply a snapshot queued by `restore`.
+   * @memberof Game#
+   * @param {Object} data Snapshot
+   * @private
+   */
+  applySnapshot(data) {
+    let i, ent, saved;
+
+    // Clear current entities
+    for (i = 0; i < this.entities.length; i++) {
+      this.removeEntity(this.entities[i]);
+    }
+    for (i = 0; i < this.entities.length; i++) {
+      ent = this.entities[i];
+      if (ent.CTOR.canBePooled) {
+        ent.CTOR.recycle(ent);
+      }
+    }
+    this.entities.length = 0;
+
+    // Spawn
+    const spawned = [];
+    for (i = 0; i < data.entities.length; i++) {
+      ent = this.spawnSaved(data.entities[i]);
+      if (ent) {
+        ent.id = data.entities[i].id;
+      }
+      spawned.push(ent);
+    }
+
+    // Restore states and hierarchies
+    for (i = 0; i < spawned.length; i++) {
+      if (spawned[i]) {
+        spawned[i].deserialize(data.entities[i].data);
+        // Do not interpolate from where it is spawned
+        spawned[i].skipInterpolation = true;
+      }
+    }
+    for (i = 0; i < spawned.length; i++) {
+      ent = (data.entities[i].parent !== null) && this.getEntityById(data.entities[i].parent);
+      if (spawned[i] && ent) {
+        ent.addChild(spawned[i]);
+      }
+    }
+    this.updateTransforms();
+
+    // Systems
+    for (i = 0; i < this.systemOrder.length; i++) {
+      saved = data.systems[this.systemOrder[i]];
+      if (saved !== undefined && this.systems[this.systemOrder[i]]) {
+        this.systems[this.systemOrder[i]].deserialize(saved);
+      }
+    }
+
+    Entity.nextId = data.nextId;
+    rnd.state(data.rnd);
+  }
+  /**
+   * Save an entity along with how to spawn it again, used by
+   * `serialize` and `SystemNet`.
+   * @memberof Game#
+   * @param {Entity} ent Entity to save
+   * @return {Object|undefined} Saved entity, `undefined` if its type is not registered
+   */
+  saveEntity(ent) {
+    const type = ent.prefab || entityType(ent.CTOR);
+    if (!type) {
+      console.log(`[WARNING]: Entity ${ent.id} is not of a registered type and cannot be saved!`);
+      return undefined;
+    }
+
+    return {
+      id: ent.id,
+      type: type,
+      isPrefab: !!ent.prefab,
+      layer: ent.layer,
+      parent: ent.parent ? ent.parent.id : null,
+      data: ent.serialize(),
+    };
+  }
+  /**
+   * Spawn an entity saved by `saveEntity`, at its saved position.
+   * Its state is not applied, call `deserialize` of the returned
+   * entity to do so.
+   * @memberof Game#
+   * @param {Object} saved Saved entity
+   * @return {Entity|null} Spawned entity, `null` if its type does not exist
+   */
+  spawnSaved(saved) {
+    const ctor = saved.isPrefab ? saved.type : (Entity.types[saved.type] || ((saved.type === 'Entity') ? Entity : undefined));
+    if (!ctor) {
+      console.log(`[WARNING]: Entity type "${saved.type}" does not exist!`);
+      return null;
+    }
+
+    return this.spawnEntity(ctor, saved.data.position.x, saved.data.position.y, saved.layer, {
+      name: saved.data.name,
+    });
+  }
+
+  /**
+   * Add an entity to the list of a tag.
+   * @memberof Game#
+   * @param {Entity} ent Entity instance
+   * @param {String} tag Tag
+   * @private
+   */
+  addToTagList(ent, tag) {
+    if (!this.taggedEntities.hasOwnProperty(tag)) {
+      this.taggedEntities[tag] = [];
+    }
+    this.taggedEntities[tag].push(ent);
+  }
+  /**
+   * Remove an entity from the list of a tag.
+   * @memberof Game#
+   * @param {Entity} ent Entity instance
+   * @param {String} tag Tag
+   * @private
+   */
+  removeFromTagList(ent, tag) {
+    if (this.taggedEntities.hasOwnProperty(tag)) {
+      const idx = this.taggedEntities[tag].indexOf(ent);
+      if (idx !== -1) {
+        removeItems(this.taggedEntities[tag], idx, 1);
+      }
+    }
+  }
+  /**
+   * Update queries and notify systems of a tag change.
+   * @memberof Game#
+   * @param {Entity} ent Entity instance
+   * @param {String} tag Tag added or removed
+   * @private
+   */
+  onEntityTagChange(ent, tag) {
+    let i, sys;
+    for (i = 0; i < this.queries.length; i++) {
+      this.queries[i].check(ent);
+    }
+
+    for (i = 0; i < this.systemOrder.length; i++) {
+      sys = this.systemOrder[i];
+      this.systems[sys] && this.systems[sys].onEntityTagChange(ent, tag);
+    }
+  }
+
   /**
    * Resize callback.
    * @method resize
@@ -0,0 +1,201 @@
+const EventEmitter = require('engine/EventEmitter');
+const { removeItems } = require('engine/utils/array');
+
+/**
+ * Whether a list contains the same items as another one.
+ * @param  {Array} a List to compare
+ * @param  {Array} b List to compare
+ * @return {Boolean} Whether they are the same
+ * @private
+ */
+function sameItems(a, b) {
+  if (a.length !== b.length) {
+    return false;
+  }
+  for (let i = 0; i < a.length; i++) {
+    if (b.indexOf(a[i]) < 0) {
+      return false;
+    }
+  }
+  return true;
+}
+
+/**
+ * Live set of entities matching some conditions, created by
+ * `Game#query`. Entities get in and out of the set on spawn, remove
+ * and tag change, `add` and `remove` events are emitted then.
+ *
+ * Components(`gfx` and `coll`) are checked when entities are spawned
+ * or their tags change, call `Game#refreshEntity` after adding or
+ * removing components of spawned entities.
+ *
+ * Spatial condition(`within`) is tested against world positions of
+ * entities while reading `entities`, at most once each update. It does
+ * not affect the events, which are only about other conditions.
+ *
+ * @example
+ * // Enemies inside a region, results follow the rect since next update
+ * const region = { x: 0, y: 0, width: 320, height: 200 };
+ * const onScreen = this.query({ tags: ['enemy'], hasGfx: true, within: region });
+ * onScreen.on('add', (ent) => console.log(`enemy ${ent.id} is spawned`));
+ *
+ * for (const ent of onScreen.entities) {
+ *   ent.gfx.tint = 0xff0000;
+ * }
+ *
+ * @class Query
+ * @extends {EventEmitter}
+ *
+ * @emits add
+ * @emits remove
+ */
+class Query extends EventEmitter {
+  /**
+   * @constructor
+   * @param {Game} game       Game to query from
+   * @param {Object} [params] Conditions
+   * @param {Array<String>} [params.tags]   Tags that entities should all have
+   * @param {Boolean} [params.hasGfx]       Whether entities should have(`true`) or not have(`false`) `gfx`
+   * @param {Boolean} [params.hasColl]      Whether entities should have(`true`) or not have(`false`) `coll`
+   * @param {Object} [params.within]        Rectangle(`x`, `y`, `width` and `height`) entity world positions should be inside
+   */
+  constructor(game, params = {}) {
+    super();
+
+    /**
+     * Game to query from.
+     * @type {Game}
+     */
+    this.game = game;
+
+    /**
+     * Tags that entities should all have.
+     * @type {Array<String>}
+     * @readonly
+     */
+    this.tags = (params.tags || []).slice();
+    /**
+     * Whether entities should have `gfx`, `undefined` to ignore.
+     * @type {Boolean}
+     * @readonly
+     */
+    this.hasGfx = params.hasGfx;
+    /**
+     * Whether entities should have `coll`, `undefined` to ignore.
+     * @type {Boolean}
+     * @readonly
+     */
+    this.hasColl = params.hasColl;
+    /**
+     * Rectangle entity world positions should be inside, it can be
+     * changed and results will follow.
+     * @type {Object}
+     */
+    this.within = params.within || null;
+
+    /**
+     * Entities match all but the spatial condition.
+     * @type {Array<Entity>}
+     * @private
+     */
+    this.matches = [];
+    /**
+     * Entities inside the rectangle.
+     * @type {Array<Entity>}
+     * @private
+     */
+    this.inside = [];
+    /**
+     * Whether `inside` should be refreshed.
+     * @type {Boolean}
+     * @private
+     */
+    this.isDirty = true;
+  }
+
+  /**
+   * Matched entities, DO NOT modify it.
+   * @memberof Query#
+   * @type {Array<Entity>}
+   */
+  get entities() {
+    if (!this.within) {
+      return this.matches;
+    }
+
+    if (this.isDirty) {
+      this.isDirty = false;
+
+      const rect = this.within;
+      let i, ent, pos;
+      this.inside.length = 0;
+      for (i = 0; i < this.matches.length; i++) {
+        ent = this.matches[i];
+        pos = ent.worldPosition;
+        if (pos.x >= rect.x && pos.x <= rect.x + rect.width && pos.y >= rect.y && pos.y <= rect.y + rect.height) {
+          this.inside.push(ent);
+        }
+      }
+    }
+
+    return this.inside;
+  }
+
+  /**
+   * Test an entity against all but the spatial condition.
+   * @memberof Query#
+   * @param  {Entity} ent Entity to test
+   * @return {Boolean} Whether the entity matches
+   */
+  test(ent) {
+    if (this.hasGfx !== undefined && !!ent.gfx !== this.hasGfx) {
+      return false;
+    }
+    if (this.hasColl !== undefined && !!ent.coll !== this.hasColl) {
+      return false;
+    }
+    for (let i = 0; i < this.tags.length; i++) {
+      if (ent.tags.indexOf(this.tags[i]) < 0) {
+        return false;
+      }
+    }
+    return true;
+  }
+
+  /**
+   * Whether this query has the same conditions.
+   * @memberof Query#
+   * @param  {Object} params Conditions
+   * @return {Boolean} Whether conditions are the same
+   */
+  equals(params) {
+    return this.hasGfx === params.hasGfx &&
+      this.hasColl === params.hasColl &&
+      this.within === (params.within || null) &&
+      sameItems(this.tags, params.tags || []);
+  }
+
+  /**
+   * Add or remove an entity based on its current state.
+   * @memberof Query#
+   * @param {Entity} ent Entity to check
+   * @private
+   */
+  check(ent) {
+    const idx = this.matches.indexOf(ent);
+    if (!ent.isRemoved && this.test(ent)) {
+      if (idx < 0) {
+        this.matches.push(ent);
+        this.isDirty = true;
+        this.emit('add', ent);
+      }
+    }
+    else if (idx >= 0) {
+      removeItems(this.matches, idx, 1);
+      this.isDirty = true;
+      this.emit('remove', ent);
+    }
+  }
+}
+
+module.exports = Query;
@@ -0,0 +1,168 @@
+/**
+ * Records snapshots of a game into a ring buffer, so that it can
+ * be rewound to earlier states.
+ *
+ * @example
+ * const Rewind = require('engine/Rewind');
+ *
+ * // Keep 5 seconds of history(one snapshot each 6 fixed steps at 60fps)
+ * this.rewind = new Rewind(this, 50, 6).start();
+ *
+ * // Go back one second
+ * this.rewind.rewind(10);
+ *
+ * @class Rewind
+ */
+class Rewind {
+  /**
+   * @constructor
+   * @param {Game} game             Game to record
+   * @param {Number} [capacity=300] Max number of snapshots to keep
+   * @param {Number} [interval=1]   Fixed steps between snapshots
+   */
+  constructor(game, capacity = 300, interval = 1) {
+    /**
+     * Game to record.
+     * @type {Game}
+     */
+    this.game = game;
+
+    /**
+     * Max number of snapshots to keep.
+     * @type {Number}
+     * @readonly
+     */
+    this.capacity = capacity;
+
+    /**
+     * Fixed steps between snapshots.
+     * @type {Number}
+     */
+    this.interval = interval;
+
+    /**
+     * Whether it is recording.
+     * @type {Boolean}
+     */
+    this.isRecording = false;
+
+    /**
+     * Number of snapshots kept.
+     * @type {Number}
+     * @readonly
+     */
+    this.length = 0;
+
+    /**
+     * @type {Array<Object>}
+     * @private
+     */
+    this.buffer = new Array(capacity);
+    /**
+     * Index of the latest snapshot.
+     * @type {Number}
+     * @private
+     */
+    this.head = -1;
+    /**
+     * Steps since last snapshot.
+     * @type {Number}
+     * @private
+     */
+    this.steps = 0;
+  }
+
+  /**
+   * Start recording each fixed step.
+   * @memberof Rewind#
+   * @return {Rewind} Self for chaining
+   */
+  start() {
+    if (!this.isRecording) {
+      this.isRecording = true;
+      this.steps = 0;
+      this.game.on('fixedUpdate', this.step, this);
+    }
+    return this;
+  }
+  /**
+   * Stop recording.
+   * @memberof Rewind#
+   * @return {Rewind} Self for chaining
+   */
+  stop() {
+    if (this.isRecording) {
+      this.isRecording = false;
+      this.game.off('fixedUpdate', this.step, this);
+    }
+    return this;
+  }
+
+  /**
+   * Take a snapshot now.
+   * @memberof Rewind#
+   * @return {Rewind} Self for chaining
+   */
+  record() {
+    this.head = (this.head + 1) % this.capacity;
+    this.buffer[this.head] = this.game.serialize();
+    this.length = Math.min(this.length + 1, this.capacity);
+
+    return this;
+  }
+  /**
+   * Go back to an earlier snapshot, newer ones are dropped.
+   * The snapshot is applied at the start of next fixed step(see `Game#restore`).
+   * @memberof Rewind#
+   * @param {Number} [count=1] How many snapshots to go back, the oldest one is used if not enough
+   * @return {Boolean} Whether rewound
+   */
+  rewind(count = 1) {
+    if (this.length === 0) {
+      return false;
+    }
+
+    count = Math.min(count, this.length - 1);
+
+    this.head = (this.head - count + this.capacity) % this.capacity;
+    this.length -= count;
+    this.steps = 0;
+
+    this.game.restore(this.buffer[this.head]);
+
+    return true;
+  }
+  /**
+   * Drop all the snapshots.
+   * @memberof Rewind#
+   * @return {Rewind} Self for chaining
+   */
+  clear() {
+    this.buffer.fill(undefined);
+    this.head = -1;
+    this.length = 0;
+    this.steps = 0;
+
+    return this;
+  }
+
+  /**
+   * Fixed update callback.
+   * @memberof Rewind#
+   * @private
+   */
+  step() {
+    // State of this step is dropped by a pending restore
+    if (this.game.pendingSnapshot) {
+      return;
+    }
+
+    this.steps += 1;
+    if (this.steps >= this.interval) {
+      this.steps = 0;
+      this.record();
+    }
+  }
+}
+
+module.exports = Rewind;
@@ -22,6 +22,12 @@ class System {
     this.game = null;
   }
 
+  /**
+   * Callback that will be invoked when this system is added to a game,
+   * `game` is available from now on(i.e. to create queries).
+   * @method onAdd
+   */
+  onAdd() {}
   /**
    * Callback that will be invoked when owner game is awake.
    * @method awake
@@ -42,12 +48,33 @@ class System {
    * @param {Number} dtSec  Delta time in second
    */
   fixedUpdate(dt, dtSec) {} /* eslint no-unused-vars:0 */
+  /**
+   * Callback that will be invoked each idle frame while owner game
+   * is covered by an overlay and not updating.
+   * @method render
+   */
+  render() {}
   /**
    * Callback that will be invoked when owner game is freeze.
    * @method freeze
    */
   freeze() {}
 
+  /**
+   * Save state of this system for `Game#serialize`.
+   * @method serialize
+   * @return {Object|undefined} Saved state, `undefined` if nothing to save
+   */
+  serialize() {
+    return undefined;
+  }
+  /**
+   * Restore state saved by `serialize`, called after entities are restored.
+   * @method deserialize
+   * @param {Object} data Saved state
+   */
+  deserialize(data) {} /* eslint no-unused-vars:0 */
+
   /**
    * Callback that will be invoked on each entity spawn.
    * @method onEntitySpawn
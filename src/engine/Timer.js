@@ -1,5 +1,6 @@
 const System = require('engine/system');
 const { removeItems } = require('engine/utils/array');
+const snapshot = require('engine/snapshot');
 
 /**
  * @class Timer
@@ -354,6 +355,89 @@ class SystemTimer extends System {
 
     return this;
   }
+
+  /**
+   * Save timers, callbacks should be methods of the game, its
+   * systems, entities or behaviors. Otherwise the timer is skipped.
+   * @memberof Timer
+   * @method serialize
+   * @return {Object} Saved state
+   */
+  serialize() {
+    const data = {
+      now: this.now,
+      activeTags: this.activeTags.slice(),
+      deactiveTags: this.deactiveTags.slice(),
+      timers: {},
+    };
+
+    let i, key, timer, callback;
+    for (key in this.timers) {
+      data.timers[key] = [];
+      for (i = 0; i < this.timers[key].length; i++) {
+        timer = this.timers[key][i];
+        if (timer.removed) {
+          continue;
+        }
+
+        callback = snapshot.saveCallback(this.game, timer.callback, timer.callbackCtx);
+        if (callback === undefined) {
+          console.log('[WARNING]: Timer with a callback that is not a method cannot be saved!');
+          continue;
+        }
+
+        data.timers[key].push({
+          duration: timer.duration,
+          count: timer._count,
+          repeat: timer.repeat,
+          paused: !!timer.paused,
+          callback: callback,
+        });
+      }
+    }
+
+    return data;
+  }
+  /**
+   * Restore timers saved by `serialize`, existing ones are removed.
+   * @memberof Timer
+   * @method deserialize
+   * @param {Object} data Saved state
+   */
+  deserialize(data) {
+    let i, key, timers, timer, saved, callback;
+    for (key in this.timers) {
+      timers = this.timers[key];
+      for (i = 0; i < timers.length; i++) {
+        recycleTimer(timers[i]);
+      }
+      timers.length = 0;
+    }
+
+    this.now = data.now;
+    this.activeTags = data.activeTags.slice();
+    this.deactiveTags = data.deactiveTags.slice();
+
+    for (key in data.timers) {
+      if (!this.timers[key]) {
+        this.timers[key] = [];
+      }
+
+      for (i = 0; i < data.timers[key].length; i++) {
+        saved = data.timers[key][i];
+        callback = snapshot.loadCallback(this.game, saved.callback);
+
+        timer = createTimer(saved.duration);
+        timer._count = saved.count;
+        timer.repeat = saved.repeat;
+        timer.paused = saved.paused;
+        timer.callback = callback[0];
+        timer.callbackCtx = callback[1];
+
+        this.timers[key].push(timer);
+      }
+    }
+  }
 }
 
 module.exports = SystemTimer;
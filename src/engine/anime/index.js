@@ -13,6 +13,7 @@
  */
 const System = require('engine/system');
 const { removeItems } = require('engine/utils/array');
+const snapshot = require('engine/snapshot');
 
 const Tween = require('./tween');
 const { ActionPlayer } = require('./action');
@@ -161,6 +162,79 @@ class SystemAnime extends System {
 
     return player;
   }
+
+  /**
+   * Save tweens, action players are not saved.
+   * @memberof SystemAnime#
+   * @method serialize
+   * @return {Object} Saved state
+   */
+  serialize() {
+    const data = {
+      activeTags: this.activeTags.slice(),
+      deactiveTags: this.deactiveTags.slice(),
+      tweens: {},
+    };
+
+    let i, key, t, saved;
+    for (key in this.anims) {
+      data.tweens[key] = [];
+      for (i = 0; i < this.anims[key].length; i++) {
+        t = this.anims[key][i];
+        if (t.isRemoved || !(t instanceof Tween)) {
+          continue;
+        }
+
+        saved = t.serialize(this.game);
+        if (!saved) {
+          console.log('[WARNING]: Tween of an unknown context or with custom easing cannot be saved!');
+          continue;
+        }
+        data.tweens[key].push(saved);
+      }
+    }
+
+    return data;
+  }
+  /**
+   * Restore tweens saved by `serialize`, existing animations are removed.
+   * @memberof SystemAnime#
+   * @method deserialize
+   * @param {Object} data Saved state
+   */
+  deserialize(data) {
+    let i, key, anims, t, context;
+    for (key in this.anims) {
+      anims = this.anims[key];
+      for (i = 0; i < anims.length; i++) {
+        if (anims[i] instanceof Tween) {
+          anims[i].stop();
+          anims[i].recycle();
+        }
+      }
+      anims.length = 0;
+    }
+
+    this.activeTags = data.activeTags.slice();
+    this.deactiveTags = data.deactiveTags.slice();
+
+    for (key in data.tweens) {
+      if (!this.anims[key]) {
+        this.anims[key] = [];
+      }
+
+      for (i = 0; i < data.tweens[key].length; i++) {
+        context = snapshot.fromRef(this.game, data.tweens[key][i].context);
+        if (!context) {
+          continue;
+        }
+
+        t = Tween.create(context);
+        t.deserialize(data.tweens[key][i]);
+        this.anims[key].push(t);
+      }
+    }
+  }
 }
 
 module.exports = SystemAnime;
@@ -1,4 +1,5 @@
 const EventEmitter = require('engine/EventEmitter');
+const snapshot = require('engine/snapshot');
 
 const { getTargetAndKey } = require('./utils');
 const { Easing, Interpolation } = require('./easing');
@@ -14,6 +15,38 @@ const ACTION_TYPES = {
   ANIMATE: 2,
 };
 
+/**
+ * Find name of an easing function(i.e. 'Quadratic.InOut').
+ * @param  {Function} fn Easing function
+ * @return {String|undefined} Name of the function
+ * @private
+ */
+function easingName(fn) {
+  let group, type;
+  for (group in Easing) {
+    for (type in Easing[group]) {
+      if (Easing[group][type] === fn) {
+        return `${group}.${type}`;
+      }
+    }
+  }
+  return undefined;
+}
+/**
+ * Find name of an interpolation function.
+ * @param  {Function} fn Interpolation function
+ * @return {String|undefined} Name of the function
+ * @private
+ */
+function interpolationName(fn) {
+  for (let k in Interpolation) {
+    if (Interpolation[k] === fn) {
+      return k;
+    }
+  }
+  return undefined;
+}
+
 // TODO: better easing support (https://github.com/rezoner/ease)
 
 /**
@@ -162,7 +195,8 @@ class Tween extends EventEmitter {
       pair = getTargetAndKey(this.context, keys[i]);
       props.push(pair[0], pair[1], properties[keys[i]]);
     }
-    this.actions.push([props, duration, easingFn, interpolationFn]);
+    // Original properties are kept for serialization
+    this.actions.push([props, duration, easingFn, interpolationFn, properties]);
 
     return this;
   }
@@ -225,6 +259,98 @@ class Tween extends EventEmitter {
     return this;
   }
 
+  /**
+   * Save state of this tween. Listeners are not saved, and context of
+   * it should be the game, a system, an entity, property of an entity
+   * or a behavior.
+   * @memberof Tween#
+   * @method serialize
+   * @param  {Game} game Game this tween belongs to
+   * @return {Object|undefined} Saved state, `undefined` if not able to
+   */
+  serialize(game) {
+    const context = snapshot.toRef(game, this.context);
+    if (!context) {
+      return undefined;
+    }
+
+    const actions = [];
+    let i, action, easing, interpolation;
+    for (i = 0; i < this.actions.length; i++) {
+      action = this.actions[i];
+      if (action[0] === ACTION_TYPES.REPEAT) {
+        actions.push(['repeat', action[1], action.counter || 0]);
+      }
+      else if (action[0] === ACTION_TYPES.WAIT) {
+        actions.push(['wait', action[1]]);
+      }
+      else {
+        easing = easingName(action[2]);
+        interpolation = interpolationName(action[3]);
+        if (!easing || !interpolation) {
+          return undefined;
+        }
+        actions.push(['to', action[4], action[1], easing, interpolation]);
+      }
+    }
+
+    return {
+      context: context,
+      actions: actions,
+      index: this.index,
+      isStarted: !!this.current,
+      delta: this.delta,
+      progress: this.progress,
+      isPaused: this.isPaused,
+      before: (this.currentAction === ACTION_TYPES.ANIMATE) ? this.before.slice() : null,
+      change: (this.currentAction === ACTION_TYPES.ANIMATE) ? this.change.slice() : null,
+    };
+  }
+  /**
+   * Restore state saved by `serialize`, context should already be set.
+   * @memberof Tween#
+   * @method deserialize
+   * @param {Object} data Saved state
+   */
+  deserialize(data) {
+    let i, action;
+    for (i = 0; i < data.actions.length; i++) {
+      action = data.actions[i];
+      switch (action[0]) {
+        case 'repeat':
+          this.repeat(action[1]);
+          this.actions[i].counter = action[2];
+          break;
+        case 'wait':
+          this.wait(action[1]);
+          break;
+        case 'to':
+          this.to(action[1], action[2], action[3], action[4]);
+          break;
+      }
+    }
+
+    // Setup current action with saved values
+    if (data.isStarted) {
+      this.index = data.index - 1;
+      this._next();
+
+      if (data.before) {
+        for (i = 0; i < data.before.length; i++) {
+          this.before[i] = data.before[i];
+          this.change[i] = data.change[i];
+        }
+      }
+    }
+    else {
+      this.index = data.index;
+    }
+
+    this.delta = data.delta;
+    this.progress = data.progress;
+    this.isPaused = data.isPaused;
+  }
+
   /**
    * Do next action.
    * @private
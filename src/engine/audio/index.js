@@ -164,6 +164,17 @@ loader.pre((res, next) => {
   next();
 });
 
+// Release sounds of unloaded resources
+loader.onUnload.add((loader, res) => {
+  if (res.data instanceof Howl) {
+    res.data.unload();
+
+    if (audio.sounds[res.name] === res.data) {
+      delete audio.sounds[res.name];
+    }
+  }
+});
+
 /**
  * Audio module is a simple wrapper of Howler.js.
  * For more details, see the [Howler.js official site](http://goldfirestudios.com/blog/104/howler.js-Modern-Web-Audio-Javascript-Library).
@@ -4,6 +4,7 @@ const EventEmitter = require('engine/EventEmitter');
 const Vector = require('engine/Vector');
 const resize = require('engine/resize');
 const device = require('engine/device');
+const loader = require('engine/loader');
 const config = require('game/config');
 
 /**
@@ -76,13 +77,46 @@ Object.assign(core, {
    */
   games: {},
   /**
-   * Current activated game.
+   * Current activated game, which is the top of the `stack`.
    * Note: this may be undefined during switching.
    * Will be deprecated in future versions.
    * @memberof module:engine/core
    * @type {Game}
    */
   game: null,
+  /**
+   * Games that are currently running, from bottom to top.
+   * Only the top one(`core.game`) is awake and receives input,
+   * games below it are frozen but still rendered. A game below
+   * keeps updating if all the overlays above it have `updateBelow` set.
+   * @memberof module:engine/core
+   * @type {Array<Game>}
+   */
+  stack: [],
+
+  /**
+   * Loading game class(passed to `main`), which is set instead of
+   * games whose bundles are not loaded yet.
+   * @memberof module:engine/core
+   * @type {Function}
+   */
+  loadingClass: null,
+
+  /**
+   * Map of registered transitions(name -> class), built-in ones are
+   * registered once `engine/gfx` is required.
+   * See {@link core.registerTransition} for more information.
+   * @memberof module:engine/core
+   * @type {Object}
+   */
+  transitions: {},
+  /**
+   * Transition that is currently running, games are not updated
+   * and input is suspended while it's running.
+   * @memberof module:engine/core
+   * @type {Transition}
+   */
+  transition: null,
 
   /**
    * Map that contains pause state of all kinds of reasons.
@@ -115,12 +149,42 @@ Object.assign(core, {
 
   /**
    * Switch to a game.
+   *
+   * A game class can declare asset bundles it needs with a static
+   * `bundles` field, the loading game(see `main`) is set instead
+   * until they are loaded(see `Loader#loadBundle`).
    * @memberof module:engine/core
-   * @param {Game} gameCtor               Game class to be set
-   * @param {Boolean} [newInstance=false] Whether create new instance for this game.
-   * @param {Object} [param={}]           Parameters to pass to the game(to `Game#awake`)
+   *
+   * @example
+   * core.setGame(MyGame, false, {}, 'fade');
+   * core.setGame(MyGame, false, {}, { type: 'slide', duration: 800, direction: 'up' });
+   *
+   * @example <caption>Game with bundles</caption>
+   * class Level1 extends Game {}
+   * Level1.bundles = ['level1'];
+   *
+   * // Loading is shown until "level1" bundle is loaded
+   * core.setGame(Level1);
+   *
+   * @param {Game} gameCtor                     Game class to be set
+   * @param {Boolean} [newInstance=false]       Whether create new instance for this game.
+   * @param {Object} [param={}]                 Parameters to pass to the game(to `Game#awake`)
+   * @param {String|Object} [transition=null]   Transition name, settings(with `type` as the name) or instance
    */
-  setGame: function(gameCtor, newInstance = false, param = {}) {
+  setGame: function(gameCtor, newInstance = false, param = {}, transition = null) {
+    // Switching from the loading game means bundles are just loaded(or failed)
+    const isLoading = core.game && core.game.constructor === core.loadingClass;
+    if (gameCtor.bundles && core.loadingClass && gameCtor !== core.loadingClass && !isLoading && !loader.isBundleLoaded(gameCtor.bundles)) {
+      core.setGame(core.loadingClass, true, {
+        gameClass: gameCtor,
+        bundles: gameCtor.bundles,
+        newInstance: newInstance,
+        param: param,
+        transition: transition,
+      }, transition);
+      return;
+    }
+
     if (!gameCtor.id) {
       gameCtor.id = nextGameIdx++;
     }
@@ -137,15 +201,66 @@ Object.assign(core, {
     }
 
     nextGame = pair;
+    nextTransition = transition;
+    stackOps.length = 0;
+  },
+  /**
+   * Push an overlay game(pause menu, dialog...) on top of current one.
+   * Current game will be frozen but still rendered below the overlay,
+   * and get awake again when the overlay is popped.
+   * @memberof module:engine/core
+   * @param {Game} gameCtor                 Game class to be pushed
+   * @param {Boolean} [newInstance=false]   Whether create new instance for this game.
+   * @param {Object} [param={}]             Parameters to pass to the game(to `Game#awake`)
+   * @param {Boolean} [updateBelow=false]   Whether games below keep updating
+   */
+  pushGame: function(gameCtor, newInstance = false, param = {}, updateBelow = false) {
+    if (!gameCtor.id) {
+      gameCtor.id = nextGameIdx++;
+    }
+
+    let pair = core.games[gameCtor.id];
+
+    if (!pair) {
+      pair = { ctor: gameCtor, inst: null, param: param };
+    }
+    pair.param = param;
+
+    if (newInstance) {
+      pair.inst = null;
+    }
+
+    stackOps.push({ pair: pair, updateBelow: updateBelow });
+  },
+  /**
+   * Pop the top overlay game, the one below it will be awake again.
+   * Nothing happens if there's only one game in the stack.
+   * @memberof module:engine/core
+   */
+  popGame: function() {
+    stackOps.push(null);
+  },
+  /**
+   * Register a transition class that can be used by `setGame`.
+   * A transition should have a `duration`(in ms) and implement
+   * `start(from, to)`, `render(from, to, progress)` and `end(from, to)`,
+   * `render` is called every frame instead of updating the games.
+   * @memberof module:engine/core
+   * @param {String} name     Name of the transition
+   * @param {Function} ctor   Transition class, instances will be created with the settings
+   */
+  registerTransition: function(name, ctor) {
+    core.transitions[name] = ctor;
   },
   /**
    * Main entry.
    * @memberof module:engine/core
    * @param {Game} gameCtor   First game class
-   * @param {Game} loaderCtor Asset loader class
+   * @param {Game} loaderCtor Asset loader class, also used to load bundles of games
    */
   main: function(gameCtor, loaderCtor) {
-    core.setGame(loaderCtor, true, { gameClass: gameCtor });
+    core.loadingClass = loaderCtor;
+    core.setGame(loaderCtor, true, { gameClass: gameCtor, bundles: gameCtor.bundles });
 
     window.addEventListener('load', boot, false);
     document.addEventListener('DOMContentLoaded', boot, false);
@@ -289,6 +404,11 @@ if (config.gfx && config.gfx.resolution) {
 
 // - Private properties and methods
 let nextGame = null;
+let nextTransition = null;
+let transitionFrom = null;
+let transitionStart = 0;
+let stackOps = [];
+let stackParams = [];
 let loopId = 0;
 let resizeFunc = _letterBoxResize;
 /**
@@ -311,38 +431,180 @@ function loop(timestamp) {
       let pair = nextGame;
       nextGame = null;
 
-      // Freeze current game before switching
+      // Finish the running transition before switching again
+      if (core.transition) {
+        endTransition();
+      }
+
+      let from = core.game;
+      let transition = nextTransition && from && createTransition(nextTransition);
+      nextTransition = null;
+
+      // Freeze current game and remove all the overlays before switching
       if (core.game) {
-        core.off('pause', core.game.pause, core.game);
-        core.off('resume', core.game.resume, core.game);
-        core.off('resize', core.game.resize, core.game);
         core.game.freeze();
       }
+      while (core.stack.length > 0) {
+        leaveStack();
+      }
       core.game = null;
 
       // Create instance of game if not exist
       if (!pair.inst) {pair.inst = new pair.ctor();}
 
       // Awake the game
-      core.game = pair.inst;
-      core.on('pause', core.game.pause, core.game);
-      core.on('resume', core.game.resume, core.game);
-      core.on('resize', core.game.resize, core.game);
+      enterStack(pair.inst, pair.param, false, false);
       core.game.awake(pair.param);
 
       // Resize container of the game
       resizeFunc();
+
+      // Both games are rendered by the transition until it ends
+      if (transition) {
+        core.transition = transition;
+        transitionFrom = from;
+        transitionStart = timestamp;
+        transition.start(from, core.game);
+        core.emit('transitionstart', transition);
+      }
+    }
+
+    if (core.transition) {
+      const progress = (core.transition.duration > 0) ? Math.min((timestamp - transitionStart) / core.transition.duration, 1) : 1;
+      core.transition.render(transitionFrom, core.game, progress);
+
+      if (progress >= 1) {
+        endTransition();
+      }
+
+      core.emit('tick');
+      return;
+    }
+
+    // Push or pop overlays
+    let op;
+    while (stackOps.length > 0) {
+      op = stackOps.shift();
+
+      if (op) {
+        if (!op.pair.inst) {op.pair.inst = new op.pair.ctor();}
+
+        if (core.stack.indexOf(op.pair.inst) >= 0) {
+          console.log('[WARNING]: Game is already in the stack!');
+          continue;
+        }
+
+        if (core.game) {
+          core.game.freeze();
+        }
+        enterStack(op.pair.inst, op.pair.param, core.stack.length > 0, op.updateBelow);
+        core.game.awake(op.pair.param);
+      }
+      else if (core.stack.length > 1) {
+        core.game.freeze();
+        leaveStack();
+
+        // Last updated long time ago if not updated while covered
+        core.game.updateInfo.last = -1;
+        core.game.awake(stackParams[stackParams.length - 1]);
+      }
     }
 
-    // Update current game
-    if (core.game) {
-      core.game.run(timestamp);
+    // Games covered by overlays(without `updateBelow`) are only rendered
+    let i, lowest = core.stack.length - 1;
+    while (lowest > 0 && core.stack[lowest].updateBelow) {
+      lowest -= 1;
+    }
+
+    // Update and render games from bottom to top
+    for (i = 0; i < core.stack.length; i++) {
+      if (i >= lowest) {
+        core.stack[i].run(timestamp);
+      }
+      else {
+        core.stack[i].render();
+      }
     }
 
     // Tick
     core.emit('tick');
   }
 }
+/**
+ * Put a game on top of the stack, and make it current game.
+ * @param {Game} game           Game instance
+ * @param {Object} param        Parameters passed to its `awake`
+ * @param {Boolean} isOverlay   Whether it is on top of other games
+ * @param {Boolean} updateBelow Whether games below keep updating
+ * @private
+ */
+function enterStack(game, param, isOverlay, updateBelow) {
+  game.isOverlay = isOverlay;
+  game.updateBelow = updateBelow;
+
+  core.stack.push(game);
+  stackParams.push(param);
+  core.game = game;
+
+  core.on('pause', game.pause, game);
+  core.on('resume', game.resume, game);
+  core.on('resize', game.resize, game);
+}
+/**
+ * Remove the top game from the stack, the one below will
+ * be current game. Note: it should be frozen before removing.
+ * @private
+ */
+function leaveStack() {
+  const game = core.stack.pop();
+  stackParams.pop();
+  core.game = core.stack[core.stack.length - 1] || null;
+
+  core.off('pause', game.pause, game);
+  core.off('resume', game.resume, game);
+  core.off('resize', game.resize, game);
+
+  game.isOverlay = false;
+  game.updateBelow = false;
+}
+/**
+ * Create a transition instance.
+ * @param {String|Object} transition Transition name, settings or instance
+ * @return {Transition} Transition instance, `null` if not found
+ * @private
+ */
+function createTransition(transition) {
+  if (typeof(transition.render) === 'function') {
+    return transition;
+  }
+
+  const settings = (typeof(transition) === 'string') ? { type: transition } : transition;
+  const ctor = core.transitions[settings.type];
+  if (!ctor) {
+    console.log(`[WARNING]: Transition "${settings.type}" does not exist! Built-in ones are registered by requiring "engine/gfx".`);
+    return null;
+  }
+
+  return new ctor(settings);
+}
+/**
+ * Stop current transition, the new game starts to update from now on.
+ * @private
+ */
+function endTransition() {
+  const transition = core.transition;
+  core.transition = null;
+
+  transition.end(transitionFrom, core.game);
+  transitionFrom = null;
+
+  // Not updated during the transition
+  if (core.game) {
+    core.game.updateInfo.last = -1;
+  }
+
+  core.emit('transitionend', transition);
+}
 /**
  * @private
  */
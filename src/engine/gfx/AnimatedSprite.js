@@ -1,5 +1,6 @@
 const AnimatedSprite = require('./core/sprites/AnimatedSprite');
 const CONST = require('./const');
+const loader = require('engine/loader');
 require('./core/sprites/webgl/SpriteRenderer');
 
 /**
@@ -21,6 +22,13 @@ require('./core/sprites/webgl/SpriteRenderer');
  * })
  *
  * @example
+ * // Create from a sprite-sheet exported by Aseprite, frame tags
+ * // are added as animations and slices can be used as hitboxes
+ * let hero = AnimatedSprite({ aseprite: 'hero' });
+ * hero.play('run');
+ * let hitbox = hero.getSlice('hitbox');
+ *
+ * @example
  * // Play pre-defined animations, and switch to fall when it's finished
  * anim.play('jump').once('finish', () => {
  *   anim.play('fall');
@@ -30,10 +38,22 @@ require('./core/sprites/webgl/SpriteRenderer');
  * @return {AnimatedSprite} AnimatedSprite instance
  */
 module.exports = function(data) {
-  const inst = new AnimatedSprite(data.textures);
+  // Key of a resource or result of `asepriteParser`
+  const aseprite = (typeof(data.aseprite) === 'string') ? loader.resources[data.aseprite].aseprite : data.aseprite;
+
+  const inst = new AnimatedSprite(aseprite ? aseprite.textures : data.textures);
   const anims = data.anims;
 
   let def, i;
+  if (aseprite) {
+    inst.addAnim('default', null, { durations: aseprite.durations });
+    for (i = 0; i < aseprite.anims.length; i++) {
+      def = aseprite.anims[i];
+      inst.addAnim(def.name, def.frames, def.settings);
+    }
+    inst.slices = aseprite.slices;
+  }
+
   if (Array.isArray(anims)) {
     for (i = 0; i < anims.length; i++) {
       def = anims[i];
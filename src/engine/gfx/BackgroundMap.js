@@ -7,7 +7,52 @@ const { filmstrip } = require('./utils');
 const TILESETS = {};
 const POOL = [];
 
+/**
+ * Flags stored in the highest bits of a tile, same as Tiled.
+ */
+const FLIPPED_HORIZONTALLY = 0x80000000;
+const FLIPPED_VERTICALLY = 0x40000000;
+const FLIPPED_DIAGONALLY = 0x20000000;
+const TILE_MASK = 0x1fffffff;
+
+/**
+ * Extract textures of a tileset, results are cached.
+ * @param  {Texture} texture    Tileset texture
+ * @param  {Number} tileWidth   Width of a tile
+ * @param  {Number} tileHeight  Height of a tile
+ * @param  {Number} margin      Margin around the tiles
+ * @param  {Number} spacing     Spacing between the tiles
+ * @return {Array<Texture>} Textures of the tiles
+ * @private
+ */
+function tilesOf(texture, tileWidth, tileHeight, margin, spacing) {
+  const key = `${texture.baseTexture.uid}_${tileWidth}_${tileHeight}_${margin}_${spacing}`;
+  if (!TILESETS.hasOwnProperty(key)) {
+    TILESETS[key] = filmstrip(texture, tileWidth, tileHeight, margin, spacing);
+  }
+  return TILESETS[key];
+}
+
+/**
+ * Tile based background.
+ *
+ * Tile `0` is empty, others are indices(start from 1) of the tileset.
+ * `tileset` can also be a list of tilesets that each has a
+ * `firstgid`(index of its first tile) like Tiled does, and the
+ * flip flags in the highest 3 bits of a tile are supported.
+ *
+ * @class BackgroundMap
+ */
 class BackgroundMap extends Container {
+  /**
+   * @constructor
+   * @param {Number} tilesize         Size of a tile
+   * @param {Array} data              2D array of tiles
+   * @param {Texture|Array} tileset   Tileset texture or a list of tilesets
+   *                                  (`firstgid`, `texture`, `tilewidth`,
+   *                                  `tileheight`, `margin`, `spacing` and
+   *                                  `tiles` with per tile `texture`)
+   */
   constructor(tilesize, data, tileset) {
     super();
 
@@ -19,7 +64,7 @@ class BackgroundMap extends Container {
       console.log('Invalid data format!');
       return;
     }
-    if (!tileset || !(tileset instanceof Texture)) {
+    if (!tileset || !(tileset instanceof Texture || Array.isArray(tileset))) {
       console.log('Invalid tileset!');
       return;
     }
@@ -57,14 +102,7 @@ class BackgroundMap extends Container {
   setTile(r, q, tile) {
     if (q >= 0 && q < this._width && r >= 0 && r < this._height) {
       this.data[r][q] = tile;
-
-      if (tile > 0) {
-        this.tileSprites[r][q].visible = true;
-        this.tileSprites[r][q].texture = this.tilesetTextures[tile - 1];
-      }
-      else {
-        this.tileSprites[r][q].visible = false;
-      }
+      this.updateTile(r, q);
     }
   }
   setTileAt(x, y, tile) {
@@ -72,30 +110,37 @@ class BackgroundMap extends Container {
     const r = Math.floor(y / this.tilesize);
     if (q >= 0 && q < this._width && r >= 0 && r < this._height) {
       this.data[r][q] = tile;
-
-      if (tile > 0) {
-        this.tileSprites[r][q].visible = true;
-        this.tileSprites[r][q].texture = this.tilesetTextures[tile - 1];
-      }
-      else {
-        this.tileSprites[r][q].visible = false;
-      }
+      this.updateTile(r, q);
     }
   }
 
   parseTileset() {
-    let tileList;
-
-    let uid = this.tileset.baseTexture.uid;
-    if (TILESETS.hasOwnProperty(uid) && Array.isArray(TILESETS[uid])) {
-      tileList = TILESETS[uid];
+    if (this.tileset instanceof Texture) {
+      this.tilesetTextures = tilesOf(this.tileset, this.tilesize, this.tilesize, 0, 0);
+      return;
     }
-    else {
-      tileList = filmstrip(this.tileset, this.tilesize, this.tilesize);
-      TILESETS[uid] = tileList;
+
+    // Merge tilesets into one list, indexed by `firstgid - 1`
+    let i, j, id, set, list, textures = [];
+    for (i = 0; i < this.tileset.length; i++) {
+      set = this.tileset[i];
+
+      if (set.texture) {
+        list = tilesOf(set.texture, set.tilewidth || this.tilesize, set.tileheight || this.tilesize, set.margin || 0, set.spacing || 0);
+        for (j = 0; j < list.length; j++) {
+          textures[set.firstgid - 1 + j] = list[j];
+        }
+      }
+
+      // Tiles with their own image
+      for (id in set.tiles) {
+        if (set.tiles[id].texture) {
+          textures[set.firstgid - 1 + Number(id)] = set.tiles[id].texture;
+        }
+      }
     }
 
-    this.tilesetTextures = tileList;
+    this.tilesetTextures = textures;
   }
 
   drawTiles() {
@@ -108,23 +153,50 @@ class BackgroundMap extends Container {
     this.createTileSprites();
 
     // Update texture of each tile
-    let q, r, tile, idx;
+    let q, r;
     for (r = 0; r < this._height; r++) {
       for (q = 0; q < this._width; q++) {
-        idx = this.data[r][q] - 1;
-        tile = this.tileSprites[r][q];
-
-        if (idx < 0) {
-          tile.visible = false;
-        }
-        else {
-          tile.visible = true;
-          tile.texture = this.tilesetTextures[idx];
-        }
+        this.updateTile(r, q);
       }
     }
   }
 
+  /**
+   * Update sprite of a tile to match its data.
+   * @param {Number} r Row of the tile
+   * @param {Number} q Column of the tile
+   */
+  updateTile(r, q) {
+    const tile = this.data[r][q];
+    const sprite = this.tileSprites[r][q];
+    const texture = this.tilesetTextures[(tile & TILE_MASK) - 1];
+
+    if (!texture) {
+      sprite.visible = false;
+      return;
+    }
+
+    sprite.visible = true;
+    sprite.texture = texture;
+
+    // Tiles larger than tilesize are aligned to the bottom-left,
+    // and sprites are rotated around the center to apply flips
+    const diagonal = !!(tile & FLIPPED_DIAGONALLY);
+    const w = diagonal ? texture.height : texture.width;
+    const h = diagonal ? texture.width : texture.height;
+    sprite.anchor.set(0.5, 0.5);
+    sprite.position.set(q * this.tilesize + w * 0.5, (r + 1) * this.tilesize - h * 0.5);
+
+    if (diagonal) {
+      sprite.rotation = Math.PI * 0.5;
+      sprite.scale.set((tile & FLIPPED_VERTICALLY) ? -1 : 1, (tile & FLIPPED_HORIZONTALLY) ? 1 : -1);
+    }
+    else {
+      sprite.rotation = 0;
+      sprite.scale.set((tile & FLIPPED_HORIZONTALLY) ? -1 : 1, (tile & FLIPPED_VERTICALLY) ? -1 : 1);
+    }
+  }
+
   createTileSprites() {
     this.tileSprites = new Array(this._height);
 
@@ -149,6 +221,25 @@ class BackgroundMap extends Container {
   }
 }
 
+/**
+ * BackgroundMap factory
+ * @param  {Number} tilesize                Size of a tile
+ * @param  {Array} data                     2D array of tiles
+ * @param  {String|Texture|Array} tileset   Tileset or a list of tilesets
+ * @return {BackgroundMap} BackgroundMap instance
+ */
 module.exports = function(tilesize = 8, data = [[]], tileset = null) {
+  // List of tilesets
+  if (Array.isArray(tileset) && tileset.length > 0 && typeof(tileset[0]) === 'object' && !(tileset[0] instanceof Texture)) {
+    return new BackgroundMap(tilesize, data, tileset.map((set) => Object.assign({}, set, {
+      texture: textureFromData(set.texture),
+    })));
+  }
+
   return new BackgroundMap(tilesize, data, textureFromData(tileset));
 };
+
+module.exports.FLIPPED_HORIZONTALLY = FLIPPED_HORIZONTALLY;
+module.exports.FLIPPED_VERTICALLY = FLIPPED_VERTICALLY;
+module.exports.FLIPPED_DIAGONALLY = FLIPPED_DIAGONALLY;
+module.exports.TILE_MASK = TILE_MASK;
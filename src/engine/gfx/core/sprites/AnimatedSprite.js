@@ -28,12 +28,31 @@ class AnimationData {
      * @default false
      */
     this.reverse = false;
+    /**
+     * Play animation forward and backward in turn.
+     * @property {Boolean} pingPong
+     * @default false
+     */
+    this.pingPong = false;
+    /**
+     * Times to play before finished, `0` to follow `loop`.
+     * Each pass(forward or backward) counts when `pingPong`.
+     * @property {Number} repeat
+     * @default 0
+     */
+    this.repeat = 0;
     /**
      * Speed of animation (frames per second).
      * @property {Number} speed
      * @default 10
      */
     this.speed = 10;
+    /**
+     * Duration(in ms) of each frame, `speed` is ignored when set.
+     * @property {Array} durations
+     * @default null
+     */
+    this.durations = null;
     /**
      * Animation frame order.
      * @property {Array} frames
@@ -60,8 +79,16 @@ class AnimatedSprite extends Sprite {
     this.isPlaying = false;
     this.isFinished = false;
 
+    /**
+     * Slices(name -> keys) of the textures, see `getSlice`.
+     * @property {Object} slices
+     */
+    this.slices = null;
+
     this._finishEvtEmit = false;
     this._frameTime = 0;
+    this._isPingPongBack = false;
+    this._playCount = 0;
 
     this.textures = textures;
 
@@ -111,6 +138,8 @@ class AnimatedSprite extends Sprite {
     }
     this.isPlaying = true;
     this._finishEvtEmit = false;
+    this._isPingPongBack = false;
+    this._playCount = 0;
     this.isFinished = false;
     this.currentAnim = name;
     if (!Number.isFinite(frame) && anim.reverse) {
@@ -156,6 +185,30 @@ class AnimatedSprite extends Sprite {
     return this;
   }
 
+  /**
+   * Get bounds of a slice at current frame, slices are imported
+   * from Aseprite and can be used as hitboxes.
+   * @method getSlice
+   * @param {String} name Name of the slice
+   * @return {Object} Slice key(`x`, `y`, `width`, `height` and optional `center`, `pivot`), `null` if not found
+   */
+  getSlice(name) {
+    var keys = this.slices && this.slices[name];
+    var anim = this.anims[this.currentAnim];
+    if (!keys || !anim) {
+      return null;
+    }
+
+    // Keys last until the next one
+    var frame = anim.frames[this.currentFrame];
+    var key = null;
+    for (var i = 0; i < keys.length && keys[i].frame <= frame; i++) {
+      key = keys[i];
+    }
+
+    return key;
+  }
+
   /**
    * @memberof AnimatedSprite#
    * @method update
@@ -174,11 +227,12 @@ class AnimatedSprite extends Sprite {
       return;
     }
     else if (this.isPlaying) {
-      this._frameTime += anim.speed * delta;
+      this._frameTime += anim.durations ? delta : anim.speed * delta;
     }
 
-    if (this._frameTime > 1000) {
-      this._frameTime -= 1000;
+    var frameTime = anim.durations ? anim.durations[this.currentFrame] : 1000;
+    if (this._frameTime > frameTime) {
+      this._frameTime -= frameTime;
 
       if (anim.random && anim.frames.length > 1) {
         nextFrame = this.currentFrame;
@@ -191,7 +245,27 @@ class AnimatedSprite extends Sprite {
         return;
       }
 
-      nextFrame = this.currentFrame + (anim.reverse ? -1 : 1);
+      nextFrame = this.currentFrame + ((anim.reverse !== this._isPingPongBack) ? -1 : 1);
+
+      // Finish at the end of last play
+      if (nextFrame >= anim.frames.length || nextFrame < 0) {
+        this._playCount += 1;
+        if (anim.repeat > 0 && this._playCount >= anim.repeat) {
+          this.isPlaying = false;
+          this.isFinished = true;
+          this._finishEvtEmit = false;
+          return;
+        }
+      }
+
+      // Turn around at the ends, finish when back to the start
+      if (anim.pingPong && anim.frames.length > 1 && (nextFrame >= anim.frames.length || nextFrame < 0)) {
+        this._isPingPongBack = !this._isPingPongBack;
+
+        if (this._isPingPongBack || anim.loop) {
+          nextFrame = this.currentFrame + ((anim.reverse !== this._isPingPongBack) ? -1 : 1);
+        }
+      }
 
       if (nextFrame >= anim.frames.length) {
         if (anim.loop) {
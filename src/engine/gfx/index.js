@@ -1,5 +1,6 @@
 const core = require('engine/core');
 const System = require('engine/system');
+const Vector = require('engine/Vector');
 const { removeItems } = require('engine/utils/array');
 const WebGLRenderer = require('./core/renderers/webgl/WebGLRenderer');
 const CanvasRenderer = require('./core/renderers/canvas/CanvasRenderer');
@@ -8,8 +9,82 @@ const CONST = require('./const');
 const Container = require('./Container');
 const config = require('game/config');
 
+// Register built-in transitions of `core.setGame`
+require('./transitions');
+
+// Let prefabs create gfx components
+require('./prefab');
+
 let sharedRenderer = null;
 
+/**
+ * Save state of an entity's gfx at the end of a fixed step.
+ * @param {Entity} ent Entity instance
+ * @private
+ */
+function recordState(ent) {
+  const gfx = ent.gfx;
+  let state = gfx.interpolation;
+
+  if (!state) {
+    state = gfx.interpolation = {
+      previous: new Vector(),
+      previousRotation: 0,
+      last: new Vector(),
+      lastRotation: 0,
+      position: new Vector(),
+      rotation: 0,
+    };
+    ent.skipInterpolation = true;
+  }
+
+  // Start from current state
+  if (ent.skipInterpolation) {
+    ent.skipInterpolation = false;
+    state.last.copy(ent.worldPosition);
+    state.lastRotation = gfx.rotation;
+  }
+
+  state.previous.copy(state.last);
+  state.previousRotation = state.lastRotation;
+  state.last.copy(ent.worldPosition);
+  state.lastRotation = gfx.rotation;
+}
+/**
+ * Move an entity's gfx between its previous and current state.
+ * @param {Entity} ent    Entity instance
+ * @param {Number} alpha  Interpolation factor
+ * @private
+ */
+function applyState(ent, alpha) {
+  const gfx = ent.gfx, state = gfx.interpolation;
+  if (!state || ent.skipInterpolation) {
+    return;
+  }
+
+  // Colliders already know where they were
+  const from = (ent.coll && ent.coll.world) ? ent.coll.last : state.previous;
+  const to = ent.worldPosition;
+
+  state.position.set(from.x + (to.x - from.x) * alpha, from.y + (to.y - from.y) * alpha);
+  state.rotation = gfx.rotation;
+
+  gfx.position = state.position;
+  gfx.rotation = state.previousRotation + (state.rotation - state.previousRotation) * alpha;
+}
+/**
+ * Move an entity's gfx back to its current state.
+ * @param {Entity} ent Entity instance
+ * @private
+ */
+function resetState(ent) {
+  const gfx = ent.gfx, state = gfx.interpolation;
+  if (state && gfx.position === state.position) {
+    gfx.position = ent.worldPosition;
+    gfx.rotation = state.rotation;
+  }
+}
+
 class SystemGfx extends System {
   constructor() {
     super();
@@ -75,6 +150,16 @@ class SystemGfx extends System {
     this.delta = 0;
 
     this.animList = [];
+
+    /**
+     * Whether to draw entities between their states of last two
+     * fixed steps(by `Game#alpha`), instead of where they are.
+     * Call `Entity#teleport` to move without interpolation.
+     * @memberof SystemGfx#
+     * @type {Boolean}
+     * @default config.gfx.interpolate
+     */
+    this.interpolate = !!config.gfx.interpolate;
   }
 
   set backgroundColor(c) {
@@ -102,7 +187,36 @@ class SystemGfx extends System {
     this.timestamp = performance.now();
   }
   update() {
-    this.renderer.render(this.root);
+    this.render();
+  }
+  /**
+   * Draw the game, also called instead of `update` while the game
+   * is covered by an overlay.
+   * @method render
+   * @memberof SystemGfx#
+   */
+  render() {
+    // Overlays are drawn on top of games below, without clearing
+    this.renderer.clearBeforeRender = !this.game.isOverlay;
+    if (!this.game.isOverlay && this.renderer.backgroundColor !== this._backgroundColor) {
+      this.renderer.backgroundColor = this._backgroundColor;
+    }
+
+    if (this.interpolate) {
+      let i, list = this.entityQuery.entities;
+      for (i = 0; i < list.length; i++) {
+        applyState(list[i], this.game.alpha);
+      }
+
+      this.renderer.render(this.root);
+
+      for (i = 0; i < list.length; i++) {
+        resetState(list[i]);
+      }
+    }
+    else {
+      this.renderer.render(this.root);
+    }
   }
   fixedUpdate(delta) {
     this.delta = delta;
@@ -110,6 +224,13 @@ class SystemGfx extends System {
     for (let i = this.animList.length - 1; i >= 0; i--) {
       this.animList[i].update(this.delta);
     }
+
+    if (this.interpolate) {
+      const list = this.entityQuery.entities;
+      for (let i = 0; i < list.length; i++) {
+        recordState(list[i]);
+      }
+    }
   }
 
   createLayer(name, parent) {
@@ -135,23 +256,56 @@ class SystemGfx extends System {
     return this;
   }
 
-  onEntitySpawn(ent) {
+  /**
+   * Start tracking entities that have `gfx`.
+   * @method onAdd
+   * @memberof SystemGfx#
+   */
+  onAdd() {
+    /**
+     * Entities that have `gfx`.
+     * @memberof SystemGfx#
+     * @type {Query}
+     */
+    this.entityQuery = this.game.query({ hasGfx: true });
+    this.entityQuery.on('add', this.addEntityGfx, this);
+    this.entityQuery.on('remove', this.removeEntityGfx, this);
+
+    for (let i = 0; i < this.entityQuery.entities.length; i++) {
+      this.addEntityGfx(this.entityQuery.entities[i]);
+    }
+  }
+  /**
+   * Add `gfx` of an entity to its layer.
+   * @method addEntityGfx
+   * @memberof SystemGfx#
+   * @param {Entity} ent Entity that gets `gfx`
+   * @private
+   */
+  addEntityGfx(ent) {
     let name = ent.layer;
-    if (ent.gfx) {
-      ent.gfx.entity = ent;
-      // Default layer is the root
-      if (!name) {
-        this.root.addChild(ent.gfx);
-      }
-      // Find the layer and add this entitiy into it
-      else if (this.layers.hasOwnProperty(name)) {
-        this.layers[name].addChild(ent.gfx);
-      }
-      // Override gfx's position with the entity's
-      ent.gfx.position = ent.position;
+    ent.gfx.entity = ent;
+    // Default layer is the root
+    if (!name) {
+      this.root.addChild(ent.gfx);
+    }
+    // Find the layer and add this entitiy into it
+    else if (this.layers.hasOwnProperty(name)) {
+      this.layers[name].addChild(ent.gfx);
     }
+    // Override gfx's position with the entity's world position
+    ent.gfx.position = ent.worldPosition;
+    // Draw where it is spawned until next fixed step
+    ent.skipInterpolation = true;
   }
-  onEntityRemove(ent) {
+  /**
+   * Remove `gfx` of an entity from the stage.
+   * @method removeEntityGfx
+   * @memberof SystemGfx#
+   * @param {Entity} ent Entity that loses `gfx`
+   * @private
+   */
+  removeEntityGfx(ent) {
     if (ent.gfx) {
       ent.gfx.remove();
       ent.gfx.entity = null;
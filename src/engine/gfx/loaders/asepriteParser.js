@@ -0,0 +1,103 @@
+/**
+ * Create settings of an animation from an Aseprite frame tag.
+ * @param {Object} tag            Frame tag
+ * @param {Array<Number>} durations Duration of each frame
+ * @return {Object} Animation(`name`, `frames` and `settings`)
+ * @private
+ */
+function animFromTag(tag, durations) {
+  const frames = [];
+  for (let i = tag.from; i <= tag.to; i++) {
+    frames.push(i);
+  }
+
+  // Reversed frames instead of `reverse`, so it starts from the last one
+  const direction = tag.direction || 'forward';
+  if (direction === 'reverse' || direction === 'pingpong_reverse') {
+    frames.reverse();
+  }
+
+  return {
+    name: tag.name,
+    frames: frames,
+    settings: {
+      durations: frames.map((f) => durations[f]),
+      pingPong: (direction === 'pingpong' || direction === 'pingpong_reverse'),
+      // Loops forever unless repeat count is set
+      loop: true,
+      repeat: Number(tag.repeat) || 0,
+    },
+  };
+}
+
+/**
+ * Create keys of an Aseprite slice.
+ * @param {Object} slice Slice
+ * @return {Array<Object>} Keys sorted by frame
+ * @private
+ */
+function keysFromSlice(slice) {
+  return slice.keys.map((key) => {
+    const res = {
+      frame: key.frame,
+      x: key.bounds.x,
+      y: key.bounds.y,
+      width: key.bounds.w,
+      height: key.bounds.h,
+    };
+    if (key.center) {
+      res.center = { x: key.center.x, y: key.center.y, width: key.center.w, height: key.center.h };
+    }
+    if (key.pivot) {
+      res.pivot = { x: key.pivot.x, y: key.pivot.y };
+    }
+
+    return res;
+  }).sort((a, b) => a.frame - b.frame);
+}
+
+/**
+ * Loader middleware that reads sprite-sheets exported by Aseprite(both
+ * "Hash" and "Array" formats), whose textures are already created by
+ * `spritesheetParser`. Result is saved as `aseprite` of the resource:
+ * - `textures`: textures in frame order
+ * - `durations`: duration(ms) of each frame
+ * - `anims`: animations created from frame tags, with per-frame timing,
+ *   direction(forward, reverse and ping-pong) and repeat count
+ * - `slices`: keys of slices(name -> keys), which can be used as hitboxes
+ *
+ * Pass the resource name as `aseprite` of `AnimatedSprite` to use them.
+ *
+ * @return {Function} Middleware
+ */
+module.exports = function() {
+  return function(resource, next) {
+    const data = resource.data;
+    if (!data || !data.meta || !data.frames || !resource.textures || !/aseprite/i.test(data.meta.app || '')) {
+      next();
+      return;
+    }
+
+    const keys = Object.keys(data.frames);
+    const textures = keys.map((k) => resource.textures[k]);
+    const durations = keys.map((k) => data.frames[k].duration || 100);
+
+    const tags = data.meta.frameTags || [];
+    const anims = tags.map((tag) => animFromTag(tag, durations));
+
+    const slices = {};
+    const sliceList = data.meta.slices || [];
+    for (let i = 0; i < sliceList.length; i++) {
+      slices[sliceList[i].name] = keysFromSlice(sliceList[i]);
+    }
+
+    resource.aseprite = {
+      textures: textures,
+      durations: durations,
+      anims: anims,
+      slices: slices,
+    };
+
+    next();
+  };
+};
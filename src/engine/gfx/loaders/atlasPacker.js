@@ -0,0 +1,239 @@
+const { Resource } = require('engine/loader');
+const BaseTexture = require('../core/textures/BaseTexture');
+const Texture = require('../core/textures/Texture');
+const { Rectangle } = require('../core/math');
+const utils = require('../core/utils');
+
+/**
+ * A canvas that small images are packed into, images are placed
+ * on shelves(rows) from top to bottom.
+ * @class AtlasPage
+ * @private
+ */
+class AtlasPage {
+  /**
+   * @constructor
+   * @param {Number} size       Width and height in pixel
+   * @param {Number} resolution Resolution of the images
+   * @param {Number} scaleMode  Scale mode of the images
+   */
+  constructor(size, resolution, scaleMode) {
+    this.size = size;
+    this.resolution = resolution;
+    this.scaleMode = scaleMode;
+
+    this.canvas = document.createElement('canvas');
+    this.canvas.width = this.canvas.height = size;
+    this.context = this.canvas.getContext('2d');
+
+    this.baseTexture = new BaseTexture(this.canvas, scaleMode, resolution);
+
+    // Shelves of { y, height, x }
+    this.shelves = [];
+    this.bottom = 0;
+
+    // Count of textures still using this page
+    this.count = 0;
+    this.isDestroyed = false;
+  }
+
+  /**
+   * Find a place for a rectangle.
+   * @param {Number} w  Width in pixel
+   * @param {Number} h  Height in pixel
+   * @return {Object} Position(`x` and `y`), `null` if there's no room
+   */
+  insert(w, h) {
+    let i, shelf, best = null;
+    for (i = 0; i < this.shelves.length; i++) {
+      shelf = this.shelves[i];
+
+      // The one wastes least height
+      if (shelf.height >= h && this.size - shelf.x >= w && (!best || shelf.height < best.height)) {
+        best = shelf;
+      }
+    }
+
+    if (!best) {
+      if (this.bottom + h > this.size || w > this.size) {
+        return null;
+      }
+
+      best = { y: this.bottom, height: h, x: 0 };
+      this.shelves.push(best);
+      this.bottom += h;
+    }
+
+    const pos = { x: best.x, y: best.y };
+    best.x += w;
+
+    return pos;
+  }
+
+  /**
+   * Draw an image with its edges extruded.
+   * @param {HTMLImageElement|HTMLCanvasElement} img Image to draw
+   * @param {Number} x        Left of the image
+   * @param {Number} y        Top of the image
+   * @param {Number} w        Width of the image
+   * @param {Number} h        Height of the image
+   * @param {Number} extrude  Pixels to extrude
+   */
+  draw(img, x, y, w, h, extrude) {
+    const ctx = this.context;
+    const e = extrude;
+
+    ctx.drawImage(img, x, y);
+
+    if (e > 0) {
+      // Edges
+      ctx.drawImage(img, 0, 0, w, 1, x, y - e, w, e);
+      ctx.drawImage(img, 0, h - 1, w, 1, x, y + h, w, e);
+      ctx.drawImage(img, 0, 0, 1, h, x - e, y, e, h);
+      ctx.drawImage(img, w - 1, 0, 1, h, x + w, y, e, h);
+
+      // Corners
+      ctx.drawImage(img, 0, 0, 1, 1, x - e, y - e, e, e);
+      ctx.drawImage(img, w - 1, 0, 1, 1, x + w, y - e, e, e);
+      ctx.drawImage(img, 0, h - 1, 1, 1, x - e, y + h, e, e);
+      ctx.drawImage(img, w - 1, h - 1, 1, 1, x + w, y + h, e, e);
+    }
+  }
+
+  /**
+   * Release a texture of this page, the page is destroyed
+   * when no texture uses it.
+   * @param {Texture} texture Texture to release
+   */
+  release(texture) {
+    texture.destroy();
+
+    this.count -= 1;
+    if (this.count <= 0 && !this.isDestroyed) {
+      this.isDestroyed = true;
+      this.baseTexture.destroy();
+    }
+  }
+}
+
+/**
+ * Whether a resource is added by another one(i.e. image of a spritesheet).
+ * @param {Loader} loader     Loader of the resource
+ * @param {Resource} resource Resource to check
+ * @return {Boolean} Added by another resource or not
+ * @private
+ */
+function isChild(loader, resource) {
+  for (let k in loader.resources) {
+    if (loader.resources[k].children.indexOf(resource) >= 0) {
+      return true;
+    }
+  }
+
+  return false;
+}
+
+/**
+ * Create a loader middleware that packs small loaded images into
+ * shared atlas textures, so sprites of them can be batched. The
+ * `texture` of a packed resource is a frame of the atlas, which
+ * works the same as before.
+ *
+ * Images added by other resources(spritesheets, bitmap fonts and
+ * Tiled tilesets) are not packed. Set `atlas: false` to metadata
+ * of a resource to keep it as is, which is required by textures
+ * used by `TilingSprite`, `Plane` or `Rope`.
+ *
+ * Enabled by `config.gfx.atlas`.
+ *
+ * @example
+ * loader.add('bat', 'bat.png');
+ * loader.add('ground', 'ground.png', { metadata: { atlas: false } });
+ *
+ * @param {Object} [options]              Options
+ * @param {Number} [options.size=1024]    Size of atlas pages
+ * @param {Number} [options.maxSize=256]  Images larger than this(width or height) are not packed
+ * @param {Number} [options.padding=2]    Space between images
+ * @param {Number} [options.extrude=1]    Pixels to repeat around edges of images, to avoid bleeding
+ * @return {Function} Middleware
+ */
+module.exports = function(options = {}) {
+  const size = options.size || 1024;
+  const maxSize = Math.min(options.maxSize || 256, size);
+  const padding = (options.padding !== undefined) ? options.padding : 2;
+  const extrude = (options.extrude !== undefined) ? options.extrude : 1;
+
+  const pages = [];
+  const dirtyPages = [];
+
+  // Upload changed pages once after a batch of images are drawn
+  const updatePages = () => {
+    for (let i = 0; i < dirtyPages.length; i++) {
+      if (!dirtyPages[i].isDestroyed) {
+        dirtyPages[i].baseTexture.update();
+      }
+    }
+    dirtyPages.length = 0;
+  };
+
+  return function(resource, next) {
+    const texture = resource.texture;
+    if (!texture || resource.type !== Resource.TYPE.IMAGE || resource.atlas || resource.metadata.atlas === false || isChild(this, resource)) {
+      next();
+      return;
+    }
+
+    const base = texture.baseTexture;
+    const w = base.realWidth, h = base.realHeight;
+
+    // Place with padding and extruded edges, which must fit in a page
+    const cellW = w + extrude * 2 + padding, cellH = h + extrude * 2 + padding;
+    if (w > maxSize || h > maxSize || cellW > size || cellH > size) {
+      next();
+      return;
+    }
+
+    let i, page = null, pos = null;
+    for (i = 0; i < pages.length; i++) {
+      if (pages[i].isDestroyed) {
+        pages.splice(i--, 1);
+        continue;
+      }
+      if (pages[i].resolution !== base.resolution || pages[i].scaleMode !== base.scaleMode) {
+        continue;
+      }
+
+      pos = pages[i].insert(cellW, cellH);
+      if (pos) {
+        page = pages[i];
+        break;
+      }
+    }
+    if (!page) {
+      page = new AtlasPage(size, base.resolution, base.scaleMode);
+      pages.push(page);
+      pos = page.insert(cellW, cellH);
+    }
+
+    const x = pos.x + extrude, y = pos.y + extrude;
+    page.draw(base.source, x, y, w, h, extrude);
+    page.count += 1;
+
+    // Replace the texture and its cache, source image is no longer needed
+    texture.destroy(true);
+
+    const r = base.resolution;
+    resource.texture = new Texture(page.baseTexture, new Rectangle(x / r, y / r, w / r, h / r));
+    resource.atlas = page;
+    utils.TextureCache[resource.url] = resource.texture;
+
+    if (dirtyPages.length === 0) {
+      setTimeout(updatePages, 0);
+    }
+    if (dirtyPages.indexOf(page) < 0) {
+      dirtyPages.push(page);
+    }
+
+    next();
+  };
+};
@@ -13,4 +13,6 @@ module.exports = {
   bitmapFontParser: require('./bitmapFontParser'),
   spritesheetParser: require('./spritesheetParser'),
   textureParser: require('./textureParser'),
+  tiledParser: require('./tiledParser'),
+  asepriteParser: require('./asepriteParser'),
 };
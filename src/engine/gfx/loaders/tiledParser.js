@@ -0,0 +1,673 @@
+const { Resource, async } = require('engine/loader');
+const dirname = require('./dirname');
+
+/**
+ * Parse custom properties of JSON format, both the array(Tiled 1.2+)
+ * and the object(older versions) formats are supported.
+ * @param  {Array|Object} props Properties
+ * @return {Object} Map of property name -> value
+ * @private
+ */
+function jsonProperties(props) {
+  if (Array.isArray(props)) {
+    const res = {};
+    for (let i = 0; i < props.length; i++) {
+      res[props[i].name] = props[i].value;
+    }
+    return res;
+  }
+
+  return Object.assign({}, props);
+}
+
+/**
+ * Decode base64 encoded tile data into a list of gids.
+ * @param  {String} str Base64 encoded string
+ * @return {Array<Number>} Tile gids
+ * @private
+ */
+function decodeBase64(str) {
+  const bin = atob(str.trim());
+  const gids = new Array(Math.floor(bin.length / 4));
+
+  for (let i = 0; i < gids.length; i++) {
+    gids[i] = (
+      bin.charCodeAt(i * 4) |
+      bin.charCodeAt(i * 4 + 1) << 8 |
+      bin.charCodeAt(i * 4 + 2) << 16 |
+      bin.charCodeAt(i * 4 + 3) << 24
+    ) >>> 0;
+  }
+
+  return gids;
+}
+
+/**
+ * Convert a flat list of gids into a 2D array.
+ * @param  {Array<Number>} gids   Tile gids
+ * @param  {Number} width         Width of the layer in tile
+ * @param  {Number} height        Height of the layer in tile
+ * @return {Array<Array<Number>>} 2D array of gids
+ * @private
+ */
+function toRows(gids, width, height) {
+  const rows = new Array(height);
+
+  let q, r, row;
+  for (r = 0; r < height; r++) {
+    row = new Array(width);
+    for (q = 0; q < width; q++) {
+      // Keep flip flags as unsigned values
+      row[q] = (gids[r * width + q] || 0) >>> 0;
+    }
+    rows[r] = row;
+  }
+
+  return rows;
+}
+
+/**
+ * Resolve a path relative to the file of a resource, without `baseUrl`
+ * since the loader will add it back.
+ * @param  {Loader} loader  Loader instance
+ * @param  {String} url     Url of the resource
+ * @param  {String} path    Path relative to that resource
+ * @return {String} Resolved path
+ */
+function resolvePath(loader, url, path) {
+  let dir = dirname(url);
+
+  if (dir === '.') {
+    dir = '';
+  }
+
+  // remove baseUrl from dir
+  if (loader.baseUrl && dir.indexOf(loader.baseUrl) === 0) {
+    dir = dir.slice(loader.baseUrl.length);
+    if (dir.charAt(0) === '/') {
+      dir = dir.slice(1);
+    }
+  }
+
+  if (dir && dir.charAt(dir.length - 1) !== '/') {
+    dir += '/';
+  }
+
+  return dir + path;
+}
+
+/**
+ * Parse a tileset of JSON format.
+ * @param  {Object} data  Tileset data
+ * @param  {String} url   Url of the file this tileset is defined in
+ * @return {Object} Parsed tileset
+ * @private
+ */
+function jsonTileset(data, url) {
+  const tileset = {
+    firstgid: data.firstgid || 0,
+    name: data.name,
+    source: data.source,
+    url: url,
+    tilewidth: data.tilewidth,
+    tileheight: data.tileheight,
+    margin: data.margin || 0,
+    spacing: data.spacing || 0,
+    columns: data.columns,
+    tilecount: data.tilecount,
+    image: data.image,
+    texture: null,
+    properties: jsonProperties(data.properties),
+    tiles: {},
+  };
+
+  let i, id, tile;
+
+  // Tiles in Tiled 1.2+ is an array, older versions use an object
+  if (Array.isArray(data.tiles)) {
+    for (i = 0; i < data.tiles.length; i++) {
+      tile = data.tiles[i];
+      tileset.tiles[tile.id] = {
+        type: tile.type || tile.class || '',
+        image: tile.image,
+        texture: null,
+        properties: jsonProperties(tile.properties),
+      };
+    }
+  }
+  else if (data.tiles) {
+    for (id in data.tiles) {
+      tileset.tiles[id] = {
+        type: data.tiles[id].type || '',
+        image: data.tiles[id].image,
+        texture: null,
+        properties: {},
+      };
+    }
+  }
+
+  // Properties of tiles are stored separately in older versions
+  if (data.tileproperties) {
+    for (id in data.tileproperties) {
+      if (!tileset.tiles[id]) {
+        tileset.tiles[id] = { type: '', texture: null, properties: {} };
+      }
+      tileset.tiles[id].properties = jsonProperties(data.tileproperties[id]);
+    }
+  }
+
+  return tileset;
+}
+
+/**
+ * Parse a layer of JSON format, layers inside a group will be flatten.
+ * @param  {Object} data    Layer data
+ * @param  {Object} parent  Parent group(offset, opacity and visible)
+ * @param  {Array} layers   List to push parsed layers into
+ * @private
+ */
+function jsonLayer(data, parent, layers) {
+  const layer = {
+    type: data.type,
+    name: data.name,
+    visible: parent.visible && data.visible !== false,
+    opacity: parent.opacity * (Number.isFinite(data.opacity) ? data.opacity : 1),
+    offsetx: parent.offsetx + (data.offsetx || 0),
+    offsety: parent.offsety + (data.offsety || 0),
+    properties: jsonProperties(data.properties),
+  };
+
+  let i, obj;
+  switch (data.type) {
+    case 'group':
+      for (i = 0; i < data.layers.length; i++) {
+        jsonLayer(data.layers[i], layer, layers);
+      }
+      return;
+
+    case 'tilelayer':
+      layer.width = data.width;
+      layer.height = data.height;
+      if (data.chunks) {
+        console.log(`[WARNING]: Infinite map layer "${data.name}" is not supported!`);
+        layer.data = toRows([], data.width, data.height);
+      }
+      else if (data.encoding === 'base64') {
+        if (data.compression) {
+          console.log(`[WARNING]: Compressed layer "${data.name}" is not supported, use CSV or uncompressed Base64 instead!`);
+          layer.data = toRows([], data.width, data.height);
+        }
+        else {
+          layer.data = toRows(decodeBase64(data.data), data.width, data.height);
+        }
+      }
+      else {
+        layer.data = toRows(data.data, data.width, data.height);
+      }
+      break;
+
+    case 'objectgroup':
+      layer.objects = [];
+      for (i = 0; i < data.objects.length; i++) {
+        obj = data.objects[i];
+        layer.objects.push({
+          id: obj.id,
+          name: obj.name || '',
+          type: obj.type || obj.class || '',
+          x: obj.x,
+          y: obj.y,
+          width: obj.width || 0,
+          height: obj.height || 0,
+          rotation: obj.rotation || 0,
+          gid: (obj.gid || 0) >>> 0,
+          visible: obj.visible !== false,
+          ellipse: !!obj.ellipse,
+          point: !!obj.point,
+          polygon: obj.polygon,
+          polyline: obj.polyline,
+          properties: jsonProperties(obj.properties),
+        });
+      }
+      break;
+
+    case 'imagelayer':
+      layer.image = data.image;
+      break;
+  }
+
+  layers.push(layer);
+}
+
+/**
+ * Parse a map of JSON format.
+ * @param  {Object} data  Map data
+ * @param  {String} url   Url of the map file
+ * @return {Object} Parsed map
+ * @private
+ */
+function jsonMap(data, url) {
+  const map = {
+    width: data.width,
+    height: data.height,
+    tilewidth: data.tilewidth,
+    tileheight: data.tileheight,
+    orientation: data.orientation,
+    backgroundcolor: data.backgroundcolor,
+    properties: jsonProperties(data.properties),
+    tilesets: [],
+    layers: [],
+  };
+
+  let i;
+  for (i = 0; i < data.tilesets.length; i++) {
+    map.tilesets.push(jsonTileset(data.tilesets[i], url));
+  }
+
+  const root = { visible: true, opacity: 1, offsetx: 0, offsety: 0 };
+  for (i = 0; i < data.layers.length; i++) {
+    jsonLayer(data.layers[i], root, map.layers);
+  }
+
+  return map;
+}
+
+/**
+ * Get direct children of a XML node with specific name.
+ * @param  {Node} node    Parent node
+ * @param  {String} name  Name of the children
+ * @return {Array<Node>} Matched children
+ * @private
+ */
+function children(node, name) {
+  const res = [];
+  for (let i = 0; i < node.childNodes.length; i++) {
+    if (node.childNodes[i].nodeName === name) {
+      res.push(node.childNodes[i]);
+    }
+  }
+  return res;
+}
+
+/**
+ * Get numeric attribute of a XML node.
+ * @param  {Node} node      XML node
+ * @param  {String} name    Name of the attribute
+ * @param  {Number} [def=0] Default value
+ * @return {Number} Value of the attribute
+ * @private
+ */
+function num(node, name, def = 0) {
+  const value = node.getAttribute(name);
+  return (value === null || value === '') ? def : parseFloat(value);
+}
+
+/**
+ * Parse custom properties of TMX format.
+ * @param  {Node} node XML node that may contain a `properties` child
+ * @return {Object} Map of property name -> value
+ * @private
+ */
+function xmlProperties(node) {
+  const res = {};
+  const props = children(node, 'properties')[0];
+  if (!props) {
+    return res;
+  }
+
+  let i, prop, value;
+  const list = children(props, 'property');
+  for (i = 0; i < list.length; i++) {
+    prop = list[i];
+    // Multi-line strings are stored as text content
+    value = prop.hasAttribute('value') ? prop.getAttribute('value') : prop.textContent;
+
+    switch (prop.getAttribute('type')) {
+      case 'int':
+      case 'float':
+      case 'object':
+        value = parseFloat(value);
+        break;
+      case 'bool':
+        value = (value === 'true');
+        break;
+    }
+
+    res[prop.getAttribute('name')] = value;
+  }
+
+  return res;
+}
+
+/**
+ * Parse a tileset of TMX/TSX format.
+ * @param  {Node} node  Tileset node
+ * @param  {String} url Url of the file this tileset is defined in
+ * @return {Object} Parsed tileset
+ * @private
+ */
+function xmlTileset(node, url) {
+  const image = children(node, 'image')[0];
+  const tileset = {
+    firstgid: num(node, 'firstgid'),
+    name: node.getAttribute('name'),
+    source: node.getAttribute('source'),
+    url: url,
+    tilewidth: num(node, 'tilewidth'),
+    tileheight: num(node, 'tileheight'),
+    margin: num(node, 'margin'),
+    spacing: num(node, 'spacing'),
+    columns: num(node, 'columns'),
+    tilecount: num(node, 'tilecount'),
+    image: image ? image.getAttribute('source') : undefined,
+    texture: null,
+    properties: xmlProperties(node),
+    tiles: {},
+  };
+
+  let i, tile, tileImage;
+  const tiles = children(node, 'tile');
+  for (i = 0; i < tiles.length; i++) {
+    tile = tiles[i];
+    tileImage = children(tile, 'image')[0];
+    tileset.tiles[num(tile, 'id')] = {
+      type: tile.getAttribute('type') || tile.getAttribute('class') || '',
+      image: tileImage ? tileImage.getAttribute('source') : undefined,
+      texture: null,
+      properties: xmlProperties(tile),
+    };
+  }
+
+  return tileset;
+}
+
+/**
+ * Parse a points attribute("x,y x,y ...") of TMX format.
+ * @param  {Node} node Polygon or polyline node
+ * @return {Array<Object>} Points
+ * @private
+ */
+function xmlPoints(node) {
+  return node.getAttribute('points').trim().split(/\s+/).map((pair) => {
+    const p = pair.split(',');
+    return { x: parseFloat(p[0]), y: parseFloat(p[1]) };
+  });
+}
+
+/**
+ * Parse a layer of TMX format, layers inside a group will be flatten.
+ * @param  {Node} node      Layer node
+ * @param  {Object} parent  Parent group(offset, opacity and visible)
+ * @param  {Array} layers   List to push parsed layers into
+ * @private
+ */
+function xmlLayer(node, parent, layers) {
+  const layer = {
+    type: node.nodeName,
+    name: node.getAttribute('name'),
+    visible: parent.visible && node.getAttribute('visible') !== '0',
+    opacity: parent.opacity * num(node, 'opacity', 1),
+    offsetx: parent.offsetx + num(node, 'offsetx'),
+    offsety: parent.offsety + num(node, 'offsety'),
+    properties: xmlProperties(node),
+  };
+
+  let i, data, encoding, gids, obj, shape;
+  switch (node.nodeName) {
+    case 'group':
+      for (i = 0; i < node.childNodes.length; i++) {
+        if (node.childNodes[i].nodeType === 1) {
+          xmlLayer(node.childNodes[i], layer, layers);
+        }
+      }
+      return;
+
+    case 'layer':
+      layer.type = 'tilelayer';
+      layer.width = num(node, 'width');
+      layer.height = num(node, 'height');
+
+      data = children(node, 'data')[0];
+      encoding = data.getAttribute('encoding');
+      if (children(data, 'chunk').length > 0) {
+        console.log(`[WARNING]: Infinite map layer "${layer.name}" is not supported!`);
+        gids = [];
+      }
+      else if (encoding === 'csv') {
+        gids = data.textContent.trim().split(/\s*,\s*/).map(Number);
+      }
+      else if (encoding === 'base64') {
+        if (data.getAttribute('compression')) {
+          console.log(`[WARNING]: Compressed layer "${layer.name}" is not supported, use CSV or uncompressed Base64 instead!`);
+          gids = [];
+        }
+        else {
+          gids = decodeBase64(data.textContent);
+        }
+      }
+      else {
+        gids = children(data, 'tile').map((tile) => num(tile, 'gid'));
+      }
+      layer.data = toRows(gids, layer.width, layer.height);
+      break;
+
+    case 'objectgroup':
+      layer.objects = [];
+      data = children(node, 'object');
+      for (i = 0; i < data.length; i++) {
+        obj = {
+          id: num(data[i], 'id'),
+          name: data[i].getAttribute('name') || '',
+          type: data[i].getAttribute('type') || data[i].getAttribute('class') || '',
+          x: num(data[i], 'x'),
+          y: num(data[i], 'y'),
+          width: num(data[i], 'width'),
+          height: num(data[i], 'height'),
+          rotation: num(data[i], 'rotation'),
+          gid: num(data[i], 'gid') >>> 0,
+          visible: data[i].getAttribute('visible') !== '0',
+          ellipse: children(data[i], 'ellipse').length > 0,
+          point: children(data[i], 'point').length > 0,
+          properties: xmlProperties(data[i]),
+        };
+
+        shape = children(data[i], 'polygon')[0];
+        if (shape) {
+          obj.polygon = xmlPoints(shape);
+        }
+        shape = children(data[i], 'polyline')[0];
+        if (shape) {
+          obj.polyline = xmlPoints(shape);
+        }
+
+        layer.objects.push(obj);
+      }
+      break;
+
+    case 'imagelayer':
+      data = children(node, 'image')[0];
+      layer.image = data ? data.getAttribute('source') : undefined;
+      break;
+
+    default:
+      // Not a layer
+      return;
+  }
+
+  layers.push(layer);
+}
+
+/**
+ * Parse a map of TMX format.
+ * @param  {Node} node  Map node
+ * @param  {String} url Url of the map file
+ * @return {Object} Parsed map
+ * @private
+ */
+function xmlMap(node, url) {
+  const map = {
+    width: num(node, 'width'),
+    height: num(node, 'height'),
+    tilewidth: num(node, 'tilewidth'),
+    tileheight: num(node, 'tileheight'),
+    orientation: node.getAttribute('orientation'),
+    backgroundcolor: node.getAttribute('backgroundcolor') || undefined,
+    properties: xmlProperties(node),
+    tilesets: [],
+    layers: [],
+  };
+
+  let i;
+  const tilesets = children(node, 'tileset');
+  for (i = 0; i < tilesets.length; i++) {
+    map.tilesets.push(xmlTileset(tilesets[i], url));
+  }
+
+  const root = { visible: true, opacity: 1, offsetx: 0, offsety: 0 };
+  for (i = 0; i < node.childNodes.length; i++) {
+    if (node.childNodes[i].nodeType === 1) {
+      xmlLayer(node.childNodes[i], root, map.layers);
+    }
+  }
+
+  return map;
+}
+
+/**
+ * Parse map data of a resource.
+ * @param  {Resource} resource Resource to parse
+ * @return {Object|null} Parsed map or null if it's not a Tiled map
+ * @private
+ */
+function parseMap(resource) {
+  const data = resource.data;
+
+  // JSON map
+  if (resource.xhrType === Resource.XHR_RESPONSE_TYPE.JSON) {
+    if (Array.isArray(data.layers) && Array.isArray(data.tilesets) && data.tilewidth) {
+      return jsonMap(data, resource.url);
+    }
+  }
+  // TMX map
+  else if (resource.type === Resource.TYPE.XML && data.documentElement && data.documentElement.nodeName === 'map') {
+    return xmlMap(data.documentElement, resource.url);
+  }
+
+  return null;
+}
+
+/**
+ * Load an external tileset(TSX or JSON) and replace the reference with it.
+ * @param  {Loader} loader      Loader instance
+ * @param  {Resource} resource  Resource of the map
+ * @param  {Object} tileset     Tileset to load
+ * @param  {String} name        Name of the tileset resource
+ * @param  {Function} done      Callback
+ * @private
+ */
+function loadExternalTileset(loader, resource, tileset, name, done) {
+  const loadOptions = {
+    crossOrigin: resource.crossOrigin,
+    parentResource: resource,
+  };
+
+  loader.add(name, resolvePath(loader, tileset.url, tileset.source), loadOptions, (res) => {
+    let parsed = null;
+    if (res.error || !res.data) {
+      console.log(`[WARNING]: Failed to load tileset "${tileset.source}"!`);
+    }
+    else if (res.type === Resource.TYPE.XML) {
+      parsed = xmlTileset(res.data.documentElement, res.url);
+    }
+    else {
+      parsed = jsonTileset(res.data, res.url);
+    }
+
+    if (parsed) {
+      parsed.firstgid = tileset.firstgid;
+      parsed.source = tileset.source;
+      Object.assign(tileset, parsed);
+    }
+
+    done();
+  });
+}
+
+/**
+ * Load images of a tileset, for both single image and image
+ * collection tilesets.
+ * @param  {Loader} loader      Loader instance
+ * @param  {Resource} resource  Resource of the map
+ * @param  {Object} tileset     Tileset to load images for
+ * @param  {String} name        Name of the tileset resource
+ * @param  {Function} done      Callback
+ * @private
+ */
+function loadTilesetImages(loader, resource, tileset, name, done) {
+  const loadOptions = {
+    crossOrigin: resource.crossOrigin,
+    loadType: Resource.LOAD_TYPE.IMAGE,
+    metadata: resource.metadata.imageMetadata,
+    parentResource: resource,
+  };
+
+  const images = [];
+  if (tileset.image) {
+    images.push({ name: `${name}_image`, target: tileset });
+  }
+  for (let id in tileset.tiles) {
+    if (tileset.tiles[id].image) {
+      images.push({ name: `${name}_${id}`, target: tileset.tiles[id] });
+    }
+  }
+
+  async.eachSeries(images, (img, next) => {
+    loader.add(img.name, resolvePath(loader, tileset.url, img.target.image), loadOptions, (res) => {
+      img.target.texture = res.texture || null;
+      next();
+    });
+  }, done);
+}
+
+/**
+ * Loader middleware that parses Tiled maps(JSON or TMX) and loads
+ * all the tilesets they use. Parsed map is saved as `resource.tiledMap`.
+ *
+ * Layers inside groups are flatten, custom properties are converted
+ * into plain objects, and tile data is converted into 2D arrays of
+ * gids with flip flags kept.
+ *
+ * Compressed tile data and infinite maps are not supported.
+ *
+ * @return {Function} Middleware function
+ */
+module.exports = function() {
+  return function(resource, next) {
+    // skip if no data or it's not a Tiled map
+    if (!resource.data || resource.tiledMap) {
+      next();
+      return;
+    }
+
+    const map = parseMap(resource);
+    if (!map) {
+      next();
+      return;
+    }
+
+    resource.tiledMap = map;
+
+    let idx = 0;
+    async.eachSeries(map.tilesets, (tileset, nextTileset) => {
+      const name = `${resource.name}_tileset_${idx++}`;
+
+      if (tileset.source) {
+        loadExternalTileset(this, resource, tileset, name, () => {
+          loadTilesetImages(this, resource, tileset, name, nextTileset);
+        });
+      }
+      else {
+        loadTilesetImages(this, resource, tileset, name, nextTileset);
+      }
+    }, () => next());
+  };
+};
@@ -0,0 +1,91 @@
+const prefab = require('engine/prefab');
+const loader = require('engine/loader');
+const { textureFromData, filmstrip } = require('./utils');
+
+/**
+ * Factories that can be used as `type` of a prefab `gfx` definition.
+ * @type {Object}
+ * @private
+ */
+const factories = {
+  AnimatedSprite: require('./AnimatedSprite'),
+  BitmapText: require('./BitmapText'),
+  Container: require('./Container'),
+  Graphics: require('./Graphics'),
+  Sprite: require('./Sprite'),
+  Text: require('./Text'),
+  TilingSprite: require('./TilingSprite'),
+};
+
+/**
+ * Get textures of an `AnimatedSprite` from data, which can be:
+ * - key of a sprite-sheet resource(all its frames)
+ * - `{ filmstrip, width, height, margin, spacing }` to split a texture
+ * - list of texture data accepted by `textureFromData`
+ * @param  {String|Object|Array} data Textures data
+ * @return {Array<Texture>} Textures
+ * @private
+ */
+function texturesFromData(data) {
+  if (typeof(data) === 'string') {
+    const textures = loader.resources[data].textures;
+    return Object.keys(textures).map((k) => textures[k]);
+  }
+  else if (Array.isArray(data)) {
+    return data.map(textureFromData);
+  }
+  else {
+    return filmstrip(textureFromData(data.filmstrip), data.width, data.height, data.margin, data.spacing);
+  }
+}
+
+/**
+ * Create the graphic component of a prefab.
+ * @param  {Object} def Definition, with factory name as `type`(`Sprite` by default)
+ * @return {DisplayObject} Graphic component
+ * @private
+ */
+function buildGfx(def) {
+  const type = def.type || 'Sprite';
+  const factory = factories[type];
+  if (!factory) {
+    console.log(`[WARNING]: "${type}" is not a gfx factory!`);
+    return null;
+  }
+
+  let data = def;
+  if (type === 'AnimatedSprite' && def.textures) {
+    data = Object.assign({}, def, { textures: texturesFromData(def.textures) });
+  }
+
+  const inst = factory(data);
+  if (type === 'AnimatedSprite' && def.play) {
+    inst.play(def.play);
+  }
+
+  return inst;
+}
+
+prefab.registerComponent('gfx', buildGfx);
+
+/**
+ * Register a gfx factory to be used by prefabs.
+ *
+ * @example
+ * require('engine/gfx/prefab').registerFactory('Rope', require('engine/gfx/Rope'));
+ *
+ * @exports engine/gfx/prefab
+ *
+ * @requires module:engine/prefab
+ * @requires module:engine/loader
+ */
+module.exports = {
+  /**
+   * Register a gfx factory.
+   * @param {String} type       Name used as `type` of gfx definitions
+   * @param {Function} factory  Factory function that receives the definition
+   */
+  registerFactory(type, factory) {
+    factories[type] = factory;
+  },
+};
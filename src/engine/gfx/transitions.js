@@ -0,0 +1,443 @@
+const core = require('engine/core');
+const { merge } = require('engine/utils/object');
+const { Easing } = require('engine/anime/easing');
+const Graphics = require('./core/graphics/Graphics');
+const PixelateFilter = require('./filters/pixelate/PixelateFilter');
+require('./core/graphics/webgl/GraphicsRenderer');
+
+/**
+ * Base class of transitions that render games with `SystemGfx`.
+ * Sub-classes only need to implement `draw`.
+ *
+ * @example
+ * const core = require('engine/core');
+ * const { Transition } = require('engine/gfx/transitions');
+ * const TwistFilter = require('engine/gfx/filters/twist/TwistFilter');
+ *
+ * class TwistTransition extends Transition {
+ *   start(from, to) {
+ *     this.filter = new TwistFilter();
+ *   }
+ *   draw(from, to, k) {
+ *     const game = (k < 0.5) ? from : to;
+ *     this.filter.angle = Math.sin(k * Math.PI) * 10;
+ *     game.sysGfx.root.filters = [this.filter];
+ *     this.renderGame(game, true);
+ *     game.sysGfx.root.filters = null;
+ *   }
+ * }
+ * core.registerTransition('twist', TwistTransition);
+ *
+ * core.setGame(MyGame, false, {}, { type: 'twist', duration: 1000 });
+ *
+ * @class Transition
+ */
+class Transition {
+  /**
+   * @constructor
+   * @param {Object} [settings] Settings to be merged in
+   */
+  constructor(settings) {
+    /**
+     * Duration of this transition in ms.
+     * @type {Number}
+     * @default 500
+     */
+    this.duration = 500;
+
+    /**
+     * Easing function or its name(i.e. 'Quadratic.InOut').
+     * @type {String|Function}
+     * @default 'Linear.None'
+     */
+    this.easing = 'Linear.None';
+
+    merge(this, settings);
+  }
+
+  /**
+   * Called when this transition starts.
+   * @memberof Transition#
+   * @param {Game} from Outgoing game
+   * @param {Game} to   Incoming game
+   */
+  start(from, to) {} /* eslint no-unused-vars:0 */
+
+  /**
+   * Called each frame by `core` while this transition is running.
+   * @memberof Transition#
+   * @param {Game} from       Outgoing game
+   * @param {Game} to         Incoming game
+   * @param {Number} progress Progress of the transition(0 ~ 1)
+   */
+  render(from, to, progress) {
+    let easingFn = this.easing;
+    if (typeof(easingFn) === 'string') {
+      const names = easingFn.split('.');
+      easingFn = Easing[names[0]][names[1]];
+    }
+
+    this.draw(from, to, easingFn(progress));
+  }
+
+  /**
+   * Draw both games at a moment.
+   * @memberof Transition#
+   * @param {Game} from Outgoing game
+   * @param {Game} to   Incoming game
+   * @param {Number} k  Eased progress of the transition
+   */
+  draw(from, to, k) {} /* eslint no-unused-vars:0 */
+
+  /**
+   * Called when this transition ends, restore the games here.
+   * @memberof Transition#
+   * @param {Game} from Outgoing game
+   * @param {Game} to   Incoming game
+   */
+  end(from, to) {} /* eslint no-unused-vars:0 */
+
+  /**
+   * Render a game to the screen.
+   * @memberof Transition#
+   * @param {Game} game     Game to render
+   * @param {Boolean} clear Whether clear the screen with its background color first
+   */
+  renderGame(game, clear) {
+    const gfx = game.sysGfx;
+    if (!gfx) {
+      return;
+    }
+
+    this.renderObject(gfx.renderer, gfx.root, clear, gfx.backgroundColor);
+  }
+  /**
+   * Render a display object to the screen.
+   * @memberof Transition#
+   * @param {Renderer} renderer       Renderer to use
+   * @param {DisplayObject} object    Object to render
+   * @param {Boolean} clear           Whether clear the screen first
+   * @param {Number} [color]          Background color used to clear
+   */
+  renderObject(renderer, object, clear, color) {
+    renderer.clearBeforeRender = clear;
+    if (clear && color !== undefined && renderer.backgroundColor !== color) {
+      renderer.backgroundColor = color;
+    }
+
+    renderer.render(object);
+  }
+}
+
+/**
+ * Fade out to a color then fade in the incoming game.
+ *
+ * @class Fade
+ * @extends {Transition}
+ */
+class Fade extends Transition {
+  /**
+   * @constructor
+   * @param {Object} [settings] Settings to be merged in
+   */
+  constructor(settings) {
+    super();
+
+    /**
+     * Color to fade through.
+     * @type {Number}
+     * @default 0x000000
+     */
+    this.color = 0x000000;
+
+    merge(this, settings);
+
+    /**
+     * @type {Graphics}
+     * @private
+     */
+    this.cover = new Graphics();
+  }
+  /**
+   * @memberof Fade#
+   * @param {Game} from Outgoing game
+   * @param {Game} to   Incoming game
+   */
+  start(from, to) {
+    this.cover.clear();
+    this.cover.beginFill(this.color);
+    this.cover.drawRect(0, 0, core.viewSize.x, core.viewSize.y);
+    this.cover.endFill();
+  }
+  /**
+   * @memberof Fade#
+   * @param {Game} from Outgoing game
+   * @param {Game} to   Incoming game
+   * @param {Number} k  Eased progress of the transition
+   */
+  draw(from, to, k) {
+    const game = (k < 0.5) ? from : to;
+    if (!game.sysGfx) {
+      return;
+    }
+
+    this.renderGame(game, true);
+
+    this.cover.alpha = 1 - Math.abs(k * 2 - 1);
+    this.renderObject(game.sysGfx.renderer, this.cover, false);
+  }
+}
+
+/**
+ * Slide the outgoing game out while the incoming one slides in.
+ *
+ * @class Slide
+ * @extends {Transition}
+ */
+class Slide extends Transition {
+  /**
+   * @constructor
+   * @param {Object} [settings] Settings to be merged in
+   */
+  constructor(settings) {
+    super();
+
+    /**
+     * Direction games move towards(`left`, `right`, `up` or `down`).
+     * @type {String}
+     * @default 'left'
+     */
+    this.direction = 'left';
+
+    merge(this, settings);
+
+    /**
+     * @type {Object}
+     * @private
+     */
+    this.fromPos = { x: 0, y: 0 };
+    /**
+     * @type {Object}
+     * @private
+     */
+    this.toPos = { x: 0, y: 0 };
+  }
+  /**
+   * @memberof Slide#
+   * @param {Game} from Outgoing game
+   * @param {Game} to   Incoming game
+   */
+  start(from, to) {
+    if (from.sysGfx) {
+      this.fromPos.x = from.sysGfx.root.position.x;
+      this.fromPos.y = from.sysGfx.root.position.y;
+    }
+    if (to.sysGfx) {
+      this.toPos.x = to.sysGfx.root.position.x;
+      this.toPos.y = to.sysGfx.root.position.y;
+    }
+  }
+  /**
+   * @memberof Slide#
+   * @param {Game} from Outgoing game
+   * @param {Game} to   Incoming game
+   * @param {Number} k  Eased progress of the transition
+   */
+  draw(from, to, k) {
+    let dx = 0, dy = 0;
+    switch (this.direction) {
+      case 'left':
+        dx = -core.viewSize.x;
+        break;
+      case 'right':
+        dx = core.viewSize.x;
+        break;
+      case 'up':
+        dy = -core.viewSize.y;
+        break;
+      case 'down':
+        dy = core.viewSize.y;
+        break;
+    }
+
+    if (from.sysGfx) {
+      from.sysGfx.root.position.set(this.fromPos.x + dx * k, this.fromPos.y + dy * k);
+      this.renderGame(from, true);
+    }
+    if (to.sysGfx) {
+      to.sysGfx.root.position.set(this.toPos.x - dx * (1 - k), this.toPos.y - dy * (1 - k));
+      this.renderGame(to, !from.sysGfx);
+    }
+  }
+  /**
+   * @memberof Slide#
+   * @param {Game} from Outgoing game
+   * @param {Game} to   Incoming game
+   */
+  end(from, to) {
+    if (from.sysGfx) {
+      from.sysGfx.root.position.set(this.fromPos.x, this.fromPos.y);
+    }
+    if (to.sysGfx) {
+      to.sysGfx.root.position.set(this.toPos.x, this.toPos.y);
+    }
+  }
+}
+
+/**
+ * Reveal the incoming game over the outgoing one by a moving edge.
+ *
+ * @class Wipe
+ * @extends {Transition}
+ */
+class Wipe extends Transition {
+  /**
+   * @constructor
+   * @param {Object} [settings] Settings to be merged in
+   */
+  constructor(settings) {
+    super();
+
+    /**
+     * Direction the edge moves towards(`left`, `right`, `up` or `down`).
+     * @type {String}
+     * @default 'right'
+     */
+    this.direction = 'right';
+
+    merge(this, settings);
+
+    /**
+     * @type {Graphics}
+     * @private
+     */
+    this.mask = new Graphics();
+  }
+  /**
+   * @memberof Wipe#
+   * @param {Game} from Outgoing game
+   * @param {Game} to   Incoming game
+   * @param {Number} k  Eased progress of the transition
+   */
+  draw(from, to, k) {
+    if (from.sysGfx) {
+      this.renderGame(from, true);
+    }
+    if (!to.sysGfx) {
+      return;
+    }
+
+    const w = core.viewSize.x, h = core.viewSize.y;
+    this.mask.clear();
+    this.mask.beginFill(0xffffff);
+    switch (this.direction) {
+      case 'right':
+        this.mask.drawRect(0, 0, w * k, h);
+        break;
+      case 'left':
+        this.mask.drawRect(w * (1 - k), 0, w * k, h);
+        break;
+      case 'down':
+        this.mask.drawRect(0, 0, w, h * k);
+        break;
+      case 'up':
+        this.mask.drawRect(0, h * (1 - k), w, h * k);
+        break;
+    }
+    this.mask.endFill();
+
+    to.sysGfx.root.mask = this.mask;
+    this.renderGame(to, !from.sysGfx);
+    to.sysGfx.root.mask = null;
+  }
+}
+
+/**
+ * Pixelate the outgoing game then the incoming one back to normal.
+ * Note: filters only work with WebGL renderer, it will be a cut
+ * at the half way with canvas renderer.
+ *
+ * @class Pixelate
+ * @extends {Transition}
+ */
+class Pixelate extends Transition {
+  /**
+   * @constructor
+   * @param {Object} [settings] Settings to be merged in
+   */
+  constructor(settings) {
+    super();
+
+    /**
+     * Largest pixel size at the half way.
+     * @type {Number}
+     * @default 32
+     */
+    this.size = 32;
+
+    merge(this, settings);
+
+    /**
+     * @type {PixelateFilter}
+     * @private
+     */
+    this.filter = null;
+    /**
+     * @type {Array<PixelateFilter>}
+     * @private
+     */
+    this.filters = null;
+  }
+  /**
+   * @memberof Pixelate#
+   * @param {Game} from Outgoing game
+   * @param {Game} to   Incoming game
+   */
+  start(from, to) {
+    if (!this.filter) {
+      this.filter = new PixelateFilter();
+      this.filters = [this.filter];
+    }
+  }
+  /**
+   * @memberof Pixelate#
+   * @param {Game} from Outgoing game
+   * @param {Game} to   Incoming game
+   * @param {Number} k  Eased progress of the transition
+   */
+  draw(from, to, k) {
+    const game = (k < 0.5) ? from : to;
+    if (!game.sysGfx) {
+      return;
+    }
+
+    const size = Math.max(1, Math.round(this.size * (1 - Math.abs(k * 2 - 1))));
+    this.filter.size = { x: size, y: size };
+
+    game.sysGfx.root.filters = this.filters;
+    this.renderGame(game, true);
+    game.sysGfx.root.filters = null;
+  }
+}
+
+core.registerTransition('fade', Fade);
+core.registerTransition('slide', Slide);
+core.registerTransition('wipe', Wipe);
+core.registerTransition('pixelate', Pixelate);
+
+/**
+ * Built-in transitions for `core.setGame`, which are registered
+ * as `fade`, `slide`, `wipe` and `pixelate`.
+ *
+ * @exports engine/gfx/transitions
+ *
+ * @requires module:engine/core
+ * @requires module:engine/anime/easing
+ */
+module.exports = {
+  Transition: Transition,
+  Fade: Fade,
+  Slide: Slide,
+  Wipe: Wipe,
+  Pixelate: Pixelate,
+};
@@ -1,23 +1,73 @@
 const Texture = require('../core/textures/Texture');
 const { Rectangle } = require('../core/math');
+const { TextureCache } = require('../core/utils');
+const BitmapText = require('../core/text/BitmapText');
 const loader = require('engine/loader');
 const { Resource } = loader;
+const config = require('game/config');
 
 // General asset middlewares (including texture support)
 const blobMiddlewareFactory = require('engine/loader/middlewares/parsing/blob').blobMiddlewareFactory;
 const textureParser = require('../loaders/textureParser');
 const spritesheetParser = require('../loaders/spritesheetParser');
 const bitmapFontParser = require('../loaders/bitmapFontParser');
+const tiledParser = require('../loaders/tiledParser');
+const asepriteParser = require('../loaders/asepriteParser');
+const atlasPacker = require('../loaders/atlasPacker');
 Resource.setExtensionXhrType('fnt', Resource.XHR_RESPONSE_TYPE.DOCUMENT);
 
 // - parse any blob into more usable objects (e.g. Image)
 loader.use(blobMiddlewareFactory());
 // - parse any Image objects into textures
 loader.use(textureParser());
+// - pack small images into shared atlases
+if (config.gfx.atlas) {
+  loader.use(atlasPacker((config.gfx.atlas === true) ? {} : config.gfx.atlas));
+}
 // - parse any spritesheet data into multiple textures
 loader.use(spritesheetParser());
+// - parse any Aseprite frame tags and slices into animations
+loader.use(asepriteParser());
 // - parse any spritesheet data into multiple textures
 loader.use(bitmapFontParser());
+// - parse any Tiled map data and load its tilesets
+loader.use(tiledParser());
+
+// - destroy textures and fonts of unloaded resources
+loader.onUnload.add(function(loader, resource) {
+  if (resource.textures) {
+    for (let k in resource.textures) {
+      if (TextureCache[k] === resource.textures[k]) {
+        delete TextureCache[k];
+      }
+      resource.textures[k].destroy();
+    }
+    resource.textures = null;
+  }
+
+  if (resource.bitmapFont) {
+    if (BitmapText.fonts[resource.bitmapFont.font] === resource.bitmapFont) {
+      delete BitmapText.fonts[resource.bitmapFont.font];
+    }
+    resource.bitmapFont = null;
+  }
+
+  // Base texture is destroyed along with its cache, unless it's a shared atlas
+  if (resource.texture) {
+    if (resource.atlas) {
+      // Atlas pages have no url to clear the cache by
+      if (TextureCache[resource.url] === resource.texture) {
+        delete TextureCache[resource.url];
+      }
+      resource.atlas.release(resource.texture);
+      resource.atlas = null;
+    }
+    else {
+      resource.texture.destroy(true);
+    }
+    resource.texture = null;
+  }
+});
 
 /**
  * Get texture instance from data.
@@ -45,9 +95,11 @@ module.exports.textureFromData = function(data) {
  * @param  {Texture} tileset    Tileset texture.
  * @param  {number} tileWidth   Width of a single tile.
  * @param  {number} tileHeight  Height of a single tile.
+ * @param  {number} [margin=0]  Margin around the tiles.
+ * @param  {number} [spacing=0] Spacing between the tiles.
  * @return {array<Texture>}     List of textures.
  */
-module.exports.filmstrip = function(tileset, tileWidth, tileHeight) {
+module.exports.filmstrip = function(tileset, tileWidth, tileHeight, margin = 0, spacing = 0) {
   var strip = [];
 
   var w = tileset.width;
@@ -56,13 +108,13 @@ module.exports.filmstrip = function(tileset, tileWidth, tileHeight) {
 
   var sheet = tileset.baseTexture;
 
-  var cols = Math.floor(w / tileWidth);
-  var rows = Math.floor(h / tileHeight);
+  var cols = Math.floor((w - margin * 2 + spacing) / (tileWidth + spacing));
+  var rows = Math.floor((h - margin * 2 + spacing) / (tileHeight + spacing));
 
   var q = 0, r = 0;
   for (r = 0; r < rows; r++) {
     for (q = 0; q < cols; q++) {
-      strip.push(new Texture(sheet, new Rectangle(q * tileWidth + crop.x, r * tileHeight + crop.y, tileWidth, tileHeight)));
+      strip.push(new Texture(sheet, new Rectangle(margin + q * (tileWidth + spacing) + crop.x, margin + r * (tileHeight + spacing) + crop.y, tileWidth, tileHeight)));
     }
   }
 
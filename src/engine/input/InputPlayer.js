@@ -0,0 +1,206 @@
+const EventEmitter = require('engine/EventEmitter');
+const rnd = require('engine/rnd');
+
+/**
+ * Plays records of `InputRecorder` back, action states of a `SystemInput`
+ * are fed from the records instead of devices while playing.
+ *
+ * Start playing at the same point(i.e. same game state) where
+ * recording started, since random generator state is restored
+ * by `start`.
+ *
+ * @example
+ * const InputPlayer = require('engine/input/InputPlayer');
+ *
+ * const player = new InputPlayer(this.sysInput, loader.resources['demo'].data);
+ * player.once('finish', () => core.setGame(TitleGame));
+ * player.start();
+ *
+ * @class InputPlayer
+ * @extends {EventEmitter}
+ *
+ * @emits finish
+ */
+class InputPlayer extends EventEmitter {
+  /**
+   * @constructor
+   * @param {SystemInput} input               Input system to feed
+   * @param {Object|String} data              Records(or JSON string) from `InputRecorder`
+   * @param {RandomDataGenerator} [rng=rnd]   Random generator whose state will be restored
+   */
+  constructor(input, data, rng = rnd) {
+    super();
+
+    /**
+     * Input system to feed.
+     * @type {SystemInput}
+     */
+    this.input = input;
+
+    /**
+     * Records to play.
+     * @type {Object}
+     */
+    this.data = (typeof(data) === 'string') ? JSON.parse(data) : data;
+
+    /**
+     * Random generator whose state will be restored.
+     * @type {RandomDataGenerator}
+     */
+    this.rng = rng;
+
+    /**
+     * Whether it is playing.
+     * @type {Boolean}
+     */
+    this.isPlaying = false;
+
+    /**
+     * Current step.
+     * @type {Number}
+     */
+    this.step = 0;
+
+    /**
+     * @type {Number}
+     * @private
+     */
+    this.frameIdx = 0;
+    /**
+     * @type {Number}
+     * @private
+     */
+    this.axisIdx = 0;
+    /**
+     * @type {Object}
+     * @private
+     */
+    this.axisValues = {};
+  }
+
+  /**
+   * Start playing from the beginning.
+   * @memberof InputPlayer#
+   * @return {InputPlayer} Self for chaining
+   */
+  start() {
+    this.isPlaying = true;
+    this.step = 0;
+    this.frameIdx = 0;
+    this.axisIdx = 0;
+    this.axisValues = {};
+
+    this.rng.state(this.data.seed);
+
+    // Clear live states
+    this.input.player = this;
+    this.releaseAll();
+    this.input.resetFlags();
+
+    if (this.data.length > 0) {
+      this.apply();
+    }
+    else {
+      this.stop();
+      this.emit('finish');
+    }
+
+    return this;
+  }
+  /**
+   * Stop playing, live input will be used again.
+   * @memberof InputPlayer#
+   * @return {InputPlayer} Self for chaining
+   */
+  stop() {
+    this.isPlaying = false;
+
+    if (this.input.player === this) {
+      this.input.player = null;
+      this.releaseAll();
+    }
+
+    return this;
+  }
+
+  /**
+   * Value of an axis at current step.
+   * @memberof InputPlayer#
+   * @param {String} name Axis name
+   * @return {Number} Value of the axis
+   */
+  axis(name) {
+    return this.axisValues[name] || 0;
+  }
+
+  /**
+   * Move to the next step, called by `SystemInput`.
+   * @memberof InputPlayer#
+   * @private
+   */
+  next() {
+    this.step += 1;
+
+    if (this.step >= this.data.length) {
+      this.stop();
+      this.emit('finish');
+      return;
+    }
+
+    this.apply();
+  }
+
+  /**
+   * Apply records of current step to the input system.
+   * @memberof InputPlayer#
+   * @private
+   */
+  apply() {
+    const input = this.input;
+    const names = this.data.actions;
+
+    // Actions
+    const frame = this.data.frames[this.frameIdx];
+    if (frame && frame[0] === this.step) {
+      this.frameIdx += 1;
+
+      let i;
+      for (i = 0; i < frame[2].length; i++) {
+        input.pressAction(names[frame[2][i]]);
+      }
+      for (i = 0; i < frame[3].length; i++) {
+        input.releaseAction(names[frame[3][i]]);
+      }
+
+      // Held actions are the final states
+      for (i in input.actions) {
+        input.actions[i] = false;
+      }
+      for (i = 0; i < frame[1].length; i++) {
+        input.actions[names[frame[1][i]]] = true;
+      }
+    }
+
+    // Axes
+    let change = this.data.axes[this.axisIdx];
+    while (change && change[0] === this.step) {
+      this.axisValues[this.data.axisNames[change[1]]] = change[2];
+
+      this.axisIdx += 1;
+      change = this.data.axes[this.axisIdx];
+    }
+  }
+
+  /**
+   * Release all the actions without triggering release flags.
+   * @memberof InputPlayer#
+   * @private
+   */
+  releaseAll() {
+    for (let a in this.input.actions) {
+      this.input.actions[a] = false;
+    }
+  }
+}
+
+module.exports = InputPlayer;
@@ -0,0 +1,214 @@
+const rnd = require('engine/rnd');
+
+/**
+ * Records action states of a `SystemInput` each fixed step, along with
+ * the state of random generator, so that a game can be replayed by
+ * `InputPlayer` exactly the same.
+ *
+ * Only changes are recorded, which keeps the exported data compact.
+ * Raw keys and pointer positions are not recorded, so read input from
+ * actions and axes to make a game replayable.
+ *
+ * @example
+ * const InputRecorder = require('engine/input/InputRecorder');
+ *
+ * const recorder = new InputRecorder(this.sysInput);
+ * recorder.start();
+ *
+ * // Later
+ * recorder.stop();
+ * const json = JSON.stringify(recorder.toJSON());
+ *
+ * @class InputRecorder
+ */
+class InputRecorder {
+  /**
+   * @constructor
+   * @param {SystemInput} input                 Input system to record
+   * @param {RandomDataGenerator} [rng=rnd]     Random generator whose state will be saved
+   */
+  constructor(input, rng = rnd) {
+    /**
+     * Input system to record.
+     * @type {SystemInput}
+     */
+    this.input = input;
+
+    /**
+     * Random generator whose state will be saved.
+     * @type {RandomDataGenerator}
+     */
+    this.rng = rng;
+
+    /**
+     * Whether it is recording.
+     * @type {Boolean}
+     */
+    this.isRecording = false;
+
+    /**
+     * Count of recorded steps.
+     * @type {Number}
+     */
+    this.length = 0;
+
+    /**
+     * State of the random generator when recording started.
+     * @type {String}
+     */
+    this.seed = '';
+
+    /**
+     * Names of recorded actions, frames refer actions by index.
+     * @type {Array<String>}
+     */
+    this.actionNames = [];
+    /**
+     * Names of recorded axes, frames refer axes by index.
+     * @type {Array<String>}
+     */
+    this.axisNames = [];
+
+    /**
+     * Steps that actions changed, each is
+     * `[step, held, pressed, released]`.
+     * @type {Array<Array>}
+     */
+    this.frames = [];
+    /**
+     * Changes of axes, each is `[step, axis, value]`.
+     * @type {Array<Array>}
+     */
+    this.axes = [];
+
+    /**
+     * @type {String}
+     * @private
+     */
+    this.lastHeld = '';
+    /**
+     * @type {Object}
+     * @private
+     */
+    this.lastAxes = {};
+  }
+
+  /**
+   * Start recording, previous records will be cleared.
+   * @memberof InputRecorder#
+   * @return {InputRecorder} Self for chaining
+   */
+  start() {
+    this.isRecording = true;
+    this.length = 0;
+    this.seed = this.rng.state();
+    this.actionNames.length = 0;
+    this.axisNames.length = 0;
+    this.frames.length = 0;
+    this.axes.length = 0;
+    this.lastHeld = '';
+    this.lastAxes = {};
+
+    this.input.recorder = this;
+
+    return this;
+  }
+  /**
+   * Stop recording.
+   * @memberof InputRecorder#
+   * @return {InputRecorder} Self for chaining
+   */
+  stop() {
+    this.isRecording = false;
+
+    if (this.input.recorder === this) {
+      this.input.recorder = null;
+    }
+
+    return this;
+  }
+
+  /**
+   * Record states of current step, called by `SystemInput`.
+   * @memberof InputRecorder#
+   * @private
+   */
+  capture() {
+    const input = this.input;
+
+    // Actions
+    const held = [], pressed = [], released = [];
+
+    let a;
+    for (a in input.actions) {
+      if (input.actions[a]) {
+        held.push(this.indexOf(this.actionNames, a));
+      }
+    }
+    for (a in input.lastPressed) {
+      if (input.lastPressed[a]) {
+        pressed.push(this.indexOf(this.actionNames, a));
+      }
+    }
+    for (a in input.lastReleased) {
+      if (input.lastReleased[a]) {
+        released.push(this.indexOf(this.actionNames, a));
+      }
+    }
+
+    const heldKey = held.join(',');
+    if (pressed.length > 0 || released.length > 0 || heldKey !== this.lastHeld) {
+      this.frames.push([this.length, held, pressed, released]);
+      this.lastHeld = heldKey;
+    }
+
+    // Axes
+    let value;
+    for (a in input.axisBindings) {
+      value = input.axis(a);
+      if (value !== (this.lastAxes[a] || 0)) {
+        this.axes.push([this.length, this.indexOf(this.axisNames, a), value]);
+        this.lastAxes[a] = value;
+      }
+    }
+
+    this.length += 1;
+  }
+
+  /**
+   * Export records as a plain object, which can be stringified
+   * as JSON and played by `InputPlayer`.
+   * @memberof InputRecorder#
+   * @return {Object} Records
+   */
+  toJSON() {
+    return {
+      version: 1,
+      seed: this.seed,
+      length: this.length,
+      actions: this.actionNames.slice(),
+      axisNames: this.axisNames.slice(),
+      frames: this.frames.slice(),
+      axes: this.axes.slice(),
+    };
+  }
+
+  /**
+   * Index of a name in a list, will be added if not exist.
+   * @memberof InputRecorder#
+   * @param {Array<String>} list  List of names
+   * @param {String} name         Name to find
+   * @return {Number} Index of the name
+   * @private
+   */
+  indexOf(list, name) {
+    let idx = list.indexOf(name);
+    if (idx < 0) {
+      idx = list.length;
+      list.push(name);
+    }
+    return idx;
+  }
+}
+
+module.exports = InputRecorder;
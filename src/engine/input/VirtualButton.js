@@ -0,0 +1,207 @@
+const EventEmitter = require('engine/EventEmitter');
+const Vector = require('engine/Vector');
+const pointer = require('./pointer');
+
+/**
+ * On-screen button for touch devices, which works just like a
+ * key once added to `SystemInput` by `addControl`.
+ *
+ * @example
+ * const VirtualButton = require('engine/input/VirtualButton');
+ *
+ * this.sysInput
+ *   .addControl(new VirtualButton({
+ *     key: 'VBUTTON_JUMP',
+ *     position: { x: 280, y: 160 },
+ *     radius: 24,
+ *   }))
+ *   .bind('VBUTTON_JUMP', 'jump');
+ *
+ * @class VirtualButton
+ * @extends {EventEmitter}
+ *
+ * @emits buttondown
+ * @emits buttonup
+ */
+class VirtualButton extends EventEmitter {
+  /**
+   * @constructor
+   * @param {Object} settings Settings to be merged in
+   */
+  constructor(settings) {
+    super();
+
+    /**
+     * Name of this button, used for bindings.
+     * @type {String}
+     * @default 'VBUTTON'
+     */
+    this.key = 'VBUTTON';
+
+    /**
+     * Center of this button, in game coordinate.
+     * @type {Vector}
+     */
+    this.position = Vector.create();
+
+    /**
+     * Radius of this button.
+     * @type {Number}
+     * @default 24
+     */
+    this.radius = 24;
+
+    /**
+     * Graphic element to draw this button, its position and
+     * alpha(half when released) will be updated automatically.
+     * @type {DisplayObject}
+     */
+    this.gfx = null;
+
+    /**
+     * Whether this button is pressed down.
+     * @type {Boolean}
+     */
+    this.isDown = false;
+
+    /**
+     * Id of the pointer that presses this button.
+     * @type {String|Number}
+     * @private
+     */
+    this.pointerId = null;
+
+    /**
+     * Whether listening to the pointer events.
+     * @type {Boolean}
+     * @private
+     */
+    this.isActive = false;
+
+    this.setup(settings);
+    this.updateGfx();
+  }
+
+  /**
+   * Setup this button with settings.
+   * @memberof VirtualButton#
+   * @param {Object} settings Settings
+   * @return {VirtualButton} Self for chaining
+   */
+  setup(settings) {
+    for (let k in settings) {
+      switch (k) {
+        // Value
+        case 'key':
+        case 'radius':
+        case 'gfx':
+          this[k] = settings[k];
+          break;
+
+        // Vector
+        case 'position':
+          this.position.set(settings.position.x, settings.position.y);
+          break;
+      }
+    }
+
+    return this;
+  }
+
+  /**
+   * Start listening to the pointer.
+   * @memberof VirtualButton#
+   * @return {VirtualButton} Self for chaining
+   */
+  activate() {
+    if (!this.isActive) {
+      this.isActive = true;
+      pointer.on('down', this.pointerdown, this);
+      pointer.on('up', this.pointerup, this);
+    }
+    return this;
+  }
+  /**
+   * Stop listening to the pointer and release this button.
+   * @memberof VirtualButton#
+   * @return {VirtualButton} Self for chaining
+   */
+  deactivate() {
+    if (this.isActive) {
+      this.isActive = false;
+      pointer.off('down', this.pointerdown, this);
+      pointer.off('up', this.pointerup, this);
+    }
+    this.release();
+    return this;
+  }
+
+  /**
+   * Whether a point is inside of this button.
+   * @memberof VirtualButton#
+   * @param {Vector} p Point in game coordinate
+   * @return {Boolean} Inside or not
+   */
+  hitTest(p) {
+    const dx = p.x - this.position.x, dy = p.y - this.position.y;
+    return dx * dx + dy * dy <= this.radius * this.radius;
+  }
+
+  /**
+   * Pointer down listener.
+   * @memberof VirtualButton#
+   * @param {Object} p Pointer
+   * @private
+   */
+  pointerdown(p) {
+    if (this.pointerId !== null || !this.hitTest(p)) {
+      return;
+    }
+
+    this.pointerId = p.id;
+    this.isDown = true;
+    this.updateGfx();
+    this.emit('buttondown', this.key);
+  }
+  /**
+   * Pointer up listener.
+   * @memberof VirtualButton#
+   * @param {Object} p Pointer
+   * @private
+   */
+  pointerup(p) {
+    if (p.id === this.pointerId) {
+      this.release();
+    }
+  }
+
+  /**
+   * Release this button.
+   * @memberof VirtualButton#
+   * @private
+   */
+  release() {
+    if (!this.isDown) {
+      return;
+    }
+
+    this.pointerId = null;
+    this.isDown = false;
+    this.updateGfx();
+    this.emit('buttonup', this.key);
+  }
+
+  /**
+   * Update graphic element to match current state.
+   * @memberof VirtualButton#
+   * @private
+   */
+  updateGfx() {
+    if (this.gfx) {
+      this.gfx.position.set(this.position.x, this.position.y);
+      this.gfx.alpha = this.isDown ? 1 : 0.5;
+    }
+  }
+}
+
+module.exports = VirtualButton;
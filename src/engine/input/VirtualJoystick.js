@@ -0,0 +1,332 @@
+const EventEmitter = require('engine/EventEmitter');
+const Vector = require('engine/Vector');
+const pointer = require('./pointer');
+
+/**
+ * On-screen joystick for touch devices. Once added to `SystemInput`
+ * by `addControl`, its directions work just like keys named as
+ * `${key}_LEFT`, `${key}_RIGHT`, `${key}_UP` and `${key}_DOWN`,
+ * and the analog value is available as `axis`(or `${key}_X` and
+ * `${key}_Y` for `SystemInput.bindAxis`).
+ *
+ * @example
+ * const VirtualJoystick = require('engine/input/VirtualJoystick');
+ *
+ * const stick = new VirtualJoystick({
+ *   key: 'VSTICK',
+ *   position: { x: 40, y: 160 },
+ *   radius: 32,
+ * });
+ *
+ * this.sysInput
+ *   .addControl(stick)
+ *   .bind('VSTICK_LEFT', 'left')
+ *   .bind('VSTICK_RIGHT', 'right');
+ *
+ * @class VirtualJoystick
+ * @extends {EventEmitter}
+ *
+ * @emits buttondown
+ * @emits buttonup
+ */
+class VirtualJoystick extends EventEmitter {
+  /**
+   * @constructor
+   * @param {Object} settings Settings to be merged in
+   */
+  constructor(settings) {
+    super();
+
+    /**
+     * Name prefix of the direction keys.
+     * @type {String}
+     * @default 'VSTICK'
+     */
+    this.key = 'VSTICK';
+
+    /**
+     * Center of this joystick, in game coordinate.
+     * @type {Vector}
+     */
+    this.position = Vector.create();
+
+    /**
+     * How far can the knob move from the center.
+     * @type {Number}
+     * @default 32
+     */
+    this.radius = 32;
+
+    /**
+     * Axis length smaller than this will be treated as 0.
+     * @type {Number}
+     * @default 0.2
+     */
+    this.deadZone = 0.2;
+
+    /**
+     * Axis value larger than this will press the direction keys.
+     * @type {Number}
+     * @default 0.5
+     */
+    this.threshold = 0.5;
+
+    /**
+     * Analog value of this joystick(-1 ~ 1).
+     * @type {Vector}
+     */
+    this.axis = Vector.create(0, 0);
+
+    /**
+     * Position of the knob, in game coordinate.
+     * @type {Vector}
+     */
+    this.knob = Vector.create();
+
+    /**
+     * Graphic element of the base, its position will
+     * be updated automatically.
+     * @type {DisplayObject}
+     */
+    this.gfx = null;
+
+    /**
+     * Graphic element of the knob, its position will
+     * be updated automatically.
+     * @type {DisplayObject}
+     */
+    this.knobGfx = null;
+
+    /**
+     * Id of the pointer that controls this joystick.
+     * @type {String|Number}
+     * @private
+     */
+    this.pointerId = null;
+
+    /**
+     * Whether listening to the pointer events.
+     * @type {Boolean}
+     * @private
+     */
+    this.isActive = false;
+
+    /**
+     * State of the direction keys.
+     * @type {Object}
+     * @private
+     */
+    this.keysDown = {};
+
+    this.setup(settings);
+    this.knob.copy(this.position);
+    this.updateGfx();
+  }
+
+  /**
+   * Setup this joystick with settings.
+   * @memberof VirtualJoystick#
+   * @param {Object} settings Settings
+   * @return {VirtualJoystick} Self for chaining
+   */
+  setup(settings) {
+    for (let k in settings) {
+      switch (k) {
+        // Value
+        case 'key':
+        case 'radius':
+        case 'deadZone':
+        case 'threshold':
+        case 'gfx':
+        case 'knobGfx':
+          this[k] = settings[k];
+          break;
+
+        // Vector
+        case 'position':
+          this.position.set(settings.position.x, settings.position.y);
+          break;
+      }
+    }
+
+    return this;
+  }
+
+  /**
+   * Start listening to the pointer.
+   * @memberof VirtualJoystick#
+   * @return {VirtualJoystick} Self for chaining
+   */
+  activate() {
+    if (!this.isActive) {
+      this.isActive = true;
+      pointer.on('down', this.pointerdown, this);
+      pointer.on('move', this.pointermove, this);
+      pointer.on('up', this.pointerup, this);
+    }
+    return this;
+  }
+  /**
+   * Stop listening to the pointer and reset this joystick.
+   * @memberof VirtualJoystick#
+   * @return {VirtualJoystick} Self for chaining
+   */
+  deactivate() {
+    if (this.isActive) {
+      this.isActive = false;
+      pointer.off('down', this.pointerdown, this);
+      pointer.off('move', this.pointermove, this);
+      pointer.off('up', this.pointerup, this);
+    }
+    this.release();
+    return this;
+  }
+
+  /**
+   * Whether a point is inside of this joystick.
+   * @memberof VirtualJoystick#
+   * @param {Vector} p Point in game coordinate
+   * @return {Boolean} Inside or not
+   */
+  hitTest(p) {
+    const dx = p.x - this.position.x, dy = p.y - this.position.y;
+    return dx * dx + dy * dy <= this.radius * this.radius;
+  }
+
+  /**
+   * Get value of an axis by name(`${key}_X` or `${key}_Y`).
+   * @memberof VirtualJoystick#
+   * @param {String} name Name of the axis
+   * @return {Number} Value of the axis, 0 if name does not match
+   */
+  getAxis(name) {
+    if (name === `${this.key}_X`) {
+      return this.axis.x;
+    }
+    else if (name === `${this.key}_Y`) {
+      return this.axis.y;
+    }
+    return 0;
+  }
+
+  /**
+   * Pointer down listener.
+   * @memberof VirtualJoystick#
+   * @param {Object} p Pointer
+   * @private
+   */
+  pointerdown(p) {
+    if (this.pointerId !== null || !this.hitTest(p)) {
+      return;
+    }
+
+    this.pointerId = p.id;
+    this.moveKnob(p.x, p.y);
+  }
+  /**
+   * Pointer move listener.
+   * @memberof VirtualJoystick#
+   * @param {Object} p Pointer
+   * @private
+   */
+  pointermove(p) {
+    if (p.id === this.pointerId) {
+      this.moveKnob(p.x, p.y);
+    }
+  }
+  /**
+   * Pointer up listener.
+   * @memberof VirtualJoystick#
+   * @param {Object} p Pointer
+   * @private
+   */
+  pointerup(p) {
+    if (p.id === this.pointerId) {
+      this.release();
+    }
+  }
+
+  /**
+   * Move the knob towards a point and update axis.
+   * @memberof VirtualJoystick#
+   * @param {Number} x X in game coordinate
+   * @param {Number} y Y in game coordinate
+   * @private
+   */
+  moveKnob(x, y) {
+    let dx = (x - this.position.x) / this.radius;
+    let dy = (y - this.position.y) / this.radius;
+
+    // Keep the knob inside
+    const len = Math.sqrt(dx * dx + dy * dy);
+    if (len > 1) {
+      dx /= len;
+      dy /= len;
+    }
+    this.knob.set(this.position.x + dx * this.radius, this.position.y + dy * this.radius);
+
+    // Radial dead zone, rescaled so values still start from 0
+    const scale = (len > this.deadZone) ? Math.min(1, (len - this.deadZone) / (1 - this.deadZone)) / Math.min(1, len) : 0;
+    this.axis.set(dx * scale, dy * scale);
+
+    this.updateKeys();
+    this.updateGfx();
+  }
+
+  /**
+   * Reset the knob and release all the direction keys.
+   * @memberof VirtualJoystick#
+   * @private
+   */
+  release() {
+    this.pointerId = null;
+    this.axis.set(0, 0);
+    this.knob.copy(this.position);
+
+    this.updateKeys();
+    this.updateGfx();
+  }
+
+  /**
+   * Update direction keys based on current axis.
+   * @memberof VirtualJoystick#
+   * @private
+   */
+  updateKeys() {
+    this.setKey(`${this.key}_LEFT`, this.axis.x < -this.threshold);
+    this.setKey(`${this.key}_RIGHT`, this.axis.x > this.threshold);
+    this.setKey(`${this.key}_UP`, this.axis.y < -this.threshold);
+    this.setKey(`${this.key}_DOWN`, this.axis.y > this.threshold);
+  }
+  /**
+   * Set state of a direction key and emit events when changed.
+   * @memberof VirtualJoystick#
+   * @param {String} name   Name of the key
+   * @param {Boolean} down  Whether it is pressed down
+   * @private
+   */
+  setKey(name, down) {
+    if (!!this.keysDown[name] === down) {
+      return;
+    }
+
+    this.keysDown[name] = down;
+    this.emit(down ? 'buttondown' : 'buttonup', name);
+  }
+
+  /**
+   * Update graphic elements to match current state.
+   * @memberof VirtualJoystick#
+   * @private
+   */
+  updateGfx() {
+    if (this.gfx) {
+      this.gfx.position.set(this.position.x, this.position.y);
+    }
+    if (this.knobGfx) {
+      this.knobGfx.position.set(this.knob.x, this.knob.y);
+    }
+  }
+}
+
+module.exports = VirtualJoystick;
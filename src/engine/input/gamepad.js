@@ -0,0 +1,316 @@
+const EventEmitter = require('engine/EventEmitter');
+const config = require('game/config');
+
+const settings = Object.assign({
+  deadZone: 0.2,
+  threshold: 0.5,
+}, config.input && config.input.gamepad);
+
+/**
+ * @class Gamepad
+ * @extends {EventEmitter}
+ *
+ * @emits connected
+ * @emits disconnected
+ * @emits buttondown
+ * @emits buttonup
+ */
+class Gamepad extends EventEmitter {
+  /**
+   * @constructor
+   */
+  constructor() {
+    super();
+
+    /**
+     * Axis values smaller than this will be treated as 0,
+     * sticks use radial dead zone.
+     * @type {Number}
+     */
+    this.deadZone = settings.deadZone;
+
+    /**
+     * Axis values larger than this will also press the
+     * digital direction buttons(`PAD0_LEFT_STICK_UP` .etc).
+     * @type {Number}
+     */
+    this.threshold = settings.threshold;
+
+    /**
+     * Id of connected pads, null for empty slots.
+     * @type {Array<String>}
+     */
+    this.pads = [];
+
+    /**
+     * @type {Object}
+     * @private
+     */
+    this._buttonsDown = {};
+
+    /**
+     * @type {Object}
+     * @private
+     */
+    this._axes = {};
+  }
+
+  /**
+   * Whether Gamepad API is supported.
+   * @memberof Gamepad#
+   * @type {Boolean}
+   * @readonly
+   */
+  get supported() {
+    return !!navigator.getGamepads;
+  }
+
+  /**
+   * Check if button is pressed down.
+   * @method down
+   * @memberof Gamepad#
+   * @param {String} button Name of the button(i.e. `PAD0_A`)
+   * @return {Boolean} Whether this button is pressed down
+   */
+  down(button) {
+    return !!this._buttonsDown[button];
+  }
+
+  /**
+   * Get value of an axis, dead zone already applied.
+   * @method axis
+   * @memberof Gamepad#
+   * @param {String} name Name of the axis(i.e. `PAD0_LEFT_X`)
+   * @return {Number} Value of the axis(-1 ~ 1)
+   */
+  axis(name) {
+    return this._axes[name] || 0;
+  }
+
+  /**
+   * Whether a pad is connected.
+   * @method connected
+   * @memberof Gamepad#
+   * @param {Number} index Index of the pad
+   * @return {Boolean} Connected or not
+   */
+  connected(index) {
+    return !!this.pads[index];
+  }
+
+  /**
+   * Read state of all the pads and emit events of changes.
+   * Gamepad API does not have button events, so this should be called
+   * constantly(`SystemInput` does this each fixed step).
+   * @method poll
+   * @memberof Gamepad#
+   */
+  poll() {
+    if (!this.supported) {
+      return;
+    }
+
+    const list = navigator.getGamepads();
+    const count = Math.max(list.length, this.pads.length);
+
+    let i, pad;
+    for (i = 0; i < count; i++) {
+      pad = list[i];
+
+      if (pad && pad.connected) {
+        if (!this.pads[i]) {
+          this.pads[i] = pad.id;
+          this.emit('connected', i, pad.id);
+        }
+        this._updatePad(i, pad);
+      }
+      else if (this.pads[i]) {
+        this._releasePad(i);
+        this.pads[i] = null;
+        this.emit('disconnected', i);
+      }
+    }
+  }
+
+  /**
+   * @method _updatePad
+   * @memberof Gamepad#
+   * @param {Number} index  Index of the pad
+   * @param {Object} pad    Gamepad object
+   * @private
+   */
+  _updatePad(index, pad) {
+    const prefix = `PAD${index}_`;
+
+    // Buttons
+    let i, btn, name;
+    for (i = 0; i < pad.buttons.length; i++) {
+      btn = pad.buttons[i];
+      name = prefix + (Gamepad.buttons[i] || `BUTTON_${i}`);
+
+      // Buttons are numbers in the older versions of the API
+      if (typeof(btn) === 'object') {
+        this._setButton(name, btn.pressed || btn.value > this.threshold);
+      }
+      else {
+        this._setButton(name, btn > this.threshold);
+      }
+    }
+
+    // Sticks
+    let stick, x, y, len, scale;
+    for (i = 0; i < Gamepad.sticks.length; i++) {
+      stick = Gamepad.sticks[i];
+      x = pad.axes[stick.x] || 0;
+      y = pad.axes[stick.y] || 0;
+
+      // Radial dead zone, rescaled so values still start from 0
+      len = Math.sqrt(x * x + y * y);
+      scale = (len > this.deadZone) ? Math.min(1, (len - this.deadZone) / (1 - this.deadZone)) / len : 0;
+
+      this._setAxis(`${prefix}${stick.name}_X`, x * scale);
+      this._setAxis(`${prefix}${stick.name}_Y`, y * scale);
+    }
+
+    // Other axes
+    for (i = Gamepad.sticks.length * 2; i < pad.axes.length; i++) {
+      x = pad.axes[i];
+      this._setAxis(`${prefix}AXIS_${i}`, (Math.abs(x) > this.deadZone) ? x : 0);
+    }
+  }
+
+  /**
+   * Release buttons and reset axes of a pad.
+   * @method _releasePad
+   * @memberof Gamepad#
+   * @param {Number} index Index of the pad
+   * @private
+   */
+  _releasePad(index) {
+    const prefix = `PAD${index}_`;
+
+    let k;
+    for (k in this._buttonsDown) {
+      if (k.indexOf(prefix) === 0) {
+        this._setButton(k, false);
+      }
+    }
+    for (k in this._axes) {
+      if (k.indexOf(prefix) === 0) {
+        this._setAxis(k, 0);
+      }
+    }
+  }
+
+  /**
+   * Set value of an axis and update its digital buttons.
+   * @method _setAxis
+   * @memberof Gamepad#
+   * @param {String} name   Name of the axis
+   * @param {Number} value  New value
+   * @private
+   */
+  _setAxis(name, value) {
+    this._axes[name] = value;
+
+    // `PAD0_LEFT_X` -> `PAD0_LEFT_STICK_LEFT` and `PAD0_LEFT_STICK_RIGHT`
+    const base = name.slice(0, -2);
+    if (name.slice(-2) === '_X') {
+      this._setButton(`${base}_STICK_LEFT`, value < -this.threshold);
+      this._setButton(`${base}_STICK_RIGHT`, value > this.threshold);
+    }
+    else if (name.slice(-2) === '_Y') {
+      this._setButton(`${base}_STICK_UP`, value < -this.threshold);
+      this._setButton(`${base}_STICK_DOWN`, value > this.threshold);
+    }
+    else {
+      this._setButton(`${name}_NEGATIVE`, value < -this.threshold);
+      this._setButton(`${name}_POSITIVE`, value > this.threshold);
+    }
+  }
+
+  /**
+   * Set state of a button and emit events when changed.
+   * @method _setButton
+   * @memberof Gamepad#
+   * @param {String} name   Name of the button
+   * @param {Boolean} down  Whether it is pressed down
+   * @private
+   */
+  _setButton(name, down) {
+    if (!!this._buttonsDown[name] === down) {
+      return;
+    }
+
+    this._buttonsDown[name] = down;
+    this.emit(down ? 'buttondown' : 'buttonup', name);
+  }
+}
+
+Object.assign(Gamepad, {
+  /**
+   * Names of buttons(standard mapping), other buttons
+   * are named as `BUTTON_${index}`.
+   * @memberof Gamepad
+   * @type {Array<String>}
+   */
+  buttons: [
+    'A',
+    'B',
+    'X',
+    'Y',
+    'LB',
+    'RB',
+    'LT',
+    'RT',
+    'SELECT',
+    'START',
+    'LEFT_STICK',
+    'RIGHT_STICK',
+    'DPAD_UP',
+    'DPAD_DOWN',
+    'DPAD_LEFT',
+    'DPAD_RIGHT',
+    'HOME',
+  ],
+
+  /**
+   * Sticks(standard mapping), other axes are
+   * named as `AXIS_${index}`.
+   * @memberof Gamepad
+   * @type {Array<Object>}
+   */
+  sticks: [
+    { name: 'LEFT', x: 0, y: 1 },
+    { name: 'RIGHT', x: 2, y: 3 },
+  ],
+});
+
+/**
+ * Gamepad events and states support, based on the Gamepad API.
+ * An instance of `Gamepad` is exported as the default value of
+ * `engine/input/gamepad` module.
+ *
+ * Buttons and axes are named with index of the pad as prefix,
+ * like `PAD0_A`, `PAD1_DPAD_UP` and `PAD0_LEFT_X`. Sticks also
+ * work as digital buttons(`PAD0_LEFT_STICK_UP` .etc) when pushed
+ * over the `threshold`.
+ *
+ * Dead zone and threshold can be set in `config.input.gamepad`.
+ *
+ * @see Gamepad
+ *
+ * @exports engine/input/gamepad
+ * @requires module:engine/EventEmitter
+ *
+ * @example
+ * const gamepad = require('engine/input/gamepad');
+ * gamepad.on('connected', (index, id) => {
+ *   console.log(`pad ${index}(${id}) connected`);
+ * });
+ * gamepad.on('buttondown', (button) => {
+ *   console.log(`button "${button}" is pressed`);
+ * });
+ */
+module.exports = new Gamepad();
+module.exports.Gamepad = Gamepad;
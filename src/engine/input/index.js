@@ -1,9 +1,34 @@
+const core = require('engine/core');
 const System = require('engine/system');
 const keyboard = require('./keyboard');
+const gamepad = require('./gamepad');
+const pointer = require('./pointer');
+const storage = require('engine/storage');
 const { removeItems } = require('engine/utils/array');
 
 /**
  * Input system which provides key bindings.
+ * Keyboard keys(`A`, `SPACE`), gamepad buttons(`PAD0_A`,
+ * `PAD0_LEFT_STICK_LEFT`), mouse buttons(`MOUSE_LEFT`), `TOUCH`
+ * and keys of virtual controls can all be bound to actions.
+ *
+ * Named axes(-1 ~ 1) can be built from two keys or analog
+ * sources(`PAD0_LEFT_X`, `VSTICK_X` of a `VirtualJoystick`).
+ *
+ * Presses are buffered, so an action pressed a few steps ago can
+ * still be caught by `pressedWithin` or `consume`, and sequences of
+ * actions can be detected as combos(see `addCombo`).
+ *
+ * @example <caption>Jump buffering</caption>
+ * if (onGround && this.game.sysInput.consume('jump')) {
+ *   this.jump();
+ * }
+ *
+ * @example <caption>Rebind an action in options menu</caption>
+ * this.sysInput.listen((key) => {
+ *   this.sysInput.rebind('jump', key).saveBindings();
+ * });
+ *
  * @class SystemInput
  */
 class SystemInput extends System {
@@ -20,6 +45,99 @@ class SystemInput extends System {
     this.actions = {};
     this.lastPressed = {};
     this.lastReleased = {};
+
+    /**
+     * Mouse and touch states, `pointer.position` is the
+     * position of mouse or first touch in game coordinate.
+     * @type {Pointer}
+     */
+    this.pointer = pointer;
+
+    /**
+     * Virtual controls added to this system.
+     * @type {Array<VirtualButton|VirtualJoystick>}
+     */
+    this.controls = [];
+
+    /**
+     * Sources of named axes(axis -> list of sources).
+     * @type {Object}
+     */
+    this.axisBindings = {};
+
+    /**
+     * Keys currently pressed down(bound or not).
+     * @type {Object}
+     * @private
+     */
+    this.keysDown = {};
+
+    /**
+     * Time passed(in ms), increased each fixed step.
+     * @type {Number}
+     */
+    this.time = 0;
+
+    /**
+     * Default buffer window of actions(in ms).
+     * @type {Number}
+     * @default 100
+     */
+    this.bufferWindow = 100;
+
+    /**
+     * Buffer window of specific actions(action -> ms).
+     * @type {Object}
+     */
+    this.bufferWindows = {};
+
+    /**
+     * Time of last press of each action.
+     * @type {Object}
+     * @private
+     */
+    this.pressTime = {};
+
+    /**
+     * Whether last press of an action is consumed.
+     * @type {Object}
+     * @private
+     */
+    this.consumed = {};
+
+    /**
+     * Registered combos.
+     * @type {Array<Object>}
+     * @private
+     */
+    this.combos = [];
+
+    /**
+     * Recorder that is recording, see `InputRecorder`.
+     * @type {InputRecorder}
+     */
+    this.recorder = null;
+
+    /**
+     * Player that is playing, see `InputPlayer`.
+     * @type {InputPlayer}
+     */
+    this.player = null;
+
+    /**
+     * Callback waiting for the next key, see `listen`.
+     * @type {Function}
+     * @private
+     */
+    this.listener = null;
+
+    /**
+     * Whether the listener is ready to receive keys, which
+     * is one fixed step after `listen` is called.
+     * @type {Boolean}
+     * @private
+     */
+    this.listenerReady = false;
   }
 
   /**
@@ -84,6 +202,423 @@ class SystemInput extends System {
     this.lastReleased = {};
   }
 
+  /**
+   * Set buffer window of an action.
+   * @memberof SystemInput#
+   * @method setBufferWindow
+   * @param  {String} action Action name
+   * @param  {Number} ms     Buffer window in ms
+   * @return {SystemInput}   Self for chaining
+   */
+  setBufferWindow(action, ms) {
+    this.bufferWindows[action] = ms;
+    return this;
+  }
+  /**
+   * Whether an action is pressed within a period of time, and
+   * the press is not consumed yet.
+   * @memberof SystemInput#
+   * @method pressedWithin
+   * @param  {String} action Action name
+   * @param  {Number} [ms]   Period of time, buffer window of the action by default
+   * @return {Boolean}       Pressed or not
+   */
+  pressedWithin(action, ms) {
+    if (ms === undefined) {
+      ms = this.bufferWindows.hasOwnProperty(action) ? this.bufferWindows[action] : this.bufferWindow;
+    }
+
+    return this.pressTime.hasOwnProperty(action) && !this.consumed[action] && (this.time - this.pressTime[action] <= ms);
+  }
+  /**
+   * Consume a buffered press of an action, so that it will not
+   * be caught again until next press.
+   * @memberof SystemInput#
+   * @method consume
+   * @param  {String} action Action name
+   * @param  {Number} [ms]   Period of time, buffer window of the action by default
+   * @return {Boolean}       Whether there was a press to consume
+   */
+  consume(action, ms) {
+    if (!this.pressedWithin(action, ms)) {
+      return false;
+    }
+
+    this.consumed[action] = true;
+    this.lastPressed[action] = false;
+
+    return true;
+  }
+
+  /**
+   * Add a combo, which fires when its steps are performed in order
+   * within the time limit. Each step is an action, or a list of actions
+   * that should be held together(i.e. `['down', 'right']`). A step of
+   * holding is also finished by releasing other actions, so
+   * `['down', ['down', 'right'], 'right', 'punch']` works as a
+   * quarter-circle. Game emits `combo` event with the name when it
+   * fires.
+   * @memberof SystemInput#
+   * @method addCombo
+   * @param  {String} name         Name of the combo
+   * @param  {Array} steps         Steps of the combo
+   * @param  {Number} timeLimit    Time limit in ms
+   * @param  {Function} [callback] Function to call when fires
+   * @return {SystemInput}   Self for chaining
+   */
+  addCombo(name, steps, timeLimit, callback) {
+    const combo = {
+      name: name,
+      steps: steps.map((step) => (Array.isArray(step) ? step : [step])),
+      actions: [],
+      timeLimit: timeLimit,
+      callback: callback,
+      index: 0,
+      startTime: 0,
+    };
+
+    // Actions that may break the combo
+    let i, j;
+    for (i = 0; i < combo.steps.length; i++) {
+      for (j = 0; j < combo.steps[i].length; j++) {
+        if (combo.actions.indexOf(combo.steps[i][j]) < 0) {
+          combo.actions.push(combo.steps[i][j]);
+        }
+      }
+    }
+
+    this.combos.push(combo);
+
+    return this;
+  }
+  /**
+   * Remove a combo.
+   * @memberof SystemInput#
+   * @method removeCombo
+   * @param  {String} name   Name of the combo
+   * @return {SystemInput}   Self for chaining
+   */
+  removeCombo(name) {
+    for (let i = this.combos.length - 1; i >= 0; i--) {
+      if (this.combos[i].name === name) {
+        removeItems(this.combos, i, 1);
+      }
+    }
+    return this;
+  }
+
+  /**
+   * Bind a named axis to an analog source(i.e. `PAD0_LEFT_X`), or
+   * to two keys for negative and positive directions.
+   * Multiple sources can be bound to one axis, the one with largest
+   * value wins.
+   * @memberof SystemInput#
+   * @method bindAxis
+   * @param  {String} axis       Axis name
+   * @param  {String} negative   Analog source or key of negative direction
+   * @param  {String} [positive] Key of positive direction
+   * @return {SystemInput}   Self for chaining
+   */
+  bindAxis(axis, negative, positive) {
+    if (!Array.isArray(this.axisBindings[axis])) {
+      this.axisBindings[axis] = [];
+    }
+
+    if (positive === undefined) {
+      this.axisBindings[axis].push({ analog: negative });
+    }
+    else {
+      this.axisBindings[axis].push({ negative: negative, positive: positive });
+    }
+
+    return this;
+  }
+  /**
+   * Remove all the sources of a named axis.
+   * @memberof SystemInput#
+   * @method unbindAxis
+   * @param  {String} axis   Axis name
+   * @return {SystemInput}   Self for chaining
+   */
+  unbindAxis(axis) {
+    delete this.axisBindings[axis];
+    return this;
+  }
+  /**
+   * Value of a named axis.
+   * @memberof SystemInput#
+   * @method axis
+   * @param  {String} axis   Axis name
+   * @return {Number}        Value between -1 and 1
+   */
+  axis(axis) {
+    if (this.player) {
+      return this.player.axis(axis);
+    }
+
+    const list = this.axisBindings[axis];
+    if (!list) {
+      return 0;
+    }
+
+    let i, src, value, result = 0;
+    for (i = 0; i < list.length; i++) {
+      src = list[i];
+
+      if (src.analog) {
+        value = this.analog(src.analog);
+      }
+      else {
+        value = (this.keysDown[src.positive] ? 1 : 0) - (this.keysDown[src.negative] ? 1 : 0);
+      }
+
+      if (Math.abs(value) > Math.abs(result)) {
+        result = value;
+      }
+    }
+
+    return Math.max(-1, Math.min(1, result));
+  }
+  /**
+   * Value of an analog source, from gamepads or virtual controls.
+   * @memberof SystemInput#
+   * @method analog
+   * @param  {String} name   Name of the source
+   * @return {Number}        Value of the source
+   */
+  analog(name) {
+    let value = gamepad.axis(name);
+    if (value !== 0) {
+      return value;
+    }
+
+    for (let i = 0; i < this.controls.length; i++) {
+      if (typeof(this.controls[i].getAxis) === 'function') {
+        value = this.controls[i].getAxis(name);
+        if (value) {
+          return value;
+        }
+      }
+    }
+
+    return 0;
+  }
+
+  /**
+   * Replace keys of an action with a new one.
+   * @memberof SystemInput#
+   * @method rebind
+   * @param  {String} action   Action name
+   * @param  {String} key      New key of this action
+   * @param  {String} [oldKey] Only replace this key, all keys will be replaced if not set
+   * @return {SystemInput}   Self for chaining
+   */
+  rebind(action, key, oldKey) {
+    const keys = oldKey ? [oldKey] : this.getKeys(action);
+    for (let i = 0; i < keys.length; i++) {
+      this.unbind(keys[i], action);
+    }
+
+    // Keep current state of the action
+    const isDown = !!this.actions[action];
+    this.bind(key, action);
+    this.actions[action] = isDown && !!this.keysDown[key];
+
+    return this;
+  }
+  /**
+   * Wait for the next pressed key(from any device), which will be
+   * passed to the callback instead of triggering actions.
+   * Keys pressed in the same step as this is called are ignored.
+   * @memberof SystemInput#
+   * @method listen
+   * @param  {Function} callback Function to receive the key
+   * @return {SystemInput}   Self for chaining
+   */
+  listen(callback) {
+    this.listener = callback;
+    this.listenerReady = false;
+    return this;
+  }
+  /**
+   * Stop waiting for the next key.
+   * @memberof SystemInput#
+   * @method cancelListen
+   * @return {SystemInput}   Self for chaining
+   */
+  cancelListen() {
+    this.listener = null;
+    this.listenerReady = false;
+    return this;
+  }
+
+  /**
+   * Get keys bound to an action.
+   * @memberof SystemInput#
+   * @method getKeys
+   * @param  {String} action Action name
+   * @return {Array<String>} Keys
+   */
+  getKeys(action) {
+    const keys = [];
+    for (let k in this.bindings) {
+      if (this.bindings[k].indexOf(action) >= 0) {
+        keys.push(k);
+      }
+    }
+    return keys;
+  }
+  /**
+   * Get actions bound to a key.
+   * @memberof SystemInput#
+   * @method getActions
+   * @param  {String} key    Key name
+   * @return {Array<String>} Actions
+   */
+  getActions(key) {
+    return Array.isArray(this.bindings[key]) ? this.bindings[key].slice() : [];
+  }
+  /**
+   * Find keys that are bound to more than one action.
+   * @memberof SystemInput#
+   * @method findConflicts
+   * @param  {Array<String>} [actions] Only check these actions
+   * @return {Array<Object>} Conflicts, each has `key` and `actions` fields
+   */
+  findConflicts(actions) {
+    const conflicts = [];
+
+    let k, list;
+    for (k in this.bindings) {
+      list = this.bindings[k];
+      if (actions) {
+        list = list.filter((a) => actions.indexOf(a) >= 0);
+      }
+      if (list.length > 1) {
+        conflicts.push({ key: k, actions: list.slice() });
+      }
+    }
+
+    return conflicts;
+  }
+
+  /**
+   * Export key and axis bindings as a plain object.
+   * @memberof SystemInput#
+   * @method exportBindings
+   * @return {Object} Bindings
+   */
+  exportBindings() {
+    const keys = {};
+    for (let k in this.bindings) {
+      if (this.bindings[k].length > 0) {
+        keys[k] = this.bindings[k].slice();
+      }
+    }
+
+    return {
+      keys: keys,
+      axes: JSON.parse(JSON.stringify(this.axisBindings)),
+    };
+  }
+  /**
+   * Replace all the bindings with exported ones.
+   * @memberof SystemInput#
+   * @method importBindings
+   * @param  {Object} data   Bindings from `exportBindings`
+   * @return {SystemInput}   Self for chaining
+   */
+  importBindings(data) {
+    this.unbindAll();
+    this.axisBindings = {};
+
+    let k, i;
+    for (k in data.keys) {
+      for (i = 0; i < data.keys[k].length; i++) {
+        this.bind(k, data.keys[k][i]);
+      }
+    }
+    for (k in data.axes) {
+      this.axisBindings[k] = data.axes[k].slice();
+    }
+
+    return this;
+  }
+  /**
+   * Save bindings into persistent storage.
+   * @memberof SystemInput#
+   * @method saveBindings
+   * @param  {String} [key='input'] Key to save as
+   * @return {SystemInput}   Self for chaining
+   */
+  saveBindings(key = 'input') {
+    storage.set(key, this.exportBindings());
+    return this;
+  }
+  /**
+   * Load bindings from persistent storage, current bindings
+   * are kept if nothing is saved.
+   * @memberof SystemInput#
+   * @method loadBindings
+   * @param  {String} [key='input'] Key saved as
+   * @return {Boolean} Whether bindings are loaded
+   */
+  loadBindings(key = 'input') {
+    if (!storage.supported || !storage.has(key)) {
+      return false;
+    }
+
+    const data = storage.get(key);
+    if (!data || typeof(data) !== 'object') {
+      return false;
+    }
+
+    this.importBindings(data);
+    return true;
+  }
+
+  /**
+   * Add a virtual control(`VirtualButton` or `VirtualJoystick`),
+   * whose keys can then be bound to actions.
+   * @memberof SystemInput#
+   * @method addControl
+   * @param  {VirtualButton|VirtualJoystick} ctrl Control to add
+   * @return {SystemInput}   Self for chaining
+   */
+  addControl(ctrl) {
+    if (this.controls.indexOf(ctrl) >= 0) {
+      return this;
+    }
+
+    this.controls.push(ctrl);
+    ctrl.on('buttondown', this.keydown, this);
+    ctrl.on('buttonup', this.keyup, this);
+    ctrl.activate();
+
+    return this;
+  }
+  /**
+   * Remove a virtual control.
+   * @memberof SystemInput#
+   * @method removeControl
+   * @param  {VirtualButton|VirtualJoystick} ctrl Control to remove
+   * @return {SystemInput}   Self for chaining
+   */
+  removeControl(ctrl) {
+    let idx = this.controls.indexOf(ctrl);
+    if (idx < 0) {
+      return this;
+    }
+
+    // Release its keys before stop listening
+    ctrl.deactivate();
+    ctrl.off('buttondown', this.keydown, this);
+    ctrl.off('buttonup', this.keyup, this);
+    removeItems(this.controls, idx, 1);
+
+    return this;
+  }
+
   /**
    * Whether an action is currently pressed.
    * @memberof SystemInput#
@@ -124,6 +659,14 @@ class SystemInput extends System {
   awake() {
     keyboard.on('keydown', this.keydown, this);
     keyboard.on('keyup', this.keyup, this);
+    gamepad.on('buttondown', this.keydown, this);
+    gamepad.on('buttonup', this.keyup, this);
+    pointer.on('buttondown', this.keydown, this);
+    pointer.on('buttonup', this.keyup, this);
+
+    for (let i = 0; i < this.controls.length; i++) {
+      this.controls[i].activate();
+    }
 
     this.resetFlags();
   }
@@ -131,11 +674,32 @@ class SystemInput extends System {
    * Fixed update callback.
    * @memberof SystemInput#
    * @method fixedUpdate
+   * @param {Number} dt Delta time in millisecond
    * @private
    */
-  fixedUpdate() {
+  fixedUpdate(dt) {
+    this.time += dt;
+
+    // Save states of this step before they are reset
+    if (this.recorder) {
+      this.recorder.capture();
+    }
+
     // Mark press/release action as false
     this.resetFlags();
+
+    // Feed states of the next step
+    if (this.player) {
+      this.player.next();
+    }
+
+    // Listener starts to receive keys from now on
+    if (this.listener) {
+      this.listenerReady = true;
+    }
+
+    // Gamepads have no events, changes are found by polling
+    gamepad.poll();
   }
   /**
    * Freeze callback.
@@ -146,6 +710,23 @@ class SystemInput extends System {
   freeze() {
     keyboard.off('keydown', this.keydown, this);
     keyboard.off('keyup', this.keyup, this);
+    gamepad.off('buttondown', this.keydown, this);
+    gamepad.off('buttonup', this.keyup, this);
+    pointer.off('buttondown', this.keydown, this);
+    pointer.off('buttonup', this.keyup, this);
+
+    for (let i = 0; i < this.controls.length; i++) {
+      this.controls[i].deactivate();
+    }
+
+    // Keys released while frozen will never be received
+    let k;
+    for (k in this.keysDown) {
+      this.keysDown[k] = false;
+    }
+    for (k in this.actions) {
+      this.actions[k] = false;
+    }
 
     this.resetFlags();
   }
@@ -158,11 +739,30 @@ class SystemInput extends System {
    * @private
    */
   keydown(k) {
+    this.keysDown[k] = true;
+
+    // Input is suspended while switching games
+    if (core.transition) {
+      return;
+    }
+
+    // Send the key to listener instead
+    if (this.listener && this.listenerReady) {
+      const listener = this.listener;
+      this.cancelListen();
+      listener(k);
+      return;
+    }
+
+    // Live input is ignored during playback
+    if (this.player) {
+      return;
+    }
+
     if (this.keyList.indexOf(k) !== -1) {
       let i, list = this.bindings[k];
       for (i = 0; i < list.length; i++) {
-        this.actions[list[i]] = true;
-        this.lastPressed[list[i]] = true;
+        this.pressAction(list[i]);
       }
     }
   }
@@ -174,14 +774,143 @@ class SystemInput extends System {
    * @private
    */
   keyup(k) {
+    this.keysDown[k] = false;
+
+    if (this.player) {
+      return;
+    }
+
     if (this.keyList.indexOf(k) !== -1) {
       let i, list = this.bindings[k];
       for (i = 0; i < list.length; i++) {
-        this.actions[list[i]] = false;
-        this.lastReleased[list[i]] = true;
+        // Still pressed by another key
+        if (!this.actions[list[i]] || this.isActionKeyDown(list[i])) {
+          continue;
+        }
+
+        this.releaseAction(list[i]);
       }
     }
   }
+  /**
+   * Press an action.
+   * @memberof SystemInput#
+   * @method pressAction
+   * @param {String} action Action name
+   * @private
+   */
+  pressAction(action) {
+    this.actions[action] = true;
+    this.lastPressed[action] = true;
+
+    // Buffer this press
+    this.pressTime[action] = this.time;
+    this.consumed[action] = false;
+
+    this.updateCombos(action, true);
+  }
+  /**
+   * Release an action.
+   * @memberof SystemInput#
+   * @method releaseAction
+   * @param {String} action Action name
+   * @private
+   */
+  releaseAction(action) {
+    this.actions[action] = false;
+    this.lastReleased[action] = true;
+
+    this.updateCombos(action, false);
+  }
+  /**
+   * Whether any key of an action is pressed down.
+   * @memberof SystemInput#
+   * @method isActionKeyDown
+   * @param {String} action Action name
+   * @return {Boolean} Pressed or not
+   * @private
+   */
+  isActionKeyDown(action) {
+    for (let k in this.bindings) {
+      if (this.keysDown[k] && this.bindings[k].indexOf(action) >= 0) {
+        return true;
+      }
+    }
+    return false;
+  }
+  /**
+   * Update progress of combos when an action is pressed or released.
+   * @memberof SystemInput#
+   * @method updateCombos
+   * @param {String} action     Action name
+   * @param {Boolean} isPress   Pressed or released
+   * @private
+   */
+  updateCombos(action, isPress) {
+    let i, combo;
+    for (i = 0; i < this.combos.length; i++) {
+      combo = this.combos[i];
+
+      if (combo.actions.indexOf(action) < 0) {
+        continue;
+      }
+
+      // Too slow
+      if (combo.index > 0 && this.time - combo.startTime > combo.timeLimit) {
+        combo.index = 0;
+      }
+
+      // Next step
+      if ((isPress || combo.index > 0) && this.matchStep(combo.steps[combo.index], action, isPress)) {
+        if (combo.index === 0) {
+          combo.startTime = this.time;
+        }
+        combo.index += 1;
+
+        if (combo.index === combo.steps.length) {
+          combo.index = 0;
+
+          if (combo.callback) {
+            combo.callback(combo.name);
+          }
+          if (this.game) {
+            this.game.emit('combo', combo.name);
+          }
+        }
+      }
+      // Wrong input, may be start of a new try
+      else if (isPress) {
+        if (this.matchStep(combo.steps[0], action, true)) {
+          combo.index = 1;
+          combo.startTime = this.time;
+        }
+        else {
+          combo.index = 0;
+        }
+      }
+    }
+  }
+  /**
+   * Whether a step of combo is finished by pressing or releasing an action.
+   * @memberof SystemInput#
+   * @method matchStep
+   * @param {Array<String>} step  Actions of the step
+   * @param {String} action       Action name
+   * @param {Boolean} isPress     Pressed or released
+   * @return {Boolean} Finished or not
+   * @private
+   */
+  matchStep(step, action, isPress) {
+    for (let i = 0; i < step.length; i++) {
+      if (!this.actions[step[i]]) {
+        return false;
+      }
+    }
+
+    // Pressing an action of the step, or releasing others
+    return (step.indexOf(action) >= 0) === isPress;
+  }
+
   /**
    * Reset press and release flags.
    * @memberof SystemInput#
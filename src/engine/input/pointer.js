@@ -0,0 +1,384 @@
+const EventEmitter = require('engine/EventEmitter');
+const Vector = require('engine/Vector');
+const core = require('engine/core');
+const resize = require('engine/resize');
+const config = require('game/config');
+
+/**
+ * @class Pointer
+ * @extends {EventEmitter}
+ *
+ * @emits down
+ * @emits move
+ * @emits up
+ * @emits buttondown
+ * @emits buttonup
+ */
+class Pointer extends EventEmitter {
+  /**
+   * @constructor
+   */
+  constructor() {
+    super();
+
+    /**
+     * Position of the primary pointer(mouse or the first touch)
+     * in game coordinate.
+     * @type {Vector}
+     */
+    this.position = Vector.create();
+
+    /**
+     * Active pointers(id -> pointer), each pointer has `id`,
+     * `x`, `y`(in game coordinate), `isDown` and `isTouch` fields.
+     * Mouse always has the id of `mouse`.
+     * @type {Object}
+     */
+    this.pointers = {};
+
+    /**
+     * Touches currently on the screen.
+     * @type {Array<Object>}
+     */
+    this.touches = [];
+
+    /**
+     * @type {Object}
+     * @private
+     */
+    this._buttonsDown = {};
+
+    window.addEventListener('mousedown', this._mousedown.bind(this));
+    window.addEventListener('mousemove', this._mousemove.bind(this));
+    window.addEventListener('mouseup', this._mouseup.bind(this));
+    // Not passive, so emulated mouse events can be prevented
+    window.addEventListener('touchstart', this._touchstart.bind(this), { passive: false });
+    window.addEventListener('touchmove', this._touchmove.bind(this));
+    window.addEventListener('touchend', this._touchend.bind(this));
+    window.addEventListener('touchcancel', this._touchend.bind(this));
+    window.addEventListener('contextmenu', this._contextmenu.bind(this));
+    window.addEventListener('blur', this._reset.bind(this));
+  }
+
+  /**
+   * Check if a button is pressed down.
+   * @method down
+   * @memberof Pointer#
+   * @param {String} button Name of the button(`MOUSE_LEFT`, `MOUSE_MIDDLE`, `MOUSE_RIGHT` or `TOUCH`)
+   * @return {Boolean} Whether this button is pressed down
+   */
+  down(button) {
+    return !!this._buttonsDown[button];
+  }
+
+  /**
+   * Convert a position on the page into game coordinate, takes
+   * scaling and letter-boxing of current resize mode into account.
+   * @method toGame
+   * @memberof Pointer#
+   * @param {Number} x      X of the position(clientX)
+   * @param {Number} y      Y of the position(clientY)
+   * @param {Vector} [out]  Vector to save result to
+   * @return {Vector} Position in game coordinate
+   */
+  toGame(x, y, out = Vector.create()) {
+    if (!core.view) {
+      return out.set(x, y);
+    }
+
+    // Canvas may be scaled by CSS(letter-box)
+    const rect = core.view.getBoundingClientRect();
+    out.x = (x - rect.left) * (core.viewSize.x / rect.width);
+    out.y = (y - rect.top) * (core.viewSize.y / rect.height);
+
+    // Or the content is scaled inside the canvas
+    let result = null;
+    if (config.resizeMode === 'scale-inner') {
+      result = resize.innerBoxResize(core.viewSize, core.size);
+    }
+    else if (config.resizeMode === 'scale-outer') {
+      result = resize.outerBoxResize(core.viewSize, core.size);
+    }
+    if (result) {
+      out.x = (out.x - result.left) / result.scale;
+      out.y = (out.y - result.top) / result.scale;
+    }
+
+    return out;
+  }
+
+  /**
+   * Whether a position on the page is inside of the game view.
+   * @method _inView
+   * @memberof Pointer#
+   * @param {Number} x  X of the position(clientX)
+   * @param {Number} y  Y of the position(clientY)
+   * @return {Boolean} Inside or not
+   * @private
+   */
+  _inView(x, y) {
+    if (!core.view) {
+      return false;
+    }
+
+    const rect = core.view.getBoundingClientRect();
+    return x >= rect.left && x <= rect.right && y >= rect.top && y <= rect.bottom;
+  }
+
+  /**
+   * @method _pointerdown
+   * @memberof Pointer#
+   * @param {String|Number} id  Id of the pointer
+   * @param {Number} x          X of the position(clientX)
+   * @param {Number} y          Y of the position(clientY)
+   * @param {Boolean} isTouch   Whether it is a touch
+   * @private
+   */
+  _pointerdown(id, x, y, isTouch) {
+    let p = this.pointers[id];
+    if (!p) {
+      p = this.pointers[id] = { id: id, x: 0, y: 0, isDown: false, isTouch: isTouch };
+    }
+    this.toGame(x, y, p);
+    p.isDown = true;
+
+    if (isTouch) {
+      this.touches.push(p);
+    }
+    if (!isTouch || this.touches[0] === p) {
+      this.position.set(p.x, p.y);
+    }
+
+    this.emit('down', p);
+  }
+
+  /**
+   * @method _pointermove
+   * @memberof Pointer#
+   * @param {String|Number} id  Id of the pointer
+   * @param {Number} x          X of the position(clientX)
+   * @param {Number} y          Y of the position(clientY)
+   * @param {Boolean} isTouch   Whether it is a touch
+   * @private
+   */
+  _pointermove(id, x, y, isTouch) {
+    let p = this.pointers[id];
+    if (!p) {
+      p = this.pointers[id] = { id: id, x: 0, y: 0, isDown: false, isTouch: isTouch };
+    }
+    this.toGame(x, y, p);
+
+    if (!isTouch || this.touches[0] === p) {
+      this.position.set(p.x, p.y);
+    }
+
+    this.emit('move', p);
+  }
+
+  /**
+   * @method _pointerup
+   * @memberof Pointer#
+   * @param {String|Number} id  Id of the pointer
+   * @param {Number} x          X of the position(clientX)
+   * @param {Number} y          Y of the position(clientY)
+   * @private
+   */
+  _pointerup(id, x, y) {
+    const p = this.pointers[id];
+    if (!p || !p.isDown) {
+      return;
+    }
+    this.toGame(x, y, p);
+    p.isDown = false;
+
+    if (p.isTouch) {
+      this.touches.splice(this.touches.indexOf(p), 1);
+      delete this.pointers[id];
+    }
+
+    this.emit('up', p);
+  }
+
+  /**
+   * @method _mousedown
+   * @memberof Pointer#
+   * @param {MouseEvent} event Mouse event
+   * @private
+   */
+  _mousedown(event) {
+    if (!this._inView(event.clientX, event.clientY)) {
+      return;
+    }
+
+    this._pointerdown('mouse', event.clientX, event.clientY, false);
+    this._setButton(Pointer.buttons[event.button] || `MOUSE_${event.button}`, true);
+  }
+  /**
+   * @method _mousemove
+   * @memberof Pointer#
+   * @param {MouseEvent} event Mouse event
+   * @private
+   */
+  _mousemove(event) {
+    this._pointermove('mouse', event.clientX, event.clientY, false);
+  }
+  /**
+   * @method _mouseup
+   * @memberof Pointer#
+   * @param {MouseEvent} event Mouse event
+   * @private
+   */
+  _mouseup(event) {
+    const button = Pointer.buttons[event.button] || `MOUSE_${event.button}`;
+    if (!this._buttonsDown[button]) {
+      return;
+    }
+
+    this._setButton(button, false);
+    this._pointerup('mouse', event.clientX, event.clientY);
+  }
+
+  /**
+   * @method _touchstart
+   * @memberof Pointer#
+   * @param {TouchEvent} event Touch event
+   * @private
+   */
+  _touchstart(event) {
+    let i, touch, isInView = false;
+    for (i = 0; i < event.changedTouches.length; i++) {
+      touch = event.changedTouches[i];
+      if (this._inView(touch.clientX, touch.clientY)) {
+        this._pointerdown(touch.identifier, touch.clientX, touch.clientY, true);
+        isInView = true;
+      }
+    }
+
+    // Or a `mousedown` is emulated later, which presses again
+    if (isInView) {
+      event.preventDefault();
+    }
+
+    this._setButton('TOUCH', this.touches.length > 0);
+  }
+  /**
+   * @method _touchmove
+   * @memberof Pointer#
+   * @param {TouchEvent} event Touch event
+   * @private
+   */
+  _touchmove(event) {
+    let i, touch;
+    for (i = 0; i < event.changedTouches.length; i++) {
+      touch = event.changedTouches[i];
+      if (this.pointers[touch.identifier]) {
+        this._pointermove(touch.identifier, touch.clientX, touch.clientY, true);
+      }
+    }
+  }
+  /**
+   * @method _touchend
+   * @memberof Pointer#
+   * @param {TouchEvent} event Touch event
+   * @private
+   */
+  _touchend(event) {
+    let i, touch;
+    for (i = 0; i < event.changedTouches.length; i++) {
+      touch = event.changedTouches[i];
+      this._pointerup(touch.identifier, touch.clientX, touch.clientY);
+    }
+
+    this._setButton('TOUCH', this.touches.length > 0);
+  }
+
+  /**
+   * Prevent context menu from showing when the right button is
+   * clicked inside of the game view.
+   * @method _contextmenu
+   * @memberof Pointer#
+   * @param {MouseEvent} event Mouse event
+   * @private
+   */
+  _contextmenu(event) {
+    if (this._inView(event.clientX, event.clientY)) {
+      event.preventDefault();
+    }
+  }
+
+  /**
+   * Release everything.
+   * @method _reset
+   * @memberof Pointer#
+   * @private
+   */
+  _reset() {
+    for (let k in this._buttonsDown) {
+      this._setButton(k, false);
+    }
+
+    let id, p;
+    for (id in this.pointers) {
+      p = this.pointers[id];
+      if (p.isDown) {
+        p.isDown = false;
+        this.emit('up', p);
+      }
+    }
+    this.pointers = {};
+    this.touches.length = 0;
+  }
+
+  /**
+   * Set state of a button and emit events when changed.
+   * @method _setButton
+   * @memberof Pointer#
+   * @param {String} name   Name of the button
+   * @param {Boolean} down  Whether it is pressed down
+   * @private
+   */
+  _setButton(name, down) {
+    if (!!this._buttonsDown[name] === down) {
+      return;
+    }
+
+    this._buttonsDown[name] = down;
+    this.emit(down ? 'buttondown' : 'buttonup', name);
+  }
+}
+
+Object.assign(Pointer, {
+  /**
+   * Names of mouse buttons.
+   * @memberof Pointer
+   * @type {Object}
+   */
+  buttons: {
+    0: 'MOUSE_LEFT',
+    1: 'MOUSE_MIDDLE',
+    2: 'MOUSE_RIGHT',
+  },
+});
+
+/**
+ * Mouse and touch events and states support.
+ * An instance of `Pointer` is exported as the default value of
+ * `engine/input/pointer` module.
+ *
+ * Mouse buttons(`MOUSE_LEFT`, `MOUSE_MIDDLE` and `MOUSE_RIGHT`) and
+ * `TOUCH`(any finger on the screen) can be bound to actions of `SystemInput`.
+ * All the positions are in game coordinate.
+ *
+ * @see Pointer
+ *
+ * @exports engine/input/pointer
+ * @requires module:engine/EventEmitter
+ *
+ * @example
+ * const pointer = require('engine/input/pointer');
+ * pointer.on('down', (p) => {
+ *   console.log(`pointer "${p.id}" is down at (${p.x}, ${p.y})`);
+ * });
+ */
+module.exports = new Pointer();
+module.exports.Pointer = Pointer;
@@ -0,0 +1,111 @@
+const Signal = require('engine/MiniSignals');
+
+/**
+ * Named group of resources that are loaded and unloaded together,
+ * created by `Loader#addBundle` or from manifest files.
+ *
+ * @example <caption>Progress of prefetching</caption>
+ * const bundle = loader.bundles['level2'];
+ *
+ * bundle.onProgress.add((bundle, resource) => {
+ *   console.log(`level2: ${bundle.progress | 0}%`);
+ * });
+ * loader.prefetchBundle('level2');
+ *
+ * @class Bundle
+ */
+class Bundle {
+  /**
+   * @constructor
+   * @param {String} name           Name of the bundle
+   * @param {Array<Object>} assets  Options of the resources(with `name` and `url`)
+   */
+  constructor(name, assets) {
+    /**
+     * Name of this bundle.
+     * @type {String}
+     */
+    this.name = name;
+    /**
+     * Options of the resources, which are passed to `Loader#add`.
+     * @type {Array<Object>}
+     */
+    this.assets = assets;
+
+    /**
+     * Whether all the resources are loaded.
+     * @type {Boolean}
+     * @readonly
+     */
+    this.isLoaded = false;
+    /**
+     * Whether the resources are being loaded.
+     * @type {Boolean}
+     * @readonly
+     */
+    this.isLoading = false;
+    /**
+     * Whether the resources are being loaded in background.
+     * @type {Boolean}
+     * @readonly
+     */
+    this.isBackground = false;
+    /**
+     * Loading progress, between 0 and 100.
+     * @type {Number}
+     * @readonly
+     */
+    this.progress = 0;
+
+    /**
+     * Dispatched once per loaded or errored resource of this bundle,
+     * with the bundle and the resource.
+     * @type {Signal}
+     */
+    this.onProgress = new Signal();
+    /**
+     * Dispatched when all the resources are loaded, with the bundle.
+     * @type {Signal}
+     */
+    this.onComplete = new Signal();
+  }
+
+  /**
+   * Whether a resource belongs to this bundle.
+   * @memberof Bundle#
+   * @param {String} name Name of the resource
+   * @return {Boolean} Belongs or not
+   */
+  has(name) {
+    for (let i = 0; i < this.assets.length; i++) {
+      if (this.assets[i].name === name) {
+        return true;
+      }
+    }
+
+    return false;
+  }
+
+  /**
+   * Update progress from resources of a loader.
+   * @memberof Bundle#
+   * @param {Object} resources Resources of the loader(name -> resource)
+   * @return {Boolean} Whether all the resources are loaded
+   * @private
+   */
+  update(resources) {
+    let res, count = 0;
+    for (let i = 0; i < this.assets.length; i++) {
+      res = resources[this.assets[i].name];
+      if (res && res._isFinished) {
+        count += 1;
+      }
+    }
+
+    this.progress = (this.assets.length > 0) ? count / this.assets.length * 100 : 100;
+
+    return count === this.assets.length;
+  }
+}
+
+module.exports = Bundle;
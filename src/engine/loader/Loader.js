@@ -2,6 +2,7 @@ const Signal = require('engine/MiniSignals');
 const parseUri = require('./parse-uri');
 const async = require('./async');
 const Resource = require('./Resource');
+const Bundle = require('./Bundle');
 
 // some constants
 const MAX_PROGRESS = 100;
@@ -99,6 +100,22 @@ class Loader {
 
     this._queue.pause();
 
+        /**
+         * The resources waiting to be loaded in background, sorted by priority.
+         *
+         * @private
+         * @member {Resource[]}
+         */
+    this._background = [];
+
+        /**
+         * The resources that are being loaded in background.
+         *
+         * @private
+         * @member {Resource[]}
+         */
+    this._backgroundLoading = [];
+
         /**
          * All the resources for this loader keyed by name.
          *
@@ -106,6 +123,13 @@ class Loader {
          */
     this.resources = {};
 
+        /**
+         * Named bundles of resources, see {@link Loader#addBundle}.
+         *
+         * @member {object<string, Bundle>}
+         */
+    this.bundles = {};
+
         /**
          * Dispatched once per loaded or errored resource.
          *
@@ -151,6 +175,17 @@ class Loader {
          */
     this.onComplete = new Signal();
 
+        /**
+         * Dispatched once per unloaded resource, before it is removed.
+         * Modules that create objects from resources (textures, sounds...)
+         * listen to it to destroy them.
+         *
+         * The callback looks like {@link Loader.OnUnloadSignal}.
+         *
+         * @member {Signal}
+         */
+    this.onUnload = new Signal();
+
         /**
          * When the progress changes the loader and resource are disaptched.
          *
@@ -193,6 +228,15 @@ class Loader {
          * @callback OnCompleteSignal
          * @param {Loader} loader - The loader that has finished loading resources.
          */
+
+        /**
+         * When a resource is unloaded the loader and resource are dispatched.
+         *
+         * @memberof Loader
+         * @callback OnUnloadSignal
+         * @param {Loader} loader - The loader the resource is unloaded from.
+         * @param {Resource} resource - The resource that is being unloaded.
+         */
   }
 
     /**
@@ -251,6 +295,8 @@ class Loader {
      *      element to use for loading, instead of creating one.
      * @param {boolean} [options.metadata.skipSource=false] - Skips adding source(s) to the load element. This
      *      is useful if you want to pass in a `loadElement` that you already added load sources to.
+     * @param {number} [options.priority] - Load in background with this priority (see {@link Loader.PRIORITY})
+     *      instead of waiting for {@link Loader#load}, which is allowed while the loader is running.
      * @param {function} [cb] - Function to call when this specific resource completes loading.
      * @return {Loader} Returns itself.
      */
@@ -290,8 +336,11 @@ class Loader {
       options = null;
     }
 
-        // if loading already you can only add resources that have a parent.
-    if (this.loading && (!options || !options.parentResource)) {
+    const parent = options && options.parentResource;
+    const isBackground = parent ? !!parent._isBackground : !!options && options.priority !== undefined;
+
+        // if loading already you can only add resources that have a parent, or load in background.
+    if (this.loading && !parent && !isBackground) {
       throw new Error('Cannot add resources while the loader is running.');
     }
 
@@ -310,6 +359,26 @@ class Loader {
       this.resources[name].onAfterMiddleware.once(cb);
     }
 
+        // background resources do not affect progress of the queue
+    if (isBackground) {
+      const res = this.resources[name];
+
+      res._isBackground = true;
+      res._priority = parent ? parent._priority : options.priority;
+
+            // the parent is waiting for it, so it starts right away
+      if (parent) {
+        parent.children.push(res);
+        this._loadBackground(res);
+      }
+      else {
+        insertBackground(this, res);
+        this._processBackground();
+      }
+
+      return this;
+    }
+
         // if loading make sure to adjust progress chunks for that parent and its children
     if (this.loading) {
       const parent = options.parentResource;
@@ -387,6 +456,15 @@ class Loader {
 
     this.resources = {};
 
+    // in-flight background resources are aborted above, dropping them keeps their callbacks from counting again
+    this._background.length = 0;
+    this._backgroundLoading.length = 0;
+
+    for (k in this.bundles) {
+      this.bundles[k].isLoaded = false;
+      this.bundles[k].isLoading = false;
+    }
+
     return this;
   }
 
@@ -416,6 +494,7 @@ class Loader {
 
     // update loading state
     this.loading = true;
+    this.progress = 0;
 
     // notify of start
     this.onStart.dispatch(this);
@@ -429,6 +508,289 @@ class Loader {
       this._onComplete();
     }
 
+    return this;
+  }
+
+    /**
+     * Defines bundles from a manifest, which has a `bundles` field
+     * (bundle name -> assets). Manifest files loaded by this loader
+     * are added automatically.
+     *
+     * An optional `version` of the manifest and `hash` of each asset are
+     * set to metadata of the resources, which are used by the persistent
+     * cache to tell outdated files.
+     *
+     * ```json
+     * {
+     *   "version": "1.0.0",
+     *   "bundles": {
+     *     "title": ["title/logo.png", { "name": "bgm", "url": "title/bgm.ogg", "hash": "2c26b46" }],
+     *     "level1": { "tiles": "level1/tiles.json", "map": "level1/map.json" }
+     *   }
+     * }
+     * ```
+     *
+     * @param {object} manifest - The manifest data.
+     * @return {Loader} Returns itself.
+     */
+  addManifest(manifest) {
+    let name, i, assets;
+    for (name in manifest.bundles) {
+      this.addBundle(name, manifest.bundles[name]);
+
+      if (manifest.version !== undefined) {
+        assets = this.bundles[name].assets;
+
+        for (i = 0; i < assets.length; ++i) {
+          assets[i].metadata = Object.assign({ version: manifest.version }, assets[i].metadata);
+        }
+      }
+    }
+
+    return this;
+  }
+
+    /**
+     * Defines a bundle of resources that are loaded and unloaded together.
+     * A bundle of the same name is replaced.
+     *
+     * @param {string} name - The name of the bundle.
+     * @param {Array|object} assets - List of anything {@link Loader#add} accepts, or a map of
+     *      resource name -> url (or options with `url`). `hash` of the options is set to metadata.
+     * @return {Loader} Returns itself.
+     */
+  addBundle(name, assets) {
+    const list = [];
+
+    let k, asset;
+    if (Array.isArray(assets)) {
+      for (k = 0; k < assets.length; ++k) {
+        asset = assets[k];
+
+        if (typeof asset === 'string') {
+          list.push({ name: asset, url: asset });
+        }
+        else {
+          list.push(Object.assign({}, asset, { name: asset.name || asset.key || asset.url }));
+        }
+      }
+    }
+    else {
+      for (k in assets) {
+        asset = assets[k];
+        list.push((typeof asset === 'string') ? { name: k, url: asset } : Object.assign({ name: k }, asset));
+      }
+    }
+
+    for (k = 0; k < list.length; ++k) {
+      if (list[k].hash !== undefined) {
+        list[k].metadata = Object.assign({}, list[k].metadata, { hash: list[k].hash });
+      }
+    }
+
+    this.bundles[name] = new Bundle(name, list);
+
+    return this;
+  }
+
+    /**
+     * Whether bundles are defined and all their resources are loaded.
+     *
+     * @param {string|string[]} names - The name of the bundle, or a list of names.
+     * @return {boolean} Loaded or not.
+     */
+  isBundleLoaded(names) {
+    const list = Array.isArray(names) ? names : [names];
+
+    for (let i = 0; i < list.length; ++i) {
+      if (!this.bundles[list[i]] || !this.bundles[list[i]].isLoaded) {
+        return false;
+      }
+    }
+
+    return true;
+  }
+
+    /**
+     * Loads resources of bundles along with anything else in the queue. Resources that
+     * already exist (shared with other bundles) are not loaded again, and the ones waiting
+     * in background are moved to the queue. If the loader is running, bundles are loaded
+     * after it completes. Bundles not defined yet are looked up again after the queue
+     * is loaded, since they may come from manifests in it.
+     *
+     * @param {string|string[]} names - The name of the bundle, or a list of names.
+     * @param {function} [cb] - Function to call when the queue and the bundles are loaded.
+     * @return {Loader} Returns itself.
+     */
+  loadBundle(names, cb) {
+    if (this.loading) {
+      this.onComplete.once(() => this.loadBundle(names, cb));
+
+      return this;
+    }
+
+        // bundles may be defined by manifests waiting in the queue
+    if (!this._queue.idle() && !isBundleDefined(this, names)) {
+      return this.load(() => this.loadBundle(names, cb));
+    }
+
+    const list = getBundles(this, names);
+
+    let i, remaining = list.length + 1;
+    const done = () => {
+      remaining -= 1;
+
+      if (remaining === 0 && typeof cb === 'function') {
+        cb();
+      }
+    };
+
+    for (i = 0; i < list.length; ++i) {
+      startBundle(this, list[i]);
+    }
+
+        // resources still loading in background may finish after the queue
+    for (i = 0; i < list.length; ++i) {
+      if (list[i].isLoading) {
+        list[i].onComplete.once(done);
+      }
+      else {
+        done();
+      }
+    }
+
+    return this.load(done);
+  }
+
+    /**
+     * Loads resources of bundles in background, while the game is running. Background
+     * loading yields to {@link Loader#load}, and resources of higher priority go first.
+     * Progress of each bundle is dispatched by its `onProgress` and `onComplete`.
+     *
+     * @param {string|string[]} names - The name of the bundle, or a list of names.
+     * @param {number} [priority=Loader.PRIORITY.NORMAL] - The priority, see {@link Loader.PRIORITY}.
+     * @return {Loader} Returns itself.
+     */
+  prefetchBundle(names, priority = Loader.PRIORITY.NORMAL) {
+    const list = getBundles(this, names);
+
+    for (let i = 0; i < list.length; ++i) {
+      startBundle(this, list[i], priority);
+    }
+
+    return this;
+  }
+
+    /**
+     * Stops loading bundles in background, resources that are not loaded yet are removed
+     * (requests already sent are left to finish), except the ones also belong to other
+     * loaded or loading bundles. The loaded ones are kept, use {@link Loader#unloadBundle}
+     * to free them.
+     *
+     * @param {string|string[]} [names] - The name of the bundle, or a list of names. All the
+     *      bundles if not passed.
+     * @return {Loader} Returns itself.
+     */
+  cancelPrefetch(names) {
+    const list = (names === undefined) ? Object.keys(this.bundles) : names;
+    const bundles = getBundles(this, list);
+
+    let i, j, bundle, res;
+    for (i = 0; i < bundles.length; ++i) {
+      bundle = bundles[i];
+
+      if (!bundle.isLoading || !bundle.isBackground) {
+        continue;
+      }
+
+      bundle.isLoading = false;
+
+      for (j = 0; j < bundle.assets.length; ++j) {
+        res = this.resources[bundle.assets[j].name];
+
+        if (res && res._isBackground && !res._isFinished && !isInUse(this, res.name)) {
+          this.unload(res.name);
+        }
+      }
+    }
+
+    return this;
+  }
+
+    /**
+     * Unloads resources of a bundle, except the ones also belong to
+     * other loaded or loading bundles. The bundle is still defined and
+     * can be loaded again. If the loader is running, it is unloaded after
+     * the loader completes.
+     *
+     * @param {string} name - The name of the bundle.
+     * @return {Loader} Returns itself.
+     */
+  unloadBundle(name) {
+    const bundle = this.bundles[name];
+
+    if (!bundle) {
+      console.log(`[WARNING]: Bundle "${name}" is not defined!`);
+
+      return this;
+    }
+
+    if (this.loading) {
+      this.onComplete.once(() => this.unloadBundle(name));
+
+      return this;
+    }
+
+    bundle.isLoaded = false;
+    bundle.isLoading = false;
+    bundle.progress = 0;
+
+    for (let i = 0; i < bundle.assets.length; ++i) {
+      if (!isInUse(this, bundle.assets[i].name)) {
+        this.unload(bundle.assets[i].name);
+      }
+    }
+
+    return this;
+  }
+
+    /**
+     * Unloads a resource and the ones added by it (i.e. image of a spritesheet),
+     * objects created from them are destroyed by the listeners of `onUnload`.
+     * Resource that is being loaded in background is cancelled, and unloaded
+     * once its request finishes.
+     *
+     * @param {string} name - The name of the resource.
+     * @return {Loader} Returns itself.
+     */
+  unload(name) {
+    const res = this.resources[name];
+
+    if (!res) {
+      return this;
+    }
+
+    if (res._isBackground && !res._isFinished) {
+      const idx = this._background.indexOf(res);
+
+      if (idx < 0) {
+        res._isCancelled = true;
+
+        return this;
+      }
+
+      this._background.splice(idx, 1);
+    }
+
+    for (let i = 0; i < res.children.length; ++i) {
+      this.unload(res.children[i].name);
+    }
+
+    this.onUnload.dispatch(this, res);
+
+    res.data = null;
+    delete this.resources[name];
+
     return this;
   }
 
@@ -518,6 +880,42 @@ class Loader {
     this.loading = false;
 
     this.onComplete.dispatch(this, this.resources);
+
+        // continue loading in background
+    this._processBackground();
+  }
+
+    /**
+     * Loads a resource in background.
+     *
+     * @private
+     * @param {Resource} resource - The resource to load.
+     */
+  _loadBackground(resource) {
+    this._backgroundLoading.push(resource);
+
+    this._loadResource(resource, () => {
+      const idx = this._backgroundLoading.indexOf(resource);
+
+      // already dropped by `reset`
+      if (idx < 0) {
+        return;
+      }
+
+      this._backgroundLoading.splice(idx, 1);
+      this._processBackground();
+    });
+  }
+
+    /**
+     * Starts loading resources waiting in background, unless the loader is running.
+     *
+     * @private
+     */
+  _processBackground() {
+    while (!this.loading && this._backgroundLoading.length < this._queue.concurrency && this._background.length > 0) {
+      this._loadBackground(this._background.shift());
+    }
   }
 
     /**
@@ -536,10 +934,22 @@ class Loader {
               fn.call(this, resource, next);
             },
             () => {
+              resource._isFinished = true;
               resource.onAfterMiddleware.dispatch(resource);
 
-              this.progress += resource.progressChunk;
-              this.onProgress.dispatch(this, resource);
+                // cancelled while loading in background
+              if (resource._isCancelled) {
+                resource._dequeue();
+                this.unload(resource.name);
+
+                return;
+              }
+
+                // progress is only for the queue
+              if (!resource._isBackground) {
+                this.progress += resource.progressChunk;
+                this.onProgress.dispatch(this, resource);
+              }
 
               if (resource.error) {
                 this.onError.dispatch(resource.error, this, resource);
@@ -548,11 +958,13 @@ class Loader {
                 this.onLoad.dispatch(this, resource);
               }
 
+              updateBundles(this, resource);
+
                 // remove this resource from the async queue
               resource._dequeue();
 
                 // do completion check
-              if (this._queue.idle()) {
+              if (!resource._isBackground && this._queue.idle()) {
                 this.progress = MAX_PROGRESS;
                 this._onComplete();
               }
@@ -561,4 +973,196 @@ class Loader {
   }
 }
 
+/**
+ * Priority levels of resources loaded in background. Resources
+ * loaded by {@link Loader#load} always go first.
+ *
+ * @static
+ * @constant
+ * @property {object} PRIORITY
+ * @property {number} PRIORITY.LOW - Loaded when nothing else is waiting.
+ * @property {number} PRIORITY.NORMAL - The default.
+ * @property {number} PRIORITY.HIGH - Loaded before the others in background.
+ */
+Loader.PRIORITY = {
+  LOW: 0,
+  NORMAL: 1,
+  HIGH: 2,
+};
+
+/**
+ * Get defined bundles by names.
+ *
+ * @private
+ * @param {Loader} loader - The loader.
+ * @param {string|string[]} names - The name of the bundle, or a list of names.
+ * @return {Bundle[]} The bundles.
+ */
+function getBundles(loader, names) {
+  const list = Array.isArray(names) ? names : [names];
+  const bundles = [];
+
+  for (let i = 0; i < list.length; ++i) {
+    if (loader.bundles[list[i]]) {
+      bundles.push(loader.bundles[list[i]]);
+    }
+    else {
+      console.log(`[WARNING]: Bundle "${list[i]}" is not defined!`);
+    }
+  }
+
+  return bundles;
+}
+
+/**
+ * Whether bundles are all defined.
+ *
+ * @private
+ * @param {Loader} loader - The loader.
+ * @param {string|string[]} names - The name of the bundle, or a list of names.
+ * @return {boolean} Defined or not.
+ */
+function isBundleDefined(loader, names) {
+  const list = Array.isArray(names) ? names : [names];
+
+  for (let i = 0; i < list.length; ++i) {
+    if (!loader.bundles[list[i]]) {
+      return false;
+    }
+  }
+
+  return true;
+}
+
+/**
+ * Start loading resources of a bundle.
+ *
+ * @private
+ * @param {Loader} loader - The loader.
+ * @param {Bundle} bundle - The bundle.
+ * @param {number} [priority] - Priority to load in background, added to the queue if not passed.
+ */
+function startBundle(loader, bundle, priority) {
+  const isBackground = (priority !== undefined);
+
+  if (bundle.isLoaded || (isBackground && bundle.isLoading && !bundle.isBackground)) {
+    return;
+  }
+
+  bundle.isLoading = true;
+  bundle.isBackground = isBackground;
+
+  let i, asset, res, idx;
+  for (i = 0; i < bundle.assets.length; ++i) {
+    asset = bundle.assets[i];
+    res = loader.resources[asset.name];
+
+    if (!res) {
+      loader.add(isBackground ? Object.assign({}, asset, { priority: priority }) : asset);
+      continue;
+    }
+
+        // requested again before its cancelled request finishes
+    res._isCancelled = false;
+
+    idx = loader._background.indexOf(res);
+    if (idx < 0) {
+      continue;
+    }
+
+        // move to the queue, or wait with a higher priority
+    if (!isBackground) {
+      loader._background.splice(idx, 1);
+      res._isBackground = false;
+      loader._queue.push(res);
+    }
+    else if (priority > res._priority) {
+      loader._background.splice(idx, 1);
+      res._priority = priority;
+      insertBackground(loader, res);
+    }
+  }
+
+    // resources may be loaded already
+  if (bundle.isLoading && bundle.update(loader.resources)) {
+    finishBundle(bundle);
+  }
+}
+
+/**
+ * Mark a bundle as loaded.
+ *
+ * @private
+ * @param {Bundle} bundle - The bundle.
+ */
+function finishBundle(bundle) {
+  bundle.isLoading = false;
+  bundle.isBackground = false;
+  bundle.isLoaded = true;
+
+  bundle.onComplete.dispatch(bundle);
+}
+
+/**
+ * Update progress of loading bundles that a resource belongs to.
+ *
+ * @private
+ * @param {Loader} loader - The loader.
+ * @param {Resource} resource - The resource that is loaded or errored.
+ */
+function updateBundles(loader, resource) {
+  let k, bundle, isDone;
+  for (k in loader.bundles) {
+    bundle = loader.bundles[k];
+
+    if (!bundle.isLoading || !bundle.has(resource.name)) {
+      continue;
+    }
+
+    isDone = bundle.update(loader.resources);
+    bundle.onProgress.dispatch(bundle, resource);
+
+    if (isDone) {
+      finishBundle(bundle);
+    }
+  }
+}
+
+/**
+ * Insert a resource into the background list by its priority.
+ *
+ * @private
+ * @param {Loader} loader - The loader.
+ * @param {Resource} resource - The resource.
+ */
+function insertBackground(loader, resource) {
+  let i = 0;
+  while (i < loader._background.length && loader._background[i]._priority >= resource._priority) {
+    ++i;
+  }
+
+  loader._background.splice(i, 0, resource);
+}
+
+/**
+ * Whether a resource belongs to any loaded or loading bundle.
+ *
+ * @private
+ * @param {Loader} loader - The loader.
+ * @param {string} name - The name of the resource.
+ * @return {boolean} Belongs or not.
+ */
+function isInUse(loader, name) {
+  let k, bundle;
+  for (k in loader.bundles) {
+    bundle = loader.bundles[k];
+
+    if ((bundle.isLoaded || bundle.isLoading) && bundle.has(name)) {
+      return true;
+    }
+  }
+
+  return false;
+}
+
 module.exports = Loader;
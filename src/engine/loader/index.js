@@ -1,5 +1,6 @@
 const Loader = require('./Loader');
 const Resource = require('./Resource');
+const Bundle = require('./Bundle');
 const async = require('./async');
 const b64 = require('./b64');
 const config = require('game/config');
@@ -7,5 +8,15 @@ const config = require('game/config');
 module.exports = new Loader(config.baseUrl || 'media');
 module.exports.Loader = Loader;
 module.exports.Resource = Resource;
+module.exports.Bundle = Bundle;
 module.exports.async = async;
 module.exports.base64 = b64;
+
+// - define bundles from manifest files
+module.exports.use(function(resource, next) {
+  if (resource.data && resource.data.bundles && typeof(resource.data.bundles) === 'object') {
+    this.addManifest(resource.data);
+  }
+
+  next();
+});
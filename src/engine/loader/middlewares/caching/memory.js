@@ -10,7 +10,7 @@ module.exports.memoryMiddlewareFactory = function() {
     }
         // if not cached, wait for complete and store it in the cache.
     else {
-      resource.onComplete.once(() => (cache[this.url] = this.data));
+      resource.onComplete.once(() => (cache[resource.url] = resource.data));
     }
 
     next();
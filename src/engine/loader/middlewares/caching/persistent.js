@@ -0,0 +1,435 @@
+const Resource = require('../../Resource');
+
+const Url = window.URL || window.webkitURL;
+
+/**
+ * Name of the object store of cached files(key -> blob).
+ * @type {String}
+ * @private
+ */
+const DATA_STORE = 'data';
+/**
+ * Name of the object store of entries(key, version, hash, size, lastUsed).
+ * @type {String}
+ * @private
+ */
+const ENTRY_STORE = 'entries';
+
+/**
+ * Open a database and read all its entries.
+ * @param {String} name   Name of the database
+ * @param {Function} cb   Callback receives the database and entries(key -> entry), or nothing if failed
+ * @private
+ */
+function open(name, cb) {
+  let req;
+  try {
+    req = window.indexedDB.open(name, 1);
+  }
+  catch (e) {
+    cb();
+    return;
+  }
+
+  req.onupgradeneeded = () => {
+    req.result.createObjectStore(DATA_STORE);
+    req.result.createObjectStore(ENTRY_STORE, { keyPath: 'key' });
+  };
+  req.onerror = () => cb();
+  req.onsuccess = () => {
+    const db = req.result;
+    const entries = {};
+
+    const cursorReq = db.transaction(ENTRY_STORE, 'readonly').objectStore(ENTRY_STORE).openCursor();
+    cursorReq.onerror = () => cb();
+    cursorReq.onsuccess = () => {
+      const cursor = cursorReq.result;
+      if (cursor) {
+        entries[cursor.value.key] = cursor.value;
+        cursor.continue();
+      }
+      else {
+        cb(db, entries);
+      }
+    };
+  };
+}
+
+/**
+ * Kind of cache a resource uses, which decides how the file is used.
+ * @param {Resource} resource Resource to check
+ * @return {String} `image`, `json`, `xml`, `text` or `audio`, empty if not supported
+ * @private
+ */
+function kindOf(resource) {
+  // Audio urls are already split into sources by `engine/audio`
+  if (Array.isArray(resource.url)) {
+    return 'audio';
+  }
+  if (resource.isDataUrl) {
+    return '';
+  }
+
+  if (resource.loadType === Resource.LOAD_TYPE.IMAGE) {
+    return 'image';
+  }
+  if (resource.loadType !== Resource.LOAD_TYPE.XHR) {
+    return '';
+  }
+
+  switch (resource.xhrType || resource._determineXhrType()) {
+    case Resource.XHR_RESPONSE_TYPE.JSON:
+      return 'json';
+    case Resource.XHR_RESPONSE_TYPE.DOCUMENT:
+      return 'xml';
+    case Resource.XHR_RESPONSE_TYPE.TEXT:
+      return 'text';
+    case Resource.XHR_RESPONSE_TYPE.BLOB:
+      return 'image';
+    default:
+      return '';
+  }
+}
+
+/**
+ * Mime type of an audio file extension.
+ * @param {String} url Url of the file
+ * @return {String} Mime type
+ * @private
+ */
+function audioMime(url) {
+  const ext = url.split('?')[0].split('.').pop().toLowerCase();
+  return (ext === 'mp3') ? 'audio/mpeg' : `audio/${ext}`;
+}
+
+/**
+ * Choose the first audio source that can be played.
+ * @param {Array<String>} urls Urls of the sources
+ * @return {String} Url of the source, empty if none is playable
+ * @private
+ */
+function playableUrl(urls) {
+  const elm = document.createElement('audio');
+  if (!elm.canPlayType) {
+    return '';
+  }
+
+  for (let i = 0; i < urls.length; i++) {
+    if (elm.canPlayType(audioMime(urls[i])).replace(/^no$/, '')) {
+      return urls[i];
+    }
+  }
+
+  return '';
+}
+
+/**
+ * Download a file as blob.
+ * @param {String} url    Url of the file
+ * @param {Function} cb   Callback receives the blob, or nothing if failed
+ * @private
+ */
+function download(url, cb) {
+  const xhr = new XMLHttpRequest();
+  xhr.open('GET', url, true);
+  xhr.responseType = 'blob';
+  xhr.onload = () => cb((xhr.status === 200 || (xhr.status === 0 && xhr.response)) ? xhr.response : undefined);
+  xhr.onerror = () => cb();
+  xhr.send();
+}
+
+/**
+ * Read a blob as text or data url.
+ * @param {Blob} blob         Blob to read
+ * @param {Boolean} asDataUrl Whether to read as data url
+ * @param {Function} cb       Callback receives the result, or nothing if failed
+ * @private
+ */
+function read(blob, asDataUrl, cb) {
+  const reader = new FileReader();
+  reader.onload = () => cb(reader.result);
+  reader.onerror = () => cb();
+
+  if (asDataUrl) {
+    reader.readAsDataURL(blob);
+  }
+  else {
+    reader.readAsText(blob);
+  }
+}
+
+/**
+ * Fill a resource with cached file.
+ * @param {Resource} resource Resource to fill
+ * @param {String} kind       Kind of the resource
+ * @param {String} url        Url of the file
+ * @param {Blob} blob         Content of the file
+ * @param {Function} next     Callback when done, receives whether succeeded
+ * @private
+ */
+function use(resource, kind, url, blob, next) {
+  if (kind === 'image') {
+    const src = Url.createObjectURL(blob);
+    const img = new Image();
+    img.onload = () => {
+      Url.revokeObjectURL(src);
+      img.onload = img.onerror = null;
+
+      resource.data = img;
+      resource.type = Resource.TYPE.IMAGE;
+      resource.complete();
+
+      next(true);
+    };
+    img.onerror = () => {
+      Url.revokeObjectURL(src);
+      img.onload = img.onerror = null;
+
+      next(false);
+    };
+    img.src = src;
+    return;
+  }
+
+  // Audio is loaded by Howler.js from a data url, mime type is required to detect its format
+  if (kind === 'audio') {
+    read(new Blob([blob], { type: audioMime(url) }), true, (dataUrl) => {
+      if (dataUrl) {
+        resource.url = [dataUrl];
+      }
+      next(!!dataUrl);
+    });
+    return;
+  }
+
+  read(blob, false, (text) => {
+    if (text === undefined) {
+      next(false);
+      return;
+    }
+
+    try {
+      if (kind === 'json') {
+        resource.data = JSON.parse(text);
+        resource.type = Resource.TYPE.JSON;
+        resource.xhrType = Resource.XHR_RESPONSE_TYPE.JSON;
+      }
+      else if (kind === 'xml') {
+        resource.data = new DOMParser().parseFromString(text, 'text/xml');
+        resource.type = Resource.TYPE.XML;
+        resource.xhrType = Resource.XHR_RESPONSE_TYPE.DOCUMENT;
+      }
+      else {
+        resource.data = text;
+        resource.type = Resource.TYPE.TEXT;
+        resource.xhrType = Resource.XHR_RESPONSE_TYPE.TEXT;
+      }
+    }
+    catch (e) {
+      next(false);
+      return;
+    }
+
+    resource.complete();
+    next(true);
+  });
+}
+
+/**
+ * Create a middleware that caches images, JSON, XML(bitmap fonts, Tiled
+ * maps...), text and audio files in IndexedDB, so they are not downloaded
+ * again on next visit. Resources fall back to normal loading when
+ * IndexedDB is not available or anything fails.
+ *
+ * Files are keyed by url. `version` and `hash` of the resource metadata,
+ * which are set from manifest files(see `Loader#addManifest`), are stored
+ * along with them, a cached file is downloaded again once they change.
+ * Least recently used files are removed when the cache is over budget.
+ *
+ * Note: audio is only cached when the middleware is added after
+ * `engine/audio` is required, since sources are chosen by it.
+ *
+ * @example
+ * const loader = require('engine/loader');
+ * const { persistentMiddlewareFactory } = require('engine/loader/middlewares/caching/persistent');
+ * require('engine/audio');
+ *
+ * loader.pre(persistentMiddlewareFactory({ budget: 64 * 1024 * 1024 }));
+ *
+ * @example <caption>manifest.json</caption>
+ * {
+ *   "version": "1.2.0",
+ *   "bundles": {
+ *     "level1": [{ "name": "tiles", "url": "level1/tiles.json", "hash": "9f86d08" }]
+ *   }
+ * }
+ *
+ * @param {Object} [options]                Options
+ * @param {String} [options.name='lesser-panda-assets'] Name of the database
+ * @param {Number} [options.budget=52428800] Max size of cached files in bytes
+ * @param {String} [options.version='']     Version of resources without one in metadata
+ * @return {Function} Middleware to add by `Loader#pre`
+ */
+module.exports.persistentMiddlewareFactory = function(options = {}) {
+  const name = options.name || 'lesser-panda-assets';
+  const budget = options.budget || 50 * 1024 * 1024;
+  const defaultVersion = options.version || '';
+
+  let db = null, entries = null, total = 0;
+  let isOpening = false, isFailed = !window.indexedDB || !window.Blob || !Url;
+  const waiting = [];
+
+  /**
+   * Remove least recently used files until cache is in budget.
+   * @param {String} keep Key of the file to keep
+   * @private
+   */
+  function evict(keep) {
+    const keys = Object.keys(entries).sort((a, b) => entries[a].lastUsed - entries[b].lastUsed);
+
+    const tx = db.transaction([DATA_STORE, ENTRY_STORE], 'readwrite');
+    for (let i = 0; i < keys.length && total > budget; i++) {
+      if (keys[i] === keep) {
+        continue;
+      }
+
+      total -= entries[keys[i]].size;
+      delete entries[keys[i]];
+
+      tx.objectStore(DATA_STORE).delete(keys[i]);
+      tx.objectStore(ENTRY_STORE).delete(keys[i]);
+    }
+  }
+
+  /**
+   * Save a file into the cache.
+   * @param {Object} entry  Entry of the file
+   * @param {Blob} blob     Content of the file
+   * @private
+   */
+  function save(entry, blob) {
+    if (entry.size > budget) {
+      return;
+    }
+
+    if (entries[entry.key]) {
+      total -= entries[entry.key].size;
+    }
+    entries[entry.key] = entry;
+    total += entry.size;
+
+    try {
+      const tx = db.transaction([DATA_STORE, ENTRY_STORE], 'readwrite');
+      tx.objectStore(DATA_STORE).put(blob, entry.key);
+      tx.objectStore(ENTRY_STORE).put(entry);
+    }
+    catch (e) {
+      console.log(`[WARNING]: Failed to cache "${entry.key}"!`);
+      return;
+    }
+
+    if (total > budget) {
+      evict(entry.key);
+    }
+  }
+
+  /**
+   * Get a file from the cache, or download and cache it.
+   * @param {String} key      Key(url) of the file
+   * @param {Object} meta     Metadata of the resource
+   * @param {Function} cb     Callback receives the blob, or nothing if failed
+   * @private
+   */
+  function lookup(key, meta, cb) {
+    const version = (meta.version !== undefined) ? String(meta.version) : defaultVersion;
+    const hash = (meta.hash !== undefined) ? String(meta.hash) : '';
+    const entry = entries[key];
+
+    const downloadAndSave = () => download(key, (blob) => {
+      if (blob) {
+        save({ key: key, version: version, hash: hash, size: blob.size, lastUsed: Date.now() }, blob);
+      }
+      cb(blob);
+    });
+
+    if (!entry || entry.version !== version || entry.hash !== hash) {
+      downloadAndSave();
+      return;
+    }
+
+    const req = db.transaction([DATA_STORE, ENTRY_STORE], 'readwrite').objectStore(DATA_STORE).get(key);
+    req.onerror = downloadAndSave;
+    req.onsuccess = () => {
+      if (!req.result) {
+        downloadAndSave();
+        return;
+      }
+
+      entry.lastUsed = Date.now();
+      req.transaction.objectStore(ENTRY_STORE).put(entry);
+
+      cb(req.result);
+    };
+  }
+
+  return function persistentMiddleware(resource, next) {
+    const kind = isFailed ? '' : kindOf(resource);
+    if (!kind) {
+      next();
+      return;
+    }
+
+    const url = (kind === 'audio') ? playableUrl(resource.url) : resource.url;
+    if (!url) {
+      next();
+      return;
+    }
+
+    const run = () => {
+      if (isFailed) {
+        next();
+        return;
+      }
+
+      lookup(url, resource.metadata, (blob) => {
+        if (!blob) {
+          next();
+          return;
+        }
+
+        use(resource, kind, url, blob, () => next());
+      });
+    };
+
+    if (db) {
+      run();
+      return;
+    }
+
+    waiting.push(run);
+    if (isOpening) {
+      return;
+    }
+
+    isOpening = true;
+    open(name, (database, list) => {
+      isOpening = false;
+
+      if (database) {
+        db = database;
+        entries = list;
+        for (let k in entries) {
+          total += entries[k].size;
+        }
+      }
+      else {
+        isFailed = true;
+        console.log('[WARNING]: IndexedDB is not available, assets will not be cached!');
+      }
+
+      while (waiting.length > 0) {
+        waiting.shift()();
+      }
+    });
+  };
+};
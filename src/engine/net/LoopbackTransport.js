@@ -0,0 +1,92 @@
+const Transport = require('./Transport');
+
+/**
+ * In-process transport, messages are delivered to the other end of
+ * the pair after a simulated latency. Messages go through JSON like
+ * real transports, so anything that can not be sent over the
+ * network fails here too.
+ *
+ * @example
+ * const LoopbackTransport = require('engine/net/LoopbackTransport');
+ *
+ * // Server and client in the same page, with 100ms round trip
+ * const [serverSide, clientSide] = LoopbackTransport.pair(50);
+ * server.sysNet.addPeer(serverSide);
+ * client.sysNet.connect(clientSide);
+ *
+ * @class LoopbackTransport
+ * @extends {Transport}
+ */
+class LoopbackTransport extends Transport {
+  /**
+   * @constructor
+   * @param {Number} [latency=0] Delay of messages in ms
+   */
+  constructor(latency = 0) {
+    super();
+
+    /**
+     * Delay of messages in ms.
+     * @type {Number}
+     */
+    this.latency = latency;
+
+    /**
+     * The other end.
+     * @type {LoopbackTransport}
+     * @readonly
+     */
+    this.peer = null;
+  }
+
+  /**
+   * Send a message to the other end.
+   * @memberof LoopbackTransport#
+   * @param {Object} msg Message to send
+   */
+  send(msg) {
+    if (!this.isOpen) {
+      return;
+    }
+
+    const peer = this.peer, json = JSON.stringify(msg);
+    setTimeout(() => {
+      if (peer.isOpen) {
+        peer.emit('message', JSON.parse(json));
+      }
+    }, this.latency);
+  }
+  /**
+   * Close both ends.
+   * @memberof LoopbackTransport#
+   */
+  close() {
+    if (!this.isOpen) {
+      return;
+    }
+
+    this.isOpen = false;
+    this.emit('close');
+
+    this.peer.close();
+  }
+}
+
+/**
+ * Create two connected ends, which are open at once.
+ * @memberof LoopbackTransport
+ * @param {Number} [latency=0] Delay of messages in ms
+ * @return {Array<LoopbackTransport>} Both ends
+ */
+LoopbackTransport.pair = function(latency = 0) {
+  const a = new LoopbackTransport(latency);
+  const b = new LoopbackTransport(latency);
+
+  a.peer = b;
+  b.peer = a;
+  a.isOpen = b.isOpen = true;
+
+  return [a, b];
+};
+
+module.exports = LoopbackTransport;
@@ -0,0 +1,149 @@
+/**
+ * Input of a remote peer for one fixed step, received by `SystemNet`.
+ * It can be read in the same way as `SystemInput`(`state`, `pressed`,
+ * `released` and `axis`), so game logic works with both.
+ *
+ * @class PeerInput
+ */
+class PeerInput {
+  /**
+   * @constructor
+   */
+  constructor() {
+    /**
+     * Actions currently held.
+     * @type {Array<String>}
+     */
+    this.held = [];
+    /**
+     * Actions pressed in this step.
+     * @type {Array<String>}
+     */
+    this.justPressed = [];
+    /**
+     * Actions released in this step.
+     * @type {Array<String>}
+     */
+    this.justReleased = [];
+    /**
+     * Values of axes that are not zero.
+     * @type {Object}
+     */
+    this.axes = {};
+  }
+
+  /**
+   * Apply a frame captured from `SystemInput`.
+   * @memberof PeerInput#
+   * @param {Object} frame Frame to apply
+   * @return {PeerInput} Self for chaining
+   */
+  set(frame) {
+    this.held = frame.held.slice();
+    this.justPressed = frame.pressed.slice();
+    this.justReleased = frame.released.slice();
+    this.axes = Object.assign({}, frame.axes);
+
+    return this;
+  }
+  /**
+   * Keep current states for another step, presses and releases
+   * are not repeated.
+   * @memberof PeerInput#
+   * @return {PeerInput} Self for chaining
+   */
+  hold() {
+    this.justPressed.length = 0;
+    this.justReleased.length = 0;
+
+    return this;
+  }
+  /**
+   * Release all the actions and axes.
+   * @memberof PeerInput#
+   * @return {PeerInput} Self for chaining
+   */
+  reset() {
+    this.held.length = 0;
+    this.axes = {};
+
+    return this.hold();
+  }
+
+  /**
+   * Whether an action is currently pressed.
+   * @memberof PeerInput#
+   * @param  {String} action Action name
+   * @return {Boolean}       Pressed or not
+   */
+  state(action) {
+    return this.held.indexOf(action) >= 0;
+  }
+  /**
+   * Whether an action is just pressed.
+   * @memberof PeerInput#
+   * @param  {String} action Action name
+   * @return {Boolean}       Pressed or not
+   */
+  pressed(action) {
+    return this.justPressed.indexOf(action) >= 0;
+  }
+  /**
+   * Whether an action is just released.
+   * @memberof PeerInput#
+   * @param  {String} action Action name
+   * @return {Boolean}       Released or not
+   */
+  released(action) {
+    return this.justReleased.indexOf(action) >= 0;
+  }
+  /**
+   * Value of a named axis.
+   * @memberof PeerInput#
+   * @param  {String} axis   Axis name
+   * @return {Number}        Value between -1 and 1
+   */
+  axis(axis) {
+    return this.axes[axis] || 0;
+  }
+}
+
+/**
+ * Capture a frame of current step from an input system.
+ * @memberof PeerInput
+ * @param {SystemInput} [input] Input system, an empty frame is returned if not provided
+ * @return {Object} Frame that can be sent and applied by `set`
+ */
+PeerInput.capture = function(input) {
+  const frame = { held: [], pressed: [], released: [], axes: {} };
+  if (!input) {
+    return frame;
+  }
+
+  let a, value;
+  for (a in input.actions) {
+    if (input.actions[a]) {
+      frame.held.push(a);
+    }
+  }
+  for (a in input.lastPressed) {
+    if (input.lastPressed[a]) {
+      frame.pressed.push(a);
+    }
+  }
+  for (a in input.lastReleased) {
+    if (input.lastReleased[a]) {
+      frame.released.push(a);
+    }
+  }
+  for (a in input.axisBindings) {
+    value = input.axis(a);
+    if (value !== 0) {
+      frame.axes[a] = value;
+    }
+  }
+
+  return frame;
+};
+
+module.exports = PeerInput;
@@ -0,0 +1,83 @@
+const Transport = require('./Transport');
+
+/**
+ * Transport over a `WebSocket` or a WebRTC data channel
+ * (`RTCDataChannel`), which share the same interface. Messages
+ * are sent as JSON strings.
+ *
+ * Sockets of a Node.js server(i.e. from the `ws` package) can be
+ * wrapped as well, so the server side can run a headless game.
+ *
+ * @example <caption>WebSocket</caption>
+ * const SocketTransport = require('engine/net/SocketTransport');
+ *
+ * this.sysNet.connect(new SocketTransport('wss://example.com/game'));
+ *
+ * @example <caption>WebRTC</caption>
+ * const channel = connection.createDataChannel('game', { ordered: true });
+ * this.sysNet.connect(new SocketTransport(channel));
+ *
+ * @class SocketTransport
+ * @extends {Transport}
+ */
+class SocketTransport extends Transport {
+  /**
+   * @constructor
+   * @param {String|Object} socket URL to open a `WebSocket` to, or an opened/opening socket or data channel
+   */
+  constructor(socket) {
+    super();
+
+    /**
+     * The wrapped socket or data channel.
+     * @type {Object}
+     * @readonly
+     */
+    this.socket = (typeof(socket) === 'string') ? new WebSocket(socket) : socket;
+
+    // `WebSocket.OPEN` is 1 while data channels use 'open'
+    this.isOpen = (this.socket.readyState === 1 || this.socket.readyState === 'open');
+
+    this.socket.onopen = () => {
+      this.isOpen = true;
+      this.emit('open');
+    };
+    this.socket.onmessage = (e) => {
+      let msg;
+      try {
+        msg = JSON.parse(e.data);
+      }
+      catch (err) {
+        console.log('[WARNING]: Received message is not valid JSON!');
+        return;
+      }
+      this.emit('message', msg);
+    };
+    this.socket.onclose = () => {
+      if (this.isOpen) {
+        this.isOpen = false;
+        this.emit('close');
+      }
+    };
+  }
+
+  /**
+   * Send a message to the other side.
+   * @memberof SocketTransport#
+   * @param {Object} msg Message to send
+   */
+  send(msg) {
+    if (this.isOpen) {
+      this.socket.send(JSON.stringify(msg));
+    }
+  }
+  /**
+   * Close the socket.
+   * @memberof SocketTransport#
+   */
+  close() {
+    this.socket.close();
+  }
+}
+
+module.exports = SocketTransport;
@@ -0,0 +1,45 @@
+const EventEmitter = require('engine/EventEmitter');
+
+/**
+ * Base class of transports used by `SystemNet`, which carry plain
+ * objects(that can be stringified as JSON) between two peers.
+ *
+ * Sub-classes should implement `send` and `close`, set `isOpen`
+ * and emit events when the connection changes.
+ *
+ * @class Transport
+ * @extends {EventEmitter}
+ *
+ * @emits open
+ * @emits message
+ * @emits close
+ */
+class Transport extends EventEmitter {
+  /**
+   * @constructor
+   */
+  constructor() {
+    super();
+
+    /**
+     * Whether messages can be sent now.
+     * @type {Boolean}
+     * @readonly
+     */
+    this.isOpen = false;
+  }
+
+  /**
+   * Send a message to the other side.
+   * @memberof Transport#
+   * @param {Object} msg Message to send
+   */
+  send(msg) {} /* eslint no-unused-vars:0 */
+  /**
+   * Close the connection.
+   * @memberof Transport#
+   */
+  close() {}
+}
+
+module.exports = Transport;
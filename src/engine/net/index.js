@@ -0,0 +1,672 @@
+const System = require('engine/system');
+const PeerInput = require('./PeerInput');
+const { removeItems } = require('engine/utils/array');
+
+/**
+ * Networking system for multiplayer games. One game acts as the
+ * authoritative server(`host`) and sends states of entities whose
+ * `canReplicate` is `true` to clients, while clients(`connect`)
+ * send their `SystemInput` actions and axes upstream each fixed step.
+ *
+ * Game logic reads input of the peer that owns an entity
+ * (`Entity#owner`) from `input`, which returns `SystemInput` for the
+ * local player and `PeerInput` for remote ones, both provide
+ * `state`, `pressed`, `released` and `axis`.
+ *
+ * With `prediction` on, clients do not wait for the server: entities
+ * are simulated locally right away. When a state arrives, replicated
+ * entities are rolled back to it and input that the server has not
+ * processed yet is replayed(entity logic and `SystemPhysics` only).
+ * Check `isReplaying` to skip effects(sounds, particles) in replayed
+ * steps, and `isAuthority` before spawning or removing replicated
+ * entities, which only the server should do.
+ *
+ * Game emits `join`/`leave` with peer ID on the server, and
+ * `connect`/`disconnect` on clients.
+ *
+ * @example
+ * // Server, the host plays as peer 0
+ * this.sysNet.host();
+ * this.on('join', (id) => {
+ *   this.spawnEntity('Player', 100, 100, 'actors', { owner: id, canReplicate: true });
+ * });
+ *
+ * // Client
+ * this.sysNet.connect(new SocketTransport('wss://example.com/game'));
+ *
+ * // Player logic, same on both sides
+ * fixedUpdate(dt, dtSec) {
+ *   const input = this.game.sysNet.input(this.owner);
+ *   this.coll.velocity.x = input.axis('moveX') * this.speed;
+ * }
+ *
+ * @class SystemNet
+ */
+class SystemNet extends System {
+  /**
+   * @constructor
+   */
+  constructor() {
+    super();
+
+    /**
+     * Name of this system.
+     * @type {String}
+     */
+    this.name = 'Net';
+
+    /**
+     * Whether this game is the server.
+     * @type {Boolean}
+     * @readonly
+     */
+    this.isServer = false;
+    /**
+     * Whether this game is a client.
+     * @type {Boolean}
+     * @readonly
+     */
+    this.isClient = false;
+    /**
+     * ID of this peer, server is always `0` and a client gets
+     * its ID after connected. `-1` means not ready.
+     * @type {Number}
+     * @readonly
+     */
+    this.id = -1;
+
+    /**
+     * Send states to clients once every this many fixed steps.
+     * @type {Number}
+     * @default 3
+     */
+    this.sendInterval = 3;
+    /**
+     * Whether clients simulate their own input without waiting
+     * for the server.
+     * @type {Boolean}
+     * @default true
+     */
+    this.prediction = true;
+    /**
+     * Max count of unconfirmed input kept by clients for replay.
+     * @type {Number}
+     * @default 60
+     */
+    this.maxPending = 60;
+    /**
+     * Max count of input queued for each client on the server,
+     * older ones are dropped to keep the delay low.
+     * @type {Number}
+     * @default 8
+     */
+    this.maxQueued = 8;
+
+    /**
+     * Whether a client is replaying input after receiving a state.
+     * @type {Boolean}
+     * @readonly
+     */
+    this.isReplaying = false;
+
+    /**
+     * Fixed steps since started, the server sends its step with
+     * states and clients follow it.
+     * @type {Number}
+     * @readonly
+     */
+    this.step = 0;
+
+    /**
+     * Connected clients(server only, ID -> peer).
+     * @type {Object}
+     * @private
+     */
+    this.peers = {};
+    /**
+     * ID of the next client.
+     * @type {Number}
+     * @private
+     */
+    this.nextPeerId = 1;
+    /**
+     * Transport to the server(client only).
+     * @type {Transport}
+     * @private
+     */
+    this.transport = null;
+    /**
+     * Input of remote peers(client only, ID -> input).
+     * @type {Object}
+     * @private
+     */
+    this.remoteInputs = {};
+    /**
+     * Input used while replaying.
+     * @type {PeerInput}
+     * @private
+     */
+    this.replayInput = new PeerInput();
+    /**
+     * Input without any action, for unknown peers.
+     * @type {PeerInput}
+     * @private
+     */
+    this.emptyInput = new PeerInput();
+    /**
+     * Replicated entities(client only, server ID -> entity).
+     * @type {Object}
+     * @private
+     */
+    this.entities = {};
+    /**
+     * Sent input not confirmed by the server yet(client only).
+     * @type {Array<Object>}
+     * @private
+     */
+    this.pending = [];
+    /**
+     * Sequence number of last sent input.
+     * @type {Number}
+     * @private
+     */
+    this.seq = 0;
+    /**
+     * Latest state received and not applied yet.
+     * @type {Object}
+     * @private
+     */
+    this.latestState = null;
+    /**
+     * Delta time of last fixed step.
+     * @type {Array<Number>}
+     * @private
+     */
+    this.delta = [0, 0];
+    /**
+     * Colliders held in place while replaying(collider, last x, last y...).
+     * @type {Array}
+     * @private
+     */
+    this.heldColliders = [];
+  }
+
+  /**
+   * Whether this game has the final say on game state, which
+   * is `true` unless it is a client.
+   * @memberof SystemNet#
+   * @type {Boolean}
+   */
+  get isAuthority() {
+    return !this.isClient;
+  }
+
+  /**
+   * Act as the server, the local player is peer `0`.
+   * @memberof SystemNet#
+   * @return {SystemNet} Self for chaining
+   */
+  host() {
+    if (this.isClient) {
+      console.log('[WARNING]: A client can not host!');
+      return this;
+    }
+
+    this.isServer = true;
+    this.id = 0;
+
+    return this;
+  }
+  /**
+   * Accept a client connected through a transport(server only).
+   * @memberof SystemNet#
+   * @param {Transport} transport Transport to the client
+   * @return {Number} ID of the client, `-1` if not hosting
+   */
+  addPeer(transport) {
+    if (!this.isServer) {
+      console.log('[WARNING]: Call "host" before adding peers!');
+      return -1;
+    }
+
+    const peer = {
+      id: this.nextPeerId++,
+      transport: transport,
+      input: new PeerInput(),
+      queue: [],
+      ack: 0,
+    };
+    this.peers[peer.id] = peer;
+
+    const welcome = () => transport.send({ type: 'welcome', id: peer.id, step: this.step });
+    if (transport.isOpen) {
+      welcome();
+    }
+    else {
+      transport.once('open', welcome);
+    }
+
+    transport.on('message', (msg) => this.receiveInput(peer, msg));
+    transport.once('close', () => this.removePeer(peer.id));
+
+    this.game.emit('join', peer.id);
+
+    return peer.id;
+  }
+  /**
+   * Disconnect a client(server only).
+   * @memberof SystemNet#
+   * @param {Number} id ID of the client
+   * @return {SystemNet} Self for chaining
+   */
+  removePeer(id) {
+    const peer = this.peers[id];
+    if (!peer) {
+      return this;
+    }
+
+    delete this.peers[id];
+    peer.transport.close();
+
+    this.game.emit('leave', id);
+
+    return this;
+  }
+
+  /**
+   * Connect to a server through a transport.
+   * @memberof SystemNet#
+   * @param {Transport} transport Transport to the server
+   * @return {SystemNet} Self for chaining
+   */
+  connect(transport) {
+    if (this.isServer || this.transport) {
+      console.log('[WARNING]: Already hosting or connected!');
+      return this;
+    }
+
+    this.isClient = true;
+    this.transport = transport;
+
+    transport.on('message', this.receiveState, this);
+    transport.once('close', this.onClose, this);
+
+    return this;
+  }
+  /**
+   * Disconnect from the server.
+   * @memberof SystemNet#
+   * @return {SystemNet} Self for chaining
+   */
+  disconnect() {
+    if (this.transport) {
+      this.transport.close();
+    }
+
+    return this;
+  }
+
+  /**
+   * Get input of a peer.
+   * @memberof SystemNet#
+   * @param {Number} id ID of the peer(i.e. `Entity#owner`)
+   * @return {SystemInput|PeerInput} Input of the peer
+   */
+  input(id) {
+    if (id === this.id) {
+      return this.isReplaying ? this.replayInput : (this.game.sysInput || this.emptyInput);
+    }
+
+    if (this.isServer) {
+      return this.peers[id] ? this.peers[id].input : this.emptyInput;
+    }
+    return this.remoteInputs[id] || this.emptyInput;
+  }
+  /**
+   * Find the entity replicated from an entity of the server.
+   * @memberof SystemNet#
+   * @param {Number} id ID of the entity on the server
+   * @return {Entity|undefined} Replicated entity
+   */
+  getEntity(id) {
+    return this.entities[id];
+  }
+
+  /**
+   * Called when added to a game.
+   * @memberof SystemNet#
+   * @private
+   */
+  onAdd() {
+    // States are exchanged after everything in a step is done
+    this.game.on('fixedUpdate', this.afterStep, this);
+  }
+  /**
+   * Awake callback.
+   * @memberof SystemNet#
+   * @private
+   */
+  awake() {
+    // Capture input before its flags are reset
+    const order = this.game.systemOrder;
+    const idx = order.indexOf(this.name), inputIdx = order.indexOf('Input');
+    if (inputIdx >= 0 && idx > inputIdx) {
+      removeItems(order, idx, 1);
+      order.splice(inputIdx, 0, this.name);
+    }
+  }
+  /**
+   * Fixed update callback, clients send input of this step.
+   * @memberof SystemNet#
+   * @param {Number} dt     Delta time in millisecond
+   * @param {Number} dtSec  Delta time in second
+   * @private
+   */
+  fixedUpdate(dt, dtSec) {
+    this.delta[0] = dt;
+    this.delta[1] = dtSec;
+
+    if (!this.isClient || this.id < 0) {
+      return;
+    }
+
+    const frame = PeerInput.capture(this.game.sysInput);
+
+    this.seq += 1;
+    this.transport.send({ type: 'input', seq: this.seq, frame: frame });
+
+    if (this.prediction) {
+      this.pending.push({ seq: this.seq, frame: frame });
+      if (this.pending.length > this.maxPending) {
+        removeItems(this.pending, 0, this.pending.length - this.maxPending);
+      }
+    }
+  }
+
+  /**
+   * Called at the end of each fixed step.
+   * @memberof SystemNet#
+   * @private
+   */
+  afterStep() {
+    if (this.isServer) {
+      this.step += 1;
+
+      if (this.step % this.sendInterval === 0) {
+        this.sendState();
+      }
+
+      // Input for the next step
+      let k, peer, next;
+      for (k in this.peers) {
+        peer = this.peers[k];
+        next = peer.queue.shift();
+        if (next) {
+          peer.input.set(next.frame);
+          peer.ack = next.seq;
+        }
+        else {
+          peer.input.hold();
+        }
+      }
+    }
+    else if (this.isClient) {
+      this.step += 1;
+
+      if (this.latestState) {
+        this.applyState(this.latestState);
+        this.latestState = null;
+      }
+    }
+  }
+  /**
+   * Send state of replicated entities to all the clients.
+   * @memberof SystemNet#
+   * @private
+   */
+  sendState() {
+    const entities = [], inputs = {};
+
+    let i, ent, saved, k;
+    for (i = 0; i < this.game.entities.length; i++) {
+      ent = this.game.entities[i];
+      if (!ent.isRemoved && ent.canReplicate) {
+        saved = this.game.saveEntity(ent);
+        if (saved) {
+          entities.push(saved);
+        }
+      }
+    }
+
+    // Held actions and axes of everyone, used to predict remote players
+    inputs[this.id] = PeerInput.capture(this.game.sysInput);
+    for (k in this.peers) {
+      inputs[k] = {
+        held: this.peers[k].input.held,
+        pressed: [],
+        released: [],
+        axes: this.peers[k].input.axes,
+      };
+    }
+
+    for (k in this.peers) {
+      this.peers[k].transport.send({
+        type: 'state',
+        step: this.step,
+        ack: this.peers[k].ack,
+        inputs: inputs,
+        entities: entities,
+      });
+    }
+  }
+  /**
+   * Queue input received from a client.
+   * @memberof SystemNet#
+   * @param {Object} peer The client
+   * @param {Object} msg  Message
+   * @private
+   */
+  receiveInput(peer, msg) {
+    if (msg.type !== 'input' || msg.seq <= peer.ack) {
+      return;
+    }
+
+    peer.queue.push(msg);
+    if (peer.queue.length > this.maxQueued) {
+      removeItems(peer.queue, 0, peer.queue.length - this.maxQueued);
+    }
+  }
+  /**
+   * Handle messages from the server.
+   * @memberof SystemNet#
+   * @param {Object} msg Message
+   * @private
+   */
+  receiveState(msg) {
+    if (msg.type === 'welcome') {
+      this.id = msg.id;
+      this.step = msg.step;
+      this.game.emit('connect', this.id);
+    }
+    else if (msg.type === 'state') {
+      // Only the latest one matters
+      if (!this.latestState || msg.step > this.latestState.step) {
+        this.latestState = msg;
+      }
+    }
+  }
+  /**
+   * Apply a state from the server, and replay input that is not
+   * processed by the server yet.
+   * @memberof SystemNet#
+   * @param {Object} state State to apply
+   * @private
+   */
+  applyState(state) {
+    const game = this.game, seen = {};
+    this.step = state.step;
+
+    let i, saved, ent, parent, k;
+
+    // Spawn new entities and update the others
+    for (i = 0; i < state.entities.length; i++) {
+      saved = state.entities[i];
+      ent = this.entities[saved.id];
+      if (!ent || ent.isRemoved) {
+        ent = game.spawnSaved(saved);
+        if (!ent) {
+          continue;
+        }
+        this.entities[saved.id] = ent;
+      }
+      seen[saved.id] = true;
+
+      ent.deserialize(saved.data);
+    }
+
+    // Entities removed from the server
+    for (k in this.entities) {
+      if (!seen[k]) {
+        if (!this.entities[k].isRemoved) {
+          game.removeEntity(this.entities[k]);
+        }
+        delete this.entities[k];
+      }
+    }
+
+    // Hierarchies
+    for (i = 0; i < state.entities.length; i++) {
+      saved = state.entities[i];
+      ent = this.entities[saved.id];
+      parent = (saved.parent !== null) ? (this.entities[saved.parent] || null) : null;
+      if (!ent || ent.parent === parent) {
+        continue;
+      }
+
+      if (parent) {
+        parent.addChild(ent);
+      }
+      else {
+        ent.parent.removeChild(ent);
+      }
+    }
+    for (k in this.entities) {
+      if (!this.entities[k].parent) {
+        this.entities[k].updateTransform();
+      }
+    }
+
+    // Remote players keep holding what they held
+    for (k in state.inputs) {
+      if (Number(k) !== this.id) {
+        if (!this.remoteInputs[k]) {
+          this.remoteInputs[k] = new PeerInput();
+        }
+        this.remoteInputs[k].set(state.inputs[k]).hold();
+      }
+    }
+
+    // Reconcile
+    while (this.pending.length > 0 && this.pending[0].seq <= state.ack) {
+      this.pending.shift();
+    }
+    if (this.prediction && this.pending.length > 0) {
+      const replicated = new Set();
+      for (k in this.entities) {
+        if (this.entities[k].coll) {
+          replicated.add(this.entities[k].coll);
+        }
+      }
+
+      this.isReplaying = true;
+      for (i = 0; i < this.pending.length; i++) {
+        this.replayInput.set(this.pending[i].frame);
+        this.replayStep(this.delta[0], this.delta[1], replicated);
+      }
+      this.isReplaying = false;
+    }
+  }
+  /**
+   * Simulate replicated entities for one step, other colliders
+   * are not moved.
+   * @memberof SystemNet#
+   * @param {Number} dt     Delta time in millisecond
+   * @param {Number} dtSec  Delta time in second
+   * @param {Set} replicated Colliders of replicated entities
+   * @private
+   */
+  replayStep(dt, dtSec, replicated) {
+    let k, ent, j, b;
+    for (k in this.entities) {
+      ent = this.entities[k];
+      if (ent.isRemoved || ent.isPausedInTree) {
+        continue;
+      }
+
+      if (ent.canFixedTick) {
+        ent.fixedUpdate(dt, dtSec);
+      }
+      for (j = 0; j < ent.behaviors.length; j++) {
+        b = ent.behaviors[j];
+        if (!ent.isRemoved && b.isActive) {
+          b.fixedUpdate(dt, dtSec);
+        }
+      }
+    }
+
+    for (k in this.entities) {
+      if (!this.entities[k].parent) {
+        this.entities[k].updateTransform();
+      }
+    }
+
+    const physics = this.game.sysPhysics;
+    if (!physics) {
+      return;
+    }
+
+    // Colliders of local-only entities are held like static ones, so they
+    // do not move or get collision callbacks again, but still block others
+    const held = this.heldColliders;
+    let coll;
+    for (j = 0; j < physics.colliders.length; j++) {
+      coll = physics.colliders[j];
+      if (coll.isStatic || coll.isRemoved) {
+        continue;
+      }
+
+      if (!replicated.has(coll)) {
+        coll.isStatic = true;
+        held.push(coll, coll.last.x, coll.last.y);
+      }
+    }
+
+    physics.fixedUpdate(dt, dtSec);
+
+    for (j = 0; j < held.length; j += 3) {
+      held[j].isStatic = false;
+      held[j].last.set(held[j + 1], held[j + 2]);
+    }
+    held.length = 0;
+  }
+  /**
+   * Called when the connection to the server is closed.
+   * @memberof SystemNet#
+   * @private
+   */
+  onClose() {
+    this.transport.off('message', this.receiveState, this);
+
+    this.isClient = false;
+    this.transport = null;
+    this.id = -1;
+    this.entities = {};
+    this.remoteInputs = {};
+    this.pending.length = 0;
+    this.latestState = null;
+
+    this.game.emit('disconnect');
+  }
+}
+
+module.exports = SystemNet;
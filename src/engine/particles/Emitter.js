@@ -0,0 +1,708 @@
+const loader = require('engine/loader');
+const Vector = require('engine/Vector');
+const Sprite = require('engine/gfx/core/sprites/Sprite');
+const Container = require('engine/gfx/core/display/Container');
+const ParticleContainer = require('engine/gfx/core/particles/ParticleContainer');
+const { textureFromData } = require('engine/gfx/utils');
+const CONST = require('engine/gfx/const');
+require('engine/gfx/core/sprites/webgl/SpriteRenderer');
+require('engine/gfx/core/particles/webgl/ParticleRenderer');
+
+const DEG_TO_RAD = Math.PI / 180;
+
+/**
+ * Particles not in use, shared by all the emitters.
+ * @type {Array<Object>}
+ * @private
+ */
+const pool = [];
+
+/**
+ * Get a particle from the pool.
+ * @return {Object} Particle
+ * @private
+ */
+function createParticle() {
+  const p = pool.pop() || { sprite: new Sprite() };
+
+  p.age = 0;
+  p.life = 0;
+  p.dirX = 0;
+  p.dirY = 0;
+  p.velocity = p.velocity || new Vector();
+  p.speedMultiplier = 1;
+  p.scaleMultiplier = 1;
+  p.rotationSpeed = 0;
+
+  p.sprite.anchor.x = p.sprite.anchor.y = 0.5;
+
+  return p;
+}
+/**
+ * Put a particle back to the pool.
+ * @param {Object} p Particle
+ * @private
+ */
+function recycleParticle(p) {
+  p.sprite.remove();
+  p.sprite.alpha = 1;
+  p.sprite.tint = 0xffffff;
+  p.sprite.rotation = 0;
+  p.sprite.scale.set(1, 1);
+
+  pool.push(p);
+}
+
+/**
+ * Random number between two values.
+ * @param {Number} min Min value
+ * @param {Number} max Max value
+ * @return {Number} Random number
+ * @private
+ */
+function between(min, max) {
+  // Effects do not touch `rnd`, so that replays stay deterministic
+  return min + Math.random() * (max - min);
+}
+
+/**
+ * Parse a color(`#ff0000`, `ff0000` or `0xff0000`) into channels.
+ * @param {String|Number} value Color
+ * @return {Array<Number>} `[r, g, b]`
+ * @private
+ */
+function parseColor(value) {
+  const hex = (typeof(value) === 'number') ? value : parseInt(String(value).replace('#', ''), 16);
+  return [(hex >> 16) & 0xff, (hex >> 8) & 0xff, hex & 0xff];
+}
+/**
+ * Create a curve from a property definition, which can be a
+ * value, `{ start, end }` or `{ list: [{ value, time }], isStepped }`.
+ * @param {*} data            Definition
+ * @param {Boolean} isColor   Whether values are colors
+ * @return {Object|null} Curve, `null` if not defined
+ * @private
+ */
+function createCurve(data, isColor) {
+  if (data === undefined || data === null) {
+    return null;
+  }
+
+  const parse = isColor ? parseColor : Number;
+
+  let list;
+  if (typeof(data) !== 'object') {
+    list = [{ value: parse(data), time: 0 }];
+  }
+  else if (Array.isArray(data.list)) {
+    list = data.list.map((step) => ({ value: parse(step.value), time: step.time }));
+  }
+  else {
+    list = [
+      { value: parse(data.start), time: 0 },
+      { value: parse((data.end !== undefined) ? data.end : data.start), time: 1 },
+    ];
+  }
+
+  return {
+    list: list,
+    isStepped: !!data.isStepped,
+    isColor: !!isColor,
+  };
+}
+/**
+ * Value of a curve at some point of life.
+ * @param {Object} curve Curve
+ * @param {Number} t     Progress of life(0 ~ 1)
+ * @return {Number} Value, colors are returned as hex numbers
+ * @private
+ */
+function sample(curve, t) {
+  const list = curve.list;
+
+  let i = 1;
+  while (i < list.length - 1 && list[i].time < t) {
+    i++;
+  }
+
+  let a = list[i - 1], b = list[i] || a;
+  if (curve.isStepped) {
+    a = b = (t >= b.time) ? b : a;
+  }
+
+  const f = (b.time > a.time) ? Math.min(Math.max((t - a.time) / (b.time - a.time), 0), 1) : 0;
+  if (!curve.isColor) {
+    return a.value + (b.value - a.value) * f;
+  }
+
+  return (Math.round(a.value[0] + (b.value[0] - a.value[0]) * f) << 16) |
+    (Math.round(a.value[1] + (b.value[1] - a.value[1]) * f) << 8) |
+    Math.round(a.value[2] + (b.value[2] - a.value[2]) * f);
+}
+/**
+ * Range from `{ min, max }` or a single value.
+ * @param {Object|Number} data  Definition
+ * @param {Number} value        Default value
+ * @return {Object} `{ min, max }`
+ * @private
+ */
+function range(data, value) {
+  if (data === undefined || data === null) {
+    return { min: value, max: value };
+  }
+  if (typeof(data) === 'number') {
+    return { min: data, max: data };
+  }
+  return { min: data.min, max: (data.max !== undefined) ? data.max : data.min };
+}
+
+/**
+ * Particle emitter, created by `SystemParticles#createEmitter`.
+ *
+ * Configs use the same format as exports of the PixiJS particle
+ * editor(times are in seconds and angles in degrees):
+ * - `textures`: texture keys(same as `Sprite`), or `texture` for one
+ * - `lifetime`: `{ min, max }` life of particles
+ * - `frequency`: seconds between waves, `0` to only emit by `burst`
+ * - `particlesPerWave`: particles of each wave(default `1`)
+ * - `spawnChance`: chance(0 ~ 1) of each particle to be spawned
+ * - `emitterLifetime`: seconds to emit, `-1` for ever
+ * - `maxParticles`: max particles alive at the same time
+ * - `alpha`, `scale`, `speed`: `{ start, end }` or `{ list: [{ value, time }], isStepped }`
+ * - `color`: same as above with colors(`#ff0000`)
+ * - `minimumScaleMultiplier`, `minimumSpeedMultiplier`: random multiplier(min ~ 1) of each particle
+ *   (also accepted inside `scale` and `speed`)
+ * - `acceleration`: `{ x, y }` in px/s², i.e. gravity, `speed` curve is ignored with it
+ * - `maxSpeed`: limit of speed with acceleration
+ * - `startRotation`: `{ min, max }` direction of movement
+ * - `rotationSpeed`: `{ min, max }` in degree/s
+ * - `noRotation`: do not turn particles to their directions
+ * - `pos`: `{ x, y }` offset of spawn position
+ * - `spawnType`: `point`, `rect`, `circle`, `ring` or `burst`
+ * - `spawnRect`: `{ x, y, w, h }` for `rect`
+ * - `spawnCircle`: `{ x, y, r, minR }` for `circle` and `ring`
+ * - `particleSpacing`, `angleStart`: directions of particles in a `burst` wave
+ * - `blendMode`: `normal`, `add`, `multiply`, `screen`...
+ * - `addAtBack`: add new particles below older ones
+ *
+ * Particles are drawn by a fast `ParticleContainer`, unless `color`
+ * is set which needs tinting(not supported by it).
+ *
+ * @example <caption>Sparks following an entity</caption>
+ * const emitter = this.game.sysParticles.createEmitter({
+ *   textures: ['spark'],
+ *   lifetime: { min: 0.2, max: 0.5 },
+ *   frequency: 0.02,
+ *   speed: { start: 200, end: 50, minimumSpeedMultiplier: 0.5 },
+ *   startRotation: { min: 0, max: 360 },
+ *   alpha: { start: 1, end: 0 },
+ *   color: { start: '#ffff88', end: '#ff4400' },
+ *   acceleration: { x: 0, y: 400 },
+ * }, 'fx');
+ * emitter.position = this.worldPosition;
+ *
+ * @class Emitter
+ */
+class Emitter {
+  /**
+   * @constructor
+   * @param {Object} config Config of this emitter
+   */
+  constructor(config) {
+    /**
+     * Container of particles, added to a layer by `SystemParticles`.
+     * @type {Container|ParticleContainer}
+     * @readonly
+     */
+    this.container = config.color ? new Container() : new ParticleContainer(config.maxParticles || 1000, {
+      scale: true,
+      position: true,
+      rotation: true,
+      uvs: true,
+      alpha: true,
+    });
+
+    /**
+     * Where particles are spawned, in space of the container's parent.
+     * @type {Vector}
+     */
+    this.position = new Vector();
+    /**
+     * Rotation(in radians) added to spawn shapes and directions.
+     * @type {Number}
+     */
+    this.rotation = 0;
+
+    /**
+     * Whether new particles are spawned.
+     * @type {Boolean}
+     */
+    this.isEmitting = true;
+    /**
+     * Remove this emitter once it stops emitting and all
+     * particles are dead, useful for one-shot effects.
+     * @type {Boolean}
+     * @default false
+     */
+    this.autoRemove = false;
+    /**
+     * Whether this emitter is removed.
+     * @type {Boolean}
+     * @readonly
+     */
+    this.isRemoved = false;
+
+    /**
+     * Particles alive.
+     * @type {Array<Object>}
+     * @readonly
+     */
+    this.particles = [];
+
+    /**
+     * Seconds since started.
+     * @type {Number}
+     * @private
+     */
+    this.age = 0;
+    /**
+     * Seconds to the next wave.
+     * @type {Number}
+     * @private
+     */
+    this.spawnTimer = 0;
+
+    this.setup(config);
+  }
+
+  /**
+   * Apply a config, particles alive are not affected.
+   * @memberof Emitter#
+   * @param {Object} config Config
+   * @return {Emitter} Self for chaining
+   */
+  setup(config) {
+    /**
+     * Textures of particles, ones can not be resolved are dropped.
+     * @type {Array<Texture>}
+     */
+    this.textures = (config.textures || [config.texture]).map(textureFromData).filter((t) => !!t);
+
+    const scale = config.scale || {}, speed = config.speed || {};
+    const acceleration = config.acceleration || {}, pos = config.pos || {};
+
+    /**
+     * @type {Object}
+     * @private
+     */
+    this.lifetime = range(config.lifetime, 1);
+    /**
+     * @type {Number}
+     * @private
+     */
+    this.frequency = config.frequency || 0;
+    /**
+     * @type {Number}
+     * @private
+     */
+    this.particlesPerWave = Math.max(config.particlesPerWave || 1, 1);
+    /**
+     * @type {Number}
+     * @private
+     */
+    this.spawnChance = (typeof(config.spawnChance) === 'number') ? config.spawnChance : 1;
+    /**
+     * @type {Number}
+     * @private
+     */
+    this.emitterLifetime = (typeof(config.emitterLifetime) === 'number') ? config.emitterLifetime : -1;
+    /**
+     * @type {Number}
+     * @private
+     */
+    this.maxParticles = config.maxParticles || 1000;
+
+    /**
+     * @type {Object}
+     * @private
+     */
+    this.alpha = createCurve(config.alpha, false);
+    /**
+     * @type {Object}
+     * @private
+     */
+    this.scale = createCurve(config.scale, false);
+    /**
+     * @type {Object}
+     * @private
+     */
+    this.color = createCurve(config.color, true);
+    /**
+     * @type {Object}
+     * @private
+     */
+    this.speed = createCurve(config.speed, false);
+    /**
+     * @type {Number}
+     * @private
+     */
+    this.minScaleMultiplier = config.minimumScaleMultiplier || scale.minimumScaleMultiplier || 1;
+    /**
+     * @type {Number}
+     * @private
+     */
+    this.minSpeedMultiplier = config.minimumSpeedMultiplier || speed.minimumSpeedMultiplier || 1;
+
+    /**
+     * @type {Vector}
+     * @private
+     */
+    this.acceleration = new Vector(acceleration.x || 0, acceleration.y || 0);
+    /**
+     * @type {Number}
+     * @private
+     */
+    this.maxSpeed = config.maxSpeed || 0;
+
+    /**
+     * @type {Object}
+     * @private
+     */
+    this.startRotation = range(config.startRotation, 0);
+    /**
+     * @type {Object}
+     * @private
+     */
+    this.rotationSpeed = range(config.rotationSpeed, 0);
+    /**
+     * @type {Boolean}
+     * @private
+     */
+    this.noRotation = !!config.noRotation;
+
+    /**
+     * @type {Vector}
+     * @private
+     */
+    this.offset = new Vector(pos.x || 0, pos.y || 0);
+    /**
+     * @type {String}
+     * @private
+     */
+    this.spawnType = config.spawnType || 'point';
+    /**
+     * @type {Object}
+     * @private
+     */
+    this.spawnRect = Object.assign({ x: 0, y: 0, w: 0, h: 0 }, config.spawnRect);
+    /**
+     * @type {Object}
+     * @private
+     */
+    this.spawnCircle = Object.assign({ x: 0, y: 0, r: 0, minR: 0 }, config.spawnCircle);
+    /**
+     * @type {Number}
+     * @private
+     */
+    this.particleSpacing = config.particleSpacing || 0;
+    /**
+     * @type {Number}
+     * @private
+     */
+    this.angleStart = config.angleStart || 0;
+    /**
+     * @type {Boolean}
+     * @private
+     */
+    this.addAtBack = !!config.addAtBack;
+
+    this.container.blendMode = CONST.BLEND_MODES[(config.blendMode || 'normal').toUpperCase().replace(/ /g, '_')] || CONST.BLEND_MODES.NORMAL;
+
+    return this;
+  }
+
+  /**
+   * Start emitting from the beginning.
+   * @memberof Emitter#
+   * @return {Emitter} Self for chaining
+   */
+  start() {
+    this.isEmitting = true;
+    this.age = 0;
+    this.spawnTimer = 0;
+
+    return this;
+  }
+  /**
+   * Stop emitting, particles alive keep moving until dead.
+   * @memberof Emitter#
+   * @return {Emitter} Self for chaining
+   */
+  stop() {
+    this.isEmitting = false;
+    return this;
+  }
+  /**
+   * Emit waves of particles at once.
+   * @memberof Emitter#
+   * @param {Number} [waves=1] Count of waves
+   * @return {Emitter} Self for chaining
+   */
+  burst(waves = 1) {
+    for (let i = 0; i < waves; i++) {
+      this.wave();
+    }
+    return this;
+  }
+  /**
+   * Kill all the particles.
+   * @memberof Emitter#
+   * @return {Emitter} Self for chaining
+   */
+  clear() {
+    for (let i = 0; i < this.particles.length; i++) {
+      recycleParticle(this.particles[i]);
+    }
+    this.particles.length = 0;
+
+    return this;
+  }
+  /**
+   * Remove this emitter along with its particles.
+   * @memberof Emitter#
+   */
+  remove() {
+    this.clear();
+    this.container.remove();
+    this.isEmitting = false;
+    this.isRemoved = true;
+  }
+
+  /**
+   * Update particles and spawn new ones, called by `SystemParticles`.
+   * @memberof Emitter#
+   * @param {Number} dt Delta time in second
+   */
+  update(dt) {
+    if (this.isRemoved) {
+      return;
+    }
+
+    let i, p, t, sprite, speed;
+    for (i = this.particles.length - 1; i >= 0; i--) {
+      p = this.particles[i];
+
+      p.age += dt;
+      if (p.age >= p.life) {
+        recycleParticle(p);
+        this.particles.splice(i, 1);
+        continue;
+      }
+
+      t = p.age / p.life;
+      sprite = p.sprite;
+
+      // Movement
+      if (this.acceleration.x !== 0 || this.acceleration.y !== 0) {
+        p.velocity.add(this.acceleration.x * dt, this.acceleration.y * dt);
+        if (this.maxSpeed > 0) {
+          speed = p.velocity.length();
+          if (speed > this.maxSpeed) {
+            p.velocity.multiply(this.maxSpeed / speed);
+          }
+        }
+      }
+      else if (this.speed) {
+        speed = sample(this.speed, t) * p.speedMultiplier;
+        p.velocity.set(p.dirX * speed, p.dirY * speed);
+      }
+      sprite.position.x += p.velocity.x * dt;
+      sprite.position.y += p.velocity.y * dt;
+      sprite.rotation += p.rotationSpeed * dt;
+
+      this.applyCurves(p, t);
+    }
+
+    if (!this.isEmitting) {
+      if (this.autoRemove && this.particles.length === 0) {
+        this.remove();
+      }
+      return;
+    }
+
+    this.age += dt;
+    if (this.emitterLifetime >= 0 && this.age > this.emitterLifetime) {
+      this.isEmitting = false;
+      return;
+    }
+
+    if (this.frequency > 0) {
+      this.spawnTimer -= dt;
+      while (this.spawnTimer <= 0) {
+        this.wave();
+        this.spawnTimer += this.frequency;
+      }
+    }
+  }
+
+  /**
+   * Spawn a wave of particles.
+   * @memberof Emitter#
+   * @private
+   */
+  wave() {
+    for (let i = 0; i < this.particlesPerWave; i++) {
+      if (this.particles.length >= this.maxParticles) {
+        return;
+      }
+      if (this.spawnChance < 1 && Math.random() >= this.spawnChance) {
+        continue;
+      }
+
+      this.spawn(i);
+    }
+  }
+  /**
+   * Spawn a particle.
+   * @memberof Emitter#
+   * @param {Number} idx Index in its wave
+   * @private
+   */
+  spawn(idx) {
+    const p = createParticle();
+    const sprite = p.sprite;
+
+    sprite.texture = this.textures[Math.floor(Math.random() * this.textures.length)];
+
+    p.life = between(this.lifetime.min, this.lifetime.max);
+    p.speedMultiplier = between(this.minSpeedMultiplier, 1);
+    p.scaleMultiplier = between(this.minScaleMultiplier, 1);
+    p.rotationSpeed = between(this.rotationSpeed.min, this.rotationSpeed.max) * DEG_TO_RAD;
+
+    // Spawn shape
+    let x = 0, y = 0, angle = between(this.startRotation.min, this.startRotation.max) * DEG_TO_RAD;
+    let dist, theta;
+    switch (this.spawnType) {
+      case 'rect':
+        x = this.spawnRect.x + Math.random() * this.spawnRect.w;
+        y = this.spawnRect.y + Math.random() * this.spawnRect.h;
+        break;
+      case 'circle':
+      case 'ring':
+        dist = (this.spawnType === 'ring') ? between(this.spawnCircle.minR, this.spawnCircle.r) : Math.random() * this.spawnCircle.r;
+        theta = Math.random() * Math.PI * 2;
+        x = this.spawnCircle.x + Math.cos(theta) * dist;
+        y = this.spawnCircle.y + Math.sin(theta) * dist;
+        break;
+      case 'burst':
+        angle = (this.angleStart + this.particleSpacing * idx) * DEG_TO_RAD;
+        break;
+    }
+
+    // Follow rotation of the emitter
+    x += this.offset.x;
+    y += this.offset.y;
+    if (this.rotation !== 0) {
+      const sin = Math.sin(this.rotation), cos = Math.cos(this.rotation);
+      const rx = x * cos - y * sin;
+      y = x * sin + y * cos;
+      x = rx;
+      angle += this.rotation;
+    }
+    sprite.position.set(this.position.x + x, this.position.y + y);
+
+    p.dirX = Math.cos(angle);
+    p.dirY = Math.sin(angle);
+    sprite.rotation = this.noRotation ? 0 : angle;
+
+    const speed = this.speed ? sample(this.speed, 0) * p.speedMultiplier : 0;
+    p.velocity.set(p.dirX * speed, p.dirY * speed);
+
+    this.applyCurves(p, 0);
+
+    if (this.addAtBack) {
+      this.container.addChildAt(sprite, 0);
+    }
+    else {
+      this.container.addChild(sprite);
+    }
+    this.particles.push(p);
+  }
+  /**
+   * Apply alpha, scale and color at some point of life.
+   * @memberof Emitter#
+   * @param {Object} p Particle
+   * @param {Number} t Progress of life(0 ~ 1)
+   * @private
+   */
+  applyCurves(p, t) {
+    if (this.alpha) {
+      p.sprite.alpha = sample(this.alpha, t);
+    }
+    if (this.scale) {
+      p.sprite.scale.x = p.sprite.scale.y = sample(this.scale, t) * p.scaleMultiplier;
+    }
+    if (this.color) {
+      p.sprite.tint = sample(this.color, t);
+    }
+  }
+}
+
+/**
+ * Configs defined by name.
+ * @memberof Emitter
+ * @type {Object}
+ */
+Emitter.configs = {};
+
+/**
+ * Define a config, which can be used by name.
+ * @memberof Emitter
+ * @param {String} name   Name of the config
+ * @param {Object} config Config
+ */
+Emitter.define = function(name, config) {
+  Emitter.configs[name] = config;
+};
+
+/**
+ * Loader middleware that defines emitter configs from JSON resources,
+ * which have an `emitters` field(name -> config) or are exported
+ * by the particle editor(named as the resource).
+ * @return {Function} Middleware
+ * @private
+ */
+function emitterParser() {
+  return function(resource, next) {
+    const data = resource.data;
+    if (!data || typeof(data) !== 'object') {
+      return next();
+    }
+
+    if (data.emitters && typeof(data.emitters) === 'object') {
+      for (let name in data.emitters) {
+        Emitter.define(name, data.emitters[name]);
+      }
+      resource.emitters = Object.keys(data.emitters);
+    }
+    else if (data.lifetime && data.frequency !== undefined && data.spawnType) {
+      Emitter.define(resource.name, data);
+      resource.emitters = [resource.name];
+    }
+
+    next();
+  };
+}
+
+// - define emitter configs from JSON data
+loader.use(emitterParser());
+// - remove emitter configs of unloaded resources
+loader.onUnload.add(function(loader, resource) {
+  if (resource.emitters) {
+    for (let i = 0; i < resource.emitters.length; i++) {
+      delete Emitter.configs[resource.emitters[i]];
+    }
+  }
+});
+
+module.exports = Emitter;
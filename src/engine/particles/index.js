@@ -0,0 +1,148 @@
+const System = require('engine/system');
+const Emitter = require('./Emitter');
+const { removeItems } = require('engine/utils/array');
+
+/**
+ * Particle system that updates emitters each fixed step. Particles are
+ * pooled and shared by all the emitters, so effects can be created
+ * and removed freely.
+ *
+ * Requires `SystemGfx`, containers of emitters are added to its layers.
+ *
+ * @example <caption>One-shot explosion</caption>
+ * // "explosion" is defined in a JSON file exported by the particle editor,
+ * // which has no textures, so they are set while creating
+ * loader.add('explosion', 'fx/explosion.json');
+ * loader.add('spark', 'fx/spark.png');
+ *
+ * this.sysParticles.createEmitter('explosion', 'fx', {
+ *   textures: ['spark'],
+ *   x: 100, y: 80,
+ *   isEmitting: false,
+ *   autoRemove: true,
+ * }).burst(3);
+ *
+ * @class SystemParticles
+ */
+class SystemParticles extends System {
+  /**
+   * @constructor
+   */
+  constructor() {
+    super();
+
+    /**
+     * Name of this system.
+     * @type {String}
+     */
+    this.name = 'Particles';
+
+    /**
+     * Emitters updated by this system.
+     * @type {Array<Emitter>}
+     * @readonly
+     */
+    this.emitters = [];
+  }
+
+  /**
+   * Create an emitter and add its particles to a layer.
+   * @memberof SystemParticles#
+   * @param {String|Object} config    Config or name of a defined one(see `Emitter.define`)
+   * @param {String} [layer]          Name of the layer, root by default
+   * @param {Object} [settings]       Fields of the emitter to set(i.e. `isEmitting`, `autoRemove`), `x` and `y` for position,
+   *                                  `textures`(or `texture`) to replace the ones of config(data accepted by `textureFromData`)
+   * @return {Emitter} The emitter, `null` if config does not exist or has no texture
+   */
+  createEmitter(config, layer, settings) {
+    if (typeof(config) === 'string') {
+      if (!Emitter.configs.hasOwnProperty(config)) {
+        console.log(`[WARNING]: Emitter config "${config}" does not exist!`);
+        return null;
+      }
+      config = Emitter.configs[config];
+    }
+
+    // Configs exported by the particle editor have no textures
+    if (settings && (settings.textures || settings.texture)) {
+      config = Object.assign({}, config, { textures: settings.textures || [settings.texture] });
+    }
+
+    const emitter = new Emitter(config);
+    if (emitter.textures.length === 0) {
+      console.log('[WARNING]: Emitter has no texture, set `textures` of its config or settings!');
+      return null;
+    }
+
+    for (let k in settings) {
+      if (k === 'textures' || k === 'texture') {
+        continue;
+      }
+      else if (k === 'x' || k === 'y') {
+        emitter.position[k] = settings[k];
+      }
+      else {
+        emitter[k] = settings[k];
+      }
+    }
+
+    const sysGfx = this.game.sysGfx;
+    if (!sysGfx) {
+      console.log('[WARNING]: SystemParticles requires SystemGfx!');
+    }
+    else if (layer && !sysGfx.layers.hasOwnProperty(layer)) {
+      console.log(`[WARNING]: Layer "${layer}" does not exist!`);
+    }
+    else {
+      emitter.container.addTo(layer ? sysGfx.layers[layer] : sysGfx.root);
+    }
+
+    this.emitters.push(emitter);
+
+    return emitter;
+  }
+  /**
+   * Remove an emitter along with its particles.
+   * @memberof SystemParticles#
+   * @param {Emitter} emitter Emitter to remove
+   * @return {SystemParticles} Self for chaining
+   */
+  removeEmitter(emitter) {
+    emitter.remove();
+    return this;
+  }
+  /**
+   * Remove all the emitters.
+   * @memberof SystemParticles#
+   * @return {SystemParticles} Self for chaining
+   */
+  removeAll() {
+    for (let i = 0; i < this.emitters.length; i++) {
+      this.emitters[i].remove();
+    }
+    this.emitters.length = 0;
+
+    return this;
+  }
+
+  /**
+   * Fixed update callback.
+   * @memberof SystemParticles#
+   * @param {Number} dt     Delta time in millisecond
+   * @param {Number} dtSec  Delta time in second
+   * @private
+   */
+  fixedUpdate(dt, dtSec) {
+    let i, emitter;
+    for (i = 0; i < this.emitters.length; i++) {
+      emitter = this.emitters[i];
+      emitter.update(dtSec);
+
+      if (emitter.isRemoved) {
+        removeItems(this.emitters, i--, 1);
+      }
+    }
+  }
+}
+
+module.exports = SystemParticles;
@@ -1,6 +1,7 @@
 const Vector = require('engine/Vector');
 const { clamp } = require('engine/utils/math');
 const { UP, DOWN, LEFT, RIGHT, OVERLAP, BOX, CIRC } = require('./const');
+const { sweepBox, sweepCircle } = require('./geometry');
 
 /**
  * AABB collision solver. This collision solver only supports
@@ -15,6 +16,16 @@ class AABBSolver {
       new Vector(),
       new Vector(),
     ];
+
+    /**
+     * Sweep result of each shape of the rounded box test.
+     * @type {Object}
+     * @private
+     */
+    this.roundedRes = {
+      time: 0,
+      normal: new Vector(),
+    };
   }
 
   /**
@@ -73,6 +84,120 @@ class AABBSolver {
     return false;
   }
 
+  /**
+   * Sweep a versus b along their movement of this step(from `last`
+   * to `position`) and find the time of impact.
+   * @memberof AABBSolver#
+   * @method sweepTest
+   * @param {Collider} a  Collider to sweep
+   * @param {Collider} b  Collider to sweep against
+   * @param {Object} res  Result to write `time`(0-1), `normal`(from b to a),
+   *                      and collide directions `dirA` and `dirB` to.
+   * @return {boolean} return true if bodies hit during the movement.
+   */
+  sweepTest(a, b, res) {
+    // Skip when shape is not available
+    if (!a.shape || !b.shape) {return false;}
+
+    // Movement of a relative to b
+    let px = a.last.x - b.last.x;
+    let py = a.last.y - b.last.y;
+    let dx = (a.position.x - a.last.x) - (b.position.x - b.last.x);
+    let dy = (a.position.y - a.last.y) - (b.position.y - b.last.y);
+
+    if (a.shape.type === BOX && b.shape.type === BOX) {
+      if (!sweepBox(px, py, dx, dy, (a.shape.width + b.shape.width) * 0.5, (a.shape.height + b.shape.height) * 0.5, res)) {
+        return false;
+      }
+
+      if (res.normal.y < 0) {
+        res.dirA = DOWN;
+        res.dirB = UP;
+      }
+      else if (res.normal.y > 0) {
+        res.dirA = UP;
+        res.dirB = DOWN;
+      }
+      else if (res.normal.x < 0) {
+        res.dirA = RIGHT;
+        res.dirB = LEFT;
+      }
+      else if (res.normal.x > 0) {
+        res.dirA = LEFT;
+        res.dirB = RIGHT;
+      }
+      else {
+        res.dirA = res.dirB = OVERLAP;
+      }
+
+      return true;
+    }
+
+    if (a.shape.type === CIRC && b.shape.type === CIRC) {
+      if (!sweepCircle(px, py, dx, dy, a.shape.radius + b.shape.radius, res)) {
+        return false;
+      }
+    }
+    else if (a.shape.type === CIRC && b.shape.type === BOX) {
+      if (!this.sweepRoundedBox(px, py, dx, dy, b.shape.width * 0.5, b.shape.height * 0.5, a.shape.radius, res)) {
+        return false;
+      }
+    }
+    else if (a.shape.type === BOX && b.shape.type === CIRC) {
+      // Sweep the circle against the box instead
+      if (!this.sweepRoundedBox(-px, -py, -dx, -dy, a.shape.width * 0.5, a.shape.height * 0.5, b.shape.radius, res)) {
+        return false;
+      }
+      res.normal.reverse();
+    }
+    else {
+      return false;
+    }
+
+    // Circles use angle of the normal as direction
+    res.dirA = res.dirB = Math.atan2(res.normal.y, res.normal.x);
+
+    return true;
+  }
+
+  /**
+   * Sweep a circle against a box centered at origin, which equals to
+   * a point against a box with rounded corners.
+   * @memberof AABBSolver#
+   * @method sweepRoundedBox
+   * @param {number} px X coordinate of the circle relative to the box
+   * @param {number} py Y coordinate of the circle relative to the box
+   * @param {number} dx Movement on x-axis relative to the box
+   * @param {number} dy Movement on y-axis relative to the box
+   * @param {number} hw Half width of the box
+   * @param {number} hh Half height of the box
+   * @param {number} r  Radius of the circle
+   * @param {Object} res  Result to write `time` and `normal` to
+   * @return {boolean} Whether the circle hits the box
+   * @private
+   */
+  sweepRoundedBox(px, py, dx, dy, hw, hh, r, res) {
+    let tmp = this.roundedRes, hit = false;
+    res.time = Infinity;
+
+    // Rounded box = 2 expanded boxes + 4 corner circles
+    const test = (result) => {
+      if (result && tmp.time < res.time) {
+        res.time = tmp.time;
+        res.normal.copy(tmp.normal);
+        hit = true;
+      }
+    };
+    test(sweepBox(px, py, dx, dy, hw + r, hh, tmp));
+    test(sweepBox(px, py, dx, dy, hw, hh + r, tmp));
+    test(sweepCircle(px - hw, py - hh, dx, dy, r, tmp));
+    test(sweepCircle(px + hw, py - hh, dx, dy, r, tmp));
+    test(sweepCircle(px - hw, py + hh, dx, dy, r, tmp));
+    test(sweepCircle(px + hw, py + hh, dx, dy, r, tmp));
+
+    return hit;
+  }
+
   /**
    * Hit response a versus b.
    * @memberof AABBSolver#
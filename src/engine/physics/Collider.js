@@ -1,5 +1,5 @@
 const Vector = require('engine/Vector');
-const { Box, Circle } = require('./shapes');
+const { Box, Circle, Polygon } = require('./shapes');
 
 /**
  * Collider is the core element of physics module.
@@ -74,7 +74,7 @@ class Collider {
     this.world = null;
     /**
      * Collider's shape.
-     * @type {Box|Circle}
+     * @type {Box|Circle|Polygon}
      */
     this.shape = null;
     /**
@@ -129,6 +129,14 @@ class Collider {
      * @default 0
      */
     this.damping = 0;
+    /**
+     * Enable continuous collision detection for this collider.
+     * Bullet colliders are swept along their movement each step,
+     * so they never tunnel through thin colliders or map tiles.
+     * @type {boolean}
+     * @default false
+     */
+    this.bullet = false;
 
     // Bounding info
     this.left = 0;
@@ -232,6 +240,7 @@ class Collider {
         case 'collisionGroup':
         case 'collideAgainst':
         case 'isStatic':
+        case 'bullet':
         case 'beforeCollide':
         case 'collide':
         case 'afterCollide':
@@ -257,6 +266,9 @@ class Collider {
             else if (settings.shape === 'Circle') {
               this.shape = new Circle(settings.radius || 4);
             }
+            else if (settings.shape === 'Polygon') {
+              this.shape = new Polygon(settings.points || [], settings.rotation || 0);
+            }
           }
           else {
             this.shape = settings.shape;
@@ -1,7 +1,54 @@
+const Vector = require('engine/Vector');
+const { TILE_SOLID, TILE_ONE_WAY, TILE_SLOPE, TILE_LADDER, TILE_HAZARD } = require('./const');
+
+/**
+ * Built-in tile definitions.
+ * Slopes are defined by `left` and `right` height of the surface(from top
+ * of the tile, in tile size), and `ceiling` slopes are solid above the surface.
+ * @type {Object}
+ */
+const TILES = {
+  SOLID: { type: TILE_SOLID },
+  ONE_WAY: { type: TILE_ONE_WAY },
+  LADDER: { type: TILE_LADDER },
+  HAZARD: { type: TILE_HAZARD },
+
+  // 45 degree
+  SLOPE_UP_45: { type: TILE_SLOPE, left: 1, right: 0 },
+  SLOPE_DOWN_45: { type: TILE_SLOPE, left: 0, right: 1 },
+  CEIL_SLOPE_UP_45: { type: TILE_SLOPE, left: 1, right: 0, ceiling: true },
+  CEIL_SLOPE_DOWN_45: { type: TILE_SLOPE, left: 0, right: 1, ceiling: true },
+
+  // 22.5 degree(made of two tiles)
+  SLOPE_UP_22_A: { type: TILE_SLOPE, left: 1, right: 0.5 },
+  SLOPE_UP_22_B: { type: TILE_SLOPE, left: 0.5, right: 0 },
+  SLOPE_DOWN_22_A: { type: TILE_SLOPE, left: 0, right: 0.5 },
+  SLOPE_DOWN_22_B: { type: TILE_SLOPE, left: 0.5, right: 1 },
+};
+
 /**
  * Collision map is a 2D tilemap specifically designed for collision.
  * All the `Entity` instances will trace against this map during update.
  *
+ * How each tile behaves is decided by its definition in `tiles`, tile `1`
+ * is solid by default. A definition can have a `collide(coll, res, info)`
+ * callback, which will be invoked when a collider hits(solid, one-way) or
+ * overlaps(others) the tile. Return false from it to pass through a
+ * blocking tile, or modify `res` to change the movement result.
+ *
+ * @example
+ * const CollisionMap = require('engine/physics/CollisionMap');
+ * const { TILES } = CollisionMap;
+ *
+ * const map = CollisionMap(16, data, {
+ *   2: TILES.ONE_WAY,
+ *   3: TILES.SLOPE_UP_45,
+ *   4: TILES.LADDER,
+ *   5: Object.assign({
+ *     collide: (coll, res) => coll.entity.remove(),
+ *   }, TILES.HAZARD),
+ * });
+ *
  * @class
  */
 class CollisionMap {
@@ -9,8 +56,9 @@ class CollisionMap {
    * @constructor
    * @param  {Number} tilesize Tile size in pixel
    * @param  {Array} data      A 2D array representing the map.
+   * @param  {Object} [tiles]  Tile definitions to merge in.
    */
-  constructor(tilesize, data) {
+  constructor(tilesize, data, tiles) {
     if (!Number.isFinite(tilesize) || tilesize <= 0) {
       console.log('Invalid tilesize!');
       return;
@@ -31,6 +79,32 @@ class CollisionMap {
      */
     this.data = data;
 
+    /**
+     * Map of tile definitions(tile id -> definition)
+     * @type {Object}
+     */
+    this.tiles = Object.assign({ 1: TILES.SOLID }, tiles);
+
+    /**
+     * Information passed to tile `collide` callbacks
+     * @type {Object}
+     * @private
+     */
+    this.info = {
+      tile: 0,
+      q: 0,
+      r: 0,
+      axis: null,
+      edgeVector: 0,
+    };
+
+    /**
+     * Row of the slope found by last `getSlope`
+     * @type {Number}
+     * @private
+     */
+    this.slopeRow = 0;
+
     this._width = data[0].length;
     this._height = data.length;
   }
@@ -73,111 +147,405 @@ class CollisionMap {
     }
   }
 
+  /**
+   * Define behavior of a tile.
+   * @param {Number} tile Tile id
+   * @param {Object} def  Definition, `type` should be one of the `TILE_*` constants
+   * @return {CollisionMap} Self for chaining
+   */
+  defineTile(tile, def) {
+    this.tiles[tile] = def;
+    return this;
+  }
+  /**
+   * Get definition of a tile.
+   * @param {Number} tile Tile id
+   * @return {Object|undefined} Definition of the tile
+   */
+  getTileDef(tile) {
+    return this.tiles[tile];
+  }
+
+  /**
+   * Cast a ray against solid tiles of this map.
+   * Other kinds of tiles(one-way, slope...) are ignored.
+   * @param {Vector} from Start point of the ray
+   * @param {Vector} to   End point of the ray
+   * @return {Object|null} Hit result(`tile`, `q`, `r`, `time`(0-1), `point` and `normal`), or null if nothing is hit
+   */
+  raycast(from, to) {
+    const dx = to.x - from.x, dy = to.y - from.y;
+    const size = this.tilesize;
+
+    let q = Math.floor(from.x / size);
+    let r = Math.floor(from.y / size);
+    const endQ = Math.floor(to.x / size);
+    const endR = Math.floor(to.y / size);
+
+    // Walk through the tiles along the ray
+    const stepQ = (dx > 0) ? 1 : -1, stepR = (dy > 0) ? 1 : -1;
+    const deltaX = (dx !== 0) ? Math.abs(size / dx) : Infinity;
+    const deltaY = (dy !== 0) ? Math.abs(size / dy) : Infinity;
+    let maxX = (dx !== 0) ? (((dx > 0) ? (q + 1) * size : q * size) - from.x) / dx : Infinity;
+    let maxY = (dy !== 0) ? (((dy > 0) ? (r + 1) * size : r * size) - from.y) / dy : Infinity;
+
+    let time = 0, nx = 0, ny = 0, tile;
+    while (time <= 1) {
+      tile = this.getTile(r, q);
+      if (this.tiles[tile] && this.tiles[tile].type === TILE_SOLID) {
+        return {
+          tile: tile,
+          q: q,
+          r: r,
+          time: time,
+          point: Vector.create(from.x + dx * time, from.y + dy * time),
+          normal: Vector.create(nx, ny),
+        };
+      }
+
+      if (q === endQ && r === endR) {
+        break;
+      }
+
+      if (maxX < maxY) {
+        time = maxX;
+        maxX += deltaX;
+        q += stepQ;
+        nx = -stepQ;
+        ny = 0;
+      }
+      else {
+        time = maxY;
+        maxY += deltaY;
+        r += stepR;
+        nx = 0;
+        ny = -stepR;
+      }
+    }
+
+    return null;
+  }
+
   /**
    * Trace a collider against this map.
+   * Movement of `bullet` colliders is split into steps that are no
+   * longer than a tile, so they never tunnel through tiles.
+   *
+   * Besides `x`, `y`, `hitX` and `hitY`, the result also tells whether the
+   * collider is standing on a `slope`(its definition), and touching
+   * `ladder` or `hazard` tiles.
+   *
+   * Slopes never block horizontal movement, place solid tiles at the
+   * full height side of them.
+   *
    * @param  {Collider} coll  Collider object.
    * @param  {Number} sx      Movement on x-axis.
    * @param  {Number} sy      Movement on y-axis.
    * @param  {Object} res     Resolved movement result.
    */
   trace(coll, sx, sy, res) {
-    // TODO: fast movement
-    if (sx === 0 && sy === 0) {
-      return;
+    res.x = sx;
+    res.y = sy;
+    res.hitX = res.hitY = false;
+    res.slope = null;
+    res.ladder = res.hazard = false;
+
+    if (sx !== 0 || sy !== 0) {
+      const steps = coll.bullet ? Math.ceil(Math.max(Math.abs(sx), Math.abs(sy)) / this.tilesize) : 1;
+
+      if (steps <= 1) {
+        this.traceStep(coll, coll.left, coll.top, coll.right, coll.bottom, sx, sy, res);
+      }
+      else {
+        let stepX = sx / steps, stepY = sy / steps, x = 0, y = 0, i;
+        let hitX = false, hitY = false, slope = null;
+
+        for (i = 0; i < steps && (stepX !== 0 || stepY !== 0); i++) {
+          this.traceStep(coll, coll.left + x, coll.top + y, coll.right + x, coll.bottom + y, stepX, stepY, res);
+
+          x += res.x;
+          y += res.y;
+          slope = res.slope || slope;
+
+          // Stop moving along the axis that hits
+          if (res.hitX) {
+            hitX = true;
+            stepX = 0;
+          }
+          if (res.hitY) {
+            hitY = true;
+            stepY = 0;
+          }
+        }
+
+        res.x = x;
+        res.y = y;
+        res.hitX = hitX;
+        res.hitY = hitY;
+        res.slope = slope;
+      }
     }
 
+    this.checkOverlap(coll, coll.left + res.x, coll.top + res.y, coll.right + res.x, coll.bottom + res.y, res);
+  }
+
+  /**
+   * Trace a bounding box against this map for one single step.
+   * @param  {Collider} coll  Collider object.
+   * @param  {Number} left    Left of the box.
+   * @param  {Number} top     Top of the box.
+   * @param  {Number} right   Right of the box.
+   * @param  {Number} bottom  Bottom of the box.
+   * @param  {Number} sx      Movement on x-axis.
+   * @param  {Number} sy      Movement on y-axis.
+   * @param  {Object} res     Resolved movement result.
+   * @private
+   */
+  traceStep(coll, left, top, right, bottom, sx, sy, res) {
     // Set result as full movement
     res.x = sx;
     res.y = sy;
     res.hitX = res.hitY = false;
+    res.slope = null;
 
     let posi, leading, dir, start, end, tilespace, tilespaceEnd, done;
-    let edgeVector, edge, tile;
+    let edgeVector, edge, tile, def;
     let i, j;
 
     // Check x-axis
-    posi = sx > 0;
-    leading = posi ? coll.right : coll.left;
-    dir = posi ? 1 : -1;
-    start = Math.floor(coll.top / this.tilesize);
-    end = Math.ceil(coll.bottom / this.tilesize);
-    tilespace = Math.floor(leading / this.tilesize);
-    tilespaceEnd = Math.floor((leading + sx) / this.tilesize) + dir;
-    done = false;
-
-    for (i = tilespace; !done && i !== tilespaceEnd; i += dir) {
-      // Out of map area
-      if (i < 0 || i >= this._width) {
-        continue;
+    if (sx !== 0) {
+      posi = sx > 0;
+      leading = posi ? right : left;
+      dir = posi ? 1 : -1;
+      start = Math.floor(top / this.tilesize);
+      end = Math.ceil(bottom / this.tilesize);
+      // Able to step up half of the width while standing on slopes
+      if (this.getSlope((left + right) * 0.5, bottom, false)) {
+        end = Math.ceil((bottom - (right - left) * 0.5) / this.tilesize);
       }
+      tilespace = Math.floor(leading / this.tilesize);
+      tilespaceEnd = Math.floor((leading + sx) / this.tilesize) + dir;
+      done = false;
 
-      for (j = start; j !== end; ++j) {
+      for (i = tilespace; !done && i !== tilespaceEnd; i += dir) {
         // Out of map area
-        if (j < 0 || j >= this._height) {
+        if (i < 0 || i >= this._width) {
           continue;
         }
 
-        tile = this.data[j][i];
+        for (j = start; j !== end; ++j) {
+          // Out of map area
+          if (j < 0 || j >= this._height) {
+            continue;
+          }
 
-        // Out of map area
-        if (tile === undefined) {
-          continue;
-        }
+          tile = this.data[j][i];
+          def = this.tiles[tile];
 
-        edge = ((dir > 0) ? i : (i + 1)) * this.tilesize;
-        edgeVector = edge - leading;
+          // Only solid tiles block horizontal movement
+          if (!def || def.type !== TILE_SOLID) {
+            continue;
+          }
+
+          edge = ((dir > 0) ? i : (i + 1)) * this.tilesize;
+          edgeVector = edge - leading;
 
-        // if (oncollision(axis, tile, coords, dir, edgeVector)) {
-        if (tile === 1) {
           res.x = edgeVector;
           res.hitX = true;
-          done = true;
-          break;
+          if (this.collideTile(def, coll, res, tile, i, j, 'x', edgeVector)) {
+            done = true;
+            break;
+          }
+          else {
+            res.x = sx;
+            res.hitX = false;
+          }
         }
       }
     }
 
     // Check y-axis
-    posi = sy > 0;
-    leading = posi ? coll.bottom : coll.top;
-    dir = posi ? 1 : -1;
-    start = Math.floor(coll.left / this.tilesize);
-    end = Math.ceil(coll.right / this.tilesize);
-    tilespace = Math.floor(leading / this.tilesize);
-    tilespaceEnd = Math.floor((leading + sy) / this.tilesize) + dir;
-    done = false;
-
-    for (i = tilespace; !done && i !== tilespaceEnd; i += dir) {
-      // Out of map area
-      if (i < 0 || i >= this._height) {
-        continue;
-      }
+    if (sy !== 0) {
+      posi = sy > 0;
+      leading = posi ? bottom : top;
+      dir = posi ? 1 : -1;
+      start = Math.floor(left / this.tilesize);
+      end = Math.ceil(right / this.tilesize);
+      tilespace = Math.floor(leading / this.tilesize);
+      tilespaceEnd = Math.floor((leading + sy) / this.tilesize) + dir;
+      done = false;
 
-      for (j = start; j !== end; ++j) {
+      for (i = tilespace; !done && i !== tilespaceEnd; i += dir) {
         // Out of map area
-        if (j < 0 || j >= this._width) {
+        if (i < 0 || i >= this._height) {
           continue;
         }
 
-        tile = this.data[i][j];
+        for (j = start; j !== end; ++j) {
+          // Out of map area
+          if (j < 0 || j >= this._width) {
+            continue;
+          }
 
-        // Out of map area
-        if (tile === undefined) {
-          continue;
-        }
+          tile = this.data[i][j];
+          def = this.tiles[tile];
+
+          // Out of map area or not a blocking tile
+          if (!def || (def.type !== TILE_SOLID && def.type !== TILE_ONE_WAY)) {
+            continue;
+          }
 
-        edge = ((dir > 0) ? i : (i + 1)) * this.tilesize;
-        edgeVector = edge - leading;
+          edge = ((dir > 0) ? i : (i + 1)) * this.tilesize;
+          edgeVector = edge - leading;
+
+          // One-way tiles only block falling from above
+          if (def.type === TILE_ONE_WAY && (dir < 0 || edgeVector < 0)) {
+            continue;
+          }
 
-        // if (oncollision(axis, tile, coords, dir, edgeVector)) {
-        if (tile === 1) {
           res.y = edgeVector;
           res.hitY = true;
-          done = true;
-          break;
+          if (this.collideTile(def, coll, res, tile, j, i, 'y', edgeVector)) {
+            done = true;
+            break;
+          }
+          else {
+            res.y = sy;
+            res.hitY = false;
+          }
         }
       }
     }
+
+    // Stand on or hit slopes
+    const center = (left + right) * 0.5 + res.x;
+    let surface;
+
+    def = this.getSlope(center, bottom + res.y, false);
+    if (def) {
+      surface = this.slopeSurface(def, center);
+      if (bottom + res.y > surface) {
+        res.y = surface - bottom;
+        res.hitY = true;
+        res.slope = def;
+      }
+    }
+
+    def = this.getSlope(center, top + res.y, true);
+    if (def) {
+      surface = this.slopeSurface(def, center);
+      if (top + res.y < surface) {
+        res.y = surface - top;
+        res.hitY = true;
+        res.slope = def;
+      }
+    }
+  }
+
+  /**
+   * Find the slope tile at a point.
+   * @param  {Number} x         X coordinate
+   * @param  {Number} y         Y coordinate
+   * @param  {Boolean} ceiling  Find ceiling slope or floor slope
+   * @return {Object|null} Definition of the slope, with position of the tile as `q` and `r`
+   * @private
+   */
+  getSlope(x, y, ceiling) {
+    // Look into the tile touched by the point as well
+    const q = Math.floor(x / this.tilesize);
+    const r1 = Math.floor((ceiling ? y + 1 : y - 1) / this.tilesize);
+    const r2 = Math.floor(y / this.tilesize);
+
+    let def = this.tiles[this.getTile(r1, q)];
+    if (def && def.type === TILE_SLOPE && !!def.ceiling === ceiling) {
+      this.slopeRow = r1;
+      return def;
+    }
+    def = this.tiles[this.getTile(r2, q)];
+    if (def && def.type === TILE_SLOPE && !!def.ceiling === ceiling) {
+      this.slopeRow = r2;
+      return def;
+    }
+
+    return null;
+  }
+  /**
+   * Get surface height of the slope found by last `getSlope`.
+   * @param  {Object} def Definition of the slope
+   * @param  {Number} x   X coordinate
+   * @return {Number} Y coordinate of the surface
+   * @private
+   */
+  slopeSurface(def, x) {
+    const q = Math.floor(x / this.tilesize);
+    const t = (x - q * this.tilesize) / this.tilesize;
+    return (this.slopeRow + def.left + (def.right - def.left) * t) * this.tilesize;
+  }
+
+  /**
+   * Check non-blocking tiles(ladder, hazard and custom ones) a box overlaps.
+   * @param  {Collider} coll  Collider object.
+   * @param  {Number} left    Left of the box.
+   * @param  {Number} top     Top of the box.
+   * @param  {Number} right   Right of the box.
+   * @param  {Number} bottom  Bottom of the box.
+   * @param  {Object} res     Resolved movement result.
+   * @private
+   */
+  checkOverlap(coll, left, top, right, bottom, res) {
+    const sq = Math.floor(left / this.tilesize);
+    const eq = Math.ceil(right / this.tilesize);
+    const sr = Math.floor(top / this.tilesize);
+    const er = Math.ceil(bottom / this.tilesize);
+
+    let q, r, tile, def;
+    for (r = sr; r < er; r++) {
+      for (q = sq; q < eq; q++) {
+        tile = this.getTile(r, q);
+        def = this.tiles[tile];
+
+        if (!def || def.type === TILE_SOLID || def.type === TILE_ONE_WAY || def.type === TILE_SLOPE) {
+          continue;
+        }
+
+        if (def.type === TILE_LADDER) {
+          res.ladder = true;
+        }
+        else if (def.type === TILE_HAZARD) {
+          res.hazard = true;
+        }
+
+        this.collideTile(def, coll, res, tile, q, r, null, 0);
+      }
+    }
+  }
+
+  /**
+   * Invoke `collide` callback of a tile definition.
+   * @param  {Object} def         Tile definition
+   * @param  {Collider} coll      Collider object
+   * @param  {Object} res         Resolved movement result
+   * @param  {Number} tile        Tile id
+   * @param  {Number} q           Column of the tile
+   * @param  {Number} r           Row of the tile
+   * @param  {String} axis        Axis of the hit(`x`, `y` or null for overlap)
+   * @param  {Number} edgeVector  Distance to the edge of the tile
+   * @return {Boolean} Whether the tile keeps blocking
+   * @private
+   */
+  collideTile(def, coll, res, tile, q, r, axis, edgeVector) {
+    if (typeof(def.collide) !== 'function') {
+      return true;
+    }
+
+    const info = this.info;
+    info.tile = tile;
+    info.q = q;
+    info.r = r;
+    info.axis = axis;
+    info.edgeVector = edgeVector;
+
+    return def.collide(coll, res, info) !== false;
   }
 }
 
@@ -185,8 +553,15 @@ class CollisionMap {
  * CollisionMap factory
  * @param  {Number} tilesize Tile size in pixel.
  * @param  {Array}  data     Map data as a 2D array.
+ * @param  {Object} [tiles]  Tile definitions to merge in.
  * @return {CollisionMap}    CollisionMap instance.
  */
-module.exports = function(tilesize = 16, data = [[]]) {
-  return new CollisionMap(tilesize, data);
+module.exports = function(tilesize = 16, data = [[]], tiles) {
+  return new CollisionMap(tilesize, data, tiles);
 };
+
+/**
+ * Built-in tile definitions.
+ * @type {Object}
+ */
+module.exports.TILES = TILES;
@@ -0,0 +1,419 @@
+const Vector = require('engine/Vector');
+const { BOX, CIRC, POLY, UP, DOWN, LEFT, RIGHT } = require('./const');
+
+/**
+ * Points and normals of boxes, so that they can be tested as polygons.
+ * @type {Array<Object>}
+ * @private
+ */
+const BOX_POLYGONS = [
+  {
+    calcPoints: [Vector.create(), Vector.create(), Vector.create(), Vector.create()],
+    normals: [Vector.create(1, 0), Vector.create(0, 1)],
+  },
+  {
+    calcPoints: [Vector.create(), Vector.create(), Vector.create(), Vector.create()],
+    normals: [Vector.create(1, 0), Vector.create(0, 1)],
+  },
+];
+
+/**
+ * Temporary vectors and ranges
+ * @private
+ */
+const offset = Vector.create();
+const axis = Vector.create();
+const rangeA = [0, 0];
+const rangeB = [0, 0];
+const posA = Vector.create();
+const posB = Vector.create();
+
+/**
+ * SAT(Separating Axis Theorem) collision solver. This collision solver
+ * supports any combination of Box, Circle and (convex) Polygon shapes.
+ *
+ * The `collide` callbacks receive angle of the collision normal(pointing
+ * from the other collider to self) as `response`, and the minimum
+ * translation vector is available as `solver.response` while handling it.
+ * Box versus box collisions receive `UP`, `DOWN`, `LEFT` or `RIGHT`
+ * instead, the same as `AABBSolver`.
+ *
+ * @class SATSolver
+ * @constructor
+ */
+class SATSolver {
+  /**
+   * @constructor
+   */
+  constructor() {
+    /**
+     * Result of last hit test.
+     * @type {Object}
+     * @property {number} overlap   Length of the minimum translation vector
+     * @property {Vector} overlapN  Unit normal of the overlap, pointing from a to b
+     * @property {Vector} overlapV  Minimum translation vector(push a by `-overlapV` to separate)
+     */
+    this.response = {
+      overlap: 0,
+      overlapN: Vector.create(),
+      overlapV: Vector.create(),
+    };
+  }
+
+  /**
+   * Hit test a versus b.
+   * @memberof SATSolver#
+   * @method hitTest
+   * @param {Collider} a  First collider
+   * @param {Collider} b  Second collider
+   * @return {boolean} return true if bodies hit.
+   */
+  hitTest(a, b) {
+    // Skip when shape is not available
+    if (!a.shape || !b.shape) {return false;}
+
+    // AABB overlap
+    if (
+      a.bottom <= b.top ||
+      a.top >= b.bottom ||
+      a.left >= b.right ||
+      a.right <= b.left
+    ) {
+      return false;
+    }
+
+    return this.testShapes(a.shape, a.position, b.shape, b.position);
+  }
+
+  /**
+   * Hit response a versus b, using the minimum translation vector
+   * calculated by last `hitTest`.
+   * @memberof SATSolver#
+   * @method hitResponse
+   * @param {Collider} a    First collider
+   * @param {Collider} b    Second collider
+   * @param {boolean}  a2b  Whether a collides against b
+   * @param {boolean}  b2a  Whether b collides against a
+   */
+  hitResponse(a, b, a2b, b2a) {
+    const n = this.response.overlapN;
+    const v = this.response.overlapV;
+
+    const pushA = (a2b && a.collide(b, direction(a, b, -n.x, -n.y)));
+    const pushB = (b2a && b.collide(a, direction(b, a, n.x, n.y)));
+
+    if (pushA && pushB) {
+      a.position.subtract(v.x * 0.5, v.y * 0.5);
+      b.position.add(v.x * 0.5, v.y * 0.5);
+    }
+    else if (pushA) {
+      a.position.subtract(v.x, v.y);
+    }
+    else if (pushB) {
+      b.position.add(v.x, v.y);
+    }
+  }
+
+  /**
+   * Sweep a versus b along their movement of this step(from `last`
+   * to `position`) and find the time of impact.
+   * @memberof SATSolver#
+   * @method sweepTest
+   * @param {Collider} a  Collider to sweep
+   * @param {Collider} b  Collider to sweep against
+   * @param {Object} res  Result to write `time`(0-1), `normal`(from b to a),
+   *                      and collide directions `dirA` and `dirB` to.
+   * @return {boolean} return true if bodies hit during the movement.
+   */
+  sweepTest(a, b, res) {
+    // Skip when shape is not available
+    if (!a.shape || !b.shape) {return false;}
+
+    const dx = (a.position.x - a.last.x) - (b.position.x - b.last.x);
+    const dy = (a.position.y - a.last.y) - (b.position.y - b.last.y);
+
+    // Sample the movement with steps no longer than half of the smaller shape
+    const size = Math.max(1, Math.min(a.shape.width, a.shape.height, b.shape.width, b.shape.height) * 0.5);
+    const steps = Math.max(1, Math.ceil(Math.sqrt(dx * dx + dy * dy) / size));
+
+    let i, lo = 0, hi = -1, mid;
+    for (i = 0; i <= steps; i++) {
+      if (this.testAt(a, b, i / steps)) {
+        hi = i / steps;
+        break;
+      }
+      lo = i / steps;
+    }
+
+    if (hi < 0) {
+      return false;
+    }
+
+    // Refine the time of impact
+    if (hi > 0) {
+      for (i = 0; i < 8; i++) {
+        mid = (lo + hi) * 0.5;
+        if (this.testAt(a, b, mid)) {
+          hi = mid;
+        }
+        else {
+          lo = mid;
+        }
+      }
+      this.testAt(a, b, hi);
+    }
+
+    res.time = lo;
+    res.normal.copy(this.response.overlapN).reverse();
+    res.dirA = direction(a, b, res.normal.x, res.normal.y);
+    res.dirB = direction(b, a, -res.normal.x, -res.normal.y);
+
+    return true;
+  }
+
+  /**
+   * Test a versus b at a specific time of their movement.
+   * @memberof SATSolver#
+   * @method testAt
+   * @param {Collider} a  First collider
+   * @param {Collider} b  Second collider
+   * @param {number} t    Time(0-1) of the movement
+   * @return {boolean} Whether they overlap
+   * @private
+   */
+  testAt(a, b, t) {
+    posA.set(
+      a.last.x + (a.position.x - a.last.x) * t,
+      a.last.y + (a.position.y - a.last.y) * t
+    );
+    posB.set(
+      b.last.x + (b.position.x - b.last.x) * t,
+      b.last.y + (b.position.y - b.last.y) * t
+    );
+    return this.testShapes(a.shape, posA, b.shape, posB);
+  }
+
+  /**
+   * Test two shapes at given positions, result will be saved to `response`.
+   * @memberof SATSolver#
+   * @method testShapes
+   * @param {Box|Circle|Polygon} shapeA First shape
+   * @param {Vector} aPos               Position of first shape
+   * @param {Box|Circle|Polygon} shapeB Second shape
+   * @param {Vector} bPos               Position of second shape
+   * @return {boolean} Whether they overlap
+   */
+  testShapes(shapeA, aPos, shapeB, bPos) {
+    const res = this.response;
+    res.overlap = Number.MAX_VALUE;
+
+    // Circle vs circle
+    if (shapeA.type === CIRC && shapeB.type === CIRC) {
+      offset.copy(bPos).subtract(aPos);
+
+      const totalRadius = shapeA.radius + shapeB.radius;
+      const distSq = offset.squaredLength();
+      if (distSq >= totalRadius * totalRadius) {
+        return false;
+      }
+
+      const dist = Math.sqrt(distSq);
+      res.overlap = totalRadius - dist;
+      if (dist > 0) {
+        res.overlapN.copy(offset).divide(dist, dist);
+      }
+      else {
+        res.overlapN.set(1, 0);
+      }
+      res.overlapV.copy(res.overlapN).multiply(res.overlap, res.overlap);
+
+      return true;
+    }
+
+    const polyA = (shapeA.type === CIRC) ? null : toPolygon(shapeA, 0);
+    const polyB = (shapeB.type === CIRC) ? null : toPolygon(shapeB, 1);
+
+    let i;
+
+    // Test normals of polygons
+    if (polyA) {
+      for (i = 0; i < polyA.normals.length; i++) {
+        if (isSeparatingAxis(aPos, bPos, shapeA, polyA, shapeB, polyB, polyA.normals[i], res)) {
+          return false;
+        }
+      }
+    }
+    if (polyB) {
+      for (i = 0; i < polyB.normals.length; i++) {
+        if (isSeparatingAxis(aPos, bPos, shapeA, polyA, shapeB, polyB, polyB.normals[i], res)) {
+          return false;
+        }
+      }
+    }
+
+    // Test the axis from closest vertex of the polygon to the circle
+    if (!polyA || !polyB) {
+      const poly = polyA || polyB;
+      const polyPos = polyA ? aPos : bPos;
+      const circPos = polyA ? bPos : aPos;
+
+      let dist, minDist = Number.MAX_VALUE, p;
+      for (i = 0; i < poly.calcPoints.length; i++) {
+        p = poly.calcPoints[i];
+        dist = (circPos.x - polyPos.x - p.x) * (circPos.x - polyPos.x - p.x) + (circPos.y - polyPos.y - p.y) * (circPos.y - polyPos.y - p.y);
+        if (dist < minDist) {
+          minDist = dist;
+          axis.set(circPos.x - polyPos.x - p.x, circPos.y - polyPos.y - p.y);
+        }
+      }
+
+      if (minDist > 0) {
+        axis.normalize();
+        if (isSeparatingAxis(aPos, bPos, shapeA, polyA, shapeB, polyB, axis, res)) {
+          return false;
+        }
+      }
+    }
+
+    res.overlapV.copy(res.overlapN).multiply(res.overlap, res.overlap);
+
+    return true;
+  }
+}
+
+/**
+ * Direction of a collision passed to `collide` callbacks.
+ * @param {Collider} self   Collider to receive it
+ * @param {Collider} other  The other collider
+ * @param {number} nx       X of the normal, pointing from other to self
+ * @param {number} ny       Y of the normal, pointing from other to self
+ * @return {string|number} Side of self that is hit for boxes, angle of the normal otherwise
+ * @private
+ */
+function direction(self, other, nx, ny) {
+  if (self.shape.type === BOX && other.shape.type === BOX) {
+    if (Math.abs(ny) >= Math.abs(nx)) {
+      return (ny > 0) ? UP : DOWN;
+    }
+    return (nx > 0) ? LEFT : RIGHT;
+  }
+
+  return Math.atan2(ny, nx);
+}
+
+/**
+ * Get points and normals of a shape.
+ * @param {Box|Polygon} shape Shape to convert
+ * @param {number} idx        Which cached box polygon to use
+ * @return {Object} Object that contains `calcPoints` and `normals`
+ * @private
+ */
+function toPolygon(shape, idx) {
+  if (shape.type === POLY) {
+    return shape;
+  }
+  else if (shape.type === BOX) {
+    const poly = BOX_POLYGONS[idx];
+    const hw = shape.width * 0.5, hh = shape.height * 0.5;
+    poly.calcPoints[0].set(-hw, -hh);
+    poly.calcPoints[1].set(hw, -hh);
+    poly.calcPoints[2].set(hw, hh);
+    poly.calcPoints[3].set(-hw, hh);
+    return poly;
+  }
+
+  return null;
+}
+
+/**
+ * Project a shape onto an axis.
+ * @param {Box|Circle|Polygon} shape  Shape to project
+ * @param {Object} poly               Polygon of the shape(null for circles)
+ * @param {Vector} normal             Unit axis to project onto
+ * @param {Array<number>} result      Result as [min, max]
+ * @private
+ */
+function flatten(shape, poly, normal, result) {
+  if (!poly) {
+    result[0] = -shape.radius;
+    result[1] = shape.radius;
+    return;
+  }
+
+  let i, dot, min = Number.MAX_VALUE, max = -Number.MAX_VALUE;
+  for (i = 0; i < poly.calcPoints.length; i++) {
+    dot = poly.calcPoints[i].dot(normal);
+    if (dot < min) {min = dot;}
+    if (dot > max) {max = dot;}
+  }
+  result[0] = min;
+  result[1] = max;
+}
+
+/**
+ * Check whether an axis separates two shapes, and update the minimum
+ * overlap of response if not.
+ * @param {Vector} aPos     Position of shape a
+ * @param {Vector} bPos     Position of shape b
+ * @param {Object} shapeA   Shape a
+ * @param {Object} polyA    Polygon of shape a
+ * @param {Object} shapeB   Shape b
+ * @param {Object} polyB    Polygon of shape b
+ * @param {Vector} normal   Unit axis to test
+ * @param {Object} res      Response to update
+ * @return {boolean} Whether this axis separates the shapes
+ * @private
+ */
+function isSeparatingAxis(aPos, bPos, shapeA, polyA, shapeB, polyB, normal, res) {
+  flatten(shapeA, polyA, normal, rangeA);
+  flatten(shapeB, polyB, normal, rangeB);
+
+  const projectedOffset = (bPos.x - aPos.x) * normal.x + (bPos.y - aPos.y) * normal.y;
+  rangeB[0] += projectedOffset;
+  rangeB[1] += projectedOffset;
+
+  if (rangeA[0] >= rangeB[1] || rangeB[0] >= rangeA[1]) {
+    return true;
+  }
+
+  let overlap, option1, option2;
+  if (rangeA[0] < rangeB[0]) {
+    if (rangeA[1] < rangeB[1]) {
+      overlap = rangeA[1] - rangeB[0];
+    }
+    else {
+      option1 = rangeA[1] - rangeB[0];
+      option2 = rangeB[1] - rangeA[0];
+      overlap = option1 < option2 ? option1 : -option2;
+    }
+  }
+  else {
+    if (rangeA[1] > rangeB[1]) {
+      overlap = rangeA[0] - rangeB[1];
+    }
+    else {
+      option1 = rangeA[1] - rangeB[0];
+      option2 = rangeB[1] - rangeA[0];
+      overlap = option1 < option2 ? option1 : -option2;
+    }
+  }
+
+  const absOverlap = Math.abs(overlap);
+  if (absOverlap < res.overlap) {
+    res.overlap = absOverlap;
+    res.overlapN.copy(normal);
+    if (overlap < 0) {
+      res.overlapN.reverse();
+    }
+  }
+
+  return false;
+}
+
+/**
+ * SATSolver factory
+ * @return {SATSolver} solver instance.
+ */
+module.exports = function() {
+  return new SATSolver();
+};
@@ -9,3 +9,10 @@ module.exports.OVERLAP = 'O';
 module.exports.BOX = 0;
 module.exports.CIRC = 1;
 module.exports.POLY = 2;
+
+// Tile types
+module.exports.TILE_SOLID = 'solid';
+module.exports.TILE_ONE_WAY = 'one-way';
+module.exports.TILE_SLOPE = 'slope';
+module.exports.TILE_LADDER = 'ladder';
+module.exports.TILE_HAZARD = 'hazard';
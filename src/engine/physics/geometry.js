@@ -0,0 +1,383 @@
+/**
+ * Geometry functions used by collision solvers and queries.
+ * All the shapes are centered at origin, so positions passed in
+ * should be relative to the shape.
+ *
+ * @module engine/physics/geometry
+ */
+
+const { BOX, CIRC, POLY } = require('./const');
+
+/**
+ * Sweep a point against a box centered at origin.
+ * @param {number} px   X coordinate of the point
+ * @param {number} py   Y coordinate of the point
+ * @param {number} dx   Movement on x-axis
+ * @param {number} dy   Movement on y-axis
+ * @param {number} hw   Half width of the box
+ * @param {number} hh   Half height of the box
+ * @param {Object} res  Result to write `time` and `normal` to
+ * @return {boolean} Whether the point hits the box
+ */
+function sweepBox(px, py, dx, dy, hw, hh, res) {
+  // Already overlapping
+  if (px > -hw && px < hw && py > -hh && py < hh) {
+    res.time = 0;
+    res.normal.set(0, 0);
+    return true;
+  }
+
+  let near = -Infinity, far = Infinity, nx = 0, ny = 0, t1, t2, tmp;
+
+  if (dx === 0) {
+    if (px <= -hw || px >= hw) {return false;}
+  }
+  else {
+    t1 = (-hw - px) / dx;
+    t2 = (hw - px) / dx;
+    if (t1 > t2) {
+      tmp = t1;
+      t1 = t2;
+      t2 = tmp;
+    }
+    if (t1 > near) {
+      near = t1;
+      nx = (dx > 0) ? -1 : 1;
+      ny = 0;
+    }
+    far = Math.min(far, t2);
+  }
+
+  if (dy === 0) {
+    if (py <= -hh || py >= hh) {return false;}
+  }
+  else {
+    t1 = (-hh - py) / dy;
+    t2 = (hh - py) / dy;
+    if (t1 > t2) {
+      tmp = t1;
+      t1 = t2;
+      t2 = tmp;
+    }
+    if (t1 > near) {
+      near = t1;
+      nx = 0;
+      ny = (dy > 0) ? -1 : 1;
+    }
+    far = Math.min(far, t2);
+  }
+
+  if (near >= far || near < 0 || near > 1) {
+    return false;
+  }
+
+  res.time = near;
+  res.normal.set(nx, ny);
+
+  return true;
+}
+
+/**
+ * Sweep a point against a circle centered at origin.
+ * @param {number} px   X coordinate of the point
+ * @param {number} py   Y coordinate of the point
+ * @param {number} dx   Movement on x-axis
+ * @param {number} dy   Movement on y-axis
+ * @param {number} r    Radius of the circle
+ * @param {Object} res  Result to write `time` and `normal` to
+ * @return {boolean} Whether the point hits the circle
+ */
+function sweepCircle(px, py, dx, dy, r, res) {
+  const c = px * px + py * py - r * r;
+
+  // Already overlapping
+  if (c < 0) {
+    res.time = 0;
+    res.normal.set(px, py).normalize();
+    return true;
+  }
+
+  // Solve |p + d * t| = r
+  const a = dx * dx + dy * dy;
+  const b = px * dx + py * dy;
+  if (a === 0 || b >= 0) {
+    return false;
+  }
+
+  const disc = b * b - a * c;
+  if (disc < 0) {
+    return false;
+  }
+
+  const t = (-b - Math.sqrt(disc)) / a;
+  if (t > 1) {
+    return false;
+  }
+
+  res.time = t;
+  res.normal.set((px + dx * t) / r, (py + dy * t) / r);
+
+  return true;
+}
+
+/**
+ * Sweep a point against a convex polygon(its `calcPoints`).
+ * @param {number} px       X coordinate of the point
+ * @param {number} py       Y coordinate of the point
+ * @param {number} dx       Movement on x-axis
+ * @param {number} dy       Movement on y-axis
+ * @param {Polygon} poly    Polygon shape
+ * @param {Object} res      Result to write `time` and `normal` to
+ * @return {boolean} Whether the point hits the polygon
+ */
+function sweepPolygon(px, py, dx, dy, poly, res) {
+  // Already inside
+  if (pointInPolygon(px, py, poly)) {
+    res.time = 0;
+    res.normal.set(0, 0);
+    return true;
+  }
+
+  const points = poly.calcPoints;
+  let i, a, b, ex, ey, denom, t, u, near = Infinity, edge = -1;
+
+  for (i = 0; i < points.length; i++) {
+    a = points[i];
+    b = points[(i + 1) % points.length];
+    ex = b.x - a.x;
+    ey = b.y - a.y;
+
+    denom = dx * ey - dy * ex;
+    if (denom === 0) {
+      continue;
+    }
+
+    // Intersection of the movement and the edge
+    t = ((a.x - px) * ey - (a.y - py) * ex) / denom;
+    u = ((a.x - px) * dy - (a.y - py) * dx) / denom;
+    if (t >= 0 && t <= 1 && u >= 0 && u <= 1 && t < near) {
+      near = t;
+      edge = i;
+    }
+  }
+
+  if (edge < 0) {
+    return false;
+  }
+
+  res.time = near;
+  res.normal.copy(poly.normals[edge]);
+  // Normal should face against the movement
+  if (res.normal.x * dx + res.normal.y * dy > 0) {
+    res.normal.reverse();
+  }
+
+  return true;
+}
+
+/**
+ * Sweep a point against a shape.
+ * @param {number} px                 X coordinate of the point
+ * @param {number} py                 Y coordinate of the point
+ * @param {number} dx                 Movement on x-axis
+ * @param {number} dy                 Movement on y-axis
+ * @param {Box|Circle|Polygon} shape  Shape to sweep against
+ * @param {Object} res                Result to write `time` and `normal` to
+ * @return {boolean} Whether the point hits the shape
+ */
+function sweepShape(px, py, dx, dy, shape, res) {
+  switch (shape.type) {
+    case BOX:
+      return sweepBox(px, py, dx, dy, shape.width * 0.5, shape.height * 0.5, res);
+    case CIRC:
+      return sweepCircle(px, py, dx, dy, shape.radius, res);
+    case POLY:
+      return sweepPolygon(px, py, dx, dy, shape, res);
+  }
+
+  return false;
+}
+
+/**
+ * Whether a point is inside a convex polygon(its `calcPoints`).
+ * @param {number} x      X coordinate of the point
+ * @param {number} y      Y coordinate of the point
+ * @param {Polygon} poly  Polygon shape
+ * @return {boolean} Whether the point is inside
+ */
+function pointInPolygon(x, y, poly) {
+  const points = poly.calcPoints;
+  let i, a, b, cross, sign = 0;
+
+  if (points.length < 3) {
+    return false;
+  }
+
+  for (i = 0; i < points.length; i++) {
+    a = points[i];
+    b = points[(i + 1) % points.length];
+    cross = (b.x - a.x) * (y - a.y) - (b.y - a.y) * (x - a.x);
+
+    if (cross === 0) {
+      continue;
+    }
+    if (sign === 0) {
+      sign = cross > 0 ? 1 : -1;
+    }
+    else if ((cross > 0 ? 1 : -1) !== sign) {
+      return false;
+    }
+  }
+
+  return sign !== 0;
+}
+
+/**
+ * Whether a point is inside a shape.
+ * @param {number} x                  X coordinate of the point
+ * @param {number} y                  Y coordinate of the point
+ * @param {Box|Circle|Polygon} shape  Shape to test
+ * @return {boolean} Whether the point is inside
+ */
+function pointInShape(x, y, shape) {
+  switch (shape.type) {
+    case BOX:
+      return Math.abs(x) <= shape.width * 0.5 && Math.abs(y) <= shape.height * 0.5;
+    case CIRC:
+      return x * x + y * y <= shape.radius * shape.radius;
+    case POLY:
+      return pointInPolygon(x, y, shape);
+  }
+
+  return false;
+}
+
+/**
+ * Whether a rectangle overlaps a shape.
+ * @param {number} left               Left of the rectangle
+ * @param {number} top                Top of the rectangle
+ * @param {number} right              Right of the rectangle
+ * @param {number} bottom             Bottom of the rectangle
+ * @param {Box|Circle|Polygon} shape  Shape to test
+ * @return {boolean} Whether they overlap
+ */
+function rectOverlapsShape(left, top, right, bottom, shape) {
+  let x, y;
+
+  switch (shape.type) {
+    case BOX:
+      x = shape.width * 0.5;
+      y = shape.height * 0.5;
+      return !(bottom < -y || top > y || left > x || right < -x);
+    case CIRC:
+      x = Math.max(left, Math.min(0, right));
+      y = Math.max(top, Math.min(0, bottom));
+      return x * x + y * y <= shape.radius * shape.radius;
+    case POLY: {
+      const points = shape.calcPoints;
+      let i, j, n, dot, min, max;
+
+      // Axes of the rectangle
+      let minX = Infinity, maxX = -Infinity, minY = Infinity, maxY = -Infinity;
+      for (i = 0; i < points.length; i++) {
+        minX = Math.min(minX, points[i].x);
+        maxX = Math.max(maxX, points[i].x);
+        minY = Math.min(minY, points[i].y);
+        maxY = Math.max(maxY, points[i].y);
+      }
+      if (minX > right || maxX < left || minY > bottom || maxY < top) {
+        return false;
+      }
+
+      // Axes of the polygon
+      const corners = [left, top, right, top, right, bottom, left, bottom];
+      for (i = 0; i < shape.normals.length; i++) {
+        n = shape.normals[i];
+
+        min = Infinity;
+        max = -Infinity;
+        for (j = 0; j < points.length; j++) {
+          dot = points[j].x * n.x + points[j].y * n.y;
+          min = Math.min(min, dot);
+          max = Math.max(max, dot);
+        }
+
+        x = Infinity;
+        y = -Infinity;
+        for (j = 0; j < 8; j += 2) {
+          dot = corners[j] * n.x + corners[j + 1] * n.y;
+          x = Math.min(x, dot);
+          y = Math.max(y, dot);
+        }
+
+        if (x > max || y < min) {
+          return false;
+        }
+      }
+
+      return true;
+    }
+  }
+
+  return false;
+}
+
+/**
+ * Whether a circle overlaps a shape.
+ * @param {number} cx                 X coordinate of the circle center
+ * @param {number} cy                 Y coordinate of the circle center
+ * @param {number} r                  Radius of the circle
+ * @param {Box|Circle|Polygon} shape  Shape to test
+ * @return {boolean} Whether they overlap
+ */
+function circleOverlapsShape(cx, cy, r, shape) {
+  let x, y;
+
+  switch (shape.type) {
+    case BOX:
+      x = shape.width * 0.5;
+      y = shape.height * 0.5;
+      x = cx - Math.max(-x, Math.min(cx, x));
+      y = cy - Math.max(-y, Math.min(cy, y));
+      return x * x + y * y <= r * r;
+    case CIRC:
+      return cx * cx + cy * cy <= (r + shape.radius) * (r + shape.radius);
+    case POLY: {
+      if (pointInPolygon(cx, cy, shape)) {
+        return true;
+      }
+
+      // Distance to each edge
+      const points = shape.calcPoints;
+      let i, a, b, ex, ey, t, lenSq;
+      for (i = 0; i < points.length; i++) {
+        a = points[i];
+        b = points[(i + 1) % points.length];
+        ex = b.x - a.x;
+        ey = b.y - a.y;
+        lenSq = ex * ex + ey * ey;
+        t = (lenSq > 0) ? Math.max(0, Math.min(1, ((cx - a.x) * ex + (cy - a.y) * ey) / lenSq)) : 0;
+        x = cx - (a.x + ex * t);
+        y = cy - (a.y + ey * t);
+        if (x * x + y * y <= r * r) {
+          return true;
+        }
+      }
+
+      return false;
+    }
+  }
+
+  return false;
+}
+
+module.exports = {
+  sweepBox,
+  sweepCircle,
+  sweepPolygon,
+  sweepShape,
+  pointInPolygon,
+  pointInShape,
+  rectOverlapsShape,
+  circleOverlapsShape,
+};
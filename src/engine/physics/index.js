@@ -1,7 +1,10 @@
 const System = require('engine/system');
+const prefab = require('engine/prefab');
 const Vector = require('engine/Vector');
 const { removeItems } = require('engine/utils/array');
 const { clamp } = require('engine/utils/math');
+const Collider = require('./Collider');
+const { sweepShape, pointInShape, rectOverlapsShape, circleOverlapsShape } = require('./geometry');
 
 /**
  * Physics system.
@@ -44,6 +47,13 @@ class SystemPhysics extends System {
      */
     this.collisionMap = null;
 
+    /**
+     * Spatial hash built in last fixed step, used by queries.
+     * @type {Object}
+     * @private
+     */
+    this.hash = {};
+
     /**
      * Save whether collision of a pair of objects are checked
      * @type {object}
@@ -67,6 +77,27 @@ class SystemPhysics extends System {
       y: 0,
       hitX: false,
       hitY: false,
+      slope: null,
+      ladder: false,
+      hazard: false,
+    };
+
+    /**
+     * Bullet colliders to be swept in this frame
+     * @type {Array<Collider>}
+     * @private
+     */
+    this.bullets = [];
+    /**
+     * Sweep test result
+     * @type {Object}
+     * @private
+     */
+    this.sweepRes = {
+      time: 0,
+      normal: Vector.create(),
+      dirA: null,
+      dirB: null,
     };
 
     this.setup(settings);
@@ -135,8 +166,8 @@ class SystemPhysics extends System {
     this.collisionChecks = 0;
     this.checks = {};
 
-    let i, j, coll, coll2, group, hash = {};
-    let halfWidth, halfHeight, sx, sy, ex, ey, x, y, a2b, b2a, key;
+    let i, j, coll, coll2, group, hash = this.hash = {};
+    let sx, sy, ex, ey, x, y, a2b, b2a, key;
 
     // Process colliders
     for (i = 0; i < this.colliders.length; i++) {
@@ -191,26 +222,24 @@ class SystemPhysics extends System {
       }
 
       // Update bounds
-      if (coll.shape) {
-        halfWidth = coll.shape.width * 0.5;
-        halfHeight = coll.shape.height * 0.5;
-
-        coll.lastLeft = Math.floor(coll.last.x - halfWidth);
-        coll.lastRight = Math.floor(coll.last.x + halfWidth);
-        coll.lastTop = Math.floor(coll.last.y - halfHeight);
-        coll.lastBottom = Math.floor(coll.last.y + halfHeight);
-
-        coll.left = Math.floor(coll.position.x - halfWidth);
-        coll.right = Math.floor(coll.position.x + halfWidth);
-        coll.top = Math.floor(coll.position.y - halfHeight);
-        coll.bottom = Math.floor(coll.position.y + halfHeight);
-      }
+      updateBounds(coll);
 
       // Insert the hash and test collisions
-      sx = coll.left >> this.spatialShift;
-      sy = coll.top >> this.spatialShift;
-      ex = coll.right >> this.spatialShift;
-      ey = coll.bottom >> this.spatialShift;
+      if (coll.bullet && !coll.isStatic) {
+        // Bullets cover the whole area they moved through
+        sx = Math.min(coll.left, coll.lastLeft) >> this.spatialShift;
+        sy = Math.min(coll.top, coll.lastTop) >> this.spatialShift;
+        ex = Math.max(coll.right, coll.lastRight) >> this.spatialShift;
+        ey = Math.max(coll.bottom, coll.lastBottom) >> this.spatialShift;
+
+        this.bullets.push(coll);
+      }
+      else {
+        sx = coll.left >> this.spatialShift;
+        sy = coll.top >> this.spatialShift;
+        ex = coll.right >> this.spatialShift;
+        ey = coll.bottom >> this.spatialShift;
+      }
 
       // Non-static colliders will be notified before collision
       if (!coll.isStatic) {
@@ -245,6 +274,11 @@ class SystemPhysics extends System {
               continue;
             }
 
+            // Pass: bullets will be swept after all colliders moved
+            if ((coll.bullet && !coll.isStatic) || (coll2.bullet && !coll2.isStatic)) {
+              continue;
+            }
+
             a2b = !!(coll.collideAgainst & coll2.collisionGroup) && !(coll.isStatic);
             b2a = !!(coll2.collideAgainst & coll.collisionGroup) && !(coll2.isStatic);
 
@@ -273,6 +307,296 @@ class SystemPhysics extends System {
         }
       }
     }
+
+    // Sweep bullets against colliders around their paths
+    for (i = 0; i < this.bullets.length; i++) {
+      this.sweep(this.bullets[i], hash);
+    }
+    this.bullets.length = 0;
+
+    // Colliders of child entities move in the world, write the result back
+    // to their local positions, which world ones are computed from
+    for (i = 0; i < this.colliders.length; i++) {
+      coll = this.colliders[i];
+      if (!coll.isStatic && !coll.isRemoved && coll.entity && coll.entity.parent) {
+        coll.entity.parent.toLocal(coll.position, coll.entity.position);
+      }
+    }
+  }
+
+  /**
+   * Sweep a bullet collider along its movement of this step, and
+   * report hits in the order of time of impact. The bullet stops
+   * at the first hit that its `collide` returns true.
+   * @memberof SystemPhysics#
+   * @method sweep
+   * @param {Collider} coll Bullet collider
+   * @param {Object} hash   Spatial hash of this step
+   * @private
+   */
+  sweep(coll, hash) {
+    let sx = Math.min(coll.left, coll.lastLeft) >> this.spatialShift;
+    let sy = Math.min(coll.top, coll.lastTop) >> this.spatialShift;
+    let ex = Math.max(coll.right, coll.lastRight) >> this.spatialShift;
+    let ey = Math.max(coll.bottom, coll.lastBottom) >> this.spatialShift;
+
+    let i, x, y, group, coll2, a2b, b2a, key, hit, hits = [];
+    let res = this.sweepRes;
+
+    for (y = sy; y <= ey; y++) {
+      for (x = sx; x <= ex; x++) {
+        group = hash[x] && hash[x][y];
+        if (!group) {
+          continue;
+        }
+
+        for (i = 0; i < group.length; i++) {
+          coll2 = group[i];
+
+          // Pass: same collider or someone is already removed
+          if (coll2 === coll || coll.isRemoved || coll2.isRemoved) {
+            continue;
+          }
+
+          a2b = !!(coll.collideAgainst & coll2.collisionGroup);
+          b2a = !!(coll2.collideAgainst & coll.collisionGroup) && !(coll2.isStatic);
+
+          // Pass: never collide with each other
+          if (!a2b && !b2a) {
+            continue;
+          }
+
+          key = `${coll.id < coll2.id ? coll.id : coll2.id}:${coll.id > coll2.id ? coll.id : coll2.id}`;
+
+          // Pass: already checked
+          if (this.checks[key]) {
+            continue;
+          }
+
+          // Mark this pair is already checked
+          this.checks[key] = true;
+          this.collisionChecks++;
+
+          if (this.solver.sweepTest(coll, coll2, res)) {
+            hits.push({
+              coll: coll2,
+              time: res.time,
+              dirA: res.dirA,
+              dirB: res.dirB,
+              a2b: a2b,
+              b2a: b2a,
+            });
+          }
+        }
+      }
+    }
+
+    // Report hits from the earliest one
+    hits.sort(function(a, b) { return a.time - b.time; });
+
+    for (i = 0; i < hits.length; i++) {
+      hit = hits[i];
+
+      if (coll.isRemoved) {
+        break;
+      }
+      if (hit.coll.isRemoved) {
+        continue;
+      }
+
+      hit.b2a && hit.coll.collide(coll, hit.dirB);
+
+      // Stop at the time of impact
+      if (hit.a2b && coll.collide(hit.coll, hit.dirA)) {
+        coll.position.set(
+          coll.last.x + (coll.position.x - coll.last.x) * hit.time,
+          coll.last.y + (coll.position.y - coll.last.y) * hit.time
+        );
+        updateBounds(coll);
+        break;
+      }
+    }
+  }
+
+  /**
+   * Find colliders that contain a point.
+   * Colliders are looked up from the spatial hash built in last fixed step.
+   * @memberof SystemPhysics#
+   * @method queryPoint
+   * @param {Vector} point            Point to test
+   * @param {number} [mask]           Collision groups to test against, all colliders are tested if not set
+   * @param {Array<Collider>} [out]   Array to push results into
+   * @return {Array<Collider>} Colliders found
+   */
+  queryPoint(point, mask, out = []) {
+    return this.query(point.x, point.y, point.x, point.y, mask, out, function(coll) {
+      return pointInShape(point.x - coll.position.x, point.y - coll.position.y, coll.shape);
+    });
+  }
+  /**
+   * Find colliders that overlap a rectangle.
+   * Colliders are looked up from the spatial hash built in last fixed step.
+   * @memberof SystemPhysics#
+   * @method queryRect
+   * @param {Object} rect             Rectangle(`x`, `y`, `width` and `height`) to test
+   * @param {number} [mask]           Collision groups to test against, all colliders are tested if not set
+   * @param {Array<Collider>} [out]   Array to push results into
+   * @return {Array<Collider>} Colliders found
+   */
+  queryRect(rect, mask, out = []) {
+    const left = rect.x, top = rect.y, right = rect.x + rect.width, bottom = rect.y + rect.height;
+    return this.query(left, top, right, bottom, mask, out, function(coll) {
+      return rectOverlapsShape(
+        left - coll.position.x, top - coll.position.y,
+        right - coll.position.x, bottom - coll.position.y,
+        coll.shape
+      );
+    });
+  }
+  /**
+   * Find colliders that overlap a circle.
+   * Colliders are looked up from the spatial hash built in last fixed step.
+   * @memberof SystemPhysics#
+   * @method queryCircle
+   * @param {Vector} center           Center of the circle
+   * @param {number} radius           Radius of the circle
+   * @param {number} [mask]           Collision groups to test against, all colliders are tested if not set
+   * @param {Array<Collider>} [out]   Array to push results into
+   * @return {Array<Collider>} Colliders found
+   */
+  queryCircle(center, radius, mask, out = []) {
+    return this.query(center.x - radius, center.y - radius, center.x + radius, center.y + radius, mask, out, function(coll) {
+      return circleOverlapsShape(center.x - coll.position.x, center.y - coll.position.y, radius, coll.shape);
+    });
+  }
+  /**
+   * Find colliders in the hash cells of an area and test them.
+   * @memberof SystemPhysics#
+   * @method query
+   * @param {number} left               Left of the area
+   * @param {number} top                Top of the area
+   * @param {number} right              Right of the area
+   * @param {number} bottom             Bottom of the area
+   * @param {number} mask               Collision groups to test against
+   * @param {Array<Collider>} out       Array to push results into
+   * @param {function} test             Test function, return true to accept the collider
+   * @return {Array<Collider>} Colliders found
+   * @private
+   */
+  query(left, top, right, bottom, mask, out, test) {
+    const sx = Math.floor(left) >> this.spatialShift;
+    const sy = Math.floor(top) >> this.spatialShift;
+    const ex = Math.floor(right) >> this.spatialShift;
+    const ey = Math.floor(bottom) >> this.spatialShift;
+
+    let x, y, i, group, coll;
+    for (y = sy; y <= ey; y++) {
+      for (x = sx; x <= ex; x++) {
+        group = this.hash[x] && this.hash[x][y];
+        if (!group) {
+          continue;
+        }
+
+        for (i = 0; i < group.length; i++) {
+          coll = group[i];
+
+          if (!this.match(coll, mask) || out.indexOf(coll) !== -1) {
+            continue;
+          }
+
+          if (test(coll)) {
+            out.push(coll);
+          }
+        }
+      }
+    }
+
+    return out;
+  }
+
+  /**
+   * Cast a ray against colliders, and find the closest one it hits.
+   * Colliders are looked up from the spatial hash built in last fixed step,
+   * use `collisionMap.raycast` to cast against the map.
+   * @memberof SystemPhysics#
+   * @method raycast
+   * @param {Vector} from     Start point of the ray
+   * @param {Vector} to       End point of the ray
+   * @param {number} [mask]   Collision groups to test against, all colliders are tested if not set
+   * @return {Object|null} Hit result(`collider`, `time`(0-1), `distance`, `point` and `normal`), or null if nothing is hit
+   */
+  raycast(from, to, mask) {
+    const dx = to.x - from.x, dy = to.y - from.y;
+    const size = 1 << this.spatialShift;
+
+    let x = Math.floor(from.x) >> this.spatialShift;
+    let y = Math.floor(from.y) >> this.spatialShift;
+    const endX = Math.floor(to.x) >> this.spatialShift;
+    const endY = Math.floor(to.y) >> this.spatialShift;
+
+    // Walk through the hash cells along the ray
+    const stepX = (dx > 0) ? 1 : -1, stepY = (dy > 0) ? 1 : -1;
+    const deltaX = (dx !== 0) ? Math.abs(size / dx) : Infinity;
+    const deltaY = (dy !== 0) ? Math.abs(size / dy) : Infinity;
+    let maxX = (dx !== 0) ? (((dx > 0) ? (x + 1) * size : x * size) - from.x) / dx : Infinity;
+    let maxY = (dy !== 0) ? (((dy > 0) ? (y + 1) * size : y * size) - from.y) / dy : Infinity;
+
+    let i, group, coll, tested = {}, res = this.sweepRes, best = null, bestTime = Infinity;
+    let walking = true;
+    while (walking) {
+      group = this.hash[x] && this.hash[x][y];
+      if (group) {
+        for (i = 0; i < group.length; i++) {
+          coll = group[i];
+
+          if (tested[coll.id] || !this.match(coll, mask)) {
+            continue;
+          }
+          tested[coll.id] = true;
+
+          if (sweepShape(from.x - coll.position.x, from.y - coll.position.y, dx, dy, coll.shape, res) && res.time < bestTime) {
+            bestTime = res.time;
+            best = best || { collider: null, time: 0, distance: 0, point: Vector.create(), normal: Vector.create() };
+            best.collider = coll;
+            best.normal.copy(res.normal);
+          }
+        }
+      }
+
+      // Stop when hit inside this cell, or reached the end
+      if (bestTime <= Math.min(maxX, maxY, 1) || (x === endX && y === endY) || Math.min(maxX, maxY) > 1) {
+        walking = false;
+      }
+      else if (maxX < maxY) {
+        maxX += deltaX;
+        x += stepX;
+      }
+      else {
+        maxY += deltaY;
+        y += stepY;
+      }
+    }
+
+    if (best) {
+      best.time = bestTime;
+      best.distance = bestTime * Math.sqrt(dx * dx + dy * dy);
+      best.point.set(from.x + dx * bestTime, from.y + dy * bestTime);
+    }
+
+    return best;
+  }
+
+  /**
+   * Whether a collider can be found by queries.
+   * @memberof SystemPhysics#
+   * @method match
+   * @param {Collider} coll   Collider to test
+   * @param {number} [mask]   Collision groups to test against
+   * @return {boolean} Whether the collider matches
+   * @private
+   */
+  match(coll, mask) {
+    return !coll.isRemoved && !!coll.shape && (mask === undefined || !!(coll.collisionGroup & mask));
   }
 
   /**
@@ -282,29 +606,48 @@ class SystemPhysics extends System {
    */
   cleanup() {
     this.colliders.length = 0;
+    this.hash = {};
   }
 
   /**
-   * Callback that will be invoked on each entity spawn.
+   * Create the query of entities with colliders.
    * @memberof SystemPhysics#
-   * @method onEntitySpawn
-   * @param  {Entity} ent Entity instance
+   * @method onAdd
    */
-  onEntitySpawn(ent) {
-    if (ent.coll) {
-      ent.coll.entity = ent;
-      this.addCollider(ent.coll);
-      // Override coll's position with the entity's
-      ent.coll.position = ent.position;
+  onAdd() {
+    /**
+     * Entities that have `coll`.
+     * @type {Query}
+     */
+    this.entityQuery = this.game.query({ hasColl: true });
+    this.entityQuery.on('add', this.addEntityColl, this);
+    this.entityQuery.on('remove', this.removeEntityColl, this);
+
+    for (let i = 0; i < this.entityQuery.entities.length; i++) {
+      this.addEntityColl(this.entityQuery.entities[i]);
     }
   }
   /**
-   * Callback that will be invoked on each entity remove.
+   * Add collider of an entity to the world.
+   * @memberof SystemPhysics#
+   * @method addEntityColl
+   * @param  {Entity} ent Entity instance
+   * @private
+   */
+  addEntityColl(ent) {
+    ent.coll.entity = ent;
+    this.addCollider(ent.coll);
+    // Override coll's position with the entity's world position
+    ent.coll.position = ent.worldPosition;
+  }
+  /**
+   * Remove collider of an entity from the world.
    * @memberof SystemPhysics#
-   * @method onEntityRemove
+   * @method removeEntityColl
    * @param  {Entity} ent Entity instance
+   * @private
    */
-  onEntityRemove(ent) {
+  removeEntityColl(ent) {
     if (ent.coll) {
       ent.coll.remove();
       ent.coll.entity = null;
@@ -312,6 +655,33 @@ class SystemPhysics extends System {
   }
 }
 
+/**
+ * Update bounding info of a collider.
+ * @param {Collider} coll Collider to update
+ * @private
+ */
+function updateBounds(coll) {
+  if (!coll.shape) {
+    return;
+  }
+
+  const halfWidth = coll.shape.width * 0.5;
+  const halfHeight = coll.shape.height * 0.5;
+
+  coll.lastLeft = Math.floor(coll.last.x - halfWidth);
+  coll.lastRight = Math.floor(coll.last.x + halfWidth);
+  coll.lastTop = Math.floor(coll.last.y - halfHeight);
+  coll.lastBottom = Math.floor(coll.last.y + halfHeight);
+
+  coll.left = Math.floor(coll.position.x - halfWidth);
+  coll.right = Math.floor(coll.position.x + halfWidth);
+  coll.top = Math.floor(coll.position.y - halfHeight);
+  coll.bottom = Math.floor(coll.position.y + halfHeight);
+}
+
+// Colliders of prefabs
+prefab.registerComponent('coll', Collider);
+
 module.exports = SystemPhysics;
 
 /**
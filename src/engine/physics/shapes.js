@@ -1,4 +1,5 @@
-const { BOX, CIRC } = require('./const');
+const Vector = require('engine/Vector');
+const { BOX, CIRC, POLY } = require('./const');
 
 /**
  * Box shape for physic body.
@@ -74,7 +75,156 @@ class Circle {
   }
 }
 
+/**
+ * Convex polygon shape for physic body.
+ * Points are relative to the position of the body, and should be
+ * in clockwise or counter-clockwise order.
+ *
+ * @class Polygon
+ * @constructor
+ * @param {Array<Vector>} [points]  Points of the polygon
+ * @param {number} [rotation]       Rotation of the polygon
+ */
+class Polygon {
+  /**
+   * @constructor
+   * @param {Array<Vector>} [points]  Points of the polygon
+   * @param {number} [rotation]       Rotation of the polygon
+   */
+  constructor(points = [], rotation = 0) {
+    /**
+     * Points of the polygon(not rotated).
+     * @property {Array<Vector>} points
+     */
+    this.points = [];
+    /**
+     * Rotated points, used by collision solvers.
+     * @property {Array<Vector>} calcPoints
+     * @readonly
+     */
+    this.calcPoints = [];
+    /**
+     * Unit normals of the rotated edges.
+     * @property {Array<Vector>} normals
+     * @readonly
+     */
+    this.normals = [];
+
+    /**
+     * Width of the bounding box(which is always centered at the body position).
+     * @property {number} width
+     * @readonly
+     */
+    this.width = 0;
+    /**
+     * Height of the bounding box(which is always centered at the body position).
+     * @property {number} height
+     * @readonly
+     */
+    this.height = 0;
+
+    /**
+     * Type of this shape, should always be `POLY`.
+     * @type {number}
+     * @const
+     */
+    this.type = POLY;
+
+    /**
+     * Rotation cache
+     * @type {number}
+     * @private
+     */
+    this._rotation = rotation;
+
+    this.setPoints(points);
+  }
+
+  /**
+   * Rotation of the polygon in radians.
+   * @memberof Polygon#
+   * @type {number}
+   */
+  get rotation() {
+    return this._rotation;
+  }
+  /**
+   * Rotate the polygon, points are recalculated.
+   * @memberof Polygon#
+   * @param {number} r Rotation in radians
+   */
+  set rotation(r) {
+    this._rotation = r;
+    this.recalc();
+  }
+
+  /**
+   * Set points of this polygon.
+   * @memberof Polygon#
+   * @method setPoints
+   * @param {Array<Vector|Object>} points Points as `Vector` or `{ x, y }` objects
+   * @return {Polygon} Self for chaining
+   */
+  setPoints(points) {
+    let i;
+    for (i = 0; i < points.length; i++) {
+      if (!this.points[i]) {
+        this.points[i] = Vector.create();
+      }
+      this.points[i].set(points[i].x || 0, points[i].y || 0);
+    }
+    this.points.length = points.length;
+
+    this.recalc();
+
+    return this;
+  }
+
+  /**
+   * Update rotated points, normals and bounding size.
+   * Call this after points are modified directly.
+   * @memberof Polygon#
+   * @method recalc
+   * @return {Polygon} Self for chaining
+   */
+  recalc() {
+    const len = this.points.length;
+    let i, p, maxX = 0, maxY = 0;
+
+    for (i = 0; i < len; i++) {
+      if (!this.calcPoints[i]) {
+        this.calcPoints[i] = Vector.create();
+        this.normals[i] = Vector.create();
+      }
+
+      p = this.calcPoints[i].copy(this.points[i]);
+      if (this._rotation !== 0) {
+        p.rotate(this._rotation);
+      }
+
+      maxX = Math.max(maxX, Math.abs(p.x));
+      maxY = Math.max(maxY, Math.abs(p.y));
+    }
+    this.calcPoints.length = len;
+    this.normals.length = len;
+
+    for (i = 0; i < len; i++) {
+      this.normals[i]
+        .copy(this.calcPoints[(i + 1) % len])
+        .subtract(this.calcPoints[i])
+        .perp()
+        .normalize();
+    }
+
+    this.width = maxX * 2;
+    this.height = maxY * 2;
+
+    return this;
+  }
+}
+
 module.exports = {
   Box,
   Circle,
+  Polygon,
 };
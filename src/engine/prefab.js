@@ -0,0 +1,309 @@
+const loader = require('engine/loader');
+const { merge } = require('engine/utils/object');
+
+/**
+ * Prefab definitions.
+ * @type {Object}
+ * @private
+ */
+const defs = {};
+
+/**
+ * Resolved(inheritance flattened) prefabs.
+ * @type {Object}
+ * @private
+ */
+let resolved = {};
+
+/**
+ * Component builders.
+ * @type {Object}
+ * @private
+ */
+const builders = {};
+
+/**
+ * Keys of a definition that are not components.
+ * @type {Array<String>}
+ * @private
+ */
+const RESERVED_KEYS = ['extends', 'type', 'settings', 'behaviors'];
+
+/**
+ * Get type name of a behavior definition.
+ * @param  {String|Object} b Behavior definition
+ * @return {String} Type name
+ * @private
+ */
+function behaviorType(b) {
+  return (typeof(b) === 'string') ? b : b.type;
+}
+
+/**
+ * Merge behavior lists, settings of the same type are merged
+ * while new types are appended.
+ * @param  {Array} base     Behaviors of the parent
+ * @param  {Array} behaviors Behaviors of the child
+ * @return {Array} Merged behaviors
+ * @private
+ */
+function mergeBehaviors(base, behaviors) {
+  const res = base.slice();
+
+  let i, j, type, found;
+  for (i = 0; i < behaviors.length; i++) {
+    type = behaviorType(behaviors[i]);
+    found = false;
+
+    for (j = 0; j < res.length; j++) {
+      if (behaviorType(res[j]) === type) {
+        res[j] = merge({ type: type }, (typeof(res[j]) === 'string') ? null : res[j]);
+        if (typeof(behaviors[i]) !== 'string') {
+          merge(res[j], behaviors[i]);
+        }
+        found = true;
+        break;
+      }
+    }
+
+    if (!found) {
+      res.push(behaviors[i]);
+    }
+  }
+
+  return res;
+}
+
+/**
+ * Flatten a prefab with its ancestors.
+ * @param  {String} name    Name of the prefab
+ * @param  {Array} chain    Names already visited, to detect loops
+ * @return {Object|undefined} Resolved prefab
+ * @private
+ */
+function resolve(name, chain) {
+  if (resolved[name]) {
+    return resolved[name];
+  }
+
+  const def = defs[name];
+  if (!def) {
+    return undefined;
+  }
+
+  let res;
+  if (def.extends) {
+    if (!defs[def.extends]) {
+      console.log(`[WARNING]: Base prefab "${def.extends}" of "${name}" does not exist!`);
+      return undefined;
+    }
+    if (chain.indexOf(def.extends) >= 0) {
+      console.log(`[WARNING]: Prefab "${name}" extends itself through "${def.extends}"!`);
+      return undefined;
+    }
+
+    chain.push(name);
+    const base = resolve(def.extends, chain);
+    if (!base) {
+      return undefined;
+    }
+
+    res = merge({}, base);
+  }
+  else {
+    res = {
+      type: 'Entity',
+      settings: {},
+      behaviors: [],
+    };
+  }
+
+  for (let k in def) {
+    switch (k) {
+      case 'extends':
+        break;
+
+      case 'type':
+        res.type = def.type;
+        break;
+
+      case 'behaviors':
+        res.behaviors = mergeBehaviors(res.behaviors, def.behaviors);
+        break;
+
+      // Settings and components
+      default:
+        res[k] = merge(res[k] || {}, def[k]);
+        break;
+    }
+  }
+
+  resolved[name] = res;
+
+  return res;
+}
+
+/**
+ * Loader middleware that defines prefabs from JSON resources which
+ * have a `prefabs` field.
+ * @return {Function} Middleware
+ * @private
+ */
+function prefabParser() {
+  return function(resource, next) {
+    if (!resource.data || !resource.data.prefabs || typeof(resource.data.prefabs) !== 'object') {
+      return next();
+    }
+
+    const prefabs = resource.data.prefabs;
+    for (let name in prefabs) {
+      module.exports.define(name, prefabs[name]);
+    }
+    resource.prefabs = Object.keys(prefabs);
+
+    next();
+  };
+}
+
+// - define prefabs from JSON data
+loader.use(prefabParser());
+// - remove prefabs of unloaded resources
+loader.onUnload.add(function(loader, resource) {
+  if (resource.prefabs) {
+    for (let i = 0; i < resource.prefabs.length; i++) {
+      module.exports.undefine(resource.prefabs[i]);
+    }
+  }
+});
+
+/**
+ * Prefabs are entity archetypes defined as data, which can be spawned
+ * by `Game.spawnEntity` with their names.
+ *
+ * A prefab definition may have following fields:
+ * - `type`: registered `Entity` type name(`Entity` by default)
+ * - `extends`: name of the prefab to inherit from
+ * - `settings`: default settings of the entity
+ * - `behaviors`: behavior definitions(same as the entity setting)
+ * - `gfx`: definition of the graphic component, `type` field of it is
+ *   the factory name(`Sprite`, `AnimatedSprite`, `Graphics`...)
+ * - `coll`: settings of the `Collider`
+ *
+ * Definitions of a child prefab are deeply merged into its base one,
+ * behaviors of the same type are merged too.
+ *
+ * Prefabs can also be loaded from JSON files with a `prefabs` field.
+ *
+ * @example <caption>prefabs.json</caption>
+ * {
+ *   "prefabs": {
+ *     "Bat": {
+ *       "type": "Enemy",
+ *       "settings": { "tag": "enemy", "damage": 1 },
+ *       "gfx": {
+ *         "type": "AnimatedSprite",
+ *         "textures": { "filmstrip": "bat", "width": 51, "height": 57 },
+ *         "anims": [["fly", [0, 1, 2, 3], { "speed": 8 }]],
+ *         "play": "fly",
+ *         "anchor": { "x": 0.5, "y": 0.5 }
+ *       },
+ *       "coll": { "shape": "Box", "width": 40, "height": 40 },
+ *       "behaviors": [{ "type": "Health", "maxHealth": 2 }]
+ *     },
+ *     "FastBat": {
+ *       "extends": "Bat",
+ *       "gfx": { "tint": 16711680 },
+ *       "behaviors": [{ "type": "Health", "maxHealth": 1 }]
+ *     }
+ *   }
+ * }
+ *
+ * @example <caption>Load and spawn</caption>
+ * loader.add('prefabs.json');
+ *
+ * // In a game
+ * this.spawnEntity('FastBat', 100, 100, 'actors', { damage: 2 });
+ *
+ * @exports engine/prefab
+ *
+ * @requires module:engine/loader
+ * @requires module:engine/utils/object
+ */
+module.exports = {
+  /**
+   * Define a prefab, existing one of the same name will be replaced.
+   * @param {String} name Name of the prefab
+   * @param {Object} def  Definition
+   */
+  define(name, def) {
+    if (defs[name]) {
+      console.log(`[WARNING]: Prefab "${name}" is re-defined!`);
+    }
+
+    defs[name] = def;
+
+    // Descendants may change too
+    resolved = {};
+  },
+  /**
+   * Remove a prefab.
+   * @param {String} name Name of the prefab
+   */
+  undefine(name) {
+    delete defs[name];
+    resolved = {};
+  },
+  /**
+   * Whether a prefab is defined.
+   * @param  {String} name Name of the prefab
+   * @return {Boolean} Whether it is defined
+   */
+  has(name) {
+    return defs.hasOwnProperty(name);
+  },
+  /**
+   * Get a prefab with all the inherited fields.
+   * @param  {String} name Name of the prefab
+   * @return {Object|undefined} Resolved prefab, DO NOT modify it
+   */
+  get(name) {
+    return resolve(name, []);
+  },
+
+  /**
+   * Register a component builder, which creates the component
+   * from the definition field of the same key.
+   * `gfx` and `coll` builders are registered by `engine/gfx`
+   * and `engine/physics`.
+   * @param {String} key        Key of the component
+   * @param {Function} builder  Function that receives the definition and returns the component
+   */
+  registerComponent(key, builder) {
+    if (RESERVED_KEYS.indexOf(key) >= 0) {
+      console.log(`[WARNING]: "${key}" is reserved and cannot be a component!`);
+      return;
+    }
+
+    builders[key] = builder;
+  },
+
+  /**
+   * Create components of a prefab for an entity.
+   * @param {Entity} ent    Entity to create components for
+   * @param {Object} prefab Resolved prefab
+   */
+  build(ent, prefab) {
+    for (let k in prefab) {
+      if (RESERVED_KEYS.indexOf(k) >= 0) {
+        continue;
+      }
+
+      if (builders[k]) {
+        ent[k] = builders[k](prefab[k]);
+      }
+      else {
+        console.log(`[WARNING]: No builder for "${k}" component of prefab, is its module required?`);
+      }
+    }
+  },
+};
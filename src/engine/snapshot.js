@@ -0,0 +1,228 @@
+const Vector = require('engine/Vector');
+
+/**
+ * Whether a value can be saved as it is.
+ * @param  {*} value Value to check
+ * @return {Boolean} Whether it is a primitive
+ * @private
+ */
+function isPrimitive(value) {
+  const type = typeof(value);
+  return value === null || type === 'number' || type === 'string' || type === 'boolean';
+}
+
+/**
+ * Find name of a method of an object.
+ * @param  {Object} obj     Object that owns the method
+ * @param  {Function} fn    Method
+ * @return {String|undefined} Name of the method
+ * @private
+ */
+function methodName(obj, fn) {
+  let k, keys, proto = obj;
+  while (proto && proto !== Object.prototype) {
+    keys = Object.getOwnPropertyNames(proto);
+    for (k = 0; k < keys.length; k++) {
+      // Skip accessors
+      const desc = Object.getOwnPropertyDescriptor(proto, keys[k]);
+      if (desc.value === fn) {
+        return keys[k];
+      }
+    }
+    proto = Object.getPrototypeOf(proto);
+  }
+  return undefined;
+}
+
+/**
+ * Helpers to save and restore states of games, used by
+ * `Game#serialize` and `Game#restore`.
+ *
+ * Objects are saved as references:
+ * - `{ game: true }`: the game itself
+ * - `{ system: name }`: a system of the game
+ * - `{ entity: id }`: an entity
+ * - `{ entity: id, key: 'gfx' }`: a property(i.e. component) of an entity
+ * - `{ entity: id, behavior: idx }`: a behavior of an entity
+ *
+ * Callbacks are saved as methods of these objects, so use methods
+ * instead of closures for callbacks of timers that should be saved.
+ *
+ * @exports engine/snapshot
+ *
+ * @requires module:engine/Vector
+ */
+module.exports = {
+  /**
+   * Version of snapshots.
+   * @type {Number}
+   */
+  VERSION: 1,
+
+  /**
+   * Copy fields that can be saved as JSON(primitives, vectors and
+   * arrays of primitives) from an object, private fields(start
+   * with `_`) are skipped.
+   * @param  {Object} obj           Object to copy from
+   * @param  {Array<String>} [skip] Keys to skip
+   * @return {Object} Saved fields
+   */
+  saveFields(obj, skip) {
+    const data = {};
+
+    let k, v;
+    for (k in obj) {
+      if (!obj.hasOwnProperty(k) || k[0] === '_' || (skip && skip.indexOf(k) >= 0)) {
+        continue;
+      }
+
+      v = obj[k];
+      if (isPrimitive(v)) {
+        data[k] = v;
+      }
+      else if (v instanceof Vector) {
+        data[k] = { x: v.x, y: v.y };
+      }
+      else if (Array.isArray(v) && v.every(isPrimitive)) {
+        data[k] = v.slice();
+      }
+    }
+
+    return data;
+  },
+  /**
+   * Apply fields saved by `saveFields` back to an object.
+   * @param {Object} obj  Object to apply to
+   * @param {Object} data Saved fields
+   */
+  loadFields(obj, data) {
+    for (let k in data) {
+      if (data[k] === undefined) {
+        continue;
+      }
+
+      if (obj[k] instanceof Vector) {
+        obj[k].copy(data[k]);
+      }
+      else if (Array.isArray(obj[k]) && Array.isArray(data[k])) {
+        obj[k].length = 0;
+        obj[k].push.apply(obj[k], data[k]);
+      }
+      else {
+        obj[k] = data[k];
+      }
+    }
+  },
+
+  /**
+   * Get reference of an object.
+   * @param  {Game} game  Game the object belongs to
+   * @param  {Object} obj Object to reference
+   * @return {Object|undefined} Reference, `undefined` if not able to
+   */
+  toRef(game, obj) {
+    if (!obj) {
+      return undefined;
+    }
+    if (obj === game) {
+      return { game: true };
+    }
+
+    let i, ent, k;
+    for (k in game.systems) {
+      if (game.systems[k] === obj) {
+        return { system: k };
+      }
+    }
+
+    for (i = 0; i < game.entities.length; i++) {
+      ent = game.entities[i];
+      if (ent.isRemoved) {
+        continue;
+      }
+
+      if (ent === obj) {
+        return { entity: ent.id };
+      }
+      for (k in ent) {
+        if (ent.hasOwnProperty(k) && ent[k] === obj && k !== 'game' && k !== 'parent') {
+          return { entity: ent.id, key: k };
+        }
+      }
+      k = ent.behaviors.indexOf(obj);
+      if (k >= 0) {
+        return { entity: ent.id, behavior: k };
+      }
+    }
+
+    return undefined;
+  },
+  /**
+   * Find the object of a reference.
+   * @param  {Game} game  Game the object belongs to
+   * @param  {Object} ref Reference
+   * @return {Object|undefined} Object
+   */
+  fromRef(game, ref) {
+    if (!ref) {
+      return undefined;
+    }
+    if (ref.game) {
+      return game;
+    }
+    if (ref.system) {
+      return game.systems[ref.system];
+    }
+
+    const ent = game.getEntityById(ref.entity);
+    if (!ent) {
+      return undefined;
+    }
+    if (ref.key) {
+      return ent[ref.key];
+    }
+    if (ref.behavior !== undefined) {
+      return ent.behaviors[ref.behavior];
+    }
+    return ent;
+  },
+
+  /**
+   * Save a callback as method of its context.
+   * @param  {Game} game          Game the context belongs to
+   * @param  {Function} callback  Callback
+   * @param  {Object} context     Context of the callback
+   * @return {Object|undefined} Saved callback, `undefined` if not able to
+   */
+  saveCallback(game, callback, context) {
+    if (!callback) {
+      return null;
+    }
+
+    const ref = this.toRef(game, context);
+    const name = ref && methodName(context, callback);
+    if (!name) {
+      return undefined;
+    }
+
+    return { context: ref, method: name };
+  },
+  /**
+   * Restore a callback saved by `saveCallback`.
+   * @param  {Game} game  Game the context belongs to
+   * @param  {Object} data Saved callback
+   * @return {Array} `[callback, context]`, both are `undefined` if not found
+   */
+  loadCallback(game, data) {
+    if (!data) {
+      return [undefined, undefined];
+    }
+
+    const context = this.fromRef(game, data.context);
+    if (!context) {
+      return [undefined, undefined];
+    }
+
+    return [context[data.method], context];
+  },
+};
@@ -0,0 +1,170 @@
+const loader = require('engine/loader');
+const BackgroundMap = require('engine/gfx/BackgroundMap');
+const CollisionMap = require('engine/physics/CollisionMap');
+const { TILE_MASK } = BackgroundMap;
+
+/**
+ * Get the map parsed by `tiledParser` middleware.
+ * @param  {String|Object} map Key of the map resource or the parsed map
+ * @return {Object|undefined} Parsed map
+ * @private
+ */
+function getMap(map) {
+  if (typeof(map) === 'string') {
+    const res = loader.resources[map];
+    return res ? res.tiledMap : undefined;
+  }
+  return map;
+}
+
+/**
+ * Find the tileset a tile belongs to.
+ * @param  {Array} tilesets Tilesets of the map
+ * @param  {Number} gid     Global tile id(without flip flags)
+ * @return {Object|null} Tileset
+ * @private
+ */
+function tilesetOf(tilesets, gid) {
+  let res = null;
+  for (let i = 0; i < tilesets.length; i++) {
+    if (tilesets[i].firstgid <= gid && (!res || tilesets[i].firstgid > res.firstgid)) {
+      res = tilesets[i];
+    }
+  }
+  return res;
+}
+
+/**
+ * Create a `CollisionMap` from a tile layer.
+ *
+ * Every tile is solid unless it has a `collision` custom property set
+ * to one of the `CollisionMap.TILES` presets(`ONE_WAY`, `SLOPE_UP_45`...).
+ *
+ * @param  {Object} map     Parsed map
+ * @param  {Object} layer   Tile layer
+ * @param  {Object} [tiles] Tile definitions(gid -> definition) to merge in
+ * @return {CollisionMap} Collision map
+ * @private
+ */
+function createCollisionMap(map, layer, tiles) {
+  const defs = {};
+  const data = layer.data.map((row) => row.map((tile) => {
+    const gid = tile & TILE_MASK;
+
+    if (gid > 0 && !defs.hasOwnProperty(gid)) {
+      const tileset = tilesetOf(map.tilesets, gid);
+      const tileDef = tileset && tileset.tiles[gid - tileset.firstgid];
+      const preset = tileDef && tileDef.properties.collision;
+
+      if (preset && !CollisionMap.TILES[preset]) {
+        console.log(`[WARNING]: Collision tile "${preset}" does not exist!`);
+      }
+      defs[gid] = (preset && CollisionMap.TILES[preset]) || CollisionMap.TILES.SOLID;
+    }
+
+    return gid;
+  }));
+
+  return CollisionMap(map.tilewidth, data, Object.assign(defs, tiles));
+}
+
+/**
+ * Create a level from a Tiled map loaded by the `tiledParser` middleware:
+ *
+ * - Each tile layer becomes a `BackgroundMap` added to the gfx layer named
+ *   by its `layer` custom property(or `settings.backgroundLayer`).
+ * - The collision layer(named by `settings.collisionLayer` or has a `collision`
+ *   custom property of `true`) becomes the `collisionMap` of the physics system
+ *   instead of being drawn.
+ * - Objects with a `type` are spawned as entities of that type(see `Entity.register`)
+ *   with their custom properties(and `name`) as settings, into the gfx layer named by
+ *   the `layer` custom property of the object layer(or `settings.entityLayer`).
+ *
+ * @example
+ * loader.add('level1', 'level1.json');
+ *
+ * // Inside a game
+ * const level = tiled.createLevel(this, 'level1', {
+ *   backgroundLayer: 'background',
+ *   entityLayer: 'actors',
+ * });
+ *
+ * @param  {Game} game                        Game to create the level in
+ * @param  {String|Object} map                Key of the map resource or the parsed map
+ * @param  {Object} [settings]                Settings
+ * @param  {String} [settings.collisionLayer] Name of the collision layer
+ * @param  {Object} [settings.tiles]          Collision tile definitions to merge in
+ * @param  {String} [settings.backgroundLayer] Default gfx layer of background maps
+ * @param  {String} [settings.entityLayer]    Default gfx layer of entities
+ * @return {Object} Created `backgrounds`(layer name -> BackgroundMap), `collisionMap` and `entities`
+ */
+module.exports.createLevel = function(game, map, settings = {}) {
+  const level = {
+    backgrounds: {},
+    collisionMap: null,
+    entities: [],
+  };
+
+  map = getMap(map);
+  if (!map) {
+    console.log('[WARNING]: Tiled map is not loaded!');
+    return level;
+  }
+
+  let i, j, layer, bg, parent, obj, ent, props;
+  for (i = 0; i < map.layers.length; i++) {
+    layer = map.layers[i];
+
+    if (layer.type === 'tilelayer') {
+      // Collision layer
+      if (layer.name === settings.collisionLayer || (!settings.collisionLayer && layer.properties.collision === true)) {
+        level.collisionMap = createCollisionMap(map, layer, settings.tiles);
+        if (game.sysPhysics) {
+          game.sysPhysics.collisionMap = level.collisionMap;
+        }
+        continue;
+      }
+
+      bg = BackgroundMap(map.tilewidth, layer.data, map.tilesets);
+      bg.position.set(layer.offsetx, layer.offsety);
+      bg.alpha = layer.opacity;
+      bg.visible = layer.visible;
+      level.backgrounds[layer.name] = bg;
+
+      if (game.sysGfx) {
+        parent = layer.properties.layer || settings.backgroundLayer;
+        if (!parent) {
+          game.sysGfx.root.addChild(bg);
+        }
+        else if (game.sysGfx.layers.hasOwnProperty(parent)) {
+          game.sysGfx.layers[parent].addChild(bg);
+        }
+        else {
+          console.log(`[WARNING]: Layer "${parent}" does not exist!`);
+        }
+      }
+    }
+    else if (layer.type === 'objectgroup') {
+      parent = layer.properties.layer || settings.entityLayer;
+
+      for (j = 0; j < layer.objects.length; j++) {
+        obj = layer.objects[j];
+        if (!obj.type) {
+          continue;
+        }
+
+        props = Object.assign({}, obj.properties);
+        if (obj.name) {
+          props.name = obj.name;
+        }
+
+        ent = game.spawnEntity(obj.type, obj.x + layer.offsetx, obj.y + layer.offsety, parent, props);
+        if (ent) {
+          level.entities.push(ent);
+        }
+      }
+    }
+  }
+
+  return level;
+};
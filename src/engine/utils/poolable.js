@@ -19,12 +19,12 @@ module.exports = function(ctor, preAllocSize = 20) {
   });
 
   // Get an initialized instance
-  ctor.create = function(s) {
+  ctor.create = function(...args) {
     let a = this.pool.pop();
     if (!a) {
       a = new this();
     }
-    a.init(s);
+    a.init(...args);
     return a;
   };
 
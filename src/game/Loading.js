@@ -8,6 +8,8 @@ const Text = require('engine/gfx/Text');
 const BAR_WIDTH = Math.floor(core.width * 0.75);
 const BAR_HEIGHT = Math.floor(BAR_WIDTH * 0.075);
 
+let isReady = false;
+
 class Loading extends Game {
   constructor() {
     super();
@@ -37,7 +39,7 @@ class Loading extends Game {
     this.barBg.position = this.bar.position.set(core.width / 2 - BAR_WIDTH / 2, core.height / 2);
   }
 
-  awake({ gameClass }) {
+  awake({ gameClass, bundles, newInstance = true, param = {}, transition = null }) {
     let redraw = () => {
       this.pct.text = `${loader.progress | 0}%`;
 
@@ -50,13 +52,21 @@ class Loading extends Game {
     let h = loader.onProgress.add(redraw);
     const ready = () => {
       h.detach();
-      core.setGame(gameClass, true);
+      core.setGame(gameClass, newInstance, param, transition);
 
-      core.emit('ready');
+      if (!isReady) {
+        isReady = true;
+        core.emit('ready');
+      }
     };
 
-    loader.onComplete.once(ready);
-    loader.load();
+    // Bundles are loaded along with everything queued
+    if (bundles) {
+      loader.loadBundle(bundles, ready);
+    }
+    else {
+      loader.load(ready);
+    }
   }
 }
 
@@ -52,6 +52,21 @@ module.exports = {
      * @type {Boolean}
      */
     preserveDrawingBuffer: false,
+    /**
+     * Draw entities between their states of last two fixed
+     * steps, which makes movements smooth when the game runs
+     * fixed update at a lower FPS than the screen refresh rate.
+     * @type {Boolean}
+     */
+    interpolate: false,
+    /**
+     * Pack small images into shared atlas textures at load time,
+     * so their sprites can be batched. Set to `true` or options
+     * of the packer(`size`, `maxSize`, `padding` and `extrude`,
+     * see `engine/gfx/loaders/atlasPacker`) to enable.
+     * @type {Boolean|Object}
+     */
+    atlas: false,
   },
 
   /**
@@ -108,4 +123,24 @@ module.exports = {
   storage: {
     id: 'lpanda',
   },
+
+  /**
+   * Input specific settings.
+   * @type {Object}
+   */
+  input: {
+    gamepad: {
+      /**
+       * Axis values smaller than this will be treated as 0.
+       * @type {Number}
+       */
+      deadZone: 0.2,
+      /**
+       * Axis values larger than this will press the digital
+       * stick direction buttons(i.e. `PAD0_LEFT_STICK_UP`).
+       * @type {Number}
+       */
+      threshold: 0.5,
+    },
+  },
 };